@@ -0,0 +1,240 @@
+// ActivationCodes.js - Persisted, expiring, single-use activation codes
+const crypto = require('crypto');
+
+// Characters of generated matching IDs, without look-alikes (0/O, 1/I)
+const MATCHING_ID_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+class ActivationCodeError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ActivationCodeError';
+    this.reason = reason;
+  }
+}
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * ActivationCodes - The activation codes issued for eSIM profiles
+ * Every code carries a matching ID that is valid until its TTL runs out,
+ * it is used for a download or it is revoked. Issuing a new code revokes the
+ * codes still outstanding for the same profile. The optional confirmation
+ * code is only stored as SHA-256(CC), as the eUICC hashes it the same way.
+ */
+class ActivationCodes {
+  constructor(storage, options = {}) {
+    this.codes = storage.collection('activation_codes');
+    this.options = {
+      ttl: 7 * 24 * 60 * 60 * 1000,
+      maxConfirmationAttempts: 5,
+      ...options
+    };
+  }
+
+  static generateMatchingId() {
+    const groups = [];
+    for (let i = 0; i < 4; i++) {
+      let group = '';
+      for (let j = 0; j < 5; j++) {
+        group += MATCHING_ID_ALPHABET[crypto.randomInt(MATCHING_ID_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return groups.join('-');
+  }
+
+  static generateConfirmationCode() {
+    return crypto.randomInt(100000000).toString().padStart(8, '0');
+  }
+
+  /**
+   * The activation code a user scans or types in (SGP.22 4.1)
+   * LPA:1$<SM-DP+ address>$<matching ID>, with a fifth field of 1 when the
+   * LPA has to ask for the confirmation code. It never carries key material.
+   * @param {string} smDpPlusAddress - Address of the SM-DP+
+   * @param {string} matchingId - Matching ID of the activation code
+   * @param {boolean} confirmationCodeRequired - Whether the code has a confirmation code
+   * @returns {string} The activation code
+   */
+  static format(smDpPlusAddress, matchingId, confirmationCodeRequired = false) {
+    const fields = ['LPA:1', smDpPlusAddress, matchingId];
+    if (confirmationCodeRequired) {
+      fields.push('', '1');
+    }
+    return fields.join('$');
+  }
+
+  /**
+   * Split an activation code into its fields
+   * @returns {Object} smDpPlusAddress, matchingId and confirmationCodeRequired
+   */
+  static parse(activationCode) {
+    const [format, smDpPlusAddress, matchingId = '', , ccRequired] = String(activationCode).split('$');
+    if (format !== 'LPA:1' || !smDpPlusAddress) {
+      throw new ActivationCodeError('malformed', `Not an LPA:1 activation code: ${activationCode}`);
+    }
+    return { smDpPlusAddress, matchingId, confirmationCodeRequired: ccRequired === '1' };
+  }
+
+  /**
+   * Issue an activation code for a profile
+   * @param {string} iccid - The ICCID of the profile
+   * @param {Object} options - ttl in milliseconds; confirmationCode, true to
+   * generate one or the code itself
+   * @returns {Object} The stored record, plus the confirmation code in clear
+   */
+  issue(iccid, options = {}) {
+    this.revokeAll(iccid, 'reissued');
+
+    const now = Date.now();
+    const confirmationCode = options.confirmationCode === true
+      ? ActivationCodes.generateConfirmationCode()
+      : options.confirmationCode || null;
+
+    const record = {
+      matchingId: ActivationCodes.generateMatchingId(),
+      iccid,
+      status: 'issued',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + (options.ttl || this.options.ttl)).toISOString(),
+      confirmationCodeHash: confirmationCode ? sha256(Buffer.from(confirmationCode)).toString('hex') : null,
+      confirmationAttempts: 0
+    };
+    this.codes.put(record);
+
+    return confirmationCode ? { ...record, confirmationCode } : record;
+  }
+
+  get(matchingId) {
+    return this.codes.get(matchingId);
+  }
+
+  findByProfile(iccid) {
+    return this.codes.find('iccid', iccid);
+  }
+
+  // Codes still usable for a download, newest first
+  outstanding(iccid) {
+    return this.findByProfile(iccid)
+      .filter(code => code.status === 'issued' && Date.parse(code.expiresAt) > Date.now())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Check that a matching ID can be used for a download
+   * @returns {Object} The activation code record
+   * @throws {ActivationCodeError} reason unknown, expired, used or revoked
+   */
+  check(matchingId) {
+    const code = this.codes.get(matchingId);
+    if (!code) {
+      throw new ActivationCodeError('unknown', `Unknown matching ID ${matchingId}`);
+    }
+
+    if (code.status === 'issued' && Date.parse(code.expiresAt) <= Date.now()) {
+      code.status = 'expired';
+      this.codes.put(code);
+    }
+    if (code.status !== 'issued') {
+      throw new ActivationCodeError(code.status, `Activation code ${matchingId} is ${code.status}`);
+    }
+
+    return code;
+  }
+
+  /**
+   * Verify the hashCc an eUICC sent, SHA-256(SHA-256(CC) | transactionId)
+   * Too many wrong attempts revoke the code.
+   * @throws {ActivationCodeError} reason confirmation-missing,
+   * confirmation-refused or retries-exceeded
+   */
+  verifyConfirmationCode(matchingId, hashCc, transactionId) {
+    const code = this.check(matchingId);
+    if (!code.confirmationCodeHash) return true;
+
+    if (!hashCc) {
+      throw new ActivationCodeError('confirmation-missing', `Activation code ${matchingId} needs a confirmation code`);
+    }
+
+    const expected = sha256(Buffer.from(code.confirmationCodeHash, 'hex'), transactionId);
+    if (hashCc.length === expected.length && crypto.timingSafeEqual(hashCc, expected)) {
+      return true;
+    }
+
+    code.confirmationAttempts++;
+    if (code.confirmationAttempts >= this.options.maxConfirmationAttempts) {
+      code.status = 'revoked';
+      code.revokedAt = new Date().toISOString();
+      code.revokedReason = 'confirmation-retries-exceeded';
+      this.codes.put(code);
+      throw new ActivationCodeError('retries-exceeded', `Too many wrong confirmation codes for ${matchingId}`);
+    }
+
+    this.codes.put(code);
+    throw new ActivationCodeError('confirmation-refused', `Wrong confirmation code for ${matchingId}`);
+  }
+
+  // Mark a code as used once its profile has been handed to an eUICC
+  redeem(matchingId) {
+    const code = this.check(matchingId);
+    code.status = 'used';
+    code.usedAt = new Date().toISOString();
+    this.codes.put(code);
+    return code;
+  }
+
+  revoke(matchingId, reason = 'revoked') {
+    const code = this.codes.get(matchingId);
+    if (!code || code.status !== 'issued') return null;
+
+    code.status = 'revoked';
+    code.revokedAt = new Date().toISOString();
+    code.revokedReason = reason;
+    this.codes.put(code);
+    return code;
+  }
+
+  revokeAll(iccid, reason = 'revoked') {
+    return this.findByProfile(iccid)
+      .map(code => this.revoke(code.matchingId, reason))
+      .filter(Boolean);
+  }
+}
+
+module.exports = {
+  ActivationCodes,
+  ActivationCodeError
+};
+
+// node ActivationCodes.js list <iccid> [--tenant <id>]
+// node ActivationCodes.js revoke <matchingId> | --iccid <iccid> [--tenant <id>]
+if (require.main === module) {
+  const { CONFIG } = require('./Config');
+  const { createStorage } = require('./Storage');
+  const { TenantRegistry, DEFAULT_TENANT } = require('./Tenants');
+
+  const args = process.argv.slice(2);
+  const tenantIndex = args.indexOf('--tenant');
+  const tenant = TenantRegistry.fromConfig(CONFIG).get(tenantIndex >= 0 ? args[tenantIndex + 1] : DEFAULT_TENANT);
+  const storage = createStorage(CONFIG.STORAGE, tenant.dataDir);
+  const activationCodes = new ActivationCodes(storage);
+
+  if (args[0] === 'list' && args[1]) {
+    for (const code of activationCodes.findByProfile(args[1])) {
+      const cc = code.confirmationCodeHash ? ', confirmation code required' : '';
+      console.log(`${code.matchingId} ${code.status}, expires ${code.expiresAt}${cc}`);
+    }
+  } else if (args[0] === 'revoke' && args[1] === '--iccid' && args[2]) {
+    console.log(`Revoked ${activationCodes.revokeAll(args[2]).length} activation codes`);
+  } else if (args[0] === 'revoke' && args[1]) {
+    console.log(activationCodes.revoke(args[1]) ? `Revoked ${args[1]}` : `${args[1]} is not outstanding`);
+  } else {
+    console.error('Usage: node ActivationCodes.js list <iccid> | revoke <matchingId> | revoke --iccid <iccid> [--tenant <id>]');
+    process.exit(1);
+  }
+
+  storage.close();
+  process.exit(0);
+}
@@ -0,0 +1,217 @@
+// Asn1.js - Minimal ASN.1 DER TLV encoder/decoder
+//
+// Tags are handled as the raw tag octets written as a number, which is how
+// GSMA SGP.22 and the SIMalliance profile specification list them
+// (e.g. 0x80, 0xA0, 0x5F49, 0xBF37).
+
+const TAGS = {
+  BOOLEAN: 0x01,
+  BIT_STRING: 0x03,
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  ENUMERATED: 0x0A,
+  UTF8_STRING: 0x0C,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+function tagToBuffer(tag) {
+  const bytes = [];
+  let value = tag;
+  do {
+    bytes.unshift(value & 0xff);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  let value = length;
+  while (value > 0) {
+    bytes.unshift(value & 0xff);
+    value = Math.floor(value / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function isConstructed(tag) {
+  return (tagToBuffer(tag)[0] & 0x20) !== 0;
+}
+
+/**
+ * Encode a TLV
+ * @param {number} tag - The tag octets as a number
+ * @param {Buffer|Array<Buffer>} value - The content, or encoded children
+ * @returns {Buffer} The DER encoding
+ */
+function tlv(tag, value) {
+  const content = Array.isArray(value)
+    ? Buffer.concat(value.filter(Boolean))
+    : (value || Buffer.alloc(0));
+  return Buffer.concat([tagToBuffer(tag), encodeLength(content.length), content]);
+}
+
+function encodeInteger(value, tag = TAGS.INTEGER) {
+  let hex = Math.abs(value).toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  let bytes = Buffer.from(hex, 'hex');
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return tlv(tag, bytes);
+}
+
+function decodeInteger(buffer) {
+  let value = 0;
+  for (const byte of buffer) {
+    value = value * 256 + byte;
+  }
+  return value;
+}
+
+function encodeUtf8(value, tag = TAGS.UTF8_STRING) {
+  return tlv(tag, Buffer.from(String(value), 'utf8'));
+}
+
+function encodeOctets(value, tag = TAGS.OCTET_STRING) {
+  return tlv(tag, Buffer.isBuffer(value) ? value : Buffer.from(value, 'hex'));
+}
+
+function encodeNull(tag = TAGS.NULL) {
+  return tlv(tag, Buffer.alloc(0));
+}
+
+function encodeBoolean(value, tag = TAGS.BOOLEAN) {
+  return tlv(tag, Buffer.from([value ? 0xff : 0x00]));
+}
+
+function encodeOid(oid, tag = TAGS.OID) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f];
+    let value = Math.floor(part / 128);
+    while (value > 0) {
+      encoded.unshift((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(...encoded);
+  }
+
+  return tlv(tag, Buffer.from(bytes));
+}
+
+function decodeOid(buffer) {
+  const parts = [Math.floor(buffer[0] / 40), buffer[0] % 40];
+  let value = 0;
+  for (const byte of buffer.slice(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+function readTag(buffer, offset) {
+  let tag = buffer[offset];
+  let length = 1;
+
+  if ((buffer[offset] & 0x1f) === 0x1f) {
+    do {
+      if (offset + length >= buffer.length) {
+        throw new Error('Truncated ASN.1 tag');
+      }
+      tag = tag * 256 + buffer[offset + length];
+      length++;
+    } while (buffer[offset + length - 1] & 0x80);
+  }
+
+  return { tag, length };
+}
+
+/**
+ * Decode a DER buffer into a list of TLV nodes
+ * Constructed nodes get their decoded children in `children`
+ */
+function decode(buffer) {
+  const nodes = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const start = offset;
+    const { tag, length: tagLength } = readTag(buffer, offset);
+    offset += tagLength;
+
+    if (offset >= buffer.length) {
+      throw new Error('Truncated ASN.1 length');
+    }
+
+    let length = buffer[offset++];
+    if (length & 0x80) {
+      const lengthBytes = length & 0x7f;
+      if (lengthBytes === 0 || lengthBytes > 4) {
+        throw new Error('Unsupported ASN.1 length encoding');
+      }
+      length = decodeInteger(buffer.slice(offset, offset + lengthBytes));
+      offset += lengthBytes;
+    }
+
+    if (offset + length > buffer.length) {
+      throw new Error(`ASN.1 value of tag ${tag.toString(16)} overruns its buffer`);
+    }
+
+    const value = buffer.slice(offset, offset + length);
+    const node = { tag, value, raw: buffer.slice(start, offset + length) };
+    if (isConstructed(tag)) {
+      node.children = decode(value);
+    }
+
+    nodes.push(node);
+    offset += length;
+  }
+
+  return nodes;
+}
+
+function decodeOne(buffer) {
+  const nodes = decode(buffer);
+  if (nodes.length !== 1) {
+    throw new Error(`Expected a single ASN.1 element, found ${nodes.length}`);
+  }
+  return nodes[0];
+}
+
+function find(nodes, tag) {
+  return (nodes || []).find(node => node.tag === tag) || null;
+}
+
+function findAll(nodes, tag) {
+  return (nodes || []).filter(node => node.tag === tag);
+}
+
+module.exports = {
+  TAGS,
+  tlv,
+  encodeInteger,
+  decodeInteger,
+  encodeUtf8,
+  encodeOctets,
+  encodeNull,
+  encodeBoolean,
+  encodeOid,
+  decodeOid,
+  decode,
+  decodeOne,
+  find,
+  findAll
+};
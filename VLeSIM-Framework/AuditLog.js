@@ -0,0 +1,223 @@
+// AuditLog.js - Append-only, HMAC-chained log of subscriber data changes
+const crypto = require('crypto');
+
+// Hash the first entry links to
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields whose values never enter the log, only the fact that they changed
+const REDACTED_FIELDS = ['ki', 'opc', 'secrets', 'confirmationCode', 'confirmationCodeHash', 'sipCredentials'];
+const REDACTED = '[redacted]';
+
+// Bookkeeping fields that change with every write or repeat other fields
+const IGNORED_FIELDS = ['lastUpdated', 'history'];
+
+// JSON with sorted keys and without undefined values, so that hashes survive storage round trips
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonical(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${fields.map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(entry, key) {
+  const { hash, ...fields } = entry;
+  return crypto.createHmac('sha256', key).update(canonical(fields)).digest('hex');
+}
+
+/**
+ * AuditLog - Who changed which subscriber record, how and over which interface
+ * Every entry carries the hash of the entry before it, so editing, removing or
+ * reordering entries breaks the chain. The hashes are HMACs under a key the
+ * KeyVault derives from the master key named in each entry, so write access
+ * to the storage is not enough to recompute them. Ki, OPc and other secrets
+ * are redacted before an entry is written.
+ * @param {KeyVault} vault - The vault holding the master key
+ */
+class AuditLog {
+  constructor(storage, vault) {
+    if (!vault) {
+      throw new Error('The audit log needs the key vault to key its hash chain');
+    }
+    this.entries = storage.collection('audit_log');
+    this.vault = vault;
+    this.head = undefined;
+  }
+
+  /**
+   * Normalise who made a change
+   * @param {string|Object} context - An actor name or { actor, interface }
+   * @param {Object} defaults - Used for the fields the context leaves out
+   * @returns {Object} actor and interface
+   */
+  static context(context, defaults = {}) {
+    const fields = typeof context === 'string' ? { actor: context } : context;
+    return { actor: 'system', interface: 'api', ...defaults, ...fields };
+  }
+
+  /**
+   * Field by field changes between two versions of a record
+   * @returns {Object} { field: { from, to } }, secrets redacted
+   */
+  static diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+
+      const from = before && before[field] !== undefined ? before[field] : null;
+      const to = after && after[field] !== undefined ? after[field] : null;
+      if (canonical(from) === canonical(to)) continue;
+
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+        : { from, to };
+    }
+    return changes;
+  }
+
+  // Latest entry, also picking up entries appended through the same storage elsewhere
+  last() {
+    // A rolled back transaction can take the cached entry with it
+    if (this.head && (this.entries.get(this.head.seq) || {}).hash !== this.head.hash) {
+      this.head = undefined;
+    }
+    if (this.head === undefined) {
+      this.head = this.entries.all().reduce((last, entry) => (!last || entry.seq > last.seq ? entry : last), null);
+    }
+
+    let next;
+    while ((next = this.entries.get(this.head ? this.head.seq + 1 : 1))) {
+      this.head = next;
+    }
+    return this.head;
+  }
+
+  /**
+   * Append an entry for a change to a record
+   * @param {string|Object} context - Who made the change, see AuditLog.context
+   * @param {string} action - create, update, transition, delete, ...
+   * @param {string} entity - Collection of the record, e.g. esims
+   * @param {string} entityId - Key of the record
+   * @param {Object|null} before - The record before the change
+   * @param {Object|null} after - The record after the change
+   * @returns {Object} The entry
+   */
+  record(context, action, entity, entityId, before, after) {
+    const { actor, interface: via } = AuditLog.context(context);
+    const previous = this.last();
+
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      actor,
+      interface: via,
+      action,
+      entity,
+      entityId: String(entityId),
+      changes: AuditLog.diff(before, after),
+      prevHash: previous ? previous.hash : GENESIS_HASH,
+      keyId: this.vault.currentKeyId
+    };
+    entry.hash = hashEntry(entry, this.vault.auditKey());
+
+    this.entries.put(entry);
+    this.head = entry;
+    return entry;
+  }
+
+  /**
+   * Entries about one record, oldest first
+   */
+  history(entityId) {
+    return this.entries.find('entityId', String(entityId)).sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Walk the chain and recompute every hash
+   * Entries keyed with a master key the vault no longer holds cannot be
+   * checked and fail, so keep older master keys loaded as previous keys.
+   * @param {string} expectedHead - Hash of the last entry as noted elsewhere,
+   * which also catches entries cut off at the end
+   * @returns {Object} valid, count, head and, when invalid, seq and reason
+   */
+  verify(expectedHead) {
+    const entries = this.entries.all().sort((a, b) => a.seq - b.seq);
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const fail = reason => ({ valid: false, count: entries.length, head: prevHash, seq: entry.seq, reason });
+
+      if (entry.seq !== i + 1) {
+        return fail(`expected entry ${i + 1}, found ${entry.seq}`);
+      }
+      if (entry.prevHash !== prevHash) {
+        return fail('does not link to the entry before it');
+      }
+      const key = this.vault.auditKey(entry.keyId);
+      if (!key) {
+        return fail(`is keyed with master key ${entry.keyId}, which the vault does not hold`);
+      }
+      if (entry.hash !== hashEntry(entry, key)) {
+        return fail('has been modified');
+      }
+      prevHash = entry.hash;
+    }
+
+    if (expectedHead && expectedHead !== prevHash) {
+      return { valid: false, count: entries.length, head: prevHash, seq: entries.length, reason: 'does not end at the expected head' };
+    }
+    return { valid: true, count: entries.length, head: prevHash };
+  }
+}
+
+module.exports = {
+  AuditLog,
+  REDACTED_FIELDS
+};
+
+// node AuditLog.js verify [--head <hash>] [--tenant <id>]
+// node AuditLog.js show <iccid|imsi|msisdn> [--tenant <id>]
+if (require.main === module) {
+  const path = require('path');
+  const { CONFIG } = require('./Config');
+  const { createStorage } = require('./Storage');
+  const { KeyVault } = require('./KeyVault');
+  const { TenantRegistry, DEFAULT_TENANT } = require('./Tenants');
+
+  const args = process.argv.slice(2);
+  const tenantIndex = args.indexOf('--tenant');
+  const tenant = TenantRegistry.fromConfig(CONFIG).get(tenantIndex >= 0 ? args[tenantIndex + 1] : DEFAULT_TENANT);
+  const storage = createStorage(CONFIG.STORAGE, tenant.dataDir);
+  const audit = new AuditLog(storage, KeyVault.fromEnvironment(path.join(__dirname, CONFIG.DATA_DIR)));
+  let status = 0;
+
+  if (args[0] === 'verify') {
+    const headIndex = args.indexOf('--head');
+    const result = audit.verify(headIndex >= 0 ? args[headIndex + 1] : undefined);
+    if (result.valid) {
+      console.log(`Audit log intact: ${result.count} entries, head ${result.head}`);
+    } else {
+      console.error(`Audit log tampered: entry ${result.seq} ${result.reason}`);
+      status = 1;
+    }
+  } else if (args[0] === 'show' && args[1]) {
+    for (const entry of audit.history(args[1])) {
+      const changes = Object.entries(entry.changes)
+        .map(([field, { from, to }]) => `${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`)
+        .join(', ');
+      console.log(`#${entry.seq} ${entry.timestamp} ${entry.actor} via ${entry.interface} ${entry.action} ${entry.entity} ${changes}`);
+    }
+  } else {
+    console.error('Usage: node AuditLog.js verify [--head <hash>] | show <iccid|imsi|msisdn> [--tenant <id>]');
+    status = 1;
+  }
+
+  storage.close();
+  process.exit(status);
+}
@@ -0,0 +1,289 @@
+// AuthenticationCenter.js - 3GPP Milenage AuC for VLeSIM-issued profiles
+const crypto = require('crypto');
+
+// SQN = SEQ || IND (3GPP TS 33.102 Annex C.3.2), IND is the low 5 bits
+const IND_BITS = 5;
+const IND_MASK = (1 << IND_BITS) - 1;
+const SQN_MAX = 2 ** 48;
+
+// AMF with the "separation bit" set, required for E-UTRAN vectors (TS 33.401)
+const DEFAULT_AMF = '8000';
+// AMF value used by the USIM when computing MAC-S for a resync (TS 33.102 6.3.3)
+const RESYNC_AMF = Buffer.alloc(2);
+
+function toBuffer(value, length, name) {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value || '', 'hex');
+  if (buffer.length !== length) {
+    throw new Error(`${name} must be ${length} bytes`);
+  }
+  return buffer;
+}
+
+function xor(a, b) {
+  const result = Buffer.alloc(a.length);
+  for (let i = 0; i < a.length; i++) {
+    result[i] = a[i] ^ b[i];
+  }
+  return result;
+}
+
+// Cyclic left rotation by a whole number of bytes
+function rotate(buffer, bits) {
+  const bytes = (bits / 8) % buffer.length;
+  return Buffer.concat([buffer.slice(bytes), buffer.slice(0, bytes)]);
+}
+
+function constant(lastByte) {
+  const c = Buffer.alloc(16);
+  c[15] = lastByte;
+  return c;
+}
+
+function sqnToBuffer(sqn) {
+  const buffer = Buffer.alloc(6);
+  buffer.writeUIntBE(sqn, 0, 6);
+  return buffer;
+}
+
+/**
+ * Milenage - the 3GPP authentication and key generation functions
+ * f1, f1*, f2, f3, f4, f5 and f5* as specified in 3GPP TS 35.206
+ */
+class Milenage {
+  constructor(k, opc) {
+    this.k = toBuffer(k, 16, 'K');
+    this.opc = toBuffer(opc, 16, 'OPc');
+  }
+
+  /**
+   * Derive OPc from an operator variant algorithm configuration field OP
+   */
+  static computeOpc(k, op) {
+    const opBuffer = toBuffer(op, 16, 'OP');
+    return xor(Milenage.encrypt(toBuffer(k, 16, 'K'), opBuffer), opBuffer);
+  }
+
+  static encrypt(key, block) {
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  }
+
+  temp(rand) {
+    return Milenage.encrypt(this.k, xor(toBuffer(rand, 16, 'RAND'), this.opc));
+  }
+
+  out1(rand, sqn, amf) {
+    const sqnBuffer = toBuffer(sqn, 6, 'SQN');
+    const amfBuffer = toBuffer(amf, 2, 'AMF');
+    const in1 = Buffer.concat([sqnBuffer, amfBuffer, sqnBuffer, amfBuffer]);
+
+    const input = xor(this.temp(rand), rotate(xor(in1, this.opc), 64));
+    return xor(Milenage.encrypt(this.k, input), this.opc);
+  }
+
+  outN(rand, rotation, c) {
+    const input = xor(rotate(xor(this.temp(rand), this.opc), rotation), c);
+    return xor(Milenage.encrypt(this.k, input), this.opc);
+  }
+
+  // Network authentication code MAC-A
+  f1(rand, sqn, amf) {
+    return this.out1(rand, sqn, amf).slice(0, 8);
+  }
+
+  // Resynchronisation authentication code MAC-S
+  f1star(rand, sqn, amf) {
+    return this.out1(rand, sqn, amf).slice(8, 16);
+  }
+
+  // RES and AK
+  f2f5(rand) {
+    const out2 = this.outN(rand, 0, constant(1));
+    return { res: out2.slice(8, 16), ak: out2.slice(0, 6) };
+  }
+
+  // Confidentiality key CK
+  f3(rand) {
+    return this.outN(rand, 32, constant(2));
+  }
+
+  // Integrity key IK
+  f4(rand) {
+    return this.outN(rand, 64, constant(4));
+  }
+
+  // Resynchronisation anonymity key AK*
+  f5star(rand) {
+    return this.outN(rand, 96, constant(8)).slice(0, 6);
+  }
+}
+
+/**
+ * Encode an MCC/MNC pair as the 3-octet PLMN identity of 3GPP TS 24.008
+ */
+function encodePlmnId(mcc, mnc) {
+  const mccDigits = String(mcc);
+  const mncDigits = String(mnc);
+  if (!/^\d{3}$/.test(mccDigits) || !/^\d{2,3}$/.test(mncDigits)) {
+    throw new Error(`Invalid serving network ${mcc}/${mnc}`);
+  }
+
+  const mnc3 = mncDigits.length === 3 ? mncDigits[2] : 'f';
+  return Buffer.from(
+    mccDigits[1] + mccDigits[0] + mnc3 + mccDigits[2] + mncDigits[1] + mncDigits[0],
+    'hex'
+  );
+}
+
+/**
+ * Derive KASME from CK/IK for an E-UTRAN serving network (3GPP TS 33.401 A.2)
+ */
+function deriveKasme(ck, ik, plmnId, sqnXorAk) {
+  const s = Buffer.concat([
+    Buffer.from([0x10]),
+    plmnId, Buffer.from([0x00, 0x03]),
+    sqnXorAk, Buffer.from([0x00, 0x06])
+  ]);
+  return crypto.createHmac('sha256', Buffer.concat([ck, ik])).update(s).digest();
+}
+
+/**
+ * AuthenticationCenter - Generates authentication vectors for eSIM profiles
+ * Decrypts Ki/OPc through the ESIMProvisioner and keeps the SQN of every profile
+ * persisted alongside it, so vectors survive server restarts.
+ */
+class AuthenticationCenter {
+  constructor(provisioner, options = {}) {
+    this.provisioner = provisioner;
+    this.options = {
+      amf: DEFAULT_AMF,
+      // How far ahead of the stored SEQ a resync request may push us
+      maxSeqDelta: 2 ** 28,
+      ...options
+    };
+  }
+
+  getSubscriber(imsi) {
+    const profile = this.provisioner.findProfileByImsi(imsi);
+    if (!profile) {
+      throw new Error(`Unknown IMSI ${imsi}`);
+    }
+    return profile;
+  }
+
+  getMilenage(profile) {
+    const { ki, opc } = this.provisioner.getProfileSecrets(profile.iccid, 'authentication-vectors');
+    return new Milenage(ki, opc);
+  }
+
+  getSqn(profile) {
+    return profile.sqn ? Buffer.from(profile.sqn, 'hex').readUIntBE(0, 6) : 0;
+  }
+
+  saveSqn(profile, sqn, actor = 'auc') {
+    this.provisioner.updateProfile(profile.iccid, { sqn: sqnToBuffer(sqn).toString('hex') }, actor);
+  }
+
+  /**
+   * Step the SQN to the next value: SEQ is incremented and IND cycles
+   * through its array positions
+   */
+  nextSqn(sqn) {
+    const seq = Math.floor(sqn / (IND_MASK + 1));
+    const ind = sqn & IND_MASK;
+    const next = (seq + 1) * (IND_MASK + 1) + ((ind + 1) & IND_MASK);
+    return next % SQN_MAX;
+  }
+
+  /**
+   * Generate authentication vectors for a subscriber
+   * @param {string} imsi - The IMSI of the eSIM profile
+   * @param {Object} options - count, amf, servingNetwork ({ mcc, mnc }) and
+   * actor, who asked for the vectors as recorded in the audit log
+   * @returns {Array} Vectors with RAND, XRES, AUTN, CK, IK and, when a
+   * serving network is given, KASME (all hex encoded)
+   */
+  generateVectors(imsi, options = {}) {
+    const profile = this.getSubscriber(imsi);
+    const count = options.count || 1;
+    const amf = toBuffer(options.amf || this.options.amf, 2, 'AMF');
+    const plmnId = options.servingNetwork
+      ? encodePlmnId(options.servingNetwork.mcc, options.servingNetwork.mnc)
+      : null;
+
+    const milenage = this.getMilenage(profile);
+    let sqn = this.getSqn(profile);
+    const vectors = [];
+
+    for (let i = 0; i < count; i++) {
+      sqn = this.nextSqn(sqn);
+      vectors.push(this.buildVector(milenage, sqnToBuffer(sqn), amf, plmnId));
+    }
+
+    this.saveSqn(profile, sqn, options.actor);
+    return vectors;
+  }
+
+  buildVector(milenage, sqn, amf, plmnId, rand = crypto.randomBytes(16)) {
+    const macA = milenage.f1(rand, sqn, amf);
+    const { res, ak } = milenage.f2f5(rand);
+    const ck = milenage.f3(rand);
+    const ik = milenage.f4(rand);
+    const sqnXorAk = xor(sqn, ak);
+    const autn = Buffer.concat([sqnXorAk, amf, macA]);
+
+    const vector = {
+      rand: rand.toString('hex'),
+      xres: res.toString('hex'),
+      autn: autn.toString('hex'),
+      ck: ck.toString('hex'),
+      ik: ik.toString('hex')
+    };
+
+    if (plmnId) {
+      vector.kasme = deriveKasme(ck, ik, plmnId, sqnXorAk).toString('hex');
+    }
+
+    return vector;
+  }
+
+  /**
+   * Handle a synchronisation failure reported by the USIM
+   * Verifies MAC-S in AUTS, adopts the SQN of the USIM and returns fresh vectors
+   * @param {string} imsi - The IMSI of the eSIM profile
+   * @param {string} rand - The RAND of the vector the USIM rejected (hex)
+   * @param {string} auts - The AUTS returned by the USIM (hex)
+   * @param {Object} options - Same as generateVectors
+   */
+  resynchronise(imsi, rand, auts, options = {}) {
+    const profile = this.getSubscriber(imsi);
+    const autsBuffer = toBuffer(auts, 14, 'AUTS');
+    const randBuffer = toBuffer(rand, 16, 'RAND');
+
+    const milenage = this.getMilenage(profile);
+    const sqnMs = xor(autsBuffer.slice(0, 6), milenage.f5star(randBuffer));
+    const expectedMac = milenage.f1star(randBuffer, sqnMs, RESYNC_AMF);
+
+    if (!crypto.timingSafeEqual(expectedMac, autsBuffer.slice(6, 14))) {
+      throw new Error(`AUTS verification failed for IMSI ${imsi}`);
+    }
+
+    const sqnMsValue = sqnMs.readUIntBE(0, 6);
+    const seqDelta = Math.floor(sqnMsValue / (IND_MASK + 1)) -
+      Math.floor(this.getSqn(profile) / (IND_MASK + 1));
+    if (seqDelta > this.options.maxSeqDelta) {
+      throw new Error(`SQN of IMSI ${imsi} is too far ahead to resynchronise`);
+    }
+
+    this.saveSqn(profile, sqnMsValue, options.actor);
+    return this.generateVectors(imsi, options);
+  }
+}
+
+module.exports = {
+  Milenage,
+  AuthenticationCenter,
+  encodePlmnId,
+  deriveKasme
+};
@@ -0,0 +1,77 @@
+// Config.js - Settings of the SIP server, the provisioning endpoints and the stores behind them
+
+const CONFIG = {
+  SIP_SERVER_URL: '0.0.0.0', // the public address once resolvePublicAddress has found it
+  SIP_SERVER_PORT: 5052,
+  SIP_SERVER_PROTOCOL: 'udp',
+  SIP_REALM: 'vlesim', // digest realm of the default tenant; other tenants default to their domain
+  SIP_NONCE_TTL: 5 * 60 * 1000, // milliseconds
+  SIP_TCP_IDLE_TIMEOUT: 10 * 60 * 1000, // milliseconds without traffic before a TCP connection is closed
+  SIP_TIMERS: { t1: 500, t2: 4000, t4: 5000, c: 3 * 60 * 1000 + 1000 }, // RFC 3261 T1, T2, T4 and Timer C in milliseconds
+  // Registration expiries in seconds as in SIP, the sweep of expired bindings in milliseconds
+  SIP_REGISTRATION: { defaultExpires: 3600, minExpires: 60, maxExpires: 7200, sweepInterval: 60 * 1000 },
+  SIP_FORK_TIMEOUT: 30 * 1000, // milliseconds contacts of one q-value ring before those of the next are tried
+  // Limits of MESSAGE between subscribers: body bytes, messages per sender and window, how long messages wait
+  SIP_MESSAGING: { maxLength: 1300, rateLimit: 30, rateWindow: 60 * 1000, ttl: 7 * 24 * 60 * 60 * 1000 },
+  SIP_SUBSCRIPTIONS: { defaultExpires: 3600, minExpires: 60, maxExpires: 7200 }, // seconds, as for registrations
+  // Watchers of other SIP domains allowed presence and calls of a tenant's subscribers: { domain, tenant }
+  SIP_WATCHERS: [],
+  PHONE_NUMBER_PREFIX: '935',
+  DATA_DIR: './data',
+  STORAGE: process.env.VLESIM_STORAGE || 'file', // file[:dir], memory or sqlite[:file]
+  DIAMETER_PORT: 3868,
+  DIAMETER_IP: '127.0.0.1', // the HSS hands out authentication vectors, so keep it off public networks
+  // MMEs allowed to connect to the HSS: { originHost, address }; every other peer is refused
+  DIAMETER_PEERS: [],
+  SMDP_PORT: 8443,
+  PROVISIONING_PORT: 8080, // HTTP endpoint of the provisioning protocol
+  // Accounts that may send provisioning requests: { id, secret, tenant, operations }, tenant limiting
+  // one to that tenant, operations to those listed; VLESIM_PROVISIONING_SECRET adds an account admin
+  PROVISIONING_OPERATORS: [],
+  ACTIVATION_CODE_TTL: 7 * 24 * 60 * 60 * 1000, // milliseconds
+  APN: 'private.network.apn',
+  NUMBERING: {
+    iccid: { countryCode: '88', issuerId: '01', length: 19, mode: 'random' },
+    imsi: { mcc: '310', mnc: '260', mode: 'random', reserved: [] },
+    msisdn: {
+      digits: 4, first: 1001, mode: 'sequential', // prefix is PHONE_NUMBER_PREFIX
+      // pools: [{ name, prefix, digits, first, last, mode, reserved }], used in order
+      quarantine: 90 * 24 * 60 * 60 * 1000, // released numbers wait this long, milliseconds
+      reservationTtl: 15 * 60 * 1000 // milliseconds
+    }
+  },
+  // MVNO tenants next to the default one made of the settings above, e.g.
+  // { id, name, domain, phoneNumberPrefix, apn, dataDir, numbering: { iccid, imsi, msisdn } }
+  TENANTS: [],
+  // Which tenants may call into which other tenant's domain: { from, to }
+  PEERING: [],
+  // How dialled numbers become E.164 numbers and where calls to them go, see DialPlan.js
+  DIAL_PLAN: {
+    countryCode: '1',
+    nationalPrefix: '1',
+    internationalPrefix: '011',
+    shortCodes: {}, // e.g. '611': { action: 'ivr', ivr: 'customer-care' }
+    routes: [] // e.g. { match: '^\\+1900', action: 'reject', status: 403 }, tried in order, local when none matches
+  }
+};
+
+/**
+ * Replace SIP_SERVER_URL with the public IPv4 address of this host
+ * Only a server being started calls this, so the CLIs and tests that read
+ * CONFIG stay off the network.
+ * @returns {Promise<void>} Resolves once the address is known or the lookup failed
+ */
+async function resolvePublicAddress() {
+  try {
+    const publicIp = await import('public-ip');
+    CONFIG.SIP_SERVER_URL = await publicIp.publicIpv4();
+    console.log('CONFIG updated with public IP:', CONFIG);
+  } catch (err) {
+    console.error('Could not get public IP:', err.message);
+  }
+}
+
+module.exports = {
+  CONFIG,
+  resolvePublicAddress
+};
@@ -0,0 +1,161 @@
+// DialPlan.js - E.164 normalisation and routing of dialled numbers
+
+// What a route can do with a call:
+//   local  - ring the subscriber registered under the number here
+//   trunk  - send the call to another SIP provider, `trunk` (host[:port]) or the domain dialled
+//   reject - answer with `status` and `reason`
+//   ivr    - hand the call to the application listening for `ivr` on the SIP server
+const ACTIONS = ['local', 'trunk', 'reject', 'ivr'];
+
+const REASON_PHRASES = {
+  403: 'Forbidden',
+  404: 'Not Found',
+  480: 'Temporarily Unavailable',
+  484: 'Address Incomplete',
+  603: 'Decline'
+};
+
+// Longest number E.164 allows, country code included
+const MAX_DIGITS = 15;
+
+// Visual separators of RFC 3966 phone numbers, e.g. +1 (935) 555-1000
+const SEPARATORS = /[\s\-.()]/g;
+
+function checkRoute(route, name) {
+  if (!ACTIONS.includes(route.action)) {
+    throw new Error(`Dial plan ${name} has action "${route.action}", expected one of ${ACTIONS.join(', ')}`);
+  }
+  if (route.action === 'ivr' && !route.ivr) {
+    throw new Error(`Dial plan ${name} does not name its IVR`);
+  }
+
+  const status = route.action === 'reject' ? route.status || 403 : undefined;
+  return {
+    action: route.action,
+    trunk: route.trunk || null,
+    ivr: route.ivr || null,
+    status,
+    reason: status ? route.reason || REASON_PHRASES[status] || 'Forbidden' : undefined,
+    number: route.number || null,
+    name
+  };
+}
+
+/**
+ * DialPlan - Turns what a caller dialled into an E.164 number and a route
+ * Short codes are looked up exactly as dialled. Anything else that looks like
+ * a phone number is normalised with the country code and the national and
+ * international prefixes of the plan, so +19355551000, 19355551000 and
+ * 9355551000 are the same number. Routes are tried in order against the E.164
+ * number, or the user part as is for addresses like sip:alice@...; the first
+ * one that matches decides, and calls no route matches stay local.
+ */
+class DialPlan {
+  constructor(config = {}) {
+    if (!/^[1-9]\d{0,2}$/.test(config.countryCode || '')) {
+      throw new Error('Dial plan needs a country code of one to three digits');
+    }
+    for (const field of ['nationalPrefix', 'internationalPrefix']) {
+      if (config[field] && !/^\d+$/.test(config[field])) {
+        throw new Error(`Dial plan ${field} must be digits`);
+      }
+    }
+
+    this.countryCode = config.countryCode;
+    this.nationalPrefix = config.nationalPrefix || '';
+    this.internationalPrefix = config.internationalPrefix || '';
+
+    this.shortCodes = new Map(Object.entries(config.shortCodes || {})
+      .map(([code, route]) => [code, checkRoute(route, `short code ${code}`)]));
+
+    this.routes = (config.routes || []).map((route, i) => {
+      const name = route.name || `route ${i + 1}`;
+      return { ...checkRoute(route, name), match: new RegExp(route.match || '') };
+    });
+  }
+
+  /**
+   * The E.164 form of a dialled number
+   * @param {string} dialled - The user part of a SIP URI, separators allowed
+   * @returns {string|null} e.g. +19355551000, null for anything that is not
+   * a phone number
+   */
+  normalize(dialled) {
+    const digits = String(dialled || '').split(';')[0].replace(SEPARATORS, '');
+    if (!/^\+?\d+$/.test(digits)) return null;
+
+    let number;
+    if (digits.startsWith('+')) {
+      number = digits;
+    } else if (this.internationalPrefix && digits.startsWith(this.internationalPrefix)) {
+      number = `+${digits.substring(this.internationalPrefix.length)}`;
+    } else if (this.nationalPrefix && digits.startsWith(this.nationalPrefix)) {
+      number = `+${this.countryCode}${digits.substring(this.nationalPrefix.length)}`;
+    } else {
+      number = `+${this.countryCode}${digits}`;
+    }
+
+    return /^\+[1-9]/.test(number) && number.length <= MAX_DIGITS + 1 ? number : null;
+  }
+
+  /**
+   * A dialled number as subscriber numbers are stored, without country code
+   * @returns {string|null} null for numbers of other countries and non-numbers
+   */
+  national(dialled) {
+    const number = this.normalize(dialled);
+    const country = `+${this.countryCode}`;
+    return number && number.startsWith(country) ? number.substring(country.length) : null;
+  }
+
+  /**
+   * Decide where a call goes
+   * @param {string} dialled - The user part of the request or To URI
+   * @returns {Object} action, number (E.164 or null), trunk, ivr, status and
+   * reason of the route, and the name of the short code or route that matched
+   */
+  route(dialled) {
+    const user = String(dialled || '');
+
+    const shortCode = this.shortCodes.get(user.replace(SEPARATORS, ''));
+    if (shortCode) {
+      return { ...shortCode, dialled: user, number: shortCode.number ? this.normalize(shortCode.number) : null };
+    }
+
+    const number = this.normalize(user);
+    if (!number && /^\+?\d+$/.test(user.split(';')[0].replace(SEPARATORS, ''))) {
+      return { ...checkRoute({ action: 'reject', status: 484 }, 'E.164'), dialled: user, number: null };
+    }
+
+    const key = number || user;
+    const route = this.routes.find(candidate => candidate.match.test(key));
+    const { match, ...decision } = route || checkRoute({ action: 'local' }, 'default');
+    return { ...decision, dialled: user, number };
+  }
+}
+
+module.exports = {
+  DialPlan,
+  ACTIONS
+};
+
+// node DialPlan.js <number>... shows how CONFIG.DIAL_PLAN routes each number
+if (require.main === module) {
+  const { CONFIG } = require('./Config');
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.error('Usage: node DialPlan.js <number>...');
+    process.exit(1);
+  }
+
+  const plan = new DialPlan(CONFIG.DIAL_PLAN);
+  for (const dialled of args) {
+    const route = plan.route(dialled);
+    const target = route.action === 'reject' ? `${route.status} ${route.reason}`
+      : route.action === 'ivr' ? route.ivr
+        : route.action === 'trunk' ? route.trunk || 'domain dialled' : 'registered subscriber';
+    console.log(`${dialled} -> ${route.number || '(not a number)'}: ${route.action} ${target} (${route.name})`);
+  }
+  process.exit(0);
+}
@@ -0,0 +1,811 @@
+// DiameterHSS.js - Diameter S6a HSS stand-in serving VLeSIM eSIM profiles
+const net = require('net');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const lifecycle = require('./ProfileLifecycle');
+
+const VENDOR_3GPP = 10415;
+const S6A_APPLICATION_ID = 16777251;
+
+const COMMANDS = {
+  CAPABILITIES_EXCHANGE: 257,
+  DEVICE_WATCHDOG: 280,
+  DISCONNECT_PEER: 282,
+  UPDATE_LOCATION: 316,
+  CANCEL_LOCATION: 317,
+  AUTHENTICATION_INFORMATION: 318,
+  PURGE_UE: 321
+};
+
+const RESULT_CODES = {
+  SUCCESS: 2001,
+  COMMAND_UNSUPPORTED: 3001,
+  APPLICATION_UNSUPPORTED: 3007,
+  UNKNOWN_PEER: 3010,
+  MISSING_AVP: 5005,
+  INVALID_AVP_LENGTH: 5014,
+  UNABLE_TO_COMPLY: 5012
+};
+
+// Experimental-Result-Code values of 3GPP TS 29.272
+const EXPERIMENTAL_RESULT_CODES = {
+  AUTHENTICATION_DATA_UNAVAILABLE: 4181,
+  USER_UNKNOWN: 5001,
+  UNKNOWN_EPS_SUBSCRIPTION: 5420,
+  RAT_NOT_ALLOWED: 5421
+};
+
+const FLAG_REQUEST = 0x80;
+const FLAG_PROXIABLE = 0x40;
+const FLAG_ERROR = 0x20;
+
+const AVP_FLAG_VENDOR = 0x80;
+const AVP_FLAG_MANDATORY = 0x40;
+
+// AVP dictionary: RFC 6733 base protocol plus the S6a AVPs of TS 29.272
+const AVP_DICTIONARY = {
+  'User-Name': { code: 1, type: 'utf8' },
+  'Host-IP-Address': { code: 257, type: 'address' },
+  'Auth-Application-Id': { code: 258, type: 'u32' },
+  'Vendor-Specific-Application-Id': { code: 260, type: 'grouped' },
+  'Session-Id': { code: 263, type: 'utf8' },
+  'Origin-Host': { code: 264, type: 'utf8' },
+  'Supported-Vendor-Id': { code: 265, type: 'u32' },
+  'Vendor-Id': { code: 266, type: 'u32' },
+  'Firmware-Revision': { code: 267, type: 'u32', mandatory: false },
+  'Result-Code': { code: 268, type: 'u32' },
+  'Product-Name': { code: 269, type: 'utf8', mandatory: false },
+  'Disconnect-Cause': { code: 273, type: 'u32' },
+  'Auth-Session-State': { code: 277, type: 'u32' },
+  'Origin-State-Id': { code: 278, type: 'u32' },
+  'Error-Message': { code: 281, type: 'utf8', mandatory: false },
+  'Destination-Realm': { code: 283, type: 'utf8' },
+  'Destination-Host': { code: 293, type: 'utf8' },
+  'Origin-Realm': { code: 296, type: 'utf8' },
+  'Experimental-Result': { code: 297, type: 'grouped' },
+  'Experimental-Result-Code': { code: 298, type: 'u32' },
+  'Service-Selection': { code: 493, type: 'utf8' },
+  'Max-Requested-Bandwidth-DL': { code: 515, type: 'u32', vendor: VENDOR_3GPP },
+  'Max-Requested-Bandwidth-UL': { code: 516, type: 'u32', vendor: VENDOR_3GPP },
+  'MSISDN': { code: 701, type: 'octets', vendor: VENDOR_3GPP },
+  'QoS-Class-Identifier': { code: 1028, type: 'u32', vendor: VENDOR_3GPP },
+  'RAT-Type': { code: 1032, type: 'u32', vendor: VENDOR_3GPP },
+  'Allocation-Retention-Priority': { code: 1034, type: 'grouped', vendor: VENDOR_3GPP },
+  'Priority-Level': { code: 1046, type: 'u32', vendor: VENDOR_3GPP },
+  'Pre-emption-Capability': { code: 1047, type: 'u32', vendor: VENDOR_3GPP },
+  'Pre-emption-Vulnerability': { code: 1048, type: 'u32', vendor: VENDOR_3GPP },
+  'Subscription-Data': { code: 1400, type: 'grouped', vendor: VENDOR_3GPP },
+  'ULR-Flags': { code: 1405, type: 'u32', vendor: VENDOR_3GPP },
+  'ULA-Flags': { code: 1406, type: 'u32', vendor: VENDOR_3GPP },
+  'Visited-PLMN-Id': { code: 1407, type: 'octets', vendor: VENDOR_3GPP },
+  'Requested-EUTRAN-Authentication-Info': { code: 1408, type: 'grouped', vendor: VENDOR_3GPP },
+  'Number-Of-Requested-Vectors': { code: 1410, type: 'u32', vendor: VENDOR_3GPP },
+  'Re-Synchronization-Info': { code: 1411, type: 'octets', vendor: VENDOR_3GPP },
+  'Immediate-Response-Preferred': { code: 1412, type: 'u32', vendor: VENDOR_3GPP },
+  'Authentication-Info': { code: 1413, type: 'grouped', vendor: VENDOR_3GPP },
+  'E-UTRAN-Vector': { code: 1414, type: 'grouped', vendor: VENDOR_3GPP },
+  'Network-Access-Mode': { code: 1417, type: 'u32', vendor: VENDOR_3GPP },
+  'Item-Number': { code: 1419, type: 'u32', vendor: VENDOR_3GPP },
+  'Cancellation-Type': { code: 1420, type: 'u32', vendor: VENDOR_3GPP },
+  'Context-Identifier': { code: 1423, type: 'u32', vendor: VENDOR_3GPP },
+  'Subscriber-Status': { code: 1424, type: 'u32', vendor: VENDOR_3GPP },
+  'All-APN-Configurations-Included-Indicator': { code: 1428, type: 'u32', vendor: VENDOR_3GPP },
+  'APN-Configuration-Profile': { code: 1429, type: 'grouped', vendor: VENDOR_3GPP },
+  'APN-Configuration': { code: 1430, type: 'grouped', vendor: VENDOR_3GPP },
+  'EPS-Subscribed-QoS-Profile': { code: 1431, type: 'grouped', vendor: VENDOR_3GPP },
+  'AMBR': { code: 1435, type: 'grouped', vendor: VENDOR_3GPP },
+  'RAND': { code: 1447, type: 'octets', vendor: VENDOR_3GPP },
+  'XRES': { code: 1448, type: 'octets', vendor: VENDOR_3GPP },
+  'AUTN': { code: 1449, type: 'octets', vendor: VENDOR_3GPP },
+  'KASME': { code: 1450, type: 'octets', vendor: VENDOR_3GPP },
+  'PDN-Type': { code: 1456, type: 'u32', vendor: VENDOR_3GPP },
+  'PUR-Flags': { code: 1635, type: 'u32', vendor: VENDOR_3GPP },
+  'CLR-Flags': { code: 1638, type: 'u32', vendor: VENDOR_3GPP }
+};
+
+const AVP_BY_CODE = new Map();
+for (const [name, definition] of Object.entries(AVP_DICTIONARY)) {
+  AVP_BY_CODE.set(`${definition.vendor || 0}:${definition.code}`, { name, ...definition });
+}
+
+function pad4(length) {
+  return (4 - (length % 4)) % 4;
+}
+
+function encodeAddress(address) {
+  if (net.isIPv4(address)) {
+    return Buffer.concat([Buffer.from([0, 1]), Buffer.from(address.split('.').map(Number))]);
+  }
+  throw new Error(`Unsupported Host-IP-Address ${address}`);
+}
+
+function decodeAddress(data) {
+  const family = data.readUInt16BE(0);
+  return family === 1 ? Array.from(data.slice(2, 6)).join('.') : data.slice(2).toString('hex');
+}
+
+/**
+ * Encode a digit string as TBCD (3GPP TS 29.002), e.g. an MSISDN
+ */
+function encodeTbcd(digits) {
+  const padded = digits.length % 2 ? digits + 'f' : digits;
+  let swapped = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    swapped += padded[i + 1] + padded[i];
+  }
+  return Buffer.from(swapped, 'hex');
+}
+
+function decodePlmnId(plmnId) {
+  const hex = plmnId.toString('hex');
+  const mcc = hex[1] + hex[0] + hex[3];
+  const mnc = hex[2] === 'f' ? hex[5] + hex[4] : hex[5] + hex[4] + hex[2];
+  return { mcc, mnc };
+}
+
+/**
+ * DiameterMessage - Encoder/decoder for RFC 6733 messages
+ * AVPs are kept as [name, value] pairs; grouped AVP values are arrays of pairs
+ */
+class DiameterMessage {
+  constructor(options = {}) {
+    this.commandCode = options.commandCode;
+    this.applicationId = options.applicationId || 0;
+    this.request = !!options.request;
+    this.proxiable = options.proxiable !== undefined ? options.proxiable : true;
+    this.error = !!options.error;
+    this.hopByHop = options.hopByHop !== undefined ? options.hopByHop : crypto.randomBytes(4).readUInt32BE(0);
+    this.endToEnd = options.endToEnd !== undefined ? options.endToEnd : crypto.randomBytes(4).readUInt32BE(0);
+    this.avps = options.avps || [];
+  }
+
+  get(name, avps = this.avps) {
+    const avp = avps.find(([avpName]) => avpName === name);
+    return avp ? avp[1] : undefined;
+  }
+
+  getAll(name, avps = this.avps) {
+    return avps.filter(([avpName]) => avpName === name).map(([, value]) => value);
+  }
+
+  /**
+   * Build the answer skeleton for this request
+   */
+  answer(avps = []) {
+    return new DiameterMessage({
+      commandCode: this.commandCode,
+      applicationId: this.applicationId,
+      request: false,
+      proxiable: this.proxiable,
+      hopByHop: this.hopByHop,
+      endToEnd: this.endToEnd,
+      avps
+    });
+  }
+
+  static encodeAvp(name, value) {
+    const definition = AVP_DICTIONARY[name];
+    if (!definition) {
+      throw new Error(`Unknown AVP ${name}`);
+    }
+
+    let data;
+    switch (definition.type) {
+      case 'u32':
+        data = Buffer.alloc(4);
+        data.writeUInt32BE(value >>> 0, 0);
+        break;
+      case 'utf8':
+        data = Buffer.from(String(value), 'utf8');
+        break;
+      case 'address':
+        data = encodeAddress(value);
+        break;
+      case 'grouped':
+        data = Buffer.concat(value.map(([childName, childValue]) => DiameterMessage.encodeAvp(childName, childValue)));
+        break;
+      default:
+        data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'hex');
+    }
+
+    const headerLength = definition.vendor ? 12 : 8;
+    const header = Buffer.alloc(headerLength);
+    header.writeUInt32BE(definition.code, 0);
+    let flags = definition.mandatory === false ? 0 : AVP_FLAG_MANDATORY;
+    if (definition.vendor) flags |= AVP_FLAG_VENDOR;
+    header.writeUInt32BE(headerLength + data.length, 4);
+    header[4] = flags;
+    if (definition.vendor) {
+      header.writeUInt32BE(definition.vendor, 8);
+    }
+
+    return Buffer.concat([header, data, Buffer.alloc(pad4(data.length))]);
+  }
+
+  static decodeAvps(buffer) {
+    const avps = [];
+    let offset = 0;
+
+    while (offset + 8 <= buffer.length) {
+      const code = buffer.readUInt32BE(offset);
+      const flags = buffer[offset + 4];
+      const length = buffer.readUInt32BE(offset + 4) & 0xffffff;
+      const hasVendor = (flags & AVP_FLAG_VENDOR) !== 0;
+      const vendor = hasVendor ? buffer.readUInt32BE(offset + 8) : 0;
+      const headerLength = hasVendor ? 12 : 8;
+
+      if (length < headerLength || offset + length > buffer.length) {
+        throw new Error('Malformed AVP');
+      }
+
+      const data = buffer.slice(offset + headerLength, offset + length);
+      const definition = AVP_BY_CODE.get(`${vendor}:${code}`);
+      const name = definition ? definition.name : `${vendor}:${code}`;
+      let value;
+
+      switch (definition ? definition.type : 'octets') {
+        case 'u32':
+          if (data.length !== 4) {
+            throw new Error('Malformed AVP');
+          }
+          value = data.readUInt32BE(0);
+          break;
+        case 'utf8':
+          value = data.toString('utf8');
+          break;
+        case 'address':
+          value = decodeAddress(data);
+          break;
+        case 'grouped':
+          value = DiameterMessage.decodeAvps(data);
+          break;
+        default:
+          value = data;
+      }
+
+      avps.push([name, value]);
+      offset += length + pad4(length);
+    }
+
+    return avps;
+  }
+
+  encode() {
+    const body = Buffer.concat(this.avps.map(([name, value]) => DiameterMessage.encodeAvp(name, value)));
+    const header = Buffer.alloc(20);
+
+    header.writeUInt32BE(20 + body.length, 0);
+    header[0] = 1;
+    header.writeUInt32BE(this.commandCode, 4);
+    header[4] = (this.request ? FLAG_REQUEST : 0) |
+      (this.proxiable ? FLAG_PROXIABLE : 0) |
+      (this.error ? FLAG_ERROR : 0);
+    header.writeUInt32BE(this.applicationId, 8);
+    header.writeUInt32BE(this.hopByHop, 12);
+    header.writeUInt32BE(this.endToEnd, 16);
+
+    return Buffer.concat([header, body]);
+  }
+
+  // The message with its header fields only, enough to answer it
+  static decodeHeader(buffer) {
+    if (buffer[0] !== 1) {
+      throw new Error(`Unsupported Diameter version ${buffer[0]}`);
+    }
+
+    const flags = buffer[4];
+    return new DiameterMessage({
+      commandCode: buffer.readUInt32BE(4) & 0xffffff,
+      applicationId: buffer.readUInt32BE(8),
+      request: (flags & FLAG_REQUEST) !== 0,
+      proxiable: (flags & FLAG_PROXIABLE) !== 0,
+      error: (flags & FLAG_ERROR) !== 0,
+      hopByHop: buffer.readUInt32BE(12),
+      endToEnd: buffer.readUInt32BE(16)
+    });
+  }
+
+  static decode(buffer) {
+    const message = DiameterMessage.decodeHeader(buffer);
+    message.avps = DiameterMessage.decodeAvps(buffer.slice(20, buffer.readUInt32BE(0) & 0xffffff));
+    return message;
+  }
+}
+
+/**
+ * DiameterHSS - Home Subscriber Server for the S6a interface (3GPP TS 29.272)
+ * Answers CER, DWR, AIR, ULR and PUR from MMEs and sends CLR to the MME a
+ * subscriber is registered with. Subscriber data and authentication vectors
+ * come straight from the ESIMProvisioner profiles and the AuthenticationCenter.
+ *
+ * Only the MMEs listed in `peers`, as { originHost, address }, get past the
+ * capabilities exchange; any other peer is refused with DIAMETER_UNKNOWN_PEER.
+ */
+class DiameterHSS extends EventEmitter {
+  constructor(provisioner, authCenter, options = {}) {
+    super();
+
+    this.provisioner = provisioner;
+    this.authCenter = authCenter;
+    this.options = {
+      port: 3868,
+      ip: '127.0.0.1',
+      peers: [],
+      originHost: 'hss.vlesim',
+      originRealm: 'vlesim',
+      hostIpAddress: '127.0.0.1',
+      productName: 'VLeSIM HSS',
+      apn: 'internet',
+      ambr: { ul: 50000000, dl: 100000000 },
+      maxVectors: 5,
+      ...options
+    };
+
+    this.originStateId = Math.floor(Date.now() / 1000);
+    this.peers = new Map();
+    this.pendingRequests = new Map();
+
+    if (this.options.peers.length === 0) {
+      console.warn('Diameter S6a HSS has no peers configured and will refuse every MME');
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+    this.server.on('error', (err) => {
+      console.error(`Diameter S6a HSS error: ${err}`);
+    });
+    this.server.listen(this.options.port, this.options.ip, () => {
+      console.log(`Diameter S6a HSS listening on ${this.options.ip}:${this.options.port}`);
+    });
+  }
+
+  handleConnection(socket) {
+    const connection = { socket, buffer: Buffer.alloc(0), peer: null };
+
+    socket.on('data', (data) => {
+      connection.buffer = Buffer.concat([connection.buffer, data]);
+
+      // Diameter messages carry their own length, so split the stream on it
+      while (connection.buffer.length >= 4) {
+        const length = connection.buffer.readUInt32BE(0) & 0xffffff;
+        if (length < 20) {
+          socket.destroy();
+          return;
+        }
+        if (connection.buffer.length < length) break;
+
+        const raw = connection.buffer.slice(0, length);
+        connection.buffer = connection.buffer.slice(length);
+
+        let message;
+        try {
+          message = DiameterMessage.decode(raw);
+        } catch (err) {
+          console.error(`Malformed Diameter message from ${connection.peer || socket.remoteAddress}: ${err.message}`);
+          this.answerMalformed(raw, connection);
+          continue;
+        }
+
+        try {
+          this.handleMessage(message, connection);
+        } catch (err) {
+          console.error('Error handling Diameter message:', err);
+        }
+      }
+    });
+
+    socket.on('error', (err) => {
+      console.error(`Diameter peer error: ${err}`);
+      socket.destroy();
+    });
+
+    socket.on('close', () => {
+      if (connection.peer && this.peers.get(connection.peer) === connection) {
+        this.peers.delete(connection.peer);
+        this.emit('peer-down', connection.peer);
+      }
+    });
+  }
+
+  handleMessage(message, connection) {
+    if (!message.request) {
+      return this.handleAnswer(message);
+    }
+
+    if (message.commandCode !== COMMANDS.CAPABILITIES_EXCHANGE && !connection.peer) {
+      // RFC 6733 5.3: nothing but CER is accepted before capabilities exchange
+      connection.socket.destroy();
+      return;
+    }
+
+    switch (message.commandCode) {
+      case COMMANDS.CAPABILITIES_EXCHANGE:
+        return this.handleCapabilitiesExchange(message, connection);
+      case COMMANDS.DEVICE_WATCHDOG:
+        return this.send(connection, message.answer([
+          ['Result-Code', RESULT_CODES.SUCCESS],
+          ...this.originAvps(),
+          ['Origin-State-Id', this.originStateId]
+        ]));
+      case COMMANDS.DISCONNECT_PEER:
+        this.send(connection, message.answer([
+          ['Result-Code', RESULT_CODES.SUCCESS],
+          ...this.originAvps()
+        ]));
+        return connection.socket.end();
+    }
+
+    if (message.applicationId !== S6A_APPLICATION_ID) {
+      return this.sendError(connection, message, RESULT_CODES.APPLICATION_UNSUPPORTED);
+    }
+
+    switch (message.commandCode) {
+      case COMMANDS.AUTHENTICATION_INFORMATION:
+        return this.handleAuthenticationInformation(message, connection);
+      case COMMANDS.UPDATE_LOCATION:
+        return this.handleUpdateLocation(message, connection);
+      case COMMANDS.PURGE_UE:
+        return this.handlePurgeUe(message, connection);
+      default:
+        return this.sendError(connection, message, RESULT_CODES.COMMAND_UNSUPPORTED);
+    }
+  }
+
+  // RFC 6733 7.1.5: a request whose AVPs cannot be decoded is answered with DIAMETER_INVALID_AVP_LENGTH
+  answerMalformed(raw, connection) {
+    let request;
+    try {
+      request = DiameterMessage.decodeHeader(raw);
+    } catch (err) {
+      return connection.socket.destroy();
+    }
+
+    if (!request.request || !connection.peer) {
+      return connection.socket.destroy();
+    }
+    this.sendError(connection, request, RESULT_CODES.INVALID_AVP_LENGTH);
+  }
+
+  handleAnswer(message) {
+    const pending = this.pendingRequests.get(message.hopByHop);
+    if (!pending) return;
+
+    this.pendingRequests.delete(message.hopByHop);
+    clearTimeout(pending.timer);
+    pending.resolve(message);
+  }
+
+  originAvps() {
+    return [
+      ['Origin-Host', this.options.originHost],
+      ['Origin-Realm', this.options.originRealm]
+    ];
+  }
+
+  sessionAvps(request) {
+    return [
+      ['Session-Id', request.get('Session-Id')],
+      ['Auth-Session-State', 1] // NO_STATE_MAINTAINED
+    ];
+  }
+
+  send(connection, message) {
+    if (!connection.socket.destroyed) {
+      connection.socket.write(message.encode());
+    }
+  }
+
+  sendError(connection, request, resultCode, errorMessage) {
+    const avps = [];
+    if (request.get('Session-Id')) {
+      avps.push(['Session-Id', request.get('Session-Id')]);
+    }
+    avps.push(['Result-Code', resultCode], ...this.originAvps());
+    if (errorMessage) {
+      avps.push(['Error-Message', errorMessage]);
+    }
+
+    const answer = request.answer(avps);
+    answer.error = resultCode >= 3000 && resultCode < 4000;
+    this.send(connection, answer);
+  }
+
+  sendExperimentalResult(connection, request, experimentalResultCode) {
+    this.send(connection, request.answer([
+      ...this.sessionAvps(request),
+      ['Experimental-Result', [
+        ['Vendor-Id', VENDOR_3GPP],
+        ['Experimental-Result-Code', experimentalResultCode]
+      ]],
+      ...this.originAvps()
+    ]));
+  }
+
+  // Whether a configured peer has this Origin-Host and connects from this address
+  isKnownPeer(originHost, remoteAddress) {
+    const address = String(remoteAddress || '').replace(/^::ffff:/, '');
+    return this.options.peers.some(peer => peer.originHost === originHost && peer.address === address);
+  }
+
+  handleCapabilitiesExchange(message, connection) {
+    const peerHost = message.get('Origin-Host');
+    if (!this.isKnownPeer(peerHost, connection.socket.remoteAddress)) {
+      console.warn(`Refusing Diameter peer ${peerHost} from ${connection.socket.remoteAddress}`);
+      this.sendError(connection, message, RESULT_CODES.UNKNOWN_PEER);
+      return connection.socket.end();
+    }
+
+    const applications = message.getAll('Auth-Application-Id');
+    for (const vsai of message.getAll('Vendor-Specific-Application-Id')) {
+      applications.push(...message.getAll('Auth-Application-Id', vsai));
+    }
+
+    if (!applications.includes(S6A_APPLICATION_ID)) {
+      return this.send(connection, message.answer([
+        ['Result-Code', RESULT_CODES.APPLICATION_UNSUPPORTED],
+        ...this.originAvps()
+      ]));
+    }
+
+    connection.peer = peerHost;
+    connection.realm = message.get('Origin-Realm');
+    this.peers.set(peerHost, connection);
+
+    this.send(connection, message.answer([
+      ['Result-Code', RESULT_CODES.SUCCESS],
+      ...this.originAvps(),
+      ['Host-IP-Address', this.options.hostIpAddress],
+      ['Vendor-Id', 0],
+      ['Product-Name', this.options.productName],
+      ['Origin-State-Id', this.originStateId],
+      ['Supported-Vendor-Id', VENDOR_3GPP],
+      ['Vendor-Specific-Application-Id', [
+        ['Vendor-Id', VENDOR_3GPP],
+        ['Auth-Application-Id', S6A_APPLICATION_ID]
+      ]]
+    ]));
+
+    this.emit('peer-up', peerHost);
+  }
+
+  // Deleted profiles are unknown, any other unusable state has no EPS subscription
+  refusalCode(profile) {
+    return lifecycle.stateOf(profile) === lifecycle.STATES.DELETED
+      ? EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN
+      : EXPERIMENTAL_RESULT_CODES.UNKNOWN_EPS_SUBSCRIPTION;
+  }
+
+  handleAuthenticationInformation(message, connection) {
+    const imsi = message.get('User-Name');
+    const plmnId = message.get('Visited-PLMN-Id');
+    const requestedInfo = message.get('Requested-EUTRAN-Authentication-Info');
+
+    if (!imsi || !plmnId || !requestedInfo) {
+      return this.sendError(connection, message, RESULT_CODES.MISSING_AVP);
+    }
+
+    const profile = this.provisioner.findProfileByImsi(imsi);
+    if (!profile) {
+      return this.sendExperimentalResult(connection, message, EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN);
+    }
+    if (!lifecycle.isUsable(profile, 'attach')) {
+      return this.sendExperimentalResult(connection, message, this.refusalCode(profile));
+    }
+
+    const count = Math.min(
+      Math.max(message.get('Number-Of-Requested-Vectors', requestedInfo) || 1, 1),
+      this.options.maxVectors
+    );
+    const resyncInfo = message.get('Re-Synchronization-Info', requestedInfo);
+    const vectorOptions = {
+      count,
+      servingNetwork: decodePlmnId(plmnId),
+      actor: { actor: message.get('Origin-Host'), interface: 's6a' }
+    };
+
+    let vectors;
+    try {
+      vectors = resyncInfo
+        ? this.authCenter.resynchronise(
+          imsi,
+          resyncInfo.slice(0, 16).toString('hex'),
+          resyncInfo.slice(16, 30).toString('hex'),
+          vectorOptions
+        )
+        : this.authCenter.generateVectors(imsi, vectorOptions);
+    } catch (err) {
+      console.error(`Authentication information for ${imsi} failed:`, err.message);
+      return this.sendExperimentalResult(connection, message, EXPERIMENTAL_RESULT_CODES.AUTHENTICATION_DATA_UNAVAILABLE);
+    }
+
+    this.send(connection, message.answer([
+      ...this.sessionAvps(message),
+      ['Result-Code', RESULT_CODES.SUCCESS],
+      ...this.originAvps(),
+      ['Authentication-Info', vectors.map((vector, index) => ['E-UTRAN-Vector', [
+        ['Item-Number', index + 1],
+        ['RAND', vector.rand],
+        ['XRES', vector.xres],
+        ['AUTN', vector.autn],
+        ['KASME', vector.kasme]
+      ]])]
+    ]));
+
+    this.emit('authentication-info', { imsi, count, resync: !!resyncInfo });
+  }
+
+  handleUpdateLocation(message, connection) {
+    const imsi = message.get('User-Name');
+    if (!imsi) {
+      return this.sendError(connection, message, RESULT_CODES.MISSING_AVP);
+    }
+
+    const profile = this.provisioner.findProfileByImsi(imsi);
+    if (!profile) {
+      return this.sendExperimentalResult(connection, message, EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN);
+    }
+    if (!lifecycle.isUsable(profile, 'attach')) {
+      return this.sendExperimentalResult(connection, message, this.refusalCode(profile));
+    }
+
+    const mmeHost = message.get('Origin-Host');
+    const mmeRealm = message.get('Origin-Realm');
+    const previousMme = profile.servingMme;
+
+    this.provisioner.updateProfile(profile.iccid, {
+      servingMme: { host: mmeHost, realm: mmeRealm, updatedAt: new Date().toISOString() }
+    }, { actor: mmeHost, interface: 's6a' });
+
+    // A subscriber attaching through a new MME is cancelled at the old one
+    if (previousMme && previousMme.host !== mmeHost) {
+      this.cancelLocation(imsi, 0, previousMme).catch((err) => {
+        console.error(`Cancel location at ${previousMme.host} failed:`, err.message);
+      });
+    }
+
+    this.send(connection, message.answer([
+      ...this.sessionAvps(message),
+      ['Result-Code', RESULT_CODES.SUCCESS],
+      ...this.originAvps(),
+      ['ULA-Flags', 1], // Separation Indication
+      ['Subscription-Data', this.buildSubscriptionData(profile)]
+    ]));
+
+    this.emit('update-location', { imsi, mme: mmeHost });
+  }
+
+  handlePurgeUe(message, connection) {
+    const imsi = message.get('User-Name');
+    if (!imsi) {
+      return this.sendError(connection, message, RESULT_CODES.MISSING_AVP);
+    }
+
+    const profile = this.provisioner.findProfileByImsi(imsi);
+    if (!profile) {
+      return this.sendExperimentalResult(connection, message, EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN);
+    }
+
+    if (profile.servingMme && profile.servingMme.host === message.get('Origin-Host')) {
+      this.provisioner.updateProfile(profile.iccid, { servingMme: null }, { actor: message.get('Origin-Host'), interface: 's6a' });
+    }
+
+    this.send(connection, message.answer([
+      ...this.sessionAvps(message),
+      ['Result-Code', RESULT_CODES.SUCCESS],
+      ...this.originAvps(),
+      ['PUR-Flags', 0]
+    ]));
+
+    this.emit('purge-ue', { imsi });
+  }
+
+  buildSubscriptionData(profile) {
+    const ambr = [
+      ['Max-Requested-Bandwidth-UL', this.options.ambr.ul],
+      ['Max-Requested-Bandwidth-DL', this.options.ambr.dl]
+    ];
+
+    // Batch SIMs get their MSISDN later, if ever
+    return [
+      ...(profile.msisdn ? [['MSISDN', encodeTbcd(profile.msisdn)]] : []),
+      ['Subscriber-Status', 0], // SERVICE_GRANTED
+      ['Network-Access-Mode', 2], // ONLY_PACKET
+      ['AMBR', ambr],
+      ['APN-Configuration-Profile', [
+        ['Context-Identifier', 1],
+        ['All-APN-Configurations-Included-Indicator', 0],
+        ['APN-Configuration', [
+          ['Context-Identifier', 1],
+          ['PDN-Type', 0], // IPv4
+          ['Service-Selection', profile.apn || this.options.apn],
+          ['EPS-Subscribed-QoS-Profile', [
+            ['QoS-Class-Identifier', 9],
+            ['Allocation-Retention-Priority', [
+              ['Priority-Level', 8],
+              ['Pre-emption-Capability', 1],
+              ['Pre-emption-Vulnerability', 0]
+            ]]
+          ]],
+          ['AMBR', ambr]
+        ]]
+      ]]
+    ];
+  }
+
+  /**
+   * Send a Cancel-Location-Request to the MME serving a subscriber
+   * @param {string} imsi - The IMSI of the eSIM profile
+   * @param {number} cancellationType - 0 MME_UPDATE_PROCEDURE, 2 SUBSCRIPTION_WITHDRAWAL
+   * @param {Object} mme - The MME to cancel at, defaults to the serving MME
+   * @returns {Promise<DiameterMessage>} The Cancel-Location-Answer
+   */
+  cancelLocation(imsi, cancellationType = 2, mme = null) {
+    const profile = this.provisioner.findProfileByImsi(imsi);
+    const target = mme || (profile && profile.servingMme);
+    if (!target) {
+      return Promise.reject(new Error(`No MME registered for IMSI ${imsi}`));
+    }
+
+    const connection = this.peers.get(target.host);
+    if (!connection) {
+      return Promise.reject(new Error(`Diameter peer ${target.host} is not connected`));
+    }
+
+    const request = new DiameterMessage({
+      commandCode: COMMANDS.CANCEL_LOCATION,
+      applicationId: S6A_APPLICATION_ID,
+      request: true,
+      avps: [
+        ['Session-Id', `${this.options.originHost};${Date.now()};${crypto.randomBytes(4).toString('hex')}`],
+        ['Auth-Session-State', 1],
+        ...this.originAvps(),
+        ['Destination-Host', target.host],
+        ['Destination-Realm', target.realm || connection.realm],
+        ['User-Name', imsi],
+        ['Cancellation-Type', cancellationType],
+        ['CLR-Flags', 0]
+      ]
+    });
+
+    if (cancellationType === 2 && profile && !mme) {
+      this.provisioner.updateProfile(profile.iccid, { servingMme: null }, { actor: this.options.originHost, interface: 's6a' });
+    }
+
+    return this.sendRequest(connection, request);
+  }
+
+  sendRequest(connection, request, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(request.hopByHop);
+        reject(new Error(`Diameter request ${request.commandCode} timed out`));
+      }, timeout);
+
+      this.pendingRequests.set(request.hopByHop, { resolve, timer });
+      this.send(connection, request);
+    });
+  }
+
+  close() {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingRequests.clear();
+
+    for (const connection of this.peers.values()) {
+      connection.socket.destroy();
+    }
+    this.peers.clear();
+
+    this.server.close();
+  }
+}
+
+module.exports = {
+  DiameterHSS,
+  DiameterMessage,
+  COMMANDS,
+  RESULT_CODES,
+  EXPERIMENTAL_RESULT_CODES,
+  S6A_APPLICATION_ID,
+  VENDOR_3GPP
+};
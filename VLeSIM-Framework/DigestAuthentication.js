@@ -0,0 +1,184 @@
+// DigestAuthentication.js - SIP digest authentication (RFC 3261 22.4, RFC 8760)
+const crypto = require('crypto');
+
+// Algorithms in the order they are offered; RFC 8760 puts SHA-256 ahead of MD5
+const ALGORITHMS = { 'SHA-256': 'sha256', 'MD5': 'md5' };
+
+const DEFAULT_NONCE_TTL = 5 * 60 * 1000;
+
+function hash(algorithm, text) {
+  return crypto.createHash(ALGORITHMS[algorithm]).update(text).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Parameters of a Digest challenge or Authorization header
+ * @returns {Object|null} Parameter names in lower case, null for other schemes
+ */
+function parseDigest(header) {
+  const match = /^\s*Digest\s+(.*)$/i.exec(header || '');
+  if (!match) return null;
+
+  const params = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let param;
+  while ((param = pattern.exec(match[1]))) {
+    params[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+  }
+  return params;
+}
+
+/**
+ * What the server keeps of a SIP password: H(A1) for every algorithm
+ * @returns {Object} username, realm and ha1 by algorithm
+ */
+function credentials(username, realm, password) {
+  const ha1 = {};
+  for (const algorithm of Object.keys(ALGORITHMS)) {
+    ha1[algorithm] = hash(algorithm, `${username}:${realm}:${password}`);
+  }
+  return { username, realm, ha1 };
+}
+
+/**
+ * The Authorization header answering a challenge, for clients
+ * @param {string} challenge - The WWW-Authenticate or Proxy-Authenticate value
+ * @param {Object} request - username, password, method and uri of the
+ * request; nc, how often the nonce has been used, 1 by default
+ */
+function authorize(challenge, { username, password, method, uri, nc = 1 }) {
+  const params = parseDigest(challenge);
+  const algorithm = params.algorithm || 'MD5';
+  const cnonce = crypto.randomBytes(8).toString('hex');
+  const count = nc.toString(16).padStart(8, '0');
+
+  const ha1 = hash(algorithm, `${username}:${params.realm}:${password}`);
+  const ha2 = hash(algorithm, `${method}:${uri}`);
+  const response = hash(algorithm, `${ha1}:${params.nonce}:${count}:${cnonce}:auth:${ha2}`);
+
+  return `Digest username="${username}", realm="${params.realm}", nonce="${params.nonce}", uri="${uri}", ` +
+    `response="${response}", algorithm=${algorithm}, cnonce="${cnonce}", qop=auth, nc=${count}`;
+}
+
+/**
+ * DigestAuthenticator - Challenges requests and checks the answers
+ * Nonces carry their issue time and realm under an HMAC with a key of this
+ * process, so they need no state until a client uses one. qop=auth is
+ * required; every nonce count is accepted once, counting up, which stops
+ * requests from being replayed. Answers with an expired nonce but the right
+ * password are reported as stale, for the client to retry without asking
+ * its user.
+ */
+class DigestAuthenticator {
+  /**
+   * @param {Object} options - credentials(username, realm), returning what
+   * `credentials()` made of the password or null; realmOf(domain), the realm
+   * of a SIP domain; algorithms to offer; nonceTtl in milliseconds
+   */
+  constructor(options = {}) {
+    this.options = {
+      algorithms: Object.keys(ALGORITHMS),
+      nonceTtl: DEFAULT_NONCE_TTL,
+      realmOf: () => 'vlesim',
+      ...options
+    };
+
+    for (const algorithm of this.options.algorithms) {
+      if (!ALGORITHMS[algorithm]) {
+        throw new Error(`Unknown digest algorithm ${algorithm}`);
+      }
+    }
+
+    this.secret = crypto.randomBytes(32);
+    this.nonceCounts = new Map();
+    this.nextSweep = Date.now() + this.options.nonceTtl;
+  }
+
+  realmOf(domain) {
+    return this.options.realmOf(domain);
+  }
+
+  createNonce(realm, issued = Date.now()) {
+    const time = issued.toString(16);
+    const mac = crypto.createHmac('sha256', this.secret).update(`${time}:${realm}`).digest('base64url');
+    return `${time}.${mac.substring(0, 22)}`;
+  }
+
+  // valid, stale or invalid
+  checkNonce(nonce, realm) {
+    const issued = parseInt(String(nonce).split('.')[0], 16);
+    if (!issued || !safeEqual(this.createNonce(realm, issued), nonce)) return 'invalid';
+    return Date.now() - issued > this.options.nonceTtl ? 'stale' : 'valid';
+  }
+
+  /**
+   * Challenge values for a 401 or 407 response, one per algorithm
+   * @param {string} realm - The realm of the request
+   * @param {boolean} stale - Whether the request failed only for an expired nonce
+   * @returns {string[]} WWW-Authenticate or Proxy-Authenticate values
+   */
+  challenge(realm, stale = false) {
+    const nonce = this.createNonce(realm);
+    return this.options.algorithms.map(algorithm =>
+      `Digest realm="${realm}", nonce="${nonce}", algorithm=${algorithm}, qop="auth"${stale ? ', stale=true' : ''}`);
+  }
+
+  /**
+   * Check the Authorization or Proxy-Authorization header of a request
+   * @param {string} header - The header value
+   * @param {Object} request - method, uri (the Request-URI) and realm
+   * @returns {Object} status ok with the username, or missing, stale or invalid
+   */
+  verify(header, request) {
+    const params = parseDigest(header);
+    if (!params) return { status: 'missing' };
+
+    const algorithm = this.options.algorithms.find(name => name.toLowerCase() === (params.algorithm || 'MD5').toLowerCase());
+    const complete = ['username', 'nonce', 'uri', 'response', 'cnonce', 'nc'].every(name => params[name]);
+    if (!algorithm || !complete || params.qop !== 'auth' || params.realm !== request.realm || params.uri !== request.uri) {
+      return { status: 'invalid' };
+    }
+
+    const nonce = this.checkNonce(params.nonce, request.realm);
+    const stored = nonce !== 'invalid' && this.options.credentials(params.username, request.realm);
+    if (!stored || !stored.ha1[algorithm]) return { status: 'invalid' };
+
+    const ha2 = hash(algorithm, `${request.method}:${params.uri}`);
+    const expected = hash(algorithm, `${stored.ha1[algorithm]}:${params.nonce}:${params.nc}:${params.cnonce}:auth:${ha2}`);
+    if (!safeEqual(expected, params.response.toLowerCase())) return { status: 'invalid' };
+    if (nonce === 'stale') return { status: 'stale' };
+
+    const count = parseInt(params.nc, 16);
+    if (!(count > (this.nonceCounts.get(params.nonce) || 0))) return { status: 'invalid' };
+    this.nonceCounts.set(params.nonce, count);
+    this.sweep();
+
+    return { status: 'ok', username: params.username };
+  }
+
+  // Forget the counts of nonces that have expired
+  sweep() {
+    const now = Date.now();
+    if (now < this.nextSweep) return;
+
+    for (const nonce of this.nonceCounts.keys()) {
+      if (now - parseInt(nonce.split('.')[0], 16) > this.options.nonceTtl) {
+        this.nonceCounts.delete(nonce);
+      }
+    }
+    this.nextSweep = now + this.options.nonceTtl;
+  }
+}
+
+module.exports = {
+  DigestAuthenticator,
+  ALGORITHMS,
+  credentials,
+  authorize,
+  parseDigest
+};
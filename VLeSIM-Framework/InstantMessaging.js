@@ -0,0 +1,206 @@
+// InstantMessaging.js - Store-and-forward of SIP MESSAGE between subscribers (RFC 3428)
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  maxLength: 1300, // bytes of body; RFC 3428 keeps MESSAGE below the path MTU
+  rateLimit: 30, // messages a sender may send per rateWindow
+  rateWindow: 60 * 1000, // milliseconds
+  ttl: 7 * 24 * 60 * 60 * 1000, // milliseconds a message waits for its recipient
+  historyLimit: 50
+};
+
+// Delivery report body (RFC 5438); message-id is the Call-ID of the original MESSAGE
+const IMDN_CONTENT_TYPE = 'message/imdn+xml';
+
+// Final responses after which delivery is tried again at the next REGISTER, with 5xx
+const TRANSIENT_FAILURES = [408, 480];
+
+/**
+ * MessagingError - Why a MESSAGE was not accepted
+ * too-large: the body exceeds maxLength
+ * rate-limited: the sender exceeded rateLimit; retryAfter is in seconds
+ */
+class MessagingError extends Error {
+  constructor(reason, message, retryAfter) {
+    super(message);
+    this.name = 'MessagingError';
+    this.reason = reason;
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * The IMDN body reporting the outcome of a message
+ * @param {Object} record - The stored message
+ * @param {string} status - delivered or failed
+ */
+function deliveryReport(record, status) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n' +
+    '<imdn xmlns="urn:ietf:params:xml:ns:imdn">\r\n' +
+    `  <message-id>${escapeXml(record.callId)}</message-id>\r\n` +
+    `  <datetime>${new Date().toISOString()}</datetime>\r\n` +
+    `  <recipient-uri>${escapeXml(record.recipient)}</recipient-uri>\r\n` +
+    `  <original-recipient-uri>${escapeXml(record.recipient)}</original-recipient-uri>\r\n` +
+    `  <delivery-notification><status><${status}/></status></delivery-notification>\r\n` +
+    '</imdn>\r\n';
+}
+
+/**
+ * MessageStore - Messages kept until their recipient can take them
+ * Every message is stored in the `messages` collection of its recipient,
+ * given by `collectionOf(address)`; `collections()` lists all of them for
+ * the history of senders. A message is pending until a contact of the
+ * recipient answers it with 2xx (delivered), answers with a final response
+ * other than 408, 480 or 5xx (failed), or until it is older than `ttl`
+ * (expired).
+ */
+class MessageStore {
+  /**
+   * @param {Object} options - collectionOf and collections as above; maxLength,
+   * rateLimit, rateWindow, ttl and historyLimit as in DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    // sender -> times of the messages sent within rateWindow
+    this.sent = new Map();
+    // Orders the IDs of messages stored within the same millisecond
+    this.sequence = 0;
+  }
+
+  /**
+   * Store a message from a subscriber after checking its limits
+   * @param {Object} message - sender, recipient, contentType, body, callId
+   * and notify, the delivery reports the sender asked for
+   * @returns {Object} The stored message
+   * @throws {MessagingError} When the message is refused
+   */
+  accept(message) {
+    const length = Buffer.byteLength(message.body || '');
+    if (length > this.options.maxLength) {
+      throw new MessagingError('too-large', `Message of ${length} bytes exceeds ${this.options.maxLength}`);
+    }
+
+    const now = Date.now();
+    const times = (this.sent.get(message.sender) || []).filter(time => now - time < this.options.rateWindow);
+    if (times.length >= this.options.rateLimit) {
+      const retryAfter = Math.ceil((times[0] + this.options.rateWindow - now) / 1000);
+      throw new MessagingError('rate-limited', `${message.sender} sent ${times.length} messages within ${this.options.rateWindow}ms`, retryAfter);
+    }
+    times.push(now);
+    this.sent.set(message.sender, times);
+    this.forgetIdleSenders(now);
+
+    return this.store(message);
+  }
+
+  // Store a message without checks, such as a delivery report
+  store({ sender, recipient, contentType, body, callId, notify = [], report = false }) {
+    const now = Date.now();
+    return this.options.collectionOf(recipient).put({
+      id: `${now.toString(36)}-${(this.sequence++ % 46656).toString(36).padStart(3, '0')}-${crypto.randomBytes(4).toString('hex')}`,
+      sender,
+      recipient,
+      contentType,
+      body,
+      callId,
+      notify,
+      report,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.options.ttl).toISOString()
+    });
+  }
+
+  // Pending messages of a recipient, oldest first
+  pending(recipient) {
+    const now = new Date().toISOString();
+    return this.options.collectionOf(recipient).find('recipient', recipient)
+      .filter(record => record.status === 'pending' && record.expiresAt > now)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Mark the pending messages of a recipient that waited too long as expired
+   * @returns {Array} The messages that expired now
+   */
+  expire(recipient) {
+    const now = new Date().toISOString();
+    return this.options.collectionOf(recipient).find('recipient', recipient)
+      .filter(record => record.status === 'pending' && record.expiresAt <= now)
+      .map(record => this.update(record, { status: 'expired' }));
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {Object} record - The stored message
+   * @param {number|null} statusCode - The final response, null when none came
+   * @returns {Object} The message as stored now
+   */
+  attempted(record, statusCode) {
+    const changes = { attempts: record.attempts + 1, lastResponse: statusCode };
+    if (statusCode >= 200 && statusCode < 300) {
+      changes.status = 'delivered';
+      changes.deliveredAt = new Date().toISOString();
+    } else if (statusCode >= 600 || (statusCode >= 300 && statusCode < 500 && !TRANSIENT_FAILURES.includes(statusCode))) {
+      changes.status = 'failed';
+    }
+    return this.update(record, changes);
+  }
+
+  update(record, changes) {
+    return this.options.collectionOf(record.recipient).put({ ...record, ...changes });
+  }
+
+  /**
+   * Messages a subscriber sent or received, newest first; delivery reports are left out
+   * @param {string} address - The subscriber's address
+   * @param {Object} options - limit; before, an ISO time to page back from
+   */
+  history(address, options = {}) {
+    const limit = options.limit || this.options.historyLimit;
+    const seen = new Set();
+    const records = [];
+
+    for (const collection of this.options.collections()) {
+      for (const record of [...collection.find('recipient', address), ...collection.find('sender', address)]) {
+        if (record.report || seen.has(record.id)) continue;
+        if (options.before && record.createdAt >= options.before) continue;
+        seen.add(record.id);
+        records.push(record);
+      }
+    }
+
+    return records
+      .sort((a, b) => b.id.localeCompare(a.id))
+      .slice(0, limit)
+      .map(record => ({
+        id: record.id,
+        direction: record.sender === address ? 'sent' : 'received',
+        peer: record.sender === address ? record.recipient : record.sender,
+        contentType: record.contentType,
+        body: record.body,
+        status: record.status,
+        createdAt: record.createdAt,
+        deliveredAt: record.deliveredAt || null
+      }));
+  }
+
+  forgetIdleSenders(now) {
+    for (const [sender, times] of this.sent) {
+      if (now - times[times.length - 1] >= this.options.rateWindow) this.sent.delete(sender);
+    }
+  }
+}
+
+module.exports = {
+  MessageStore,
+  MessagingError,
+  deliveryReport,
+  IMDN_CONTENT_TYPE,
+  DEFAULTS
+};
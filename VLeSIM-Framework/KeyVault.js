@@ -0,0 +1,281 @@
+// KeyVault.js - Envelope encryption of eSIM key material (Ki/OPc) at rest
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { writeFileAtomic } = require('./Storage');
+
+const ENVELOPE_VERSION = 1;
+const SECRET_FIELDS = ['ki', 'opc'];
+
+/**
+ * The only code paths that may see decrypted Ki/OPc. Anything else asking
+ * the vault for key material is refused.
+ */
+const ALLOWED_PURPOSES = {
+  'authentication-vectors': 'AuthenticationCenter: Milenage vectors for the HSS and resynchronisation',
+  'profile-package': 'ESIMProvisioner.exportProfilePackage: SAIP package bound to an SM-DP+ download',
+  'batch-export': 'ESIMProvisioner.createBatch: SIM vendor output file of a new batch'
+};
+
+function parseKey(value) {
+  const text = value.toString().trim();
+  let key;
+
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    key = Buffer.from(text, 'hex');
+  } else if (Buffer.isBuffer(value) && value.length === 32) {
+    key = value;
+  } else {
+    key = Buffer.from(text, 'base64');
+  }
+
+  if (key.length !== 32) {
+    throw new Error('Master key must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, encoded, aad) {
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.slice(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.slice(12, 28));
+  return Buffer.concat([decipher.update(data.slice(28)), decipher.final()]);
+}
+
+/**
+ * KeyVault - Seals Ki/OPc under a per-profile data key wrapped by a master key
+ * Envelopes are bound to their ICCID, so ciphertexts cannot be swapped
+ * between profiles. Older master keys can be loaded for reading while a
+ * rotation is in progress.
+ */
+class KeyVault extends EventEmitter {
+  constructor(masterKey, options = {}) {
+    super();
+
+    const key = parseKey(masterKey);
+    this.currentKeyId = keyIdOf(key);
+    this.keys = new Map([[this.currentKeyId, key]]);
+
+    for (const previousKey of options.previousKeys || []) {
+      const parsed = parseKey(previousKey);
+      this.keys.set(keyIdOf(parsed), parsed);
+    }
+
+    this.accessCounts = {};
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(32);
+  }
+
+  /**
+   * Load the master key from VLESIM_MASTER_KEY, or else from the key file
+   * named by VLESIM_MASTER_KEY_FILE (default <dataDir>/master.key). A new
+   * key file is generated when none exists yet.
+   */
+  static fromEnvironment(dataDir) {
+    const keyFile = process.env.VLESIM_MASTER_KEY_FILE || path.join(dataDir, 'master.key');
+    const previousKeys = [];
+
+    if (process.env.VLESIM_PREVIOUS_MASTER_KEY) {
+      previousKeys.push(process.env.VLESIM_PREVIOUS_MASTER_KEY);
+    }
+    if (fs.existsSync(`${keyFile}.old`)) {
+      previousKeys.push(fs.readFileSync(`${keyFile}.old`, 'utf8'));
+    }
+
+    if (process.env.VLESIM_MASTER_KEY) {
+      return new KeyVault(process.env.VLESIM_MASTER_KEY, { previousKeys });
+    }
+
+    if (!fs.existsSync(keyFile)) {
+      console.warn(`No master key configured, generating ${keyFile}`);
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+      writeFileAtomic(keyFile, KeyVault.generateKey().toString('hex') + '\n', { mode: 0o600 });
+    }
+
+    return new KeyVault(fs.readFileSync(keyFile, 'utf8'), { previousKeys });
+  }
+
+  static isSealed(profile) {
+    return !!(profile && profile.secrets && profile.secrets.wrappedKey);
+  }
+
+  /**
+   * Encrypt key material for a profile
+   * @param {string} iccid - The ICCID the envelope is bound to
+   * @param {Object} secrets - ki and opc as hex strings
+   * @returns {Object} The envelope to store as profile.secrets
+   */
+  seal(iccid, secrets) {
+    const dataKey = crypto.randomBytes(32);
+    const envelope = {
+      version: ENVELOPE_VERSION,
+      keyId: this.currentKeyId,
+      wrappedKey: encrypt(this.keys.get(this.currentKeyId), dataKey, `${iccid}:key`)
+    };
+
+    for (const field of SECRET_FIELDS) {
+      envelope[field] = encrypt(dataKey, Buffer.from(secrets[field], 'hex'), `${iccid}:${field}`);
+    }
+
+    return envelope;
+  }
+
+  unwrapDataKey(iccid, envelope) {
+    const masterKey = this.keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${envelope.keyId} for profile ${iccid} is not loaded`);
+    }
+    return decrypt(masterKey, envelope.wrappedKey, `${iccid}:key`);
+  }
+
+  /**
+   * Decrypt key material for one of the ALLOWED_PURPOSES
+   * @returns {Object} ki and opc as hex strings
+   */
+  unseal(iccid, envelope, purpose) {
+    if (!ALLOWED_PURPOSES[purpose]) {
+      throw new Error(`Access to key material for "${purpose}" is not allowed`);
+    }
+
+    const dataKey = this.unwrapDataKey(iccid, envelope);
+    const secrets = {};
+    for (const field of SECRET_FIELDS) {
+      secrets[field] = decrypt(dataKey, envelope[field], `${iccid}:${field}`).toString('hex');
+    }
+
+    this.accessCounts[purpose] = (this.accessCounts[purpose] || 0) + 1;
+    this.emit('secret-access', { iccid, purpose });
+    return secrets;
+  }
+
+  /**
+   * Key of the audit log's hash chain, derived from a master key, so that
+   * entries cannot be rewritten by anyone without the vault
+   * @param {string} keyId - The master key, by default the current one
+   * @returns {Buffer|null} null when the vault does not hold that master key
+   */
+  auditKey(keyId = this.currentKeyId) {
+    const key = this.keys.get(keyId);
+    return key ? crypto.createHmac('sha256', key).update('vlesim-audit-log').digest() : null;
+  }
+
+  /**
+   * Re-wrap the data key of an envelope under the current master key
+   */
+  rewrap(iccid, envelope) {
+    if (envelope.keyId === this.currentKeyId) return envelope;
+
+    const dataKey = this.unwrapDataKey(iccid, envelope);
+    return {
+      ...envelope,
+      keyId: this.currentKeyId,
+      wrappedKey: encrypt(this.keys.get(this.currentKeyId), dataKey, `${iccid}:key`)
+    };
+  }
+}
+
+module.exports = {
+  KeyVault,
+  ALLOWED_PURPOSES,
+  SECRET_FIELDS
+};
+
+// Key rotation: node KeyVault.js rotate [--new-key-file <path>]
+// Audit:        node KeyVault.js audit
+// Both cover the profiles of every tenant, which share the master key
+if (require.main === module) {
+  const { CONFIG } = require('./Config');
+  const { createStorage } = require('./Storage');
+  const { TenantRegistry } = require('./Tenants');
+  const args = process.argv.slice(2);
+  const dataDir = path.join(__dirname, CONFIG.DATA_DIR);
+  const storages = TenantRegistry.fromConfig(CONFIG).all().map(tenant => createStorage(CONFIG.STORAGE, tenant.dataDir));
+  const eachProfileStore = fn => storages.forEach(storage => fn(storage, storage.collection('esims')));
+
+  if (args[0] === 'audit') {
+    console.log('Code paths allowed to decrypt Ki/OPc:');
+    Object.entries(ALLOWED_PURPOSES).forEach(([purpose, description]) => {
+      console.log(`  ${purpose}: ${description}`);
+    });
+
+    const counts = {};
+    eachProfileStore((storage, profiles) => {
+      for (const profile of profiles.all()) {
+        const state = KeyVault.isSealed(profile)
+          ? `sealed with ${profile.secrets.keyId}`
+          : (profile.ki || profile.opc ? 'PLAINTEXT' : 'no key material');
+        counts[state] = (counts[state] || 0) + 1;
+      }
+    });
+
+    console.log('Profiles:');
+    Object.entries(counts).forEach(([state, count]) => console.log(`  ${state}: ${count}`));
+  } else if (args[0] === 'rotate') {
+    const oldVault = KeyVault.fromEnvironment(dataDir);
+    const keyFile = process.env.VLESIM_MASTER_KEY_FILE || path.join(dataDir, 'master.key');
+    const newKeyIndex = args.indexOf('--new-key-file');
+    const newKey = newKeyIndex >= 0
+      ? parseKey(fs.readFileSync(args[newKeyIndex + 1], 'utf8'))
+      : KeyVault.generateKey();
+
+    if (newKeyIndex < 0 && process.env.VLESIM_MASTER_KEY) {
+      console.error('The master key comes from VLESIM_MASTER_KEY; pass the new key with --new-key-file');
+      process.exit(1);
+    }
+
+    const newVault = new KeyVault(newKey, {
+      previousKeys: Array.from(oldVault.keys.values())
+    });
+
+    // Finish a rotation that crashed after storing its key, before that
+    // rotation's old key is replaced below
+    eachProfileStore((storage, profiles) => storage.transaction(() => {
+      for (const profile of profiles.all()) {
+        if (KeyVault.isSealed(profile) && profile.secrets.keyId !== oldVault.currentKeyId) {
+          profiles.put({ ...profile, secrets: oldVault.rewrap(profile.iccid, profile.secrets) });
+        }
+      }
+    }));
+
+    // Store the new key before any profile depends on it, keeping the old key
+    // next to it so readers can finish the switch
+    if (!process.env.VLESIM_MASTER_KEY) {
+      writeFileAtomic(`${keyFile}.old`, fs.readFileSync(keyFile), { mode: 0o600 });
+      writeFileAtomic(keyFile, newKey.toString('hex') + '\n', { mode: 0o600 });
+    }
+
+    let rewrapped = 0;
+    eachProfileStore((storage, profiles) => storage.transaction(() => {
+      for (const profile of profiles.all()) {
+        if (!KeyVault.isSealed(profile)) continue;
+        profiles.put({ ...profile, secrets: newVault.rewrap(profile.iccid, profile.secrets) });
+        rewrapped++;
+      }
+    }));
+
+    storages.forEach(storage => storage.close());
+    console.log(`Re-wrapped ${rewrapped} profiles under master key ${newVault.currentKeyId}`);
+    if (process.env.VLESIM_MASTER_KEY) {
+      console.log('Set VLESIM_MASTER_KEY to the new key and VLESIM_PREVIOUS_MASTER_KEY to the old one');
+    }
+  } else {
+    console.error('Usage: node KeyVault.js rotate [--new-key-file <path>] | audit');
+    process.exit(1);
+  }
+}
@@ -6,7 +6,11 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
-const { CONFIG } = require ('./Server')
+const { CONFIG } = require('./Config');
+const { FileStorage } = require('./Storage');
+const { AuditLog } = require('./AuditLog');
+const { KeyVault } = require('./KeyVault');
+const lifecycle = require('./ProfileLifecycle');
 
 // IP Assignment Pool
 class IPAddressPool {
@@ -124,13 +128,14 @@ class MobileDataBridge extends EventEmitter {
     this.ipPool = new IPAddressPool(options.subnet || '10.8.0');
     this.packetHandler = new DataPacketHandler();
     this.clients = new Map();
-    this.profiles = new Map();
     this.provisioningServer = http.createServer();
     
     this.dataPath = path.join(process.cwd(), this.options.dataDir);
-    if (!fs.existsSync(this.dataPath)) {
-      fs.mkdirSync(this.dataPath, { recursive: true });
-    }
+    this.storage = options.storage || new FileStorage(path.dirname(this.dataPath), {
+      directories: { mobile: path.basename(this.dataPath) }
+    });
+    this.profiles = this.storage.collection('mobile');
+    this.audit = options.audit || new AuditLog(this.storage, options.vault || KeyVault.fromEnvironment(path.join(__dirname, CONFIG.DATA_DIR)));
     
     this.setupServers();
     this.loadProfiles();
@@ -217,25 +222,42 @@ class MobileDataBridge extends EventEmitter {
   
   loadProfiles() {
     try {
-      const files = fs.readdirSync(this.dataPath);
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const profile = JSON.parse(fs.readFileSync(path.join(this.dataPath, file), 'utf8'));
-          this.profiles.set(profile.imsi, profile);
-        }
-      }
-      this.emit('profiles-loaded', this.profiles.size);
+      this.emit('profiles-loaded', this.profiles.count());
     } catch (err) {
       this.emit('error', 'profiles', err);
     }
   }
   
-  saveProfile(profile) {
+  /**
+   * Where the data profile of an IMSI is kept
+   * @returns {Object|null} tenant, apn, storage and audit log of the tenant the
+   * IMSI belongs to, or null when it belongs to none
+   */
+  scopeOf(imsi) {
+    if (this.options.tenantOf) {
+      return this.options.tenantOf(imsi);
+    }
+    return { tenant: null, apn: this.options.apn, storage: this.storage, audit: this.audit };
+  }
+  
+  findProfile(imsi) {
+    const scope = this.scopeOf(imsi);
+    return scope ? scope.storage.collection('mobile').get(imsi) : null;
+  }
+  
+  saveProfile(profile, actor = 'data-bridge') {
     try {
-      fs.writeFileSync(
-        path.join(this.dataPath, `${profile.imsi}.json`),
-        JSON.stringify(profile, null, 2)
-      );
+      const scope = this.scopeOf(profile.imsi);
+      if (!scope) {
+        throw new Error(`IMSI ${profile.imsi} belongs to no tenant`);
+      }
+      
+      const profiles = scope.storage.collection('mobile');
+      const previous = profiles.get(profile.imsi);
+      scope.storage.transaction(() => {
+        profiles.put(profile);
+        scope.audit.record(actor, previous ? 'update' : 'create', 'mobile', profile.imsi, previous, profile);
+      });
       return true;
     } catch (err) {
       this.emit('error', 'profile-save', err);
@@ -283,12 +305,16 @@ class MobileDataBridge extends EventEmitter {
   handleClientConnect(message, socket) {
     try {
       const { imsi } = message;
-      const profile = this.profiles.get(imsi);
+      const profile = this.findProfile(imsi);
       
       if (!profile) {
         return socket.end(JSON.stringify({ error: 'Unknown IMSI' }));
       }
       
+      if (this.options.admitAttach && !this.options.admitAttach(imsi)) {
+        return socket.end(JSON.stringify({ error: 'eSIM profile is not enabled' }));
+      }
+      
       // Assign IP and create data session
       const ipAddress = this.ipPool.assign(imsi);
       const sessionId = this.packetHandler.createSession(imsi, ipAddress);
@@ -307,7 +333,7 @@ class MobileDataBridge extends EventEmitter {
         ipAddress,
         dns: ['8.8.8.8', '1.1.1.1'],
         mtu: 1400,
-        apn: this.options.apn
+        apn: profile.apn || this.options.apn
       }));
       
       this.emit('client-connected', { imsi, ipAddress, sessionId });
@@ -368,18 +394,23 @@ class MobileDataBridge extends EventEmitter {
           return res.end(JSON.stringify({ error: 'Missing required fields' }));
         }
         
+        const scope = this.scopeOf(data.imsi);
+        if (!scope) {
+          res.writeHead(403);
+          return res.end(JSON.stringify({ error: 'IMSI belongs to no tenant' }));
+        }
+        
         const profile = {
           imsi: data.imsi,
           iccid: data.iccid,
           msisdn: data.msisdn,
-          apn: this.options.apn,
+          apn: scope.apn,
           created: Date.now(),
           status: 'active',
           dataEnabled: true
         };
         
-        this.profiles.set(data.imsi, profile);
-        this.saveProfile(profile);
+        this.saveProfile(profile, { actor: req.socket.remoteAddress, interface: 'http' });
         
         const config = this.generateDeviceConfig(profile);
         
@@ -410,7 +441,7 @@ class MobileDataBridge extends EventEmitter {
       return res.end(JSON.stringify({ error: 'Missing IMSI parameter' }));
     }
     
-    const profile = this.profiles.get(imsi);
+    const profile = this.findProfile(imsi);
     if (!profile) {
       res.writeHead(404);
       return res.end(JSON.stringify({ error: 'Profile not found' }));
@@ -427,7 +458,7 @@ class MobileDataBridge extends EventEmitter {
   
   generateDeviceConfig(profile) {
     return {
-      apn: this.options.apn,
+      apn: profile.apn || this.options.apn,
       servers: {
         data: `${this.options.ip}:${this.options.port}`,
         control: `${this.options.ip}:${this.options.port + 1}`,
@@ -477,26 +508,38 @@ class MobileDataBridge extends EventEmitter {
 class IntegratedMobileDataProvider {
   constructor(voipProvider, options = {}) {
     this.voipProvider = voipProvider;
-    this.bridge = new MobileDataBridge(options);
+    this.bridge = new MobileDataBridge({
+      storage: voipProvider.storage,
+      audit: voipProvider.esimProvisioner.audit,
+      tenantOf: this.tenantOf.bind(this),
+      admitAttach: this.admitAttach.bind(this),
+      ...options
+    });
     
     this.setupEventHandlers();
   }
   
+  // Data profiles live with the eSIM profiles of their tenant and use its APN
+  tenantOf(imsi) {
+    const tenant = this.voipProvider.tenantOfImsi(imsi);
+    if (!tenant) return null;
+    
+    const { storage, esimProvisioner } = this.voipProvider.partition(tenant);
+    return { tenant: tenant.id, apn: tenant.apn, storage, audit: esimProvisioner.audit };
+  }
+  
+  // Data sessions are only opened for enabled eSIM profiles
+  admitAttach(imsi) {
+    const profile = this.voipProvider.provisioners.findProfileByImsi(imsi);
+    return !!profile && lifecycle.isUsable(profile, 'attach');
+  }
+  
   setupEventHandlers() {
-    // When a new eSIM is provisioned via VoIP, also setup data profile
-    this.voipProvider.sipServer.on('provision-request', (message, transport) => {
-      try {
-        // This event handler runs after the VoIP provisioner created the profile
-        const phoneNumber = message.headers.from.split(':')[1].split('@')[0];
-        const profile = this.voipProvider.getProfileByPhoneNumber(phoneNumber);
-        
-        if (profile) {
-          // Register the profile with the data bridge
-          this.provisionDataProfile(profile);
-        }
-      } catch (err) {
+    // When a new eSIM is provisioned, also setup data profile
+    this.voipProvider.provisioning.on('provisioned', ({ profile }) => {
+      this.provisionDataProfile(profile).catch((err) => {
         console.error('Error setting up data profile:', err);
-      }
+      });
     });
     
     // Sync profiles from VoIP provider on startup
@@ -507,12 +550,14 @@ class IntegratedMobileDataProvider {
   
   syncProfiles() {
     // For each registered phone number, ensure we have a data profile
-    this.voipProvider.phoneToProfile.forEach((iccid, phoneNumber) => {
-      const profile = this.voipProvider.esimProvisioner.getProfile(iccid);
-      if (profile) {
-        this.provisionDataProfile(profile);
-      }
-    });
+    for (const { phoneNumbers, esimProvisioner } of this.voipProvider.partitions.values()) {
+      phoneNumbers.all().forEach(({ iccid }) => {
+        const profile = esimProvisioner.getProfile(iccid);
+        if (profile) {
+          this.provisionDataProfile(profile);
+        }
+      });
+    }
   }
   
   provisionDataProfile(profile) {
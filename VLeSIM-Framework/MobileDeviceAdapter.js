@@ -5,10 +5,66 @@ const path = require('path');
 const crypto = require('crypto');
 const qrcode = require('qrcode');
 const { execSync } = require('child_process');
+const { FileStorage, writeFileAtomic } = require('./Storage');
+const { ActivationCodes } = require('./ActivationCodes');
+const { createSipRequest, answerSipChallenge, readSipAnswer } = require('./Provisioning');
+const { SIPMessage } = require('./SIPMessage');
+
+/**
+ * Sign a device request with the key of the device
+ * The MAC is an HMAC-SHA256 over the JSON of the request without its mac field.
+ * @param {Object} request - action, deviceId, timestamp and the fields of the action
+ * @param {string} deviceKey - The key of the device (hex)
+ * @returns {Object} The request with its mac
+ */
+function signDeviceRequest(request, deviceKey) {
+  const { mac, ...fields } = request;
+  return {
+    ...fields,
+    mac: crypto.createHmac('sha256', Buffer.from(deviceKey, 'hex')).update(JSON.stringify(fields)).digest('hex')
+  };
+}
+
+// AES-256-GCM key for the SIP credentials of a device, kept apart from its MAC key
+function credentialsKey(deviceKey) {
+  return crypto.createHmac('sha256', Buffer.from(deviceKey, 'hex')).update('sip-credentials').digest();
+}
+
+/**
+ * Encrypt SIP credentials so only the device they were issued for can read them
+ * @returns {Object} iv, data and tag, base64 encoded
+ */
+function sealSipCredentials(credentials, deviceKey, deviceId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', credentialsKey(deviceKey), iv);
+  cipher.setAAD(Buffer.from(deviceId));
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials)), cipher.final()]);
+  return { iv: iv.toString('base64'), data: data.toString('base64'), tag: cipher.getAuthTag().toString('base64') };
+}
+
+function openSipCredentials(sealed, deviceKey, deviceId) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', credentialsKey(deviceKey), Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(deviceId));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString());
+}
+
+// Store a new device with an ID and key of our choosing
+function enrollDevice(devices, deviceType) {
+  const deviceId = crypto.randomUUID();
+  const deviceKey = crypto.randomBytes(32).toString('hex');
+  devices.put({ deviceId, deviceType, deviceKey, status: 'enrolled', enrolledAt: Date.now() });
+  return { deviceId, deviceKey };
+}
 
 /**
  * MobileDeviceAdapter - Connects Android and iOS devices to UDP-based eSIM server
  * Acts as an intermediary for devices that cannot directly use UDP SIP messaging
+ *
+ * Devices are enrolled with enrollDevice, which picks their ID and key; the
+ * operator hands both to the device out of band. Every request of a device is
+ * signed with its key (see signDeviceRequest), and the SIP password of a
+ * provisioned device goes back encrypted with it.
  */
 class MobileDeviceAdapter {
   constructor(options = {}) {
@@ -18,9 +74,19 @@ class MobileDeviceAdapter {
       adapterPort: options.adapterPort || 5053,
       dataPath: options.dataPath || path.join(__dirname, './data/mobile_devices'),
       qrPath: options.qrPath || path.join(__dirname, './data/qrcodes'),
+      // Operator account the provisioning requests are sent as: { id, secret }
+      operator: options.operator || null,
+      // How far the timestamp of a device request may be off, in milliseconds
+      requestWindow: 5 * 60 * 1000,
       ...options
     };
     
+    // Provisioning requests by Call-ID, to send again with credentials when challenged
+    this.pendingRequests = new Map();
+    
+    // MACs of the device requests taken within the request window, so none is taken twice
+    this.seenRequests = new Map();
+    
     // Create necessary directories
     this.ensureDirectories();
     
@@ -31,7 +97,10 @@ class MobileDeviceAdapter {
     this.deviceServer = dgram.createSocket('udp4');
     
     // Device registration tracking
-    this.devices = new Map();
+    this.storage = options.storage || new FileStorage(path.dirname(this.options.dataPath), {
+      directories: { devices: path.basename(this.options.dataPath) }
+    });
+    this.devices = this.storage.collection('devices');
     
     // Load existing devices
     this.loadDevices();
@@ -53,34 +122,72 @@ class MobileDeviceAdapter {
   
   loadDevices() {
     try {
-      const files = fs.readdirSync(this.options.dataPath);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const deviceData = JSON.parse(fs.readFileSync(path.join(this.options.dataPath, file), 'utf8'));
-          this.devices.set(deviceData.deviceId, deviceData);
-        }
-      });
-      console.log(`Loaded ${this.devices.size} device registrations`);
+      console.log(`Loaded ${this.devices.count()} device registrations`);
     } catch (err) {
       console.error('Error loading device data:', err);
     }
   }
   
   saveDevice(deviceId, deviceData) {
-    const filePath = path.join(this.options.dataPath, `${deviceId}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(deviceData, null, 2));
-    this.devices.set(deviceId, deviceData);
+    this.devices.put({ ...deviceData, deviceId });
+  }
+  
+  /**
+   * Enrol a device, which may then send provisioning requests
+   * @param {string} deviceType - ios, android or unknown
+   * @returns {Object} deviceId and deviceKey (hex) for the device
+   */
+  enrollDevice(deviceType = 'unknown') {
+    return enrollDevice(this.devices, deviceType);
+  }
+  
+  /**
+   * The enrolled device a request comes from, if its MAC and timestamp check out
+   * @returns {Object|null} The device record
+   */
+  authenticateDevice(request) {
+    const device = typeof request.deviceId === 'string' ? this.devices.get(request.deviceId) : null;
+    if (!device || !device.deviceKey || typeof request.mac !== 'string') return null;
+    
+    const now = Date.now();
+    if (!(Math.abs(now - request.timestamp) <= this.options.requestWindow)) return null;
+    
+    const mac = Buffer.from(request.mac, 'hex');
+    const expected = Buffer.from(signDeviceRequest(request, device.deviceKey).mac, 'hex');
+    if (mac.length !== expected.length || !crypto.timingSafeEqual(mac, expected)) return null;
+    
+    for (const [seen, expiresAt] of this.seenRequests) {
+      if (expiresAt < now) this.seenRequests.delete(seen);
+    }
+    if (this.seenRequests.has(request.mac)) return null;
+    this.seenRequests.set(request.mac, now + 2 * this.options.requestWindow);
+    
+    return device;
   }
   
   setupServerClient() {
     this.serverClient.on('message', (msg, rinfo) => {
       // Process response from the eSIM server
-      const response = msg.toString();
-      console.log(`Received from eSIM server (${rinfo.address}:${rinfo.port}):\n`, response);
+      console.log(`Received from eSIM server (${rinfo.address}:${rinfo.port}):\n`, msg.toString());
+      
+      const retry = this.answerChallenge(msg);
+      if (retry) {
+        this.serverClient.send(retry, this.options.serverPort, this.options.serverHost);
+        return;
+      }
+      
+      // Answers to provisioning requests come in a MESSAGE of their own
+      let reply;
+      try {
+        reply = readSipAnswer(msg);
+      } catch (err) {
+        console.error('Error parsing provisioning answer:', err);
+      }
       
-      // Handle provisioning responses
-      if (response.includes('ESIM-PROVISIONED')) {
-        this.handleProvisioningResponse(response);
+      if (reply) {
+        this.serverClient.send(reply.ok, rinfo.port, rinfo.address);
+        this.pendingRequests.delete(reply.answer.id);
+        this.handleProvisioningResponse(reply.answer);
       }
     });
     
@@ -92,6 +199,22 @@ class MobileDeviceAdapter {
     this.serverClient.bind();
   }
   
+  // The pending request again with the operator's credentials, when the server challenges it
+  answerChallenge(msg) {
+    if (!this.options.operator) return null;
+    
+    let callId;
+    try {
+      callId = SIPMessage.parse(msg).headers['call-id'];
+    } catch (err) {
+      return null;
+    }
+    const request = this.pendingRequests.get(callId);
+    const retry = request && answerSipChallenge(msg, request, this.options.operator);
+    if (retry) this.pendingRequests.set(callId, retry);
+    return retry || null;
+  }
+  
   setupDeviceServer() {
     this.deviceServer.on('message', (msg, rinfo) => {
       // Process message from a mobile device
@@ -125,17 +248,27 @@ class MobileDeviceAdapter {
   }
   
   handleDeviceRequest(request, rinfo) {
-    const { action, deviceType, deviceId = crypto.randomUUID() } = request;
+    // Nothing is done, and no operator credentials are spent, for devices that were not enrolled
+    const device = this.authenticateDevice(request);
+    if (!device) {
+      const errorResponse = JSON.stringify({
+        status: 'error',
+        error: 'Unauthorized'
+      });
+      this.deviceServer.send(errorResponse, rinfo.port, rinfo.address);
+      return;
+    }
     
+    const { action, deviceType } = request;
     switch (action) {
       case 'provision':
-        this.provisionDevice(deviceId, deviceType, rinfo);
+        this.provisionDevice(device, deviceType, rinfo);
         break;
       case 'register':
-        this.registerDevice(deviceId, deviceType, request.deviceInfo, rinfo);
+        this.registerDevice(device, deviceType, request.deviceInfo, rinfo);
         break;
       case 'status':
-        this.checkDeviceStatus(deviceId, rinfo);
+        this.checkDeviceStatus(device, rinfo);
         break;
       default:
         const errorResponse = JSON.stringify({
@@ -146,27 +279,36 @@ class MobileDeviceAdapter {
     }
   }
   
-  provisionDevice(deviceId, deviceType, rinfo) {
+  provisionDevice(device, deviceType, rinfo) {
+    const { deviceId } = device;
+    
+    // One profile per enrolment; a failed attempt may be repeated
+    if (device.status !== 'enrolled' && device.status !== 'failed') {
+      const errorResponse = JSON.stringify({
+        status: 'error',
+        deviceId,
+        error: 'Device already provisioned'
+      });
+      this.deviceServer.send(errorResponse, rinfo.port, rinfo.address);
+      return;
+    }
+    
     console.log(`Provisioning new eSIM for device ${deviceId} (${deviceType})`);
     
-    // Create a SIP INVITE message for provisioning
-    const inviteMessage = 
-      'INVITE sip:provision@' + this.options.serverHost + ' SIP/2.0\r\n' +
-      'Via: SIP/2.0/UDP adapter.local;branch=z9hG4bK-' + deviceId + '\r\n' +
-      'From: <sip:adapter@adapter.local>;tag=' + deviceId + '\r\n' +
-      'To: <sip:provision@' + this.options.serverHost + '>\r\n' +
-      'Call-ID: ' + deviceId + '\r\n' +
-      'CSeq: 1 INVITE\r\n' +
-      'Contact: <sip:adapter@adapter.local>\r\n' +
-      'Content-Type: text/plain\r\n' +
-      'Content-Length: 13\r\n' +
-      '\r\n' +
-      'PROVISION-ESIM';
+    // The request ID carries the device ID back in the answer
+    const provisioningRequest = createSipRequest({
+      host: this.options.serverHost,
+      from: 'adapter@adapter.local',
+      id: deviceId,
+      callId: deviceId,
+      operation: 'provision'
+    });
+    this.pendingRequests.set(deviceId, provisioningRequest);
     
     // Store the request information for when we get a response
     this.saveDevice(deviceId, {
-      deviceId,
-      deviceType: deviceType || 'unknown',
+      ...device,
+      deviceType: deviceType || device.deviceType || 'unknown',
       status: 'provisioning',
       clientAddress: rinfo.address,
       clientPort: rinfo.port,
@@ -175,7 +317,7 @@ class MobileDeviceAdapter {
     
     // Send provisioning request to the eSIM server
     this.serverClient.send(
-      Buffer.from(inviteMessage), 
+      provisioningRequest, 
       this.options.serverPort, 
       this.options.serverHost, 
       (err) => {
@@ -203,31 +345,8 @@ class MobileDeviceAdapter {
     );
   }
   
-  handleProvisioningResponse(response) {
-    // Parse the response
-    const lines = response.split('\n');
-    const profileData = {};
-    let deviceId = '';
-    
-    // Extract Call-ID which contains our deviceId
-    const callIdMatch = response.match(/Call-ID:\s*([^\r\n]+)/i);
-    if (callIdMatch && callIdMatch[1]) {
-      deviceId = callIdMatch[1].trim();
-    }
-    
-    // Parse the ESIM-PROVISIONED section
-    let inProvisionedSection = false;
-    lines.forEach(line => {
-      if (line.includes('ESIM-PROVISIONED')) {
-        inProvisionedSection = true;
-        return;
-      }
-      
-      if (inProvisionedSection && line.includes(':')) {
-        const [key, value] = line.split(':', 2);
-        profileData[key.trim()] = value.trim();
-      }
-    });
+  handleProvisioningResponse(answer) {
+    const deviceId = answer.id;
     
     // Find the device this response is for
     const deviceData = this.devices.get(deviceId);
@@ -236,11 +355,30 @@ class MobileDeviceAdapter {
       return;
     }
     
-    // Update device data with profile information
+    if (answer.status !== 'ok') {
+      console.error(`Provisioning failed for device ${deviceId}: ${answer.error.code} - ${answer.error.message}`);
+      this.saveDevice(deviceId, { ...deviceData, status: 'failed', error: answer.error, lastUpdated: Date.now() });
+      
+      if (deviceData.clientAddress && deviceData.clientPort) {
+        const errorResponse = JSON.stringify({
+          status: 'error',
+          deviceId,
+          error: answer.error.message,
+          code: answer.error.code
+        });
+        this.deviceServer.send(errorResponse, deviceData.clientPort, deviceData.clientAddress);
+      }
+      return;
+    }
+    
+    // Update device data with profile information; the SIP password goes to the device only,
+    // encrypted with its key
+    const { sipCredentials, ...profile } = answer.result;
     const updatedDeviceData = {
       ...deviceData,
+      iccid: profile.iccid,
       status: 'provisioned',
-      profile: profileData,
+      profile,
       lastUpdated: Date.now()
     };
     
@@ -256,9 +394,10 @@ class MobileDeviceAdapter {
         status: 'success',
         deviceId,
         profile: {
-          phoneNumber: profileData['Phone-Number'],
-          iccid: profileData.ICCID,
-          activationCode: this.formatActivationCode(profileData['Encoded-Profile'], deviceData.deviceType)
+          phoneNumber: profile.msisdn,
+          iccid: profile.iccid,
+          activationCode: this.formatActivationCode(profile.activationCode),
+          sipCredentials: sipCredentials ? sealSipCredentials(sipCredentials, deviceData.deviceKey, deviceId) : null
         }
       });
       
@@ -270,30 +409,15 @@ class MobileDeviceAdapter {
     }
   }
   
-  formatActivationCode(encodedProfile, deviceType) {
-    // Different formats for different device types
-    let profile;
+  // Android and iOS both take the SGP.22 LPA:1$<SM-DP+ address>$<matching ID> format,
+  // which never carries key material
+  formatActivationCode(activationCode) {
     try {
-      profile = JSON.parse(Buffer.from(encodedProfile, 'base64').toString());
+      const code = ActivationCodes.parse(activationCode);
+      return ActivationCodes.format(code.smDpPlusAddress, code.matchingId, code.confirmationCodeRequired);
     } catch (err) {
-      console.error('Error parsing encoded profile:', err);
-      return encodedProfile; // Return original if parsing fails
-    }
-    
-    const smDpAddress = profile.sipServerUrl.split('@')[1].split(':')[0];
-    
-    switch ((deviceType || '').toLowerCase()) {
-      case 'ios':
-        // iOS format: LPA:1$smdp.example.com$MATCHING-ID$CONFIRMATION-CODE
-        return `LPA:1$${smDpAddress}$${profile.iccid}$${profile.ki.substring(0, 8)}`;
-        
-      case 'android':
-        // Android format: SM-DP+:address:matching-id:confirmation-code
-        return `SM-DP+:${smDpAddress}:${profile.iccid}:${profile.ki.substring(0, 8)}`;
-        
-      default:
-        // Universal format
-        return `LPA:1$${smDpAddress}$${profile.iccid}$${profile.ki.substring(0, 8)}`;
+      console.error('Error parsing activation code:', err.message);
+      return null;
     }
   }
   
@@ -302,7 +426,8 @@ class MobileDeviceAdapter {
     
     if (!profile) return;
     
-    const activationCode = this.formatActivationCode(profile['Encoded-Profile'], deviceType);
+    const activationCode = this.formatActivationCode(profile.activationCode);
+    if (!activationCode) return;
     
     // Generate QR code for activation
     const qrPath = path.join(this.options.qrPath, `${deviceId}.png`);
@@ -334,12 +459,12 @@ class MobileDeviceAdapter {
     }
     
     const instructionsPath = path.join(this.options.dataPath, `${deviceId}_instructions.txt`);
-    fs.writeFileSync(instructionsPath, instructions);
+    writeFileAtomic(instructionsPath, instructions);
     deviceData.instructionsPath = instructionsPath;
     this.saveDevice(deviceId, deviceData);
   }
   
-  generateIOSInstructions(activationCode, profile) {voip-esim-frameworkvoip-esim-framework
+  generateIOSInstructions(activationCode, profile) {
     return `
 iPhone/iPad eSIM Installation Instructions
 =========================================
@@ -348,10 +473,10 @@ iPhone/iPad eSIM Installation Instructions
 2. Scan this QR code or manually enter the activation code:
    ${activationCode}
 3. Follow the on-screen instructions to complete installation
-4. Your phone number is: ${profile['Phone-Number']}
-5. SIP Server URL: ${profile['SIP-URL']}
+4. Your phone number is: ${profile.msisdn}
+5. SIP Server URL: ${profile.sipServerUrl}
 
-For troubleshooting, contact support with your ICCID: ${profile.ICCID}
+For troubleshooting, contact support with your ICCID: ${profile.iccid}
 `;
   }
   
@@ -364,12 +489,12 @@ Android eSIM Installation Instructions
 2. Scan this QR code or manually enter the activation code:
    ${activationCode}
 3. Follow the on-screen instructions to complete installation
-4. Your phone number is: ${profile['Phone-Number']}
-5. SIP Server URL: ${profile['SIP-URL']}
+4. Your phone number is: ${profile.msisdn}
+5. SIP Server URL: ${profile.sipServerUrl}
 
 For some Android devices, you may need to go to Settings > Connections > SIM Manager > Add eSIM
 
-For troubleshooting, contact support with your ICCID: ${profile.ICCID}
+For troubleshooting, contact support with your ICCID: ${profile.iccid}
 `;
   }
   
@@ -388,20 +513,20 @@ For Android:
 2. Scan the QR code or manually enter the activation code
 
 Activation Code: ${activationCode}
-Phone Number: ${profile['Phone-Number']}
-SIP Server URL: ${profile['SIP-URL']}
+Phone Number: ${profile.msisdn}
+SIP Server URL: ${profile.sipServerUrl}
 
-For troubleshooting, contact support with your ICCID: ${profile.ICCID}
+For troubleshooting, contact support with your ICCID: ${profile.iccid}
 `;
   }
   
-  registerDevice(deviceId, deviceType, deviceInfo, rinfo) {
-    const existingDevice = this.devices.get(deviceId);
+  registerDevice(existingDevice, deviceType, deviceInfo, rinfo) {
+    const { deviceId } = existingDevice;
     
-    if (!existingDevice) {
+    if (!existingDevice.iccid) {
       const response = JSON.stringify({
         status: 'error',
-        error: 'Device not found. Please provision first.'
+        error: 'Device not provisioned. Please provision first.'
       });
       this.deviceServer.send(response, rinfo.port, rinfo.address);
       return;
@@ -432,17 +557,8 @@ For troubleshooting, contact support with your ICCID: ${profile.ICCID}
     this.deviceServer.send(response, rinfo.port, rinfo.address);
   }
   
-  checkDeviceStatus(deviceId, rinfo) {
-    const deviceData = this.devices.get(deviceId);
-    
-    if (!deviceData) {
-      const response = JSON.stringify({
-        status: 'error',
-        error: 'Device not found'
-      });
-      this.deviceServer.send(response, rinfo.port, rinfo.address);
-      return;
-    }
+  checkDeviceStatus(deviceData, rinfo) {
+    const { deviceId } = deviceData;
     
     // Update last seen time
     deviceData.lastSeen = Date.now();
@@ -453,9 +569,10 @@ For troubleshooting, contact support with your ICCID: ${profile.ICCID}
       status: 'success',
       deviceId,
       deviceStatus: deviceData.status,
+      // Devices provisioned by older versions kept the text fields of the old protocol
       profile: deviceData.profile ? {
-        phoneNumber: deviceData.profile['Phone-Number'],
-        iccid: deviceData.profile.ICCID
+        phoneNumber: deviceData.profile.msisdn || deviceData.profile['Phone-Number'],
+        iccid: deviceData.profile.iccid || deviceData.profile.ICCID
       } : null
     });
     
@@ -561,12 +678,14 @@ class NetworkSetupTools {
   }
 }
 
-// Client library for mobile apps to connect to the adapter
+// Client library for mobile apps to connect to the adapter, with the deviceId
+// and deviceKey the device was enrolled with
 class MobileConnectionClient {
-  constructor(serverAddress, serverPort = 5053) {
+  constructor(serverAddress, serverPort = 5053, credentials = {}) {
     this.serverAddress = serverAddress;
     this.serverPort = serverPort;
-    this.deviceId = null;
+    this.deviceId = credentials.deviceId || null;
+    this.deviceKey = credentials.deviceKey || null;
     this.client = dgram.createSocket('udp4');
     this.setupClient();
   }
@@ -577,13 +696,12 @@ class MobileConnectionClient {
         const response = JSON.parse(msg.toString());
         console.log('Received response:', response);
         
-        if (response.deviceId) {
-          this.deviceId = response.deviceId;
-        }
-        
         // Handle response based on status
         if (response.status === 'success' && response.profile) {
           console.log('eSIM Profile received!');
+          if (response.profile.sipCredentials) {
+            this.sipCredentials = openSipCredentials(response.profile.sipCredentials, this.deviceKey, this.deviceId);
+          }
           // Display activation information
           this.displayActivationInfo(response.profile);
         }
@@ -600,18 +718,24 @@ class MobileConnectionClient {
     this.client.bind();
   }
   
+  // A request of this device, signed with its key
+  signedRequest(fields) {
+    if (!this.deviceId || !this.deviceKey) {
+      throw new Error('No device credentials available. Please enrol the device first');
+    }
+    return JSON.stringify(signDeviceRequest({ ...fields, deviceId: this.deviceId, timestamp: Date.now() }, this.deviceKey));
+  }
+  
   async provisionESIM(deviceType) {
+    const request = this.signedRequest({
+      action: 'provision',
+      deviceType: deviceType || this.detectDeviceType()
+    });
+    
     return new Promise((resolve, reject) => {
-      // Prepare the request
-      const request = {
-        action: 'provision',
-        deviceType: deviceType || this.detectDeviceType(),
-        deviceId: this.deviceId || crypto.randomUUID()
-      };
-      
       // Send the request
       this.client.send(
-        JSON.stringify(request),
+        request,
         this.serverPort,
         this.serverAddress,
         (err) => {
@@ -619,7 +743,7 @@ class MobileConnectionClient {
             reject(err);
           } else {
             console.log('Provisioning request sent');
-            resolve({ deviceId: request.deviceId, status: 'pending' });
+            resolve({ deviceId: this.deviceId, status: 'pending' });
           }
         }
       );
@@ -627,20 +751,12 @@ class MobileConnectionClient {
   }
   
   async checkStatus() {
-    if (!this.deviceId) {
-      throw new Error('No device ID available. Please provision first');
-    }
+    const request = this.signedRequest({ action: 'status' });
     
     return new Promise((resolve, reject) => {
-      // Prepare the request
-      const request = {
-        action: 'status',
-        deviceId: this.deviceId
-      };
-      
       // Send the request
       this.client.send(
-        JSON.stringify(request),
+        request,
         this.serverPort,
         this.serverAddress,
         (err) => {
@@ -673,6 +789,9 @@ class MobileConnectionClient {
     console.log(`Phone Number: ${profile.phoneNumber}`);
     console.log(`ICCID: ${profile.iccid}`);
     console.log(`Activation Code: ${profile.activationCode}`);
+    if (this.sipCredentials) {
+      console.log(`SIP Username: ${this.sipCredentials.username}`);
+    }
     console.log('\nTo activate your eSIM:');
     console.log('1. Go to your device settings');
     console.log('2. Add a cellular plan');
@@ -689,15 +808,25 @@ class MobileConnectionClient {
 module.exports = {
   MobileDeviceAdapter,
   NetworkSetupTools,
-  MobileConnectionClient
+  MobileConnectionClient,
+  signDeviceRequest,
+  openSipCredentials
 };
 
 // Example usage when run directly
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'enroll') {
+  // Devices are loaded when the adapter starts, so restart it after enrolling
+  const storage = new FileStorage(path.join(__dirname, './data'), { directories: { devices: 'mobile_devices' } });
+  console.log(JSON.stringify(enrollDevice(storage.collection('devices'), process.argv[3] || 'unknown')));
+} else if (require.main === module) {
   const adapter = new MobileDeviceAdapter({
     serverHost: process.env.SERVER_HOST || '0.0.0.0',
     serverPort: parseInt(process.env.SERVER_PORT || '5056'),
-    adapterPort: parseInt(process.env.ADAPTER_PORT || '5058')
+    adapterPort: parseInt(process.env.ADAPTER_PORT || '5058'),
+    operator: process.env.VLESIM_OPERATOR_SECRET ? {
+      id: process.env.VLESIM_OPERATOR || 'admin',
+      secret: process.env.VLESIM_OPERATOR_SECRET
+    } : null
   });
   
   console.log('Mobile Device Adapter started');
@@ -0,0 +1,456 @@
+// NumberInventory.js - Phone number pools, reservations, golden numbers and recycling
+const crypto = require('crypto');
+const { NumberRange } = require('./NumberingPlan');
+
+// Pool made of the msisdn settings themselves when no pools are configured
+const DEFAULT_POOL = 'default';
+
+// Subscriber numbers only handed out on request: four equal digits in a row
+// and runs of four ascending or descending digits
+const GOLDEN_PATTERNS = [
+  '(\\d)\\1{3}',
+  '0123|1234|2345|3456|4567|5678|6789',
+  '9876|8765|7654|6543|5432|4321|3210'
+];
+
+const DEFAULT_QUARANTINE = 90 * 24 * 60 * 60 * 1000;
+const DEFAULT_RESERVATION_TTL = 15 * 60 * 1000;
+
+// Numbers looked at per pool by a vanity search, and for golden numbers in a report
+const SCAN_LIMIT = 1000000;
+
+// Letters of vanity patterns, as on a phone keypad
+const KEYPAD = {
+  A: 2, B: 2, C: 2, D: 3, E: 3, F: 3, G: 4, H: 4, I: 4, J: 5, K: 5, L: 5, M: 6,
+  N: 6, O: 6, P: 7, Q: 7, R: 7, S: 7, T: 8, U: 8, V: 8, W: 9, X: 9, Y: 9, Z: 9
+};
+
+class NumberInventoryError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'NumberInventoryError';
+    this.reason = reason;
+  }
+}
+
+// First and last number of a range, for ranges of the same length to be compared
+function bounds(range) {
+  return [range.format(range.first), range.format(range.last)];
+}
+
+/**
+ * Pools of the msisdn settings of a numbering plan
+ * Without `pools` the settings form a single pool. Pools otherwise take their
+ * prefix, digits and mode from the settings unless they give their own, and
+ * their prefix has to extend the phone number prefix. Pools may not overlap.
+ */
+function buildPools(config) {
+  const { pools, golden, quarantine, reservationTtl, ...defaults } = config;
+  const prefix = defaults.prefix || '';
+
+  const built = (pools || [{ ...defaults, name: DEFAULT_POOL }]).map(pool => {
+    if (!pool.name) {
+      throw new Error('Phone number pools need a name');
+    }
+
+    const range = new NumberRange({
+      prefix,
+      digits: defaults.digits,
+      mode: defaults.mode,
+      ...pool,
+      name: `msisdn pool ${pool.name}`
+    });
+    if (!range.prefix.startsWith(prefix)) {
+      throw new Error(`Prefix ${range.prefix} of phone number pool ${pool.name} does not start with ${prefix}`);
+    }
+
+    // The default pool continues the sequence of the single MSISDN range it replaces
+    return { name: pool.name, range, cursorKey: pool.name === DEFAULT_POOL ? 'msisdn' : `msisdn:${pool.name}` };
+  });
+
+  built.forEach((pool, i) => built.slice(i + 1).forEach(other => {
+    const [first, last] = bounds(pool.range);
+    const [otherFirst, otherLast] = bounds(other.range);
+    if (first.length === otherFirst.length && first <= otherLast && otherFirst <= last) {
+      throw new Error(`Phone number pools ${pool.name} and ${other.name} overlap`);
+    }
+  }));
+  return built;
+}
+
+// A vanity pattern as a regular expression on subscriber numbers
+function patternToRegExp(pattern) {
+  const source = String(pattern).toUpperCase().split('').map(char => {
+    if (/\d/.test(char)) return char;
+    if (char === '?') return '\\d';
+    if (KEYPAD[char]) return String(KEYPAD[char]);
+    throw new NumberInventoryError('invalid-pattern', `"${pattern}" may only hold digits, letters and ?`);
+  }).join('');
+  return new RegExp(source);
+}
+
+/**
+ * NumberInventory - The phone numbers of a numbering plan and their state
+ * A number in a pool is assigned while a profile or phone number mapping
+ * uses it, reserved while a reservation holds it, quarantined for a while
+ * after it was released and available otherwise. Numbers in the reserved
+ * ranges of a pool are blocked for good. Golden numbers are left out of
+ * regular allocation and only handed out when asked for by number.
+ */
+class NumberInventory {
+  constructor(storage, config = {}) {
+    this.pools = buildPools(config);
+    this.golden = (config.golden || GOLDEN_PATTERNS).map(pattern => new RegExp(pattern));
+    this.options = {
+      quarantine: config.quarantine !== undefined ? config.quarantine : DEFAULT_QUARANTINE,
+      reservationTtl: config.reservationTtl || DEFAULT_RESERVATION_TTL
+    };
+
+    this.holds = storage.collection('number_holds');
+    this.state = storage.collection('numbering');
+    this.profiles = storage.collection('esims');
+    this.phoneNumbers = storage.collection('phone_numbers');
+  }
+
+  pool(name) {
+    const pool = this.pools.find(candidate => candidate.name === name);
+    if (!pool) {
+      throw new NumberInventoryError('unknown-pool', `No phone number pool ${name}`);
+    }
+    return pool;
+  }
+
+  // The pool a number belongs to, or null for numbers outside every pool
+  poolOf(msisdn) {
+    return this.pools.find(pool => pool.range.positionOf(String(msisdn)) !== null) || null;
+  }
+
+  isGolden(msisdn, pool = this.poolOf(msisdn)) {
+    if (!pool) return false;
+    const subscriber = String(msisdn).substring(pool.range.prefix.length);
+    return this.golden.some(pattern => pattern.test(subscriber));
+  }
+
+  isAssigned(msisdn) {
+    return this.phoneNumbers.has(msisdn) || !!this.profiles.findOne('msisdn', msisdn);
+  }
+
+  // The reservation or quarantine holding a number, null once it has run out
+  holdOf(msisdn) {
+    const hold = this.holds.get(msisdn);
+    return hold && Date.parse(hold.until) > Date.now() ? hold : null;
+  }
+
+  /**
+   * State of a number
+   * @returns {Object} msisdn, pool, status (assigned, reserved, quarantined,
+   * blocked, available or unmanaged for numbers outside every pool), golden
+   * and, while held, until
+   */
+  status(msisdn) {
+    const pool = this.poolOf(msisdn);
+    const hold = this.holdOf(msisdn);
+    let status = 'available';
+
+    if (!pool) {
+      status = 'unmanaged';
+    } else if (this.isAssigned(msisdn)) {
+      status = 'assigned';
+    } else if (pool.range.isReserved(pool.range.positionOf(String(msisdn)))) {
+      status = 'blocked';
+    } else if (hold) {
+      status = hold.status;
+    }
+
+    return {
+      msisdn,
+      pool: pool ? pool.name : null,
+      status,
+      golden: this.isGolden(msisdn, pool),
+      until: hold && status === hold.status ? hold.until : null
+    };
+  }
+
+  /**
+   * Check that a number can be handed out
+   * @param {string} msisdn - The number
+   * @param {string} reservationId - Lets the holder of a reservation through
+   * @returns {string} Name of the pool of the number
+   * @throws {NumberInventoryError} reason not-in-pool, blocked, assigned,
+   * reserved or quarantined
+   */
+  check(msisdn, reservationId) {
+    const { status, pool } = this.status(msisdn);
+
+    if (status === 'unmanaged') {
+      throw new NumberInventoryError('not-in-pool', `${msisdn} is not in any phone number pool`);
+    }
+    if (status === 'reserved' && reservationId && this.holdOf(msisdn).reservationId === reservationId) {
+      return pool;
+    }
+    if (status !== 'available') {
+      throw new NumberInventoryError(status, `${msisdn} is ${status}`);
+    }
+    return pool;
+  }
+
+  /**
+   * Hand out a number for a new subscriber
+   * @param {Object} options - msisdn to take a particular number, such as a
+   * vanity or golden one, with the reservationId when it is reserved; pool
+   * to take the next number from, by default the pools in order
+   * @returns {string} The number
+   */
+  allocate(options = {}) {
+    if (options.msisdn) {
+      this.check(options.msisdn, options.reservationId);
+      this.holds.delete(options.msisdn);
+      return options.msisdn;
+    }
+
+    const pools = options.pool ? [this.pool(options.pool)] : this.pools;
+    for (const pool of pools) {
+      const number = this.allocateFrom(pool);
+      if (number) {
+        this.holds.delete(number);
+        return number;
+      }
+    }
+    throw new NumberInventoryError('exhausted', `No phone numbers left in ${options.pool ? `pool ${options.pool}` : 'any pool'}`);
+  }
+
+  allocateFrom(pool) {
+    const isTaken = number => this.isGolden(number, pool) || this.isAssigned(number) || !!this.holdOf(number);
+    const state = this.state.get(pool.cursorKey);
+
+    let result;
+    try {
+      result = pool.range.allocate(isTaken, state ? state.cursor : undefined);
+    } catch (err) {
+      return null;
+    }
+
+    if (result.cursor !== undefined) {
+      this.state.put({ name: pool.cursorKey, cursor: result.cursor });
+    }
+    return result.number;
+  }
+
+  /**
+   * Hold a number for a while, e.g. until a customer completes an order
+   * @param {string|null} msisdn - The number, or null for the next free one
+   * @param {Object} options - ttl in milliseconds, holder and, without a
+   * number, the pool to take one from
+   * @returns {Object} The reservation, with the reservationId that allocate
+   * needs to hand the number out
+   */
+  reserve(msisdn, options = {}) {
+    const number = msisdn || this.allocate({ pool: options.pool });
+    const pool = msisdn ? this.check(msisdn) : this.poolOf(number).name;
+    const now = Date.now();
+
+    const reservation = {
+      msisdn: number,
+      status: 'reserved',
+      pool,
+      reservationId: crypto.randomBytes(8).toString('hex'),
+      holder: options.holder || null,
+      since: new Date(now).toISOString(),
+      until: new Date(now + (options.ttl || this.options.reservationTtl)).toISOString()
+    };
+    this.holds.put(reservation);
+    return reservation;
+  }
+
+  // Give up a reservation before it runs out
+  cancelReservation(msisdn) {
+    const hold = this.holdOf(msisdn);
+    if (!hold || hold.status !== 'reserved') return false;
+    return this.holds.delete(msisdn);
+  }
+
+  /**
+   * Keep a released number out of circulation for the quarantine period, so
+   * that calls and messages meant for its previous subscriber die out
+   * @returns {Object|null} The quarantine, null for numbers outside every pool
+   */
+  quarantine(msisdn) {
+    const pool = this.poolOf(msisdn);
+    if (!pool || !this.options.quarantine) return null;
+
+    const now = Date.now();
+    const hold = {
+      msisdn,
+      status: 'quarantined',
+      pool: pool.name,
+      since: new Date(now).toISOString(),
+      until: new Date(now + this.options.quarantine).toISOString()
+    };
+    this.holds.put(hold);
+    return hold;
+  }
+
+  // Drop reservations and quarantines that have run out
+  sweep() {
+    const expired = this.holds.all().filter(hold => Date.parse(hold.until) <= Date.now());
+    expired.forEach(hold => this.holds.delete(hold.msisdn));
+    return expired.length;
+  }
+
+  /**
+   * Find available numbers matching a vanity pattern
+   * @param {string} pattern - Digits, letters as on a phone keypad and ? for
+   * any digit, matched anywhere after the pool prefix
+   * @param {Object} options - pool; limit, 10 by default; golden, true for
+   * golden numbers only and false to leave them out
+   * @returns {Array} msisdn, pool and golden of each number
+   */
+  search(pattern, options = {}) {
+    const regexp = patternToRegExp(pattern || '');
+    const limit = options.limit || 10;
+    const results = [];
+
+    for (const pool of options.pool ? [this.pool(options.pool)] : this.pools) {
+      const { range } = pool;
+      const start = crypto.randomInt(Math.min(range.size, 2 ** 48 - 1));
+
+      for (let i = 0; i < Math.min(range.size, SCAN_LIMIT) && results.length < limit; i++) {
+        const value = range.first + ((start + i) % range.size);
+        const msisdn = range.format(value);
+        const golden = this.isGolden(msisdn, pool);
+
+        if (!regexp.test(msisdn.substring(range.prefix.length))) continue;
+        if (options.golden !== undefined && options.golden !== golden) continue;
+        if (range.isReserved(value) || this.isAssigned(msisdn) || this.holdOf(msisdn)) continue;
+
+        results.push({ msisdn, pool: pool.name, golden });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Utilisation of every pool
+   * @returns {Object} Per pool: prefix, total, blocked, assigned, reserved,
+   * quarantined, golden (available golden numbers, null for pools too large
+   * to count them), available and utilisation (assigned share of the usable numbers)
+   */
+  report() {
+    const report = {};
+    for (const pool of this.pools) {
+      report[pool.name] = {
+        prefix: pool.range.prefix,
+        mode: pool.range.mode,
+        total: pool.range.size,
+        blocked: pool.range.reservedCount(),
+        assigned: 0,
+        reserved: 0,
+        quarantined: 0,
+        golden: pool.range.size <= SCAN_LIMIT ? 0 : null
+      };
+    }
+
+    const assigned = new Set([
+      ...this.phoneNumbers.all().map(mapping => mapping.msisdn),
+      ...this.profiles.all().map(profile => profile.msisdn).filter(Boolean)
+    ]);
+    const unavailable = new Set();
+    for (const msisdn of assigned) {
+      const pool = this.poolOf(msisdn);
+      if (pool) {
+        report[pool.name].assigned++;
+        unavailable.add(msisdn);
+      }
+    }
+    for (const hold of this.holds.all()) {
+      const pool = this.poolOf(hold.msisdn);
+      if (pool && this.holdOf(hold.msisdn) && !assigned.has(hold.msisdn)) {
+        report[pool.name][hold.status]++;
+        unavailable.add(hold.msisdn);
+      }
+    }
+
+    for (const pool of this.pools) {
+      const entry = report[pool.name];
+      const { range } = pool;
+
+      if (entry.golden !== null) {
+        for (let value = range.first; value <= range.last; value++) {
+          const msisdn = range.format(value);
+          if (!range.isReserved(value) && !unavailable.has(msisdn) && this.isGolden(msisdn, pool)) {
+            entry.golden++;
+          }
+        }
+      }
+
+      const usable = entry.total - entry.blocked;
+      entry.available = usable - entry.assigned - entry.reserved - entry.quarantined - (entry.golden || 0);
+      entry.utilisation = usable > 0 ? entry.assigned / usable : 0;
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  NumberInventory,
+  NumberInventoryError,
+  GOLDEN_PATTERNS
+};
+
+// node NumberInventory.js report
+// node NumberInventory.js search <pattern> [--pool <name>] [--golden]
+// node NumberInventory.js reserve <msisdn> [--ttl <minutes>] [--holder <name>]
+// node NumberInventory.js cancel <msisdn>
+// node NumberInventory.js sweep
+// All of them take [--tenant <id>] and work on the default tenant without it
+if (require.main === module) {
+  const { CONFIG } = require('./Config');
+  const { createStorage } = require('./Storage');
+  const { TenantRegistry, DEFAULT_TENANT } = require('./Tenants');
+
+  const args = process.argv.slice(2);
+  const option = name => (args.indexOf(name) >= 0 ? args[args.indexOf(name) + 1] : undefined);
+  const tenant = TenantRegistry.fromConfig(CONFIG).get(option('--tenant') || DEFAULT_TENANT);
+  const storage = createStorage(CONFIG.STORAGE, tenant.dataDir);
+  const inventory = new NumberInventory(storage, tenant.numbering.msisdn);
+  let status = 0;
+
+  try {
+    if (args[0] === 'report') {
+      for (const [name, pool] of Object.entries(inventory.report())) {
+        const golden = pool.golden === null ? 'not counted' : pool.golden;
+        console.log(`${name} ${pool.prefix}* (${pool.mode}): ${(pool.utilisation * 100).toFixed(1)}% used, ` +
+          `${pool.assigned} assigned, ${pool.reserved} reserved, ${pool.quarantined} quarantined, ` +
+          `${pool.available} available, golden ${golden}, ${pool.blocked} blocked, ${pool.total} total`);
+      }
+    } else if (args[0] === 'search' && args[1]) {
+      const results = inventory.search(args[1], {
+        pool: option('--pool'),
+        golden: args.includes('--golden') ? true : undefined,
+        limit: 20
+      });
+      results.forEach(({ msisdn, pool, golden }) => console.log(`${msisdn} ${pool}${golden ? ' golden' : ''}`));
+    } else if (args[0] === 'reserve' && args[1]) {
+      const ttl = option('--ttl');
+      const reservation = inventory.reserve(args[1], {
+        ttl: ttl ? parseInt(ttl, 10) * 60 * 1000 : undefined,
+        holder: option('--holder')
+      });
+      console.log(`Reserved ${reservation.msisdn} until ${reservation.until}, reservation ${reservation.reservationId}`);
+    } else if (args[0] === 'cancel' && args[1]) {
+      console.log(inventory.cancelReservation(args[1]) ? `Cancelled the reservation of ${args[1]}` : `${args[1]} is not reserved`);
+    } else if (args[0] === 'sweep') {
+      console.log(`Dropped ${inventory.sweep()} expired reservations and quarantines`);
+    } else {
+      console.error('Usage: node NumberInventory.js report | search <pattern> [--pool <name>] [--golden] | ' +
+        'reserve <msisdn> [--ttl <minutes>] [--holder <name>] | cancel <msisdn> | sweep [--tenant <id>]');
+      status = 1;
+    }
+  } catch (err) {
+    console.error(err.message);
+    status = 1;
+  }
+
+  storage.close();
+  process.exit(status);
+}
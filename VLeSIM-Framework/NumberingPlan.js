@@ -0,0 +1,294 @@
+// NumberingPlan.js - ICCID and IMSI allocation from configurable ranges
+const crypto = require('crypto');
+
+// Random draws before falling back to a scan for the next free number
+const RANDOM_ATTEMPTS = 64;
+
+// crypto.randomInt only covers ranges below 2^48
+function randomBelow(n) {
+  if (n <= 2 ** 48) return crypto.randomInt(n);
+  return Number(BigInt('0x' + crypto.randomBytes(8).toString('hex')) % BigInt(n));
+}
+
+/**
+ * Luhn check digit of a digit string (ITU-T E.118 for ICCIDs)
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * NumberRange - A block of numbers sharing a prefix
+ * Numbers are the prefix followed by `digits` digits, limited to first..last.
+ * Reserved ranges are given as full numbers (without the Luhn digit) and are
+ * never handed out.
+ */
+class NumberRange {
+  constructor(options) {
+    if (!/^\d*$/.test(options.prefix || '')) {
+      throw new Error(`Prefix of numbering range ${options.name} must be digits`);
+    }
+
+    this.name = options.name;
+    this.prefix = options.prefix || '';
+    this.digits = options.digits;
+    this.mode = options.mode || 'random';
+    this.luhn = !!options.luhn;
+    this.first = options.first !== undefined ? Number(options.first) : 0;
+    this.last = options.last !== undefined ? Number(options.last) : 10 ** this.digits - 1;
+
+    if (!['random', 'sequential'].includes(this.mode)) {
+      throw new Error(`Numbering range ${this.name} has unknown mode ${this.mode}`);
+    }
+    if (this.digits > 15) {
+      throw new Error(`Numbering range ${this.name} has more than 15 free digits`);
+    }
+    if (!(this.digits > 0) || this.last >= 10 ** this.digits || this.first > this.last) {
+      throw new Error(`Numbering range ${this.name} is not a valid ${this.digits} digit range`);
+    }
+
+    this.reserved = (options.reserved || []).map(([from, to = from]) => {
+      const start = this.positionOf(String(from));
+      const end = this.positionOf(String(to));
+      if (start === null || end === null || start > end) {
+        throw new Error(`Reserved range ${from}-${to} is outside numbering range ${this.name}`);
+      }
+      return [start, end];
+    });
+  }
+
+  get size() {
+    return this.last - this.first + 1;
+  }
+
+  format(value) {
+    const number = this.prefix + String(value).padStart(this.digits, '0');
+    return this.luhn ? number + luhnCheckDigit(number) : number;
+  }
+
+  // Position of a number inside the range, or null when it does not belong to it
+  positionOf(number) {
+    const body = this.luhn && number.length === this.prefix.length + this.digits + 1
+      ? number.substring(0, number.length - 1)
+      : number;
+    if (body.length !== this.prefix.length + this.digits || !body.startsWith(this.prefix)) {
+      return null;
+    }
+
+    const value = Number(body.substring(this.prefix.length));
+    return value >= this.first && value <= this.last ? value : null;
+  }
+
+  isReserved(value) {
+    return this.reserved.some(([start, end]) => value >= start && value <= end);
+  }
+
+  reservedCount() {
+    // Overlapping reserved ranges are counted once
+    const sorted = this.reserved
+      .map(([start, end]) => [Math.max(start, this.first), Math.min(end, this.last)])
+      .sort((a, b) => a[0] - b[0]);
+    let count = 0;
+    let covered = -1;
+    for (const [start, end] of sorted) {
+      const from = Math.max(start, covered + 1);
+      if (end >= from) {
+        count += end - from + 1;
+        covered = end;
+      }
+    }
+    return count;
+  }
+
+  // Scan forward from a value, wrapping around once
+  scan(from, isTaken) {
+    for (let i = 0; i < this.size; i++) {
+      const value = this.first + ((from - this.first + i) % this.size);
+      if (!this.isReserved(value) && !isTaken(this.format(value))) {
+        return value;
+      }
+    }
+    throw new Error(`Numbering range ${this.name} is exhausted`);
+  }
+
+  /**
+   * Pick a free number
+   * @param {Function} isTaken - Whether a formatted number is already in use
+   * @param {number} cursor - Where a sequential range continues from
+   * @returns {Object} number, and the cursor to persist for sequential ranges
+   */
+  allocate(isTaken, cursor = this.first) {
+    if (this.mode === 'sequential') {
+      const value = this.scan(Math.min(Math.max(cursor, this.first), this.last), isTaken);
+      return { number: this.format(value), cursor: value + 1 };
+    }
+
+    for (let attempt = 0; attempt < RANDOM_ATTEMPTS; attempt++) {
+      const value = this.first + randomBelow(this.size);
+      if (!this.isReserved(value) && !isTaken(this.format(value))) {
+        return { number: this.format(value) };
+      }
+    }
+
+    // A nearly full range: take the next free number after a random point
+    const value = this.scan(this.first + randomBelow(this.size), isTaken);
+    return { number: this.format(value) };
+  }
+}
+
+/**
+ * Build the ranges of a numbering plan configuration
+ * iccid:  { countryCode, issuerId, length, mode, first, last, reserved }
+ * imsi:   { mcc, mnc, mode, first, last, reserved }
+ * MSISDNs come from the pools of a NumberInventory.
+ */
+function buildRanges(config) {
+  const { iccid, imsi } = config;
+
+  const iccidPrefix = `89${iccid.countryCode}${iccid.issuerId}`;
+  const iccidLength = iccid.length || 19;
+  if (iccidLength < 19 || iccidLength > 20) {
+    throw new Error('ICCIDs are 19 or 20 digits long including the check digit');
+  }
+
+  if (!/^\d{3}$/.test(imsi.mcc) || !/^\d{2,3}$/.test(imsi.mnc)) {
+    throw new Error(`Invalid IMSI MCC/MNC ${imsi.mcc}/${imsi.mnc}`);
+  }
+
+  return {
+    iccid: new NumberRange({
+      ...iccid,
+      name: 'iccid',
+      prefix: iccidPrefix,
+      digits: iccidLength - 1 - iccidPrefix.length,
+      luhn: true
+    }),
+    imsi: new NumberRange({
+      ...imsi,
+      name: 'imsi',
+      prefix: imsi.mcc + imsi.mnc,
+      digits: 15 - imsi.mcc.length - imsi.mnc.length
+    })
+  };
+}
+
+/**
+ * NumberingPlan - Allocates ICCIDs and IMSIs for new profiles
+ * Candidates are checked against the storage indexes so a number is never
+ * handed out twice. Sequential ranges keep their position in the
+ * `numbering` collection.
+ */
+class NumberingPlan {
+  constructor(storage, config) {
+    this.storage = storage;
+    this.ranges = buildRanges(config);
+    this.state = storage.collection('numbering');
+    this.profiles = storage.collection('esims');
+  }
+
+  isTaken(name, number) {
+    switch (name) {
+      case 'iccid':
+        return this.profiles.has(number);
+      case 'imsi':
+        return !!this.profiles.findOne('imsi', number);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Allocate a free number
+   * @param {string} name - 'iccid' or 'imsi'
+   * @returns {string} The number
+   */
+  allocate(name) {
+    const range = this.ranges[name];
+    if (!range) {
+      throw new Error(`No numbering range ${name}`);
+    }
+
+    const state = this.state.get(name);
+    const result = range.allocate(number => this.isTaken(name, number), state ? state.cursor : undefined);
+    if (result.cursor !== undefined) {
+      this.state.put({ name, cursor: result.cursor });
+    }
+    return result.number;
+  }
+
+  /**
+   * How much of each range is used and left
+   * @returns {Object} Per range: prefix, mode, total, reserved, used and remaining
+   */
+  report() {
+    const used = { iccid: 0, imsi: 0 };
+    const count = (name, number) => {
+      const range = this.ranges[name];
+      const value = number ? range.positionOf(String(number)) : null;
+      if (value !== null && !range.isReserved(value)) used[name]++;
+    };
+
+    for (const profile of this.profiles.all()) {
+      count('iccid', profile.iccid);
+      count('imsi', profile.imsi);
+    }
+
+    const report = {};
+    for (const [name, range] of Object.entries(this.ranges)) {
+      const reserved = range.reservedCount();
+      report[name] = {
+        prefix: range.prefix,
+        mode: range.mode,
+        total: range.size,
+        reserved,
+        used: used[name],
+        remaining: range.size - reserved - used[name]
+      };
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  NumberingPlan,
+  NumberRange,
+  buildRanges,
+  luhnCheckDigit
+};
+
+// Capacity report: node NumberingPlan.js report [--tenant <id>], all tenants by default
+if (require.main === module) {
+  const { CONFIG } = require('./Config');
+  const { createStorage } = require('./Storage');
+  const { TenantRegistry } = require('./Tenants');
+
+  const args = process.argv.slice(2);
+  if (args[0] !== 'report') {
+    console.error('Usage: node NumberingPlan.js report [--tenant <id>]');
+    process.exit(1);
+  }
+
+  const tenants = TenantRegistry.fromConfig(CONFIG);
+  const tenantIndex = args.indexOf('--tenant');
+  for (const tenant of tenantIndex >= 0 ? [tenants.get(args[tenantIndex + 1])] : tenants.all()) {
+    const storage = createStorage(CONFIG.STORAGE, tenant.dataDir);
+    const report = new NumberingPlan(storage, tenant.numbering).report();
+    storage.close();
+
+    console.log(`Tenant ${tenant.id}:`);
+    for (const [name, range] of Object.entries(report)) {
+      console.log(`  ${name} ${range.prefix}* (${range.mode}): ${range.remaining} of ${range.total} left, ` +
+        `${range.used} used, ${range.reserved} reserved`);
+    }
+  }
+  process.exit(0);
+}
@@ -0,0 +1,91 @@
+// Operators.js - Accounts that may use the provisioning protocol
+const crypto = require('crypto');
+const { credentials } = require('./DigestAuthentication');
+const { OPERATIONS } = require('./Provisioning');
+
+const MIN_SECRET_LENGTH = 16;
+
+// Message bodies are the subscribers' own, so reading them is only granted by name
+const DEFAULT_OPERATIONS = OPERATIONS.filter(operation => operation !== 'message-history');
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Operators - Who may send provisioning requests
+ * An account { id, secret, tenant, operations } signs in with its secret, as
+ * the HTTP Basic password or as digest password over SIP. An account with a
+ * tenant may only manage that tenant; one without manages them all. It may
+ * carry out the protocol operations listed, by default all of them but
+ * message-history.
+ */
+class Operators {
+  constructor(accounts = []) {
+    this.accounts = new Map();
+    for (const account of accounts) {
+      if (!/^[\w.-]+$/.test(account.id || '')) {
+        throw new Error(`Operator ID "${account.id}" must be letters, digits, dots, dashes and underscores`);
+      }
+      if (typeof account.secret !== 'string' || account.secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`Secret of operator ${account.id} must be at least ${MIN_SECRET_LENGTH} characters`);
+      }
+      if (this.accounts.has(account.id)) {
+        throw new Error(`Operator ${account.id} is configured twice`);
+      }
+      const operations = account.operations || DEFAULT_OPERATIONS;
+      const unknown = operations.filter(operation => !OPERATIONS.includes(operation));
+      if (unknown.length > 0) {
+        throw new Error(`Operator ${account.id} has unknown operations ${unknown.join(', ')}`);
+      }
+      this.accounts.set(account.id, {
+        id: account.id,
+        secret: account.secret,
+        tenant: account.tenant || null,
+        operations: [...operations]
+      });
+    }
+  }
+
+  /**
+   * The accounts of CONFIG.PROVISIONING_OPERATORS, and admin for all tenants
+   * when VLESIM_PROVISIONING_SECRET is set
+   */
+  static fromConfig(config, env = process.env) {
+    const accounts = [...(config.PROVISIONING_OPERATORS || [])];
+    if (env.VLESIM_PROVISIONING_SECRET) {
+      accounts.push({ id: 'admin', secret: env.VLESIM_PROVISIONING_SECRET });
+    }
+    return new Operators(accounts);
+  }
+
+  get size() {
+    return this.accounts.size;
+  }
+
+  // The account without its secret, or null
+  find(id) {
+    const account = this.accounts.get(id);
+    return account ? { id: account.id, tenant: account.tenant, operations: account.operations } : null;
+  }
+
+  // The account a secret belongs to, for HTTP Basic
+  verify(id, secret) {
+    const account = this.accounts.get(id);
+    return account && safeEqual(account.secret, secret) ? this.find(id) : null;
+  }
+
+  // What DigestAuthenticator needs to check an operator's answer in a realm
+  credentials(id, realm) {
+    const account = this.accounts.get(id);
+    return account ? credentials(id, realm, account.secret) : null;
+  }
+}
+
+module.exports = {
+  Operators,
+  MIN_SECRET_LENGTH,
+  DEFAULT_OPERATIONS
+};
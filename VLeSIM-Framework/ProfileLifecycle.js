@@ -0,0 +1,110 @@
+// ProfileLifecycle.js - eSIM profile states, allowed transitions and usage rules
+
+// Profile states, loosely following the SM-DP+ profile states of GSMA SGP.22
+const STATES = {
+  AVAILABLE: 'available',   // created, not yet assigned to a subscriber
+  RESERVED: 'reserved',     // assigned, download not yet allowed
+  RELEASED: 'released',     // ready for download with its activation code
+  DOWNLOADED: 'downloaded', // bound profile package delivered to an eUICC
+  INSTALLED: 'installed',   // installed on the eUICC, not enabled
+  ENABLED: 'enabled',
+  DISABLED: 'disabled',
+  SUSPENDED: 'suspended',   // barred by the operator
+  DELETED: 'deleted'
+};
+
+const TRANSITIONS = {
+  available: ['reserved', 'released', 'deleted'],
+  reserved: ['available', 'released', 'deleted'],
+  released: ['available', 'reserved', 'downloaded', 'deleted'],
+  // A failed installation or cancelled session frees the profile again
+  downloaded: ['installed', 'released', 'deleted'],
+  installed: ['enabled', 'disabled', 'deleted'],
+  enabled: ['disabled', 'suspended', 'deleted'],
+  disabled: ['enabled', 'suspended', 'deleted'],
+  suspended: ['enabled', 'disabled', 'deleted'],
+  deleted: []
+};
+
+// New profiles start out available; SIMs delivered on physical cards are enabled
+const INITIAL_STATES = ['available', 'enabled'];
+
+// The states in which a profile may be used for each operation
+const USAGE = {
+  'register': ['enabled'],
+  'attach': ['enabled'],
+  'activation-code': ['released'],
+  'download': ['released']
+};
+
+class LifecycleError extends Error {
+  constructor(message, iccid, state) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.iccid = iccid;
+    this.state = state;
+  }
+}
+
+/**
+ * Current state of a profile. Profiles written before the state machine
+ * existed carry `status: 'active'` or an SM-DP+ `downloadState` instead.
+ */
+function stateOf(profile) {
+  if (profile.state) return profile.state;
+  if (profile.downloadState) return profile.downloadState;
+  return profile.status === 'active' ? STATES.ENABLED : STATES.AVAILABLE;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Build the updates that move a profile to a new state
+ * @param {Object} profile - The eSIM profile
+ * @param {string} to - The new state
+ * @param {string} actor - Who or what caused the transition
+ * @returns {Object} state and history fields for updateProfile
+ */
+function transition(profile, to, actor = 'system') {
+  const from = stateOf(profile);
+  if (!TRANSITIONS[to]) {
+    throw new LifecycleError(`Unknown profile state "${to}"`, profile.iccid, from);
+  }
+  if (!canTransition(from, to)) {
+    throw new LifecycleError(`Profile ${profile.iccid} cannot go from ${from} to ${to}`, profile.iccid, from);
+  }
+
+  return {
+    state: to,
+    history: [
+      ...(profile.history || []),
+      { state: to, timestamp: new Date().toISOString(), actor }
+    ]
+  };
+}
+
+function isUsable(profile, usage) {
+  return USAGE[usage].includes(stateOf(profile));
+}
+
+function assertUsable(profile, usage) {
+  if (!isUsable(profile, usage)) {
+    const state = stateOf(profile);
+    throw new LifecycleError(`Profile ${profile.iccid} is ${state}, ${usage} is not allowed`, profile.iccid, state);
+  }
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  INITIAL_STATES,
+  USAGE,
+  LifecycleError,
+  stateOf,
+  canTransition,
+  transition,
+  isUsable,
+  assertUsable
+};
@@ -0,0 +1,269 @@
+// ProfilePackage.js - SIMalliance Interoperable Profile (SAIP / TS.48) packages
+const asn1 = require('./Asn1');
+
+// Template OIDs of the SIMalliance eUICC Profile Package specification
+const TEMPLATES = {
+  MF: '2.23.143.1.2.1',
+  USIM: '2.23.143.1.2.4',
+  OPT_USIM: '2.23.143.1.2.5',
+  ISIM: '2.23.143.1.2.8'
+};
+
+// ProfileElement CHOICE tags (PEDefinitions, AUTOMATIC TAGS)
+const PE = {
+  HEADER: 0xA0,
+  AKA_PARAMETER: 0xA4,
+  END: 0xAA,
+  MF: 0xB0,
+  USIM: 0xB3,
+  OPT_USIM: 0xB4,
+  ISIM: 0xB5
+};
+
+const SAIP_VERSION = { major: 2, minor: 3 };
+const ALGORITHM_MILENAGE = 1;
+
+// fillFileContent alternative of the File CHOICE
+const FILL_FILE_CONTENT = 0x83;
+
+function swapNibbles(digits) {
+  const padded = digits.length % 2 ? digits + 'f' : digits;
+  let swapped = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    swapped += padded[i + 1] + padded[i];
+  }
+  return Buffer.from(swapped, 'hex');
+}
+
+function unswapNibbles(buffer) {
+  let digits = '';
+  for (const byte of buffer) {
+    digits += (byte & 0x0f).toString(16) + (byte >> 4).toString(16);
+  }
+  return digits.replace(/f+$/i, '');
+}
+
+// EF.IMSI (3GPP TS 31.102 4.2.2): length, then digit 1 with the parity nibble
+function encodeEfImsi(imsi) {
+  const parity = imsi.length % 2 ? 0x9 : 0x1;
+  const digits = imsi.substring(1);
+  const body = swapNibbles(digits);
+  return Buffer.concat([
+    Buffer.from([body.length + 1, (parseInt(imsi[0], 10) << 4) | parity]),
+    body
+  ]);
+}
+
+function decodeEfImsi(content) {
+  const length = content[0];
+  const first = (content[1] >> 4).toString(16);
+  return (first + unswapNibbles(content.slice(2, 1 + length))).replace(/f+$/i, '');
+}
+
+// EF.MSISDN record (3GPP TS 31.102 4.2.26) without alpha identifier
+function encodeEfMsisdn(msisdn) {
+  const international = msisdn.startsWith('+');
+  const digits = swapNibbles(msisdn.replace(/^\+/, ''));
+  const number = Buffer.alloc(10, 0xff);
+  digits.copy(number);
+  return Buffer.concat([
+    Buffer.from([digits.length + 1, international ? 0x91 : 0x81]),
+    number,
+    Buffer.from([0xff, 0xff])
+  ]);
+}
+
+function decodeEfMsisdn(content) {
+  const length = content[0];
+  const international = content[1] === 0x91;
+  return (international ? '+' : '') + unswapNibbles(content.slice(2, 1 + length));
+}
+
+// ISIM EFs carry their value in a tag '80' TLV (3GPP TS 31.103 4.2)
+function encodeIsimTlv(value) {
+  return asn1.tlv(0x80, Buffer.from(value, 'utf8'));
+}
+
+function decodeIsimTlv(content) {
+  return asn1.decodeOne(content).value.toString('utf8');
+}
+
+function peHeader(identification, mandated = true) {
+  return asn1.tlv(0xA0, [
+    mandated ? asn1.encodeNull(0x80) : null,
+    asn1.encodeInteger(identification, 0x81)
+  ]);
+}
+
+// A File with no content is created with the template defaults
+function file(tag, content) {
+  return asn1.tlv(tag, content ? [asn1.encodeOctets(content, FILL_FILE_CONTENT)] : []);
+}
+
+function fileContent(peNode, tag) {
+  const fileNode = asn1.find(peNode.children, tag);
+  const contentNode = fileNode && asn1.find(fileNode.children, FILL_FILE_CONTENT);
+  return contentNode ? contentNode.value : null;
+}
+
+/**
+ * ProfilePackage - Encodes eSIM profiles as SAIP profile packages and back
+ * A package is the DER encoding of a sequence of ProfileElements: header,
+ * MF, USIM, optional USIM, ISIM, AKA parameters and end. Files not listed
+ * here are left to the template defaults.
+ */
+class ProfilePackage {
+  /**
+   * Build a profile package
+   * @param {Object} profile - The eSIM profile, with Ki/OPc in clear
+   * @param {Object} options - domain used for the ISIM identities
+   * @returns {Buffer} The DER encoded profile package
+   */
+  static create(profile, options = {}) {
+    const domain = options.domain || 'vlesim.local';
+    let identification = 1;
+
+    const header = asn1.tlv(PE.HEADER, [
+      asn1.encodeInteger(SAIP_VERSION.major, 0x80),
+      asn1.encodeInteger(SAIP_VERSION.minor, 0x81),
+      asn1.encodeUtf8(options.profileType || 'VLeSIM', 0x82),
+      asn1.encodeOctets(swapNibbles(profile.iccid), 0x83),
+      // eUICC-Mandatory-services: usim, isim, milenage
+      asn1.tlv(0xA5, [asn1.encodeNull(0x81), asn1.encodeNull(0x82), asn1.encodeNull(0x84)]),
+      asn1.tlv(0xA6, [
+        asn1.encodeOid(TEMPLATES.MF),
+        asn1.encodeOid(TEMPLATES.USIM),
+        asn1.encodeOid(TEMPLATES.OPT_USIM),
+        asn1.encodeOid(TEMPLATES.ISIM)
+      ])
+    ]);
+
+    const mf = asn1.tlv(PE.MF, [
+      peHeader(identification++),
+      asn1.encodeOid(TEMPLATES.MF, 0x81),
+      file(0xA2),
+      file(0xA3),
+      file(0xA4, swapNibbles(profile.iccid)),
+      file(0xA5),
+      file(0xA6)
+    ]);
+
+    // adf-usim [2] and ef-imsi [3], then the mandatory EFs up to ef-epsnsc [25]
+    const usimFiles = [];
+    for (let tag = 0xA4; tag <= 0xB9; tag++) {
+      usimFiles.push(file(tag));
+    }
+    const usim = asn1.tlv(PE.USIM, [
+      peHeader(identification++),
+      asn1.encodeOid(TEMPLATES.USIM, 0x81),
+      file(0xA2),
+      file(0xA3, encodeEfImsi(profile.imsi)),
+      ...usimFiles
+    ]);
+
+    const optUsim = asn1.tlv(PE.OPT_USIM, [
+      peHeader(identification++, false),
+      asn1.encodeOid(TEMPLATES.OPT_USIM, 0x81),
+      file(0xA7, profile.msisdn ? encodeEfMsisdn(profile.msisdn) : null)
+    ]);
+
+    const isim = asn1.tlv(PE.ISIM, [
+      peHeader(identification++, false),
+      asn1.encodeOid(TEMPLATES.ISIM, 0x81),
+      file(0xA2),
+      file(0xA3, encodeIsimTlv(`${profile.imsi}@${domain}`)),
+      file(0xA4, encodeIsimTlv(`sip:${profile.msisdn || profile.imsi}@${domain}`)),
+      file(0xA5, encodeIsimTlv(domain)),
+      file(0xA6),
+      file(0xA7),
+      file(0xA8)
+    ]);
+
+    const akaParameter = asn1.tlv(PE.AKA_PARAMETER, [
+      peHeader(identification++),
+      asn1.tlv(0xA1, [
+        asn1.tlv(0xA0, [
+          asn1.encodeInteger(ALGORITHM_MILENAGE, 0x80),
+          asn1.encodeOctets(Buffer.from([0x00]), 0x81),
+          asn1.encodeOctets(profile.ki, 0x82),
+          asn1.encodeOctets(profile.opc, 0x83)
+        ])
+      ])
+    ]);
+
+    const end = asn1.tlv(PE.END, [peHeader(identification++)]);
+
+    return Buffer.concat([header, mf, usim, optUsim, isim, akaParameter, end]);
+  }
+
+  /**
+   * Decode a profile package back into profile fields
+   * @param {Buffer} buffer - The DER encoded profile package
+   * @returns {Object} iccid, imsi, msisdn, ki, opc and the ISIM identities
+   */
+  static parse(buffer) {
+    const elements = asn1.decode(buffer);
+    const profile = {};
+
+    const header = asn1.find(elements, PE.HEADER);
+    if (!header) {
+      throw new Error('Profile package has no ProfileHeader');
+    }
+
+    const majorVersion = asn1.find(header.children, 0x80);
+    if (!majorVersion || asn1.decodeInteger(majorVersion.value) !== SAIP_VERSION.major) {
+      throw new Error('Unsupported profile package version');
+    }
+
+    const iccid = asn1.find(header.children, 0x83);
+    if (!iccid) {
+      throw new Error('ProfileHeader has no ICCID');
+    }
+    profile.iccid = unswapNibbles(iccid.value);
+
+    const usim = asn1.find(elements, PE.USIM);
+    const efImsi = usim && fileContent(usim, 0xA3);
+    if (!efImsi) {
+      throw new Error('Profile package has no EF.IMSI');
+    }
+    profile.imsi = decodeEfImsi(efImsi);
+
+    const optUsim = asn1.find(elements, PE.OPT_USIM);
+    const efMsisdn = optUsim && fileContent(optUsim, 0xA7);
+    if (efMsisdn) {
+      profile.msisdn = decodeEfMsisdn(efMsisdn);
+    }
+
+    const isim = asn1.find(elements, PE.ISIM);
+    if (isim) {
+      const impi = fileContent(isim, 0xA3);
+      const impu = fileContent(isim, 0xA4);
+      const domain = fileContent(isim, 0xA5);
+      if (impi) profile.impi = decodeIsimTlv(impi);
+      if (impu) profile.impu = decodeIsimTlv(impu);
+      if (domain) profile.domain = decodeIsimTlv(domain);
+    }
+
+    const akaParameter = asn1.find(elements, PE.AKA_PARAMETER);
+    const algoConfiguration = akaParameter && asn1.find(akaParameter.children, 0xA1);
+    const algoParameter = algoConfiguration && asn1.find(algoConfiguration.children, 0xA0);
+    if (!algoParameter) {
+      throw new Error('Profile package has no AKA parameters');
+    }
+
+    const algorithmId = asn1.find(algoParameter.children, 0x80);
+    if (!algorithmId || asn1.decodeInteger(algorithmId.value) !== ALGORITHM_MILENAGE) {
+      throw new Error('Only Milenage AKA parameters are supported');
+    }
+    profile.ki = asn1.find(algoParameter.children, 0x82).value.toString('hex');
+    profile.opc = asn1.find(algoParameter.children, 0x83).value.toString('hex');
+
+    if (!asn1.find(elements, PE.END)) {
+      throw new Error('Profile package is not terminated by an End element');
+    }
+
+    return profile;
+  }
+}
+
+module.exports = ProfilePackage;
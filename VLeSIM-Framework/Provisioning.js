@@ -0,0 +1,545 @@
+// Provisioning.js - Versioned JSON protocol to provision and manage eSIM subscriptions
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const lifecycle = require('./ProfileLifecycle');
+const { NumberInventoryError } = require('./NumberInventory');
+const { SIPMessage } = require('./SIPMessage');
+const { authorize, parseDigest } = require('./DigestAuthentication');
+
+const PROTOCOL_VERSION = 1;
+const CONTENT_TYPE = 'application/vnd.vlesim.provisioning+json';
+
+// SIP MESSAGE requests go to sip:provision@<tenant domain>, HTTP requests to POST /provisioning
+const SIP_USER = 'provision';
+const HTTP_PATH = '/provisioning';
+
+// Realm operators authenticate in, by HTTP Basic or SIP digest
+const REALM = 'vlesim-provisioning';
+
+const OPERATIONS = ['provision', 'suspend', 'resume', 'delete', 'query', 'reset-credentials', 'message-history'];
+
+// Error codes of the protocol and the HTTP status they are answered with
+const ERRORS = {
+  'malformed-request': 400,
+  'unsupported-version': 400,
+  'unknown-operation': 400,
+  'invalid-params': 400,
+  'unknown-pool': 400,
+  'unauthorized': 401,
+  'forbidden': 403,
+  'unknown-tenant': 404,
+  'not-found': 404,
+  'invalid-state': 409,
+  'number-unavailable': 409,
+  'numbers-exhausted': 409,
+  'internal-error': 500
+};
+
+class ProvisioningError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProvisioningError';
+    this.code = code;
+  }
+}
+
+// The protocol error for anything a request can fail with
+function toProvisioningError(err) {
+  if (err instanceof ProvisioningError) return err;
+  if (err instanceof lifecycle.LifecycleError) return new ProvisioningError('invalid-state', err.message);
+  if (err instanceof NumberInventoryError) {
+    const code = { 'unknown-pool': 'unknown-pool', 'exhausted': 'numbers-exhausted' }[err.reason];
+    return new ProvisioningError(code || 'number-unavailable', err.message);
+  }
+
+  console.error('Provisioning request failed:', err);
+  return new ProvisioningError('internal-error', 'Internal error');
+}
+
+function checkParams(params, fields) {
+  for (const [field, value] of Object.entries(params)) {
+    if (field !== 'tenant' && !fields.includes(field)) {
+      throw new ProvisioningError('invalid-params', `Unknown parameter ${field}`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw new ProvisioningError('invalid-params', `Parameter ${field} must be a non-empty string`);
+    }
+  }
+}
+
+/**
+ * ProvisioningService - Carries out provisioning protocol requests
+ * A request is { version, id, operation, params }. The answer repeats version
+ * and id and is either { status: 'ok', result } or { status: 'error',
+ * error: { code, message } } with one of the ERRORS codes.
+ *
+ * Operations:
+ *   provision - new profile and number; params tenant, pool, or msisdn and reservationId
+ *   suspend   - bar an enabled or disabled profile; params iccid or msisdn
+ *   resume    - lift the bar of a suspended profile
+ *   delete    - move a profile to deleted, quarantining its number
+ *   query     - state of a profile
+ *   reset-credentials - new SIP password for a profile
+ *   message-history - SIP messages a profile sent or received, newest first;
+ *                     params limit (1-500) and before, an ISO time to page back from
+ *
+ * provision and reset-credentials answer with sipCredentials { username,
+ * password, realm }; the password is not stored and cannot be asked for again.
+ *
+ * Requests are carried out for an operator (see Operators.js) that the
+ * transport has authenticated; without one they fail with unauthorized, and
+ * operations the operator was not granted fail with forbidden.
+ *
+ * Emits provisioned, suspended, resumed and deleted with { tenant, profile }.
+ */
+class ProvisioningService extends EventEmitter {
+  constructor(provider) {
+    super();
+    this.provider = provider;
+  }
+
+  static parse(body) {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (err) {
+      throw new ProvisioningError('malformed-request', 'Request body is not JSON');
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new ProvisioningError('malformed-request', 'Request must be a JSON object');
+    }
+    return request;
+  }
+
+  /**
+   * Carry out one request; failures are answered, not thrown
+   * @param {Object|string} request - The request or its JSON body
+   * @param {Object} context - operator, the authenticated account; tenant,
+   * when the transport already decides it; actor, who is asking as recorded
+   * in the audit log
+   * @returns {Object} The answer
+   */
+  handle(request, context = {}) {
+    let id = null;
+
+    try {
+      const parsed = typeof request === 'string' ? ProvisioningService.parse(request) : request;
+      id = parsed.id === undefined ? null : parsed.id;
+
+      const { operator } = context;
+      if (!operator) {
+        throw new ProvisioningError('unauthorized', 'Provisioning requests need operator credentials');
+      }
+
+      if (parsed.version !== PROTOCOL_VERSION) {
+        throw new ProvisioningError('unsupported-version', `Protocol version ${parsed.version} is not supported, use ${PROTOCOL_VERSION}`);
+      }
+      if (!OPERATIONS.includes(parsed.operation)) {
+        throw new ProvisioningError('unknown-operation', `Unknown operation ${parsed.operation}`);
+      }
+      if (!operator.operations.includes(parsed.operation)) {
+        throw new ProvisioningError('forbidden', `Operator ${operator.id} may not ${parsed.operation}`);
+      }
+
+      const params = parsed.params === undefined ? {} : parsed.params;
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        throw new ProvisioningError('invalid-params', 'params must be an object');
+      }
+
+      const tenant = this.tenantOf(params, context.tenant, operator);
+      const actor = context.actor || { actor: operator.id, interface: 'api' };
+      const result = parsed.operation === 'provision'
+        ? this.provision(tenant, params, actor)
+        : this.manage(parsed.operation, tenant, params, actor);
+
+      return { version: PROTOCOL_VERSION, id, status: 'ok', result };
+    } catch (err) {
+      const { code, message } = toProvisioningError(err);
+      return { version: PROTOCOL_VERSION, id, status: 'error', error: { code, message } };
+    }
+  }
+
+  // Requests sent to a tenant's SIP domain may only name that tenant, operators of a tenant only theirs
+  tenantOf(params, fixed, operator) {
+    if (params.tenant !== undefined && typeof params.tenant !== 'string') {
+      throw new ProvisioningError('invalid-params', 'Parameter tenant must be a string');
+    }
+    if (fixed && params.tenant && params.tenant !== fixed.id) {
+      throw new ProvisioningError('forbidden', `Requests sent here are for tenant ${fixed.id}`);
+    }
+
+    const id = params.tenant || operator.tenant;
+    const tenant = fixed || (id ? this.provider.tenants.all().find(candidate => candidate.id === id) : this.provider.tenants.default);
+    if (!tenant) {
+      throw new ProvisioningError('unknown-tenant', `Unknown tenant ${id}`);
+    }
+    if (operator.tenant && tenant.id !== operator.tenant) {
+      throw new ProvisioningError('forbidden', `Operator ${operator.id} may only manage tenant ${operator.tenant}`);
+    }
+    return tenant;
+  }
+
+  describe(tenant, profile) {
+    return {
+      tenant: tenant.id,
+      iccid: profile.iccid,
+      imsi: profile.imsi,
+      msisdn: profile.msisdn || null,
+      state: lifecycle.stateOf(profile),
+      lastUpdated: profile.lastUpdated || null
+    };
+  }
+
+  provision(tenant, params, actor) {
+    checkParams(params, ['pool', 'msisdn', 'reservationId']);
+    if (params.reservationId && !params.msisdn) {
+      throw new ProvisioningError('invalid-params', 'reservationId needs the msisdn it reserves');
+    }
+
+    const msisdn = params.msisdn && (this.provider.dialPlan.national(params.msisdn) || params.msisdn);
+    const { profile, activationData, sipCredentials } = this.provider.provisionNewESIM(tenant, {
+      msisdn,
+      reservationId: params.reservationId,
+      pool: params.pool,
+      actor
+    });
+    const provisioned = this.provider.partition(tenant).esimProvisioner.getProfile(profile.iccid);
+
+    this.emit('provisioned', { tenant, profile: provisioned });
+    return {
+      ...this.describe(tenant, provisioned),
+      activationCode: activationData.activationCode,
+      matchingId: activationData.matchingId,
+      expiresAt: activationData.expiresAt,
+      smDpPlusAddress: activationData.smDpPlusAddress,
+      sipServerUrl: activationData.sipServerUrl,
+      sipCredentials
+    };
+  }
+
+  findProfile(tenant, params) {
+    checkParams(params, ['iccid', 'msisdn']);
+    if (!params.iccid === !params.msisdn) {
+      throw new ProvisioningError('invalid-params', 'Give either iccid or msisdn');
+    }
+
+    const { esimProvisioner } = this.provider.partition(tenant);
+    const profile = params.iccid
+      ? esimProvisioner.getProfile(params.iccid)
+      : this.provider.getProfileByPhoneNumber(this.provider.dialPlan.national(params.msisdn) || params.msisdn, tenant);
+    if (!profile) {
+      throw new ProvisioningError('not-found', `No profile ${params.iccid || params.msisdn} in tenant ${tenant.id}`);
+    }
+    return profile;
+  }
+
+  manage(operation, tenant, params, actor) {
+    if (operation === 'message-history') {
+      return this.messageHistory(tenant, params);
+    }
+
+    const profile = this.findProfile(tenant, params);
+    const { esimProvisioner } = this.provider.partition(tenant);
+    if (operation === 'query') {
+      return this.describe(tenant, profile);
+    }
+    const { SUSPENDED, ENABLED, DELETED } = lifecycle.STATES;
+    if (operation === 'reset-credentials') {
+      if (lifecycle.stateOf(profile) === DELETED) {
+        throw new ProvisioningError('invalid-state', `Profile ${profile.iccid} is deleted`);
+      }
+      const sipCredentials = esimProvisioner.issueSipCredentials(profile.iccid, actor);
+      if (!sipCredentials) {
+        throw new ProvisioningError('invalid-state', `Profile ${profile.iccid} has no phone number`);
+      }
+      return { ...this.describe(tenant, esimProvisioner.getProfile(profile.iccid)), sipCredentials };
+    }
+
+    if (operation === 'resume' && lifecycle.stateOf(profile) !== SUSPENDED) {
+      throw new ProvisioningError('invalid-state', `Profile ${profile.iccid} is not suspended`);
+    }
+
+    const state = { suspend: SUSPENDED, resume: ENABLED, delete: DELETED }[operation];
+    const updated = esimProvisioner.transitionProfile(profile.iccid, state, actor);
+
+    this.emit({ suspend: 'suspended', resume: 'resumed', delete: 'deleted' }[operation], { tenant, profile: updated });
+    return this.describe(tenant, updated);
+  }
+
+  messageHistory(tenant, params) {
+    const { limit, before, ...lookup } = params;
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= 500)) {
+      throw new ProvisioningError('invalid-params', 'Parameter limit must be an integer from 1 to 500');
+    }
+    if (before !== undefined && (typeof before !== 'string' || Number.isNaN(Date.parse(before)))) {
+      throw new ProvisioningError('invalid-params', 'Parameter before must be an ISO time');
+    }
+
+    const profile = this.findProfile(tenant, lookup);
+    if (!profile.msisdn) {
+      throw new ProvisioningError('invalid-state', `Profile ${profile.iccid} has no phone number`);
+    }
+    const messages = this.provider.getMessageHistory(profile, tenant, {
+      limit,
+      before: before && new Date(before).toISOString()
+    });
+    return { ...this.describe(tenant, profile), messages };
+  }
+}
+
+/**
+ * ProvisioningAPI - The provisioning protocol over HTTP
+ * Answers POST /provisioning with the HTTP status of the error code, or 200.
+ * Operators sign in with HTTP Basic; requests without valid credentials, or
+ * any request when no operators are given, get 401.
+ */
+class ProvisioningAPI {
+  /**
+   * @param {ProvisioningService} service
+   * @param {Object} options - port, ip, operators (an Operators), tls, the
+   * key and cert for HTTPS, and maxBodySize, beyond which requests get 413
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.options = {
+      port: 8080,
+      ip: '0.0.0.0',
+      operators: null,
+      tls: null,
+      maxBodySize: 64 * 1024,
+      ...options
+    };
+
+    if (this.options.tls) {
+      this.server = https.createServer(this.options.tls);
+    } else {
+      console.warn('Provisioning API is running without TLS; operator secrets are sent in the clear');
+      this.server = http.createServer();
+    }
+    this.server.on('request', (req, res) => this.handleRequest(req, res));
+    this.server.on('error', (err) => {
+      console.error(`Provisioning API error: ${err}`);
+    });
+    this.server.listen(this.options.port, this.options.ip, () => {
+      console.log(`Provisioning API listening on ${this.options.ip}:${this.options.port}`);
+    });
+  }
+
+  handleRequest(req, res) {
+    if (url.parse(req.url).pathname !== HTTP_PATH) {
+      res.writeHead(404);
+      return res.end('Not Found');
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Allow': 'POST' });
+      return res.end('Method Not Allowed');
+    }
+
+    const operator = this.authenticate(req);
+    if (!operator) {
+      res.writeHead(401, { 'WWW-Authenticate': `Basic realm="${REALM}", charset="UTF-8"` });
+      return res.end('Unauthorized');
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== CONTENT_TYPE && contentType !== 'application/json') {
+      res.writeHead(415, { 'Accept': CONTENT_TYPE });
+      return res.end('Unsupported Media Type');
+    }
+
+    this.readBody(req, res, (body) => {
+      const answer = this.service.handle(body, {
+        operator,
+        actor: { actor: `${operator.id} (http:${req.socket.remoteAddress})`, interface: 'http' }
+      });
+
+      res.writeHead(answer.status === 'ok' ? 200 : ERRORS[answer.error.code], { 'Content-Type': CONTENT_TYPE });
+      res.end(JSON.stringify(answer));
+    });
+  }
+
+  // Collect the body of a request; one over maxBodySize is answered with 413 instead
+  readBody(req, res, callback) {
+    const limit = this.options.maxBodySize;
+    const refuse = () => {
+      res.writeHead(413, { 'Connection': 'close' });
+      res.end('Payload Too Large', () => req.destroy());
+    };
+    if (parseInt(req.headers['content-length'], 10) > limit) {
+      return refuse();
+    }
+
+    const chunks = [];
+    let length = 0;
+    req.on('data', chunk => {
+      length += chunk.length;
+      if (length > limit) {
+        if (!res.headersSent) refuse();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (length <= limit) callback(Buffer.concat(chunks).toString());
+    });
+  }
+
+  // The operator of the Basic credentials of a request, or null
+  authenticate(req) {
+    const match = /^\s*Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match || !this.options.operators) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return null;
+    return this.options.operators.verify(decoded.substring(0, separator), decoded.substring(separator + 1));
+  }
+
+  close() {
+    this.server.close();
+  }
+}
+
+/**
+ * A provisioning request as SIP MESSAGE, for clients without a SIP stack
+ * @param {Object} options - host of the SIP server, from, the address of the
+ * client, and id, operation and params of the request
+ * @returns {Buffer} The MESSAGE
+ */
+function createSipRequest(options) {
+  const body = JSON.stringify({
+    version: PROTOCOL_VERSION,
+    id: options.id,
+    operation: options.operation,
+    params: options.params || {}
+  });
+
+  return SIPMessage.create({
+    type: 'request',
+    method: 'MESSAGE',
+    uri: `sip:${SIP_USER}@${options.host}`,
+    headers: {
+      'via': `SIP/2.0/UDP ${options.from.split('@').pop()};branch=z9hG4bK-${crypto.randomBytes(8).toString('hex')}`,
+      'max-forwards': '70',
+      'from': `<sip:${options.from}>;tag=${crypto.randomBytes(4).toString('hex')}`,
+      'to': `<sip:${SIP_USER}@${options.host}>`,
+      'call-id': options.callId || crypto.randomUUID(),
+      'cseq': '1 MESSAGE',
+      'content-type': CONTENT_TYPE
+    },
+    body
+  });
+}
+
+/**
+ * The provisioning request again with operator credentials, after a 401
+ * Sends the same MESSAGE with the next CSeq and an Authorization header
+ * answering the challenge of the response.
+ * @param {Buffer|string} data - What came back from the server
+ * @param {Buffer} request - The request it may be the answer to
+ * @param {Object} operator - id and secret of the operator account
+ * @returns {Buffer|null} The new request, or null when data is no
+ * challenge to request, or rejects the credentials it already had
+ */
+function answerSipChallenge(data, request, operator) {
+  let response;
+  let original;
+  try {
+    response = SIPMessage.parse(data);
+    original = SIPMessage.parse(request);
+  } catch (err) {
+    return null;
+  }
+
+  if (response.type !== 'response' || response.statusCode !== 401) return null;
+  if (response.headers['call-id'] !== original.headers['call-id']) return null;
+
+  const challenge = response.values('www-authenticate').find(value => (parseDigest(value) || {}).realm === REALM);
+  if (!challenge) return null;
+  if (original.headers.authorization && parseDigest(challenge).stale !== 'true') return null;
+
+  const [number] = original.headers.cseq.split(' ');
+  return SIPMessage.create({
+    type: 'request',
+    method: 'MESSAGE',
+    uri: original.uri,
+    headers: {
+      ...original.headers,
+      'via': original.headers.via.replace(/branch=[^;,\s]+/, `branch=z9hG4bK-${crypto.randomBytes(8).toString('hex')}`),
+      'cseq': `${parseInt(number, 10) + 1} MESSAGE`,
+      'authorization': authorize(challenge, {
+        username: operator.id,
+        password: operator.secret,
+        method: 'MESSAGE',
+        uri: original.uri
+      })
+    },
+    body: original.body
+  });
+}
+
+/**
+ * Pick the answer to a provisioning request out of a SIP message
+ * The server accepts the request with 202 and answers in a MESSAGE of its
+ * own, which the client has to confirm with the returned 200 OK. A body
+ * that is not a JSON object is reported as an error answer with the code
+ * invalid-answer.
+ * @returns {Object|null} answer and ok, or null for any other message
+ */
+function readSipAnswer(data) {
+  let message;
+  try {
+    message = SIPMessage.parse(data);
+  } catch (err) {
+    return null;
+  }
+
+  if (message.type !== 'request' || message.method !== 'MESSAGE') return null;
+  if ((message.headers['content-type'] || '').split(';')[0].trim().toLowerCase() !== CONTENT_TYPE) return null;
+
+  const ok = SIPMessage.create({
+    type: 'response',
+    statusCode: 200,
+    reasonPhrase: 'OK',
+    headers: Object.fromEntries(['via', 'from', 'to', 'call-id', 'cseq']
+      .filter(name => message.headers[name])
+      .map(name => [name, message.headers[name]]))
+  });
+
+  let answer;
+  try {
+    answer = JSON.parse(message.body);
+  } catch (err) {
+    answer = null;
+  }
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    answer = {
+      version: PROTOCOL_VERSION,
+      id: null,
+      status: 'error',
+      error: { code: 'invalid-answer', message: 'Answer body is not a JSON object' }
+    };
+  }
+
+  return { answer, ok };
+}
+
+module.exports = {
+  ProvisioningService,
+  ProvisioningAPI,
+  ProvisioningError,
+  PROTOCOL_VERSION,
+  CONTENT_TYPE,
+  SIP_USER,
+  HTTP_PATH,
+  REALM,
+  OPERATIONS,
+  ERRORS,
+  createSipRequest,
+  answerSipChallenge,
+  readSipAnswer
+};
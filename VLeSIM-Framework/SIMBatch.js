@@ -0,0 +1,239 @@
+// SIMBatch.js - SIM vendor output files for batch provisioning
+const crypto = require('crypto');
+const { Milenage } = require('./AuthenticationCenter');
+
+const SEPARATOR = '*'.repeat(39);
+const KEY_COLUMNS = ['KI', 'OPC'];
+
+function toTransportKey(transportKey) {
+  const key = Buffer.isBuffer(transportKey) ? transportKey : Buffer.from(transportKey || '', 'hex');
+  if (key.length !== 16) {
+    throw new Error('Transport key must be 16 bytes (32 hex characters)');
+  }
+  return key;
+}
+
+// Key check value: first 3 bytes of the key encrypting a zero block
+function keyCheckValue(key) {
+  return Milenage.encrypt(key, Buffer.alloc(16)).slice(0, 3).toString('hex').toUpperCase();
+}
+
+function transportCrypt(key, value, decrypt) {
+  const cipher = decrypt
+    ? crypto.createDecipheriv('aes-128-ecb', key, null)
+    : crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(Buffer.from(value, 'hex')), cipher.final()]).toString('hex');
+}
+
+/**
+ * SIMBatch - Writes and reads SIM vendor "output files"
+ * The file has a header of `Name : value` lines and a `var_Out:` line naming
+ * the columns, followed by one whitespace separated line per SIM. With a
+ * transport key, Ki and OPc are AES-128 encrypted and the header carries the
+ * key check value.
+ */
+class SIMBatch {
+  /**
+   * Write an output file
+   * @param {Array} records - iccid, imsi, ki, opc and optionally msisdn
+   * @param {Object} options - batch, customer, profileType and transportKey
+   * @returns {string} The file contents
+   */
+  static format(records, options = {}) {
+    const key = options.transportKey ? toTransportKey(options.transportKey) : null;
+    const columns = ['ICCID', 'IMSI', ...KEY_COLUMNS];
+    if (records.some(record => record.msisdn)) {
+      columns.push('MSISDN');
+    }
+
+    const header = [
+      ['Customer', options.customer || 'VLeSIM'],
+      ['Quantity', records.length],
+      ['Type', options.profileType || 'USIM'],
+      ['Batch', options.batch || 'B' + Date.now()],
+      ['Transport_key', key ? 1 : 0]
+    ];
+    if (key) {
+      header.push(['Transport_key_KCV', keyCheckValue(key)]);
+    }
+
+    const lines = [
+      '*HEADER DESCRIPTION',
+      SEPARATOR,
+      ...header.map(([name, value]) => `${name.padEnd(18)}: ${value}`),
+      SEPARATOR,
+      '*OUTPUT VARIABLES',
+      SEPARATOR,
+      `var_Out: ${columns.join('/')}`
+    ];
+
+    for (const record of records) {
+      lines.push(columns.map((column) => {
+        if (column === 'MSISDN') return record.msisdn || '-';
+
+        const value = record[column.toLowerCase()];
+        return KEY_COLUMNS.includes(column)
+          ? (key ? transportCrypt(key, value, false) : value).toUpperCase()
+          : value;
+      }).join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read an output file
+   * OP is accepted instead of OPc, OPc is then derived from Ki.
+   * @param {string} text - The file contents
+   * @param {Object} options - transportKey, required for encrypted files
+   * @returns {Object} header (names lower-cased) and records
+   */
+  static parse(text, options = {}) {
+    const header = {};
+    let columns = null;
+    const records = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('*')) continue;
+
+      const varOut = line.match(/^var_Out\s*:\s*(.+)$/i);
+      if (varOut) {
+        columns = varOut[1].split(/[\s/]+/).map(column => column.toUpperCase());
+        continue;
+      }
+
+      if (!columns) {
+        const field = line.match(/^([^:]+?)\s*:\s*(.*)$/);
+        if (field) header[field[1].toLowerCase()] = field[2];
+        continue;
+      }
+
+      const values = line.split(/\s+/);
+      if (values.length !== columns.length) {
+        throw new Error(`Output file line has ${values.length} values for ${columns.length} columns: ${line}`);
+      }
+      records.push(Object.fromEntries(columns.map((column, i) => [column, values[i]])));
+    }
+
+    if (!columns) {
+      throw new Error('Output file has no var_Out line');
+    }
+    for (const required of ['ICCID', 'IMSI', 'KI']) {
+      if (!columns.includes(required)) {
+        throw new Error(`Output file has no ${required} column`);
+      }
+    }
+    if (!columns.includes('OPC') && !columns.includes('OP')) {
+      throw new Error('Output file has neither an OPC nor an OP column');
+    }
+
+    let key = null;
+    if (header.transport_key && header.transport_key !== '0') {
+      if (!options.transportKey) {
+        throw new Error('Output file is transport key encrypted, a transport key is required');
+      }
+      key = toTransportKey(options.transportKey);
+      if (header.transport_key_kcv && header.transport_key_kcv.toUpperCase() !== keyCheckValue(key)) {
+        throw new Error('Transport key does not match the key check value of the output file');
+      }
+    }
+
+    const decode = value => (key ? transportCrypt(key, value, true) : value).toLowerCase();
+
+    return {
+      header,
+      records: records.map((row) => {
+        const ki = decode(row.KI);
+        const opc = row.OPC
+          ? decode(row.OPC)
+          : Milenage.computeOpc(ki, decode(row.OP)).toString('hex');
+
+        const record = { iccid: row.ICCID.replace(/f$/i, ''), imsi: row.IMSI, ki, opc };
+        if (row.MSISDN && row.MSISDN !== '-') {
+          record.msisdn = row.MSISDN;
+        }
+        return record;
+      })
+    };
+  }
+}
+
+module.exports = SIMBatch;
+
+// node SIMBatch.js create --count <n> [--msisdn [--pool <name>]] [--transport-key <hex>] [--batch <id>] [--out <file>] [--tenant <id>]
+// node SIMBatch.js import <file> [--transport-key <hex>] [--state available|enabled] [--tenant <id>]
+if (require.main === module) {
+  const fs = require('fs');
+  const { ESIMProvisioner } = require('./Server');
+  const { CONFIG } = require('./Config');
+  const { writeFileAtomic } = require('./Storage');
+  const { TenantRegistry, DEFAULT_TENANT } = require('./Tenants');
+
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const config = {
+    count: 0,
+    msisdn: false,
+    pool: undefined,
+    transportKey: process.env.VLESIM_TRANSPORT_KEY || null,
+    batch: null,
+    out: null,
+    state: 'enabled',
+    tenant: DEFAULT_TENANT,
+    file: null
+  };
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--count' && i + 1 < args.length) {
+      config.count = parseInt(args[++i], 10);
+    } else if (args[i] === '--msisdn') {
+      config.msisdn = true;
+    } else if (args[i] === '--pool' && i + 1 < args.length) {
+      config.pool = args[++i];
+    } else if (args[i] === '--transport-key' && i + 1 < args.length) {
+      config.transportKey = args[++i];
+    } else if (args[i] === '--batch' && i + 1 < args.length) {
+      config.batch = args[++i];
+    } else if (args[i] === '--out' && i + 1 < args.length) {
+      config.out = args[++i];
+    } else if (args[i] === '--state' && i + 1 < args.length) {
+      config.state = args[++i];
+    } else if (args[i] === '--tenant' && i + 1 < args.length) {
+      config.tenant = args[++i];
+    } else if (!config.file) {
+      config.file = args[i];
+    }
+  }
+
+  try {
+    const provisioner = new ESIMProvisioner({ tenant: TenantRegistry.fromConfig(CONFIG).get(config.tenant) });
+
+    if (command === 'create' && config.count > 0) {
+      const batch = config.batch || 'B' + Date.now();
+      const records = provisioner.createBatch(config.count, { msisdn: config.msisdn, pool: config.pool });
+      const output = SIMBatch.format(records, { batch, transportKey: config.transportKey });
+      const outPath = config.out || `${batch}.out`;
+
+      writeFileAtomic(outPath, output, { mode: 0o600 });
+      console.log(`Created ${records.length} profiles, output file written to ${outPath}`);
+    } else if (command === 'import' && config.file) {
+      const { header, records } = SIMBatch.parse(fs.readFileSync(config.file, 'utf8'), {
+        transportKey: config.transportKey
+      });
+      provisioner.importBatch(records, { state: config.state });
+      console.log(`Imported ${records.length} profiles from batch ${header.batch || config.file}`);
+    } else {
+      console.error('Usage: node SIMBatch.js create --count <n> [--msisdn [--pool <name>]] [--transport-key <hex>] [--batch <id>] [--out <file>] [--tenant <id>]');
+      console.error('       node SIMBatch.js import <file> [--transport-key <hex>] [--state available|enabled] [--tenant <id>]');
+      process.exit(1);
+    }
+
+    provisioner.storage.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Batch failed:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,276 @@
+// SIPEvents.js - Subscriptions to the state of subscribers and the bodies notifying it (RFC 6665)
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  defaultExpires: 3600, // seconds, for SUBSCRIBE without Expires
+  minExpires: 60, // seconds; shorter non-zero expiries get 423 Interval Too Brief
+  maxExpires: 7200 // seconds; longer expiries are cut down to this
+};
+
+// Event packages served here and the content type of their notifications
+const PACKAGES = {
+  'presence': 'application/pidf+xml', // RFC 3856, RFC 3863
+  'dialog': 'application/dialog-info+xml', // RFC 4235
+  'reg': 'application/reginfo+xml', // RFC 3680
+  'message-summary': 'application/simple-message-summary' // RFC 3842
+};
+
+/**
+ * SubscriptionError - Reasons a SUBSCRIBE changes nothing
+ * bad-event: no Event header, or a package not served here
+ * not-acceptable: an Accept header without the content type of the package
+ * interval-too-brief: an expiry below minExpires, which `minExpires` carries
+ * does-not-exist: a refresh of a subscription that is not there (any more)
+ * out-of-order: a CSeq not above that of the last SUBSCRIBE of the subscription
+ */
+class SubscriptionError extends Error {
+  constructor(reason, message, minExpires) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.reason = reason;
+    if (minExpires !== undefined) this.minExpires = minExpires;
+  }
+}
+
+// Package and id of an Event header, e.g. dialog;id=7
+function parseEvent(value) {
+  if (!value) return null;
+  const [event, ...params] = String(value).split(';').map(part => part.trim());
+  const id = params.map(param => /^id\s*=\s*(.+)$/i.exec(param)).find(Boolean);
+  return event ? { event, id: id ? id[1] : null } : null;
+}
+
+// Whether Accept values take a content type; without Accept only the package's own is expected
+function accepts(values, contentType) {
+  if (values.length === 0) return true;
+  const [type] = contentType.split('/');
+  return values
+    .map(value => value.split(';')[0].trim().toLowerCase())
+    .some(range => range === contentType || range === `${type}/*` || range === '*/*');
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Stable identifiers for elements of the XML documents, starting with a letter as xs:ID wants
+function elementId(prefix, text) {
+  return prefix + crypto.createHash('sha256').update(String(text)).digest('hex').substring(0, 12);
+}
+
+/**
+ * Presence of a subscriber (PIDF, RFC 3863)
+ * @param {string} entity - The subscriber's address
+ * @param {Object} state - open, whether it has registered contacts; onThePhone
+ */
+function presenceDocument(entity, { open, onThePhone }) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n' +
+    `<presence xmlns="urn:ietf:params:xml:ns:pidf" entity="${escapeXml(entity)}">\r\n` +
+    `  <tuple id="${elementId('t', entity)}">\r\n` +
+    `    <status><basic>${open ? 'open' : 'closed'}</basic></status>\r\n` +
+    (open && onThePhone ? '    <note>On the phone</note>\r\n' : '') +
+    '  </tuple>\r\n' +
+    '</presence>\r\n';
+}
+
+/**
+ * Calls of a subscriber (RFC 4235), always as full state
+ * @param {string} entity - The subscriber's address
+ * @param {number} version - One more than in the last notification of the subscription
+ * @param {Array} dialogs - callId, direction (initiator or recipient), state
+ * (trying, early, confirmed or terminated) and remote, the address of the other party
+ */
+function dialogInfo(entity, version, dialogs) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n' +
+    `<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" version="${version}" state="full" entity="${escapeXml(entity)}">\r\n` +
+    dialogs.map(dialog =>
+      `  <dialog id="${elementId('d', `${dialog.callId}|${dialog.direction}`)}" call-id="${escapeXml(dialog.callId)}" direction="${dialog.direction}">\r\n` +
+      `    <state>${dialog.state}</state>\r\n` +
+      `    <remote><identity>${escapeXml(dialog.remote)}</identity></remote>\r\n` +
+      '  </dialog>\r\n').join('') +
+    '</dialog-info>\r\n';
+}
+
+/**
+ * Registrations of an address of record (RFC 3680), always as full state
+ * @param {string} aor - The address
+ * @param {number} version - As for dialogInfo
+ * @param {Array} bindings - Its bindings, as the Registrar returns them
+ */
+function regInfo(aor, version, bindings) {
+  const now = Date.now();
+  return '<?xml version="1.0" encoding="UTF-8"?>\r\n' +
+    `<reginfo xmlns="urn:ietf:params:xml:ns:reginfo" version="${version}" state="full">\r\n` +
+    `  <registration aor="${escapeXml(aor)}" id="${elementId('r', aor)}" state="${bindings.length > 0 ? 'active' : 'init'}">\r\n` +
+    bindings.map(binding =>
+      `    <contact id="${elementId('c', binding.contact)}" state="active" event="registered" expires="${Math.ceil((binding.expires - now) / 1000)}" q="${binding.q}">\r\n` +
+      `      <uri>${escapeXml(binding.contact)}</uri>\r\n` +
+      '    </contact>\r\n').join('') +
+    '  </registration>\r\n' +
+    '</reginfo>\r\n';
+}
+
+/**
+ * Messages waiting for a subscriber (RFC 3842), counted as text messages
+ * @param {string} account - The subscriber's address
+ * @param {number} waiting - Messages not yet delivered
+ */
+function messageSummary(account, waiting) {
+  return `Messages-Waiting: ${waiting > 0 ? 'yes' : 'no'}\r\n` +
+    `Message-Account: ${account}\r\n` +
+    `Text-Message: ${waiting}/0\r\n`;
+}
+
+/**
+ * Subscriptions - The subscriptions of a notifier
+ * A subscription is a dialog of its own, found by Call-ID and the tags of
+ * both sides. It lasts until it expires, is refreshed with a later expiry,
+ * or is ended early with `terminate`; on expiry `onExpire(subscription)` is
+ * called to send the final notification. `version` counts the
+ * notifications sent for the packages whose documents carry one.
+ */
+class Subscriptions {
+  /**
+   * @param {Object} options - defaultExpires, minExpires and maxExpires as in
+   * DEFAULTS; onExpire(subscription)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, onExpire: () => {}, ...options };
+    // dialog key -> subscription
+    this.subscriptions = new Map();
+  }
+
+  static key(callId, localTag, remoteTag) {
+    return `${callId}|${localTag}|${remoteTag}`;
+  }
+
+  // Seconds a subscription is to last, at most maxExpires
+  expiresOf(expires) {
+    const seconds = /^\d+$/.test(String(expires)) ? parseInt(expires, 10) : this.options.defaultExpires;
+    if (seconds > 0 && seconds < this.options.minExpires) {
+      throw new SubscriptionError('interval-too-brief', `Expiry of ${seconds}s is below ${this.options.minExpires}s`, this.options.minExpires);
+    }
+    return Math.min(seconds, this.options.maxExpires);
+  }
+
+  /**
+   * Create a subscription
+   * @param {Object} request - event, the Event header; accept, the Accept
+   * values; expires, the Expires header; callId, remoteTag and cseq of the
+   * SUBSCRIBE; subscriber and resource, the addresses watching and watched.
+   * Anything else, such as what is needed to reach the subscriber, is kept
+   * on the subscription as it is.
+   * @returns {Object} The subscription, with the tag of its new dialog
+   * @throws {SubscriptionError} When nothing was created
+   */
+  subscribe({ event: header, accept = [], expires, callId, remoteTag, cseq, ...rest }) {
+    const event = parseEvent(header);
+    if (!event || !PACKAGES[event.event]) {
+      throw new SubscriptionError('bad-event', `Event package ${header || '(none)'} is not served here`);
+    }
+    if (!accepts(accept, PACKAGES[event.event])) {
+      throw new SubscriptionError('not-acceptable', `Subscriber does not accept ${PACKAGES[event.event]}`);
+    }
+    const seconds = this.expiresOf(expires);
+
+    const localTag = crypto.randomBytes(6).toString('hex');
+    const subscription = {
+      ...rest,
+      key: Subscriptions.key(callId, localTag, remoteTag),
+      event: event.event,
+      id: event.id,
+      callId,
+      localTag,
+      remoteTag,
+      remoteCSeq: cseq,
+      localCSeq: 0,
+      version: 0,
+      state: 'active'
+    };
+    this.subscriptions.set(subscription.key, subscription);
+    this.schedule(subscription, seconds);
+    return subscription;
+  }
+
+  /**
+   * Refresh a subscription with a SUBSCRIBE within its dialog; Expires 0 ends it
+   * @param {string} key - See Subscriptions.key
+   * @param {Object} request - event, expires and cseq as for subscribe
+   * @returns {Object} The subscription
+   * @throws {SubscriptionError} When nothing was changed
+   */
+  refresh(key, { event: header, expires, cseq }) {
+    const subscription = this.subscriptions.get(key);
+    if (!subscription) {
+      throw new SubscriptionError('does-not-exist', 'No such subscription');
+    }
+    const event = parseEvent(header);
+    if (!event || event.event !== subscription.event || event.id !== subscription.id) {
+      throw new SubscriptionError('bad-event', `Event ${header || '(none)'} is not that of the subscription`);
+    }
+    if (cseq <= subscription.remoteCSeq) {
+      throw new SubscriptionError('out-of-order', `CSeq ${cseq} is not above ${subscription.remoteCSeq}`);
+    }
+
+    const seconds = this.expiresOf(expires);
+    subscription.remoteCSeq = cseq;
+    this.schedule(subscription, seconds);
+    return subscription;
+  }
+
+  schedule(subscription, seconds) {
+    clearTimeout(subscription.timer);
+    subscription.expires = Date.now() + seconds * 1000;
+    if (seconds === 0) return;
+
+    subscription.timer = setTimeout(() => {
+      this.terminate(subscription);
+      this.options.onExpire(subscription);
+    }, seconds * 1000);
+    subscription.timer.unref();
+  }
+
+  // Seconds left of a subscription
+  remaining(subscription) {
+    return Math.max(0, Math.ceil((subscription.expires - Date.now()) / 1000));
+  }
+
+  find(key) {
+    return this.subscriptions.get(key) || null;
+  }
+
+  // Active subscriptions to a resource for any of the packages
+  watching(resource, events) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => subscription.resource === resource && events.includes(subscription.event));
+  }
+
+  terminate(subscription) {
+    clearTimeout(subscription.timer);
+    subscription.state = 'terminated';
+    this.subscriptions.delete(subscription.key);
+  }
+
+  get size() {
+    return this.subscriptions.size;
+  }
+
+  close() {
+    for (const subscription of this.subscriptions.values()) {
+      clearTimeout(subscription.timer);
+    }
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = {
+  Subscriptions,
+  SubscriptionError,
+  PACKAGES,
+  parseEvent,
+  presenceDocument,
+  dialogInfo,
+  regInfo,
+  messageSummary,
+  DEFAULTS
+};
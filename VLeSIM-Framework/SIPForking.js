@@ -0,0 +1,161 @@
+// SIPForking.js - Forwarding one request to several targets (RFC 3261 16.7)
+const { EventEmitter } = require('events');
+const { SIPMessage } = require('./SIPMessage');
+
+const CHALLENGES = { 401: 'www-authenticate', 407: 'proxy-authenticate' };
+
+// RFC 3261 16.7 step 6: any 6xx, else the lowest class, with 503 passed on as 500
+function bestResponse(responses) {
+  const global = responses.find(response => response.statusCode >= 600);
+  if (global) return global;
+
+  let best = responses[0];
+  for (const response of responses) {
+    if (Math.floor(response.statusCode / 100) < Math.floor(best.statusCode / 100)) best = response;
+  }
+
+  if (best.statusCode === 503) {
+    return new SIPMessage({ ...best, headers: { ...best.headers }, statusCode: 500, reasonPhrase: 'Server Internal Error' });
+  }
+
+  // A challenge carries those of every branch that asked for credentials (RFC 3261 16.7 step 9)
+  if (CHALLENGES[best.statusCode]) {
+    const headers = { ...best.headers };
+    for (const [status, header] of Object.entries(CHALLENGES)) {
+      const challenges = responses
+        .filter(response => response.statusCode === Number(status))
+        .flatMap(response => response.values(header));
+      if (challenges.length > 0) headers[header] = challenges;
+    }
+    return new SIPMessage({ ...best, headers });
+  }
+  return best;
+}
+
+/**
+ * Fork - The client side of a proxied request
+ * Targets come in sets: the targets of a set are tried in parallel, the
+ * sets one after the other while every branch fails with less than 6xx.
+ * With `sequentialTimeout`, a set of INVITE branches still ringing after that many
+ * milliseconds is cancelled in favour of the next one. A 2xx or 6xx ends the
+ * search and cancels the branches still pending.
+ *
+ * Emits `response` with every response to pass back: provisional responses
+ * and 2xx as they arrive, and the best final response once all branches
+ * have failed. Emits `timeout` instead when no branch got any final response.
+ */
+class Fork extends EventEmitter {
+  /**
+   * @param {Array[]} targetSets - Sets of targets, the first tried first
+   * @param {Object} options - send(target), which forwards the request and
+   * returns its ClientTransaction or null; sequentialTimeout in milliseconds
+   */
+  constructor(targetSets, options = {}) {
+    super();
+    this.targetSets = targetSets.filter(set => set.length > 0);
+    this.options = { sequentialTimeout: 0, ...options };
+    this.pending = new Set();
+    this.finals = [];
+    this.answered = false;
+    this.done = false;
+    this.setTimer = null;
+  }
+
+  start() {
+    this.nextSet();
+    return this;
+  }
+
+  nextSet() {
+    clearTimeout(this.setTimer);
+    const set = this.targetSets.shift();
+    if (!set) return this.finish();
+
+    for (const target of set) {
+      const transaction = this.options.send(target);
+      if (!transaction) continue;
+
+      this.pending.add(transaction);
+      transaction.on('response', response => this.receive(transaction, response));
+      transaction.on('timeout', () => {
+        // Timer C: the branch rang for too long
+        if (transaction.state === 'proceeding') transaction.cancel();
+        this.branchDone(transaction, null);
+      });
+    }
+
+    if (this.pending.size === 0) return this.nextSet();
+
+    if (this.options.sequentialTimeout > 0 && this.targetSets.length > 0) {
+      this.setTimer = setTimeout(() => this.cancelPending(), this.options.sequentialTimeout);
+    }
+  }
+
+  receive(transaction, response) {
+    const status = response.statusCode;
+    if (status === 100) return;
+
+    if (status < 200) {
+      if (this.pending.has(transaction) && !this.answered) this.emit('response', response);
+      return;
+    }
+
+    if (status < 300) {
+      // Every 2xx goes back, retransmissions and those of other branches included
+      this.answered = true;
+      this.targetSets = [];
+      this.pending.delete(transaction);
+      this.cancelPending();
+      this.emit('response', response);
+      return;
+    }
+
+    if (!this.pending.has(transaction)) return;
+    this.branchDone(transaction, response);
+    if (status >= 600) {
+      this.targetSets = [];
+      this.cancelPending();
+    }
+  }
+
+  branchDone(transaction, response) {
+    if (!this.pending.delete(transaction)) return;
+    if (response) this.finals.push(response);
+
+    if (this.pending.size > 0) return;
+    if (this.answered || this.finals.some(final => final.statusCode >= 600)) return this.finish();
+    this.nextSet();
+  }
+
+  // CANCEL every branch without a final response; they answer 487 in turn
+  cancelPending() {
+    clearTimeout(this.setTimer);
+    for (const transaction of this.pending) {
+      transaction.cancel();
+    }
+  }
+
+  // CANCEL from upstream: nothing further is tried
+  cancel() {
+    this.targetSets = [];
+    this.cancelPending();
+  }
+
+  finish() {
+    if (this.done) return;
+    this.done = true;
+    clearTimeout(this.setTimer);
+    if (this.answered) return;
+
+    if (this.finals.length === 0) {
+      this.emit('timeout');
+    } else {
+      this.emit('response', bestResponse(this.finals));
+    }
+  }
+}
+
+module.exports = {
+  Fork,
+  bestResponse
+};
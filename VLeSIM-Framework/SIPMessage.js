@@ -0,0 +1,542 @@
+// SIPMessage.js - Parser and builder of SIP messages, URIs and addresses (RFC 3261 7, 19, 20, 25)
+
+const SIP_VERSION = 'SIP/2.0';
+
+// Compact forms of header names (RFC 3261 7.3.3 and the extensions that define them)
+const COMPACT_FORMS = {
+  a: 'accept-contact',
+  b: 'referred-by',
+  c: 'content-type',
+  d: 'request-disposition',
+  e: 'content-encoding',
+  f: 'from',
+  i: 'call-id',
+  j: 'reject-contact',
+  k: 'supported',
+  l: 'content-length',
+  m: 'contact',
+  o: 'event',
+  r: 'refer-to',
+  s: 'subject',
+  t: 'to',
+  u: 'allow-events',
+  v: 'via',
+  x: 'session-expires',
+  y: 'identity'
+};
+
+// Headers whose values contain commas of their own; repeated ones are kept as arrays
+const UNCOMBINABLE = ['www-authenticate', 'authorization', 'proxy-authenticate', 'proxy-authorization',
+  'authentication-info', 'date', 'retry-after'];
+
+// Headers a message may carry only once
+const SINGLE_VALUED = ['from', 'to', 'call-id', 'cseq', 'max-forwards', 'content-length', 'content-type', 'expires'];
+
+const REQUIRED = ['via', 'from', 'to', 'call-id', 'cseq'];
+
+// Spelling of header names whose canonical form is not simply capitalised
+const CANONICAL_NAMES = {
+  'call-id': 'Call-ID',
+  'cseq': 'CSeq',
+  'www-authenticate': 'WWW-Authenticate',
+  'mime-version': 'MIME-Version',
+  'rack': 'RAck',
+  'rseq': 'RSeq'
+};
+
+const TOKEN = /^[\w\-.!%*+`'~]+$/;
+
+class SIPParseError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SIPParseError';
+    this.reason = reason;
+  }
+}
+
+function canonicalName(name) {
+  const lower = name.toLowerCase();
+  return CANONICAL_NAMES[lower] || lower.replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+}
+
+// Index of the first `char` outside quoted strings and <...>, -1 if there is none
+function indexOutside(text, char, from = 0) {
+  let quoted = false;
+  let angle = false;
+  for (let i = from; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '\\') i++;
+      else if (c === '"') quoted = false;
+    } else if (c === char && !angle) {
+      return i;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === '<') {
+      angle = true;
+    } else if (c === '>') {
+      angle = false;
+    }
+  }
+  return -1;
+}
+
+function splitOutside(text, char) {
+  const parts = [];
+  let start = 0;
+  let end;
+  while ((end = indexOutside(text, char, start)) >= 0) {
+    parts.push(text.substring(start, end));
+    start = end + 1;
+  }
+  parts.push(text.substring(start));
+  return parts;
+}
+
+/**
+ * The values of a header that may hold a comma-separated list, such as Via or Contact
+ * @param {string|string[]} value - The header as stored in `headers`
+ * @returns {string[]}
+ */
+function splitList(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value)
+    .flatMap(line => splitOutside(String(line), ','))
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') && value.length > 1
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+}
+
+/**
+ * Parameters such as ;tag=1234;lr;q="0.5"
+ * @param {string} text - The parameters, with or without the leading semicolon
+ * @returns {Object} Values by lower-case name, null for parameters without a value
+ */
+function parseParams(text) {
+  const params = {};
+  for (const part of splitOutside(text || '', ';')) {
+    const param = part.trim();
+    if (!param) continue;
+
+    const equals = param.indexOf('=');
+    if (equals < 0) {
+      params[param.toLowerCase()] = null;
+    } else {
+      params[param.substring(0, equals).trim().toLowerCase()] = unquote(param.substring(equals + 1).trim());
+    }
+  }
+  return params;
+}
+
+function formatParams(params = {}) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      if (value === null) return `;${name}`;
+      const text = String(value);
+      return TOKEN.test(text) || /^\[[\da-f:.]+\]$/i.test(text) ? `;${name}=${text}` : `;${name}="${text.replace(/(["\\])/g, '\\$1')}"`;
+    })
+    .join('');
+}
+
+/**
+ * A SIP, SIPS or tel URI (RFC 3261 19.1, RFC 3966)
+ * @param {string} text - e.g. sip:+19351001@example.com:5060;transport=tcp
+ * @returns {Object|null} scheme, user, password, host (lower case), port,
+ * params and headers; null when the text is not a URI. Other schemes only
+ * have scheme and `opaque`.
+ */
+function parseUri(text) {
+  const match = /^\s*([a-z][a-z\d+\-.]*):(.*?)\s*$/i.exec(text || '');
+  if (!match) return null;
+
+  const scheme = match[1].toLowerCase();
+  let rest = match[2];
+
+  if (scheme === 'tel') {
+    const [number, ...params] = rest.split(';');
+    return { scheme, user: number, password: null, host: '', port: null, params: parseParams(params.join(';')), headers: {} };
+  }
+  if (scheme !== 'sip' && scheme !== 'sips') {
+    return { scheme, opaque: rest };
+  }
+
+  // The user part may hold a '?' of its own, so headers only start after the '@'
+  const headers = {};
+  const question = rest.indexOf('?', rest.lastIndexOf('@') + 1);
+  if (question >= 0) {
+    for (const pair of rest.substring(question + 1).split('&')) {
+      const [name, value = ''] = pair.split('=');
+      if (name) headers[decodeURIComponent(name)] = decodeURIComponent(value);
+    }
+    rest = rest.substring(0, question);
+  }
+
+  let user = null;
+  let password = null;
+  const at = rest.lastIndexOf('@');
+  if (at >= 0) {
+    const userinfo = rest.substring(0, at);
+    const colon = userinfo.indexOf(':');
+    user = colon >= 0 ? userinfo.substring(0, colon) : userinfo;
+    password = colon >= 0 ? userinfo.substring(colon + 1) : null;
+    rest = rest.substring(at + 1);
+  }
+
+  const semicolon = rest.indexOf(';');
+  const hostport = semicolon >= 0 ? rest.substring(0, semicolon) : rest;
+  const hostMatch = /^(\[[\da-f:.]+\]|[a-z\d\-.]+)(?::(\d{1,5}))?$/i.exec(hostport);
+  if (!hostMatch || (user !== null && user === '')) return null;
+
+  return {
+    scheme,
+    user,
+    password,
+    host: hostMatch[1].toLowerCase(),
+    port: hostMatch[2] ? parseInt(hostMatch[2], 10) : null,
+    params: semicolon >= 0 ? parseParams(rest.substring(semicolon + 1)) : {},
+    headers
+  };
+}
+
+function formatUri(uri) {
+  if (uri.opaque !== undefined) return `${uri.scheme}:${uri.opaque}`;
+  if (uri.scheme === 'tel') return `tel:${uri.user}${formatParams(uri.params)}`;
+
+  const userinfo = uri.user ? `${uri.user}${uri.password !== null && uri.password !== undefined ? `:${uri.password}` : ''}@` : '';
+  const port = uri.port ? `:${uri.port}` : '';
+  const headers = Object.entries(uri.headers || {})
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${uri.scheme || 'sip'}:${userinfo}${uri.host}${port}${formatParams(uri.params)}${headers ? `?${headers}` : ''}`;
+}
+
+/**
+ * A name-addr or addr-spec as in From, To, Contact and Route (RFC 3261 20.10)
+ * Parameters after a URI without angle brackets belong to the header, not the URI.
+ * @param {string} text - e.g. "Alice" <sip:alice@example.com>;tag=1928
+ * @returns {Object|null} displayName, uri (the string) and params; null when
+ * the text is not an address. Contact: * gives the uri '*'.
+ */
+function parseAddress(text) {
+  const value = String(text || '').trim();
+  if (value === '*') return { displayName: '', uri: '*', params: {} };
+
+  let displayName = '';
+  let uri;
+  let rest;
+
+  const open = indexOutside(value, '<');
+  const quoted = value.startsWith('"');
+  if (open >= 0 || quoted) {
+    let start = 0;
+    if (quoted) {
+      let end = 1;
+      while (end < value.length && value[end] !== '"') end += value[end] === '\\' ? 2 : 1;
+      if (end >= value.length) return null;
+      displayName = unquote(value.substring(0, end + 1));
+      start = end + 1;
+    }
+
+    const angle = value.indexOf('<', start);
+    if (angle < 0) return null;
+    if (!quoted) displayName = value.substring(0, angle).trim();
+    else if (value.substring(start, angle).trim()) return null;
+
+    const close = value.indexOf('>', angle);
+    if (close < 0) return null;
+    uri = value.substring(angle + 1, close).trim();
+    rest = value.substring(close + 1);
+  } else {
+    const semicolon = value.indexOf(';');
+    uri = semicolon >= 0 ? value.substring(0, semicolon).trim() : value;
+    rest = semicolon >= 0 ? value.substring(semicolon) : '';
+    // A URI with headers has to be in angle brackets (RFC 3261 20)
+    if (uri.includes('?')) return null;
+  }
+
+  if (!parseUri(uri) || (rest.trim() && !rest.trim().startsWith(';'))) return null;
+  return { displayName, uri, params: parseParams(rest) };
+}
+
+function formatAddress({ displayName, uri, params }) {
+  const name = displayName ? (TOKEN.test(displayName.replace(/ /g, '')) ? `${displayName} ` : `"${displayName.replace(/(["\\])/g, '\\$1')}" `) : '';
+  return `${name}<${uri}>${formatParams(params)}`;
+}
+
+/**
+ * One Via value (RFC 3261 20.42)
+ * @param {string} text - e.g. SIP/2.0/UDP 192.0.2.1:5060;branch=z9hG4bK776
+ * @returns {Object|null} protocol, transport (upper case), host, port and params
+ */
+function parseVia(text) {
+  const match = /^\s*([^\s/]+)\s*\/\s*([^\s/]+)\s*\/\s*([^\s/]+)\s+(\[[\da-f:.]+\]|[^\s:;[\]]+)(?:\s*:\s*(\d{1,5}))?\s*(;.*)?$/i.exec(text || '');
+  if (!match) return null;
+
+  return {
+    protocol: `${match[1]}/${match[2]}`.toUpperCase(),
+    transport: match[3].toUpperCase(),
+    host: match[4].toLowerCase(),
+    port: match[5] ? parseInt(match[5], 10) : null,
+    params: parseParams(match[6] || '')
+  };
+}
+
+function formatVia({ protocol = SIP_VERSION, transport, host, port, params }) {
+  return `${protocol}/${transport.toUpperCase()} ${host}${port ? `:${port}` : ''}${formatParams(params)}`;
+}
+
+/**
+ * SIPMessage - A SIP request or response
+ * `headers` holds every header under its full lower-case name. Repeated
+ * headers are joined with commas as RFC 3261 7.3.1 allows, except those whose
+ * values contain commas of their own, such as WWW-Authenticate, which become
+ * arrays. `values()` splits them again.
+ */
+class SIPMessage {
+  constructor(fields = {}) {
+    this.type = fields.type;
+    if (this.type === 'request') {
+      this.method = fields.method;
+      this.uri = fields.uri;
+      this.version = fields.version || SIP_VERSION;
+    } else {
+      this.version = fields.version || SIP_VERSION;
+      this.statusCode = fields.statusCode;
+      this.reasonPhrase = fields.reasonPhrase;
+    }
+    this.headers = fields.headers || {};
+    this.body = fields.body || '';
+  }
+
+  /**
+   * Parse one message
+   * @param {Buffer|string} data - The message; bytes after the body that
+   * Content-Length declares are ignored
+   * @returns {SIPMessage}
+   * @throws {SIPParseError} When the message cannot be understood well enough to answer it
+   */
+  static parse(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    const text = buffer.toString('latin1');
+
+    // Empty lines before the start line are keep-alives (RFC 3261 7.5)
+    const start = text.search(/[^\r\n]/);
+    if (start < 0) throw new SIPParseError('empty', 'Empty message');
+
+    const crlf = text.indexOf('\r\n\r\n', start);
+    const lf = text.indexOf('\n\n', start);
+    const headEnd = crlf >= 0 && (lf < 0 || crlf < lf) ? crlf : lf;
+    const bodyStart = headEnd < 0 ? text.length : headEnd + (headEnd === crlf ? 4 : 2);
+    const lines = Buffer.from(text.substring(start, headEnd < 0 ? text.length : headEnd), 'latin1')
+      .toString('utf8').split(/\r?\n/);
+
+    const message = SIPMessage.parseStartLine(lines[0]);
+
+    // A line starting with whitespace continues the header before it
+    const fields = [];
+    for (const line of lines.slice(1)) {
+      if (/^[ \t]/.test(line)) {
+        if (fields.length === 0) throw new SIPParseError('header', 'Message starts with a continuation line');
+        fields[fields.length - 1] += ` ${line.trim()}`;
+      } else {
+        fields.push(line);
+      }
+    }
+
+    for (const field of fields) {
+      const colon = field.indexOf(':');
+      const name = colon > 0 ? field.substring(0, colon).trim().toLowerCase() : '';
+      if (!TOKEN.test(name)) {
+        throw new SIPParseError('header', `Malformed header line: ${field}`);
+      }
+      message.addHeader(COMPACT_FORMS[name] || name, field.substring(colon + 1).trim());
+    }
+
+    const available = buffer.length - bodyStart;
+    let length = available;
+    if (message.headers['content-length'] !== undefined) {
+      const declared = splitList(message.headers['content-length']);
+      if (declared.length !== 1 || !/^\d+$/.test(declared[0])) {
+        throw new SIPParseError('content-length', `Invalid Content-Length ${message.headers['content-length']}`);
+      }
+      length = parseInt(declared[0], 10);
+      if (length > available) {
+        throw new SIPParseError('incomplete', `Body is ${available} bytes, Content-Length says ${length}`);
+      }
+    }
+    message.body = buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+
+    return message;
+  }
+
+  static parseStartLine(line) {
+    const response = /^(SIP\/\d+\.\d+) (\d{3}) (.*)$/i.exec(line);
+    if (response) {
+      return new SIPMessage({
+        type: 'response',
+        version: response[1].toUpperCase(),
+        statusCode: parseInt(response[2], 10),
+        reasonPhrase: response[3]
+      });
+    }
+
+    const request = /^([\w\-.!%*+`'~]+) (\S+) (SIP\/\d+\.\d+)$/i.exec(line);
+    if (!request) {
+      throw new SIPParseError('start-line', `Malformed start line: ${line}`);
+    }
+    return new SIPMessage({ type: 'request', method: request[1], uri: request[2], version: request[3].toUpperCase() });
+  }
+
+  /**
+   * Serialise a message
+   * @param {Object} options - type, method and uri of requests, statusCode and
+   * reasonPhrase of responses, headers by name and body. Header values given
+   * as arrays become one line each. Content-Length is added when missing.
+   * @returns {Buffer}
+   */
+  static create(options) {
+    let message = options.type === 'request'
+      ? `${options.method} ${options.uri} ${SIP_VERSION}\r\n`
+      : `${SIP_VERSION} ${options.statusCode} ${options.reasonPhrase}\r\n`;
+
+    const body = options.body || '';
+    const headers = { ...options.headers };
+    if (!Object.keys(headers).some(name => ['content-length', 'l'].includes(name.toLowerCase()))) {
+      headers['content-length'] = Buffer.byteLength(body).toString();
+    }
+
+    for (const [name, value] of Object.entries(headers)) {
+      if (value === undefined || value === null) continue;
+      for (const line of [].concat(value)) {
+        message += `${canonicalName(COMPACT_FORMS[name.toLowerCase()] || name)}: ${line}\r\n`;
+      }
+    }
+
+    return Buffer.from(`${message}\r\n${body}`);
+  }
+
+  /**
+   * Check the headers every message needs (RFC 3261 8.1.1, 16.3)
+   * @returns {Object|null} statusCode and reasonPhrase of the response a
+   * request like this should get, null when it is fine
+   */
+  static validate(message) {
+    if (message.version !== SIP_VERSION) {
+      return { statusCode: 505, reasonPhrase: 'Version Not Supported' };
+    }
+
+    for (const name of REQUIRED) {
+      if (!message.headers[name]) return { statusCode: 400, reasonPhrase: `Missing ${canonicalName(name)} Header` };
+    }
+    for (const name of SINGLE_VALUED) {
+      if (message.values(name).length > 1) return { statusCode: 400, reasonPhrase: `Multiple ${canonicalName(name)} Headers` };
+    }
+
+    const cseq = /^(\d{1,10})\s+(\S+)$/.exec(message.headers.cseq);
+    if (!cseq || parseInt(cseq[1], 10) >= 2 ** 31) {
+      return { statusCode: 400, reasonPhrase: 'Malformed CSeq' };
+    }
+    if (message.type === 'request' && cseq[2] !== message.method) {
+      return { statusCode: 400, reasonPhrase: 'CSeq Method Does Not Match' };
+    }
+
+    for (const name of ['from', 'to']) {
+      if (!message.address(name)) return { statusCode: 400, reasonPhrase: `Malformed ${canonicalName(name)} Header` };
+    }
+    if (message.values('via').some(via => !parseVia(via))) {
+      return { statusCode: 400, reasonPhrase: 'Malformed Via Header' };
+    }
+    if (message.headers['max-forwards'] !== undefined && !/^\d+$/.test(message.headers['max-forwards'])) {
+      return { statusCode: 400, reasonPhrase: 'Malformed Max-Forwards' };
+    }
+    if (message.type === 'request') {
+      const uri = parseUri(message.uri);
+      if (uri && uri.opaque !== undefined) return { statusCode: 416, reasonPhrase: 'Unsupported URI Scheme' };
+      if (!uri || Object.keys(uri.headers).length > 0) return { statusCode: 400, reasonPhrase: 'Malformed Request-URI' };
+    }
+    return null;
+  }
+
+  addHeader(name, value) {
+    const key = name.toLowerCase();
+    const current = this.headers[key];
+    if (current === undefined) {
+      this.headers[key] = value;
+    } else if (UNCOMBINABLE.includes(key)) {
+      this.headers[key] = [].concat(current, value);
+    } else {
+      this.headers[key] = value === '' ? current : current === '' ? value : `${current}, ${value}`;
+    }
+  }
+
+  // The header as stored, under its full or compact name
+  get(name) {
+    const key = name.toLowerCase();
+    return this.headers[COMPACT_FORMS[key] || key];
+  }
+
+  // Every value of a header, e.g. one entry per Via
+  values(name) {
+    const value = this.get(name);
+    return UNCOMBINABLE.includes(name.toLowerCase()) ? [].concat(value === undefined ? [] : value) : splitList(value);
+  }
+
+  // The first address in From, To, Contact and the like, see parseAddress
+  address(name) {
+    const [value] = this.values(name);
+    return value === undefined ? null : parseAddress(value);
+  }
+
+  toBuffer() {
+    return SIPMessage.create(this);
+  }
+}
+
+module.exports = {
+  SIPMessage,
+  SIPParseError,
+  SIP_VERSION,
+  COMPACT_FORMS,
+  parseUri,
+  formatUri,
+  parseAddress,
+  formatAddress,
+  parseParams,
+  formatParams,
+  parseVia,
+  formatVia,
+  splitList
+};
+
+// node SIPMessage.js <file>... parses messages saved to files and prints what was understood
+if (require.main === module) {
+  const fs = require('fs');
+  const files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    console.error('Usage: node SIPMessage.js <file>...');
+    process.exit(1);
+  }
+
+  for (const file of files) {
+    try {
+      const message = SIPMessage.parse(fs.readFileSync(file));
+      const problem = SIPMessage.validate(message);
+      const startLine = message.type === 'request' ? `${message.method} ${message.uri}` : `${message.statusCode} ${message.reasonPhrase}`;
+      console.log(`${file}: ${startLine} - ${problem ? `${problem.statusCode} ${problem.reasonPhrase}` : 'valid'}`);
+      for (const [name, value] of Object.entries(message.headers)) {
+        console.log(`  ${canonicalName(name)}: ${[].concat(value).join(' | ')}`);
+      }
+      if (message.body) console.log(`  (${Buffer.byteLength(message.body)} byte body)`);
+    } catch (err) {
+      console.log(`${file}: unparseable - ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
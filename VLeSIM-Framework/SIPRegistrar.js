@@ -0,0 +1,203 @@
+// SIPRegistrar.js - Bindings of addresses of record to contacts (RFC 3261 10.3)
+
+const DEFAULTS = {
+  defaultExpires: 3600, // seconds, for contacts that give no expiry
+  minExpires: 60, // seconds; shorter non-zero expiries get 423 Interval Too Brief
+  maxExpires: 7200, // seconds; longer expiries are cut down to this
+  sweepInterval: 60 * 1000 // milliseconds between removals of expired bindings
+};
+
+/**
+ * RegistrarError - Reasons a REGISTER changes nothing
+ * wildcard: Contact * together with other contacts or a non-zero Expires
+ * interval-too-brief: an expiry below minExpires, which `minExpires` carries
+ * invalid-contact: a contact that is not an address or has a bad q-value
+ * out-of-order: a CSeq not above that of the same Call-ID
+ */
+class RegistrarError extends Error {
+  constructor(reason, message, minExpires) {
+    super(message);
+    this.name = 'RegistrarError';
+    this.reason = reason;
+    if (minExpires !== undefined) this.minExpires = minExpires;
+  }
+}
+
+// q-value of a contact, 1 when it has none
+function qValue(params) {
+  if (params.q === undefined) return 1;
+  const q = /^(?:0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/.test(String(params.q)) ? parseFloat(params.q) : NaN;
+  if (Number.isNaN(q)) {
+    throw new RegistrarError('invalid-contact', `Invalid q-value ${params.q}`);
+  }
+  return q;
+}
+
+/**
+ * Registrar - The location service of a SIP server
+ * An address of record may have any number of contacts, each with its own
+ * expiry and q-value. A REGISTER either applies to all its contacts or to
+ * none. Expired bindings are no longer returned and are removed every
+ * `sweepInterval`, after which `onExpire(address)` is called for each
+ * address that lost any.
+ */
+class Registrar {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, onExpire: () => {}, ...options };
+    // address -> contact URI -> binding
+    this.bindingsByAddress = new Map();
+
+    this.sweepTimer = null;
+    if (this.options.sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.options.sweepInterval);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Seconds a contact asks to stay registered: its expires parameter, else
+   * the Expires header, else defaultExpires, at most maxExpires
+   * @param {Object} contact - A parsed Contact address
+   * @param {number} expires - The Expires header, if any
+   */
+  expiresOf(contact, expires) {
+    const value = contact.params.expires !== undefined ? contact.params.expires : expires;
+    const seconds = /^\d+$/.test(String(value)) ? parseInt(value, 10) : this.options.defaultExpires;
+    return Math.min(seconds, this.options.maxExpires);
+  }
+
+  /**
+   * Apply a REGISTER
+   * @param {string} address - The normalised address of record
+   * @param {Object} request - aor as registered; contacts, the parsed
+   * Contact addresses; expires, the Expires header; callId; cseq, its number;
+   * transportOf(uri), the transport to reach a contact over
+   * @returns {Array} The bindings of the address afterwards
+   * @throws {RegistrarError} When nothing was changed
+   */
+  register(address, { aor, contacts, expires, callId, cseq, transportOf = () => null }) {
+    const current = this.bindingsByAddress.get(address) || new Map();
+
+    const checkOrder = (binding) => {
+      if (binding.callId === callId && cseq <= binding.cseq) {
+        throw new RegistrarError('out-of-order', `CSeq ${cseq} is not above ${binding.cseq} of ${callId}`);
+      }
+    };
+
+    if (contacts.some(contact => contact.uri === '*')) {
+      if (contacts.length > 1 || String(expires) !== '0') {
+        throw new RegistrarError('wildcard', 'Contact * needs Expires: 0 and no other contacts');
+      }
+      current.forEach(checkOrder);
+      this.bindingsByAddress.delete(address);
+      return [];
+    }
+
+    const now = Date.now();
+    const updates = contacts.map((contact) => {
+      const seconds = this.expiresOf(contact, expires);
+      if (seconds > 0 && seconds < this.options.minExpires) {
+        throw new RegistrarError('interval-too-brief', `Expiry of ${seconds}s is below ${this.options.minExpires}s`, this.options.minExpires);
+      }
+      const binding = current.get(contact.uri);
+      if (binding && binding.expires > now) checkOrder(binding);
+      return { contact: contact.uri, seconds, q: qValue(contact.params) };
+    });
+
+    for (const { contact, seconds, q } of updates) {
+      if (seconds === 0) {
+        current.delete(contact);
+      } else {
+        current.set(contact, {
+          aor,
+          contact,
+          q,
+          expires: now + seconds * 1000,
+          callId,
+          cseq,
+          transport: transportOf(contact)
+        });
+      }
+    }
+
+    if (current.size > 0) {
+      this.bindingsByAddress.set(address, current);
+    } else {
+      this.bindingsByAddress.delete(address);
+    }
+    return this.bindings(address);
+  }
+
+  // Unexpired bindings of an address, highest q-value first
+  bindings(address) {
+    const now = Date.now();
+    const current = this.bindingsByAddress.get(address);
+    if (!current) return [];
+    return Array.from(current.values())
+      .filter(binding => binding.expires > now)
+      .sort((a, b) => b.q - a.q);
+  }
+
+  /**
+   * The contacts to try for an address: sets of equal q-value, highest first,
+   * each to be rung in parallel and the sets one after the other (RFC 3261 16.6)
+   * @returns {Array[]} Sets of bindings
+   */
+  targetSets(address) {
+    const sets = [];
+    for (const binding of this.bindings(address)) {
+      const last = sets[sets.length - 1];
+      if (last && last[0].q === binding.q) {
+        last.push(binding);
+      } else {
+        sets.push([binding]);
+      }
+    }
+    return sets;
+  }
+
+  // The unexpired binding of a contact URI, whichever address it belongs to
+  findByContact(contact) {
+    const now = Date.now();
+    for (const current of this.bindingsByAddress.values()) {
+      const binding = current.get(contact);
+      if (binding && binding.expires > now) return binding;
+    }
+    return null;
+  }
+
+  // Remove expired bindings; returns how many there were
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    const changed = [];
+    for (const [address, current] of this.bindingsByAddress) {
+      const before = current.size;
+      for (const [contact, binding] of current) {
+        if (binding.expires <= now) current.delete(contact);
+      }
+      if (current.size === before) continue;
+
+      removed += before - current.size;
+      changed.push(address);
+      if (current.size === 0) this.bindingsByAddress.delete(address);
+    }
+    changed.forEach(address => this.options.onExpire(address));
+    return removed;
+  }
+
+  get size() {
+    return this.bindingsByAddress.size;
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = {
+  Registrar,
+  RegistrarError,
+  DEFAULTS
+};
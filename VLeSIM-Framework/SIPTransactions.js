@@ -0,0 +1,424 @@
+// SIPTransactions.js - Client and server transactions of RFC 3261 17 with the updates of RFC 6026
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { SIPMessage, parseVia } = require('./SIPMessage');
+
+// T1 is the round-trip estimate, T2 the longest retransmit interval of
+// non-INVITE requests and INVITE responses, T4 how long the network holds a message,
+// C how long a proxy lets an INVITE ring
+const TIMERS = { t1: 500, t2: 4000, t4: 5000, c: 3 * 60 * 1000 + 1000 };
+
+// Branches starting with this come from RFC 3261 implementations and identify the transaction
+const MAGIC_COOKIE = 'z9hG4bK';
+
+function newBranch() {
+  return `${MAGIC_COOKIE}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function isReliable(transport) {
+  return transport.protocol !== 'udp';
+}
+
+function cseqOf(message) {
+  const [number, method] = String(message.headers.cseq || '').trim().split(/\s+/);
+  return { number, method };
+}
+
+class Transaction extends EventEmitter {
+  constructor(layer, key, request, transport) {
+    super();
+    this.layer = layer;
+    this.key = key;
+    this.request = request;
+    this.transport = transport;
+    this.reliable = isReliable(transport);
+    this.timers = {};
+    this.state = null;
+  }
+
+  get isInvite() {
+    return this.request.method === 'INVITE';
+  }
+
+  // Durations of the timers, scaled by the layer's T1, T2 and T4
+  get t() {
+    return this.layer.timers;
+  }
+
+  send(data) {
+    this.layer.options.send(data, this.transport);
+  }
+
+  startTimer(name, duration, callback) {
+    this.stopTimer(name);
+    this.timers[name] = setTimeout(() => {
+      delete this.timers[name];
+      callback();
+    }, duration);
+  }
+
+  stopTimer(name) {
+    clearTimeout(this.timers[name]);
+    delete this.timers[name];
+  }
+
+  // Timers whose duration is zero over reliable transports end the state at once
+  after(name, duration, callback) {
+    if (duration > 0) this.startTimer(name, duration, callback);
+    else callback();
+  }
+
+  // Timer A, E and G: retransmit with doubling intervals, capped at `cap` if given
+  retransmit(name, data, interval, cap) {
+    if (this.reliable) return;
+    this.startTimer(name, interval, () => {
+      this.send(data);
+      this.retransmit(name, data, cap ? Math.min(interval * 2, cap) : interval * 2, cap);
+    });
+  }
+
+  terminate() {
+    if (this.state === 'terminated') return;
+    for (const name of Object.keys(this.timers)) this.stopTimer(name);
+    this.state = 'terminated';
+    this.layer.remove(this);
+    this.emit('terminated');
+  }
+}
+
+/**
+ * ServerTransaction - Answers one request, absorbing its retransmissions
+ * INVITE: proceeding, then completed after a 300-699 until the ACK arrives
+ * (Timer G retransmits the response, Timer H gives up), confirmed (Timer I),
+ * or accepted after a 2xx (Timer L). Others: trying, proceeding, completed
+ * (Timer J). Emits `timeout` when an INVITE error response was never acknowledged.
+ *
+ * A transaction that is never given a final response is dropped once its
+ * client has given up: 64*T1 after the request, or for INVITE 64*T1 after
+ * Timer C would have cancelled it, counted from the last provisional response.
+ */
+class ServerTransaction extends Transaction {
+  constructor(layer, key, request, transport) {
+    super(layer, key, request, transport);
+    this.state = this.isInvite ? 'proceeding' : 'trying';
+    this.lastResponse = null;
+    this.startAbandonTimer();
+  }
+
+  startAbandonTimer() {
+    const duration = (this.isInvite ? this.t.c : 0) + 64 * this.t.t1;
+    this.startTimer('abandon', duration, () => this.terminate());
+  }
+
+  // A retransmission of the request, or the ACK of an INVITE. Returns whether it was absorbed.
+  receive(request) {
+    if (request.method === 'ACK') {
+      if (this.state === 'completed') {
+        this.stopTimer('G');
+        this.stopTimer('H');
+        this.state = 'confirmed';
+        this.after('I', this.reliable ? 0 : this.t.t4, () => this.terminate());
+      }
+      return this.state === 'confirmed' || this.state === 'terminated';
+    }
+
+    if (this.lastResponse && ['proceeding', 'completed'].includes(this.state)) {
+      this.send(this.lastResponse);
+    }
+    return true;
+  }
+
+  respond(statusCode, data) {
+    if (this.state === 'accepted' && statusCode >= 200 && statusCode < 300) {
+      // Retransmissions of a 2xx are up to whoever sent it (RFC 6026)
+      this.send(data);
+      return;
+    }
+    if (!['trying', 'proceeding'].includes(this.state)) return;
+
+    this.lastResponse = data;
+    this.send(data);
+
+    if (statusCode < 200) {
+      this.state = 'proceeding';
+      if (this.isInvite) this.startAbandonTimer();
+      return;
+    }
+
+    this.stopTimer('abandon');
+    if (this.isInvite && statusCode < 300) {
+      this.state = 'accepted';
+      this.startTimer('L', 64 * this.t.t1, () => this.terminate());
+    } else if (this.isInvite) {
+      this.state = 'completed';
+      this.retransmit('G', data, this.t.t1, this.t.t2);
+      this.startTimer('H', 64 * this.t.t1, () => {
+        this.emit('timeout');
+        this.terminate();
+      });
+    } else {
+      this.state = 'completed';
+      this.after('J', this.reliable ? 0 : 64 * this.t.t1, () => this.terminate());
+    }
+  }
+}
+
+/**
+ * ClientTransaction - Sends one request until it is answered
+ * INVITE: calling (Timer A retransmits, Timer B gives up), proceeding after a
+ * provisional response, accepted after a 2xx (Timer M), or completed after a
+ * 300-699, which is acknowledged here (Timer D). Others: trying (Timer E
+ * retransmits, Timer F gives up), proceeding, completed (Timer K).
+ * Emits `response` for each response that is not a retransmission, except
+ * for 2xx to INVITE which are all passed on, and `timeout` when Timer B, F
+ * or, for proxies, Timer C fires.
+ */
+class ClientTransaction extends Transaction {
+  constructor(layer, key, request, transport, options = {}) {
+    super(layer, key, request, transport);
+    this.state = this.isInvite ? 'calling' : 'trying';
+    this.data = request.toBuffer();
+    this.timerC = options.timerC || 0;
+    this.cancelRequested = false;
+    this.cancelled = false;
+  }
+
+  start() {
+    this.send(this.data);
+
+    if (this.isInvite) {
+      this.retransmit('A', this.data, this.t.t1);
+      this.startTimer('B', 64 * this.t.t1, () => this.timeout());
+      this.startTimerC();
+    } else {
+      this.retransmit('E', this.data, this.t.t1, this.t.t2);
+      this.startTimer('F', 64 * this.t.t1, () => this.timeout());
+    }
+  }
+
+  // Timer C: how long a proxy waits for a final answer once the callee rings
+  startTimerC() {
+    if (this.timerC > 0) this.startTimer('C', this.timerC, () => this.emit('timeout'));
+  }
+
+  timeout() {
+    this.emit('timeout');
+    this.terminate();
+  }
+
+  receive(response) {
+    const status = response.statusCode;
+
+    if (this.isInvite) {
+      if (this.state === 'accepted') {
+        if (status >= 200 && status < 300) this.emit('response', response);
+        return;
+      }
+      if (this.state === 'completed') {
+        if (status >= 300) this.send(this.ack(response));
+        return;
+      }
+      if (!['calling', 'proceeding'].includes(this.state)) return;
+
+      this.stopTimer('A');
+      this.stopTimer('B');
+      if (status < 200) {
+        this.state = 'proceeding';
+        if (status > 100) this.startTimerC();
+        this.emit('response', response);
+        if (this.cancelRequested) this.cancel();
+      } else if (status < 300) {
+        this.stopTimer('C');
+        this.state = 'accepted';
+        this.startTimer('M', 64 * this.t.t1, () => this.terminate());
+        this.emit('response', response);
+      } else {
+        this.stopTimer('C');
+        this.state = 'completed';
+        this.send(this.ack(response));
+        this.after('D', this.reliable ? 0 : 64 * this.t.t1, () => this.terminate());
+        this.emit('response', response);
+      }
+      return;
+    }
+
+    if (!['trying', 'proceeding'].includes(this.state)) return;
+    if (status < 200) {
+      if (this.state === 'trying' && !this.reliable) {
+        this.retransmit('E', this.data, this.t.t2, this.t.t2);
+      }
+      this.state = 'proceeding';
+    } else {
+      this.stopTimer('E');
+      this.stopTimer('F');
+      this.state = 'completed';
+      this.after('K', this.reliable ? 0 : this.t.t4, () => this.terminate());
+    }
+    this.emit('response', response);
+  }
+
+  // The ACK of a 300-699 response belongs to the INVITE transaction (RFC 3261 17.1.1.3)
+  ack(response) {
+    const { number } = cseqOf(this.request);
+    const headers = {
+      'via': this.request.values('via')[0],
+      'max-forwards': '70',
+      'from': this.request.headers.from,
+      'to': response.headers.to,
+      'call-id': this.request.headers['call-id'],
+      'cseq': `${number} ACK`
+    };
+    if (this.request.headers.route) headers.route = this.request.headers.route;
+    return SIPMessage.create({ type: 'request', method: 'ACK', uri: this.request.uri, headers });
+  }
+
+  /**
+   * Cancel a pending INVITE (RFC 3261 9.1)
+   * Before the first provisional response the CANCEL waits for one.
+   * @returns {ClientTransaction|null} The transaction of the CANCEL, once sent
+   */
+  cancel() {
+    if (!this.isInvite) return null;
+    if (this.state === 'calling') {
+      this.cancelRequested = true;
+      return null;
+    }
+    if (this.state !== 'proceeding' || this.cancelled) return null;
+
+    this.cancelled = true;
+    const { number } = cseqOf(this.request);
+    const headers = {
+      'via': this.request.values('via')[0],
+      'max-forwards': '70',
+      'from': this.request.headers.from,
+      'to': this.request.headers.to,
+      'call-id': this.request.headers['call-id'],
+      'cseq': `${number} CANCEL`
+    };
+    if (this.request.headers.route) headers.route = this.request.headers.route;
+    return this.layer.sendRequest({ type: 'request', method: 'CANCEL', uri: this.request.uri, headers }, this.transport);
+  }
+}
+
+/**
+ * TransactionLayer - Matches requests and responses to their transactions
+ * Server transactions are found by the branch and sent-by of the top Via and
+ * the method, with ACK and CANCEL looking for the INVITE they belong to;
+ * requests of RFC 2543 clients without a magic-cookie branch by Call-ID,
+ * CSeq, From tag and Via. Client transactions are found by branch and CSeq
+ * method. `send(data, transport)` puts messages on the wire.
+ */
+class TransactionLayer {
+  constructor(options = {}) {
+    this.options = {
+      send: () => {},
+      ...options
+    };
+    this.timers = { ...TIMERS, ...options.timers };
+    this.servers = new Map();
+    this.clients = new Map();
+  }
+
+  static serverKey(request, method = request.method) {
+    const via = request.values('via')[0] || '';
+    const parsed = parseVia(via);
+    const branch = parsed && parsed.params.branch;
+    const kind = method === 'ACK' ? 'INVITE' : method;
+
+    if (branch && branch.startsWith(MAGIC_COOKIE)) {
+      return `${branch}|${parsed.host}:${parsed.port || ''}|${kind}`;
+    }
+    const from = request.address('from');
+    return `${request.headers['call-id']}|${cseqOf(request).number}|${from ? from.params.tag : ''}|${via}|${kind}`;
+  }
+
+  static clientKey(message) {
+    const parsed = parseVia(message.values('via')[0]);
+    return `${parsed ? parsed.params.branch : ''}|${cseqOf(message).method}`;
+  }
+
+  /**
+   * Take a request off the wire
+   * Retransmissions, and ACKs of INVITE error responses, are absorbed. Other
+   * requests but ACK start a server transaction and go on to the caller.
+   * @param {Object} transport - Where responses to the request go
+   * @returns {boolean} Whether the request was absorbed
+   */
+  receiveRequest(request, transport) {
+    const existing = this.servers.get(TransactionLayer.serverKey(request));
+    if (existing) return existing.receive(request);
+    if (request.method === 'ACK') return false;
+
+    const transaction = new ServerTransaction(this, TransactionLayer.serverKey(request), request, transport);
+    this.servers.set(transaction.key, transaction);
+    return false;
+  }
+
+  // The server transaction of a request, or of the INVITE a CANCEL is for
+  findServer(request, method = request.method) {
+    return this.servers.get(TransactionLayer.serverKey(request, method)) || null;
+  }
+
+  /**
+   * Send a response through the transaction of its request
+   * @returns {boolean} false when the request has no transaction, so the
+   * response has to be sent as it is
+   */
+  respond(request, statusCode, data) {
+    const transaction = this.findServer(request);
+    if (!transaction) return false;
+
+    transaction.respond(statusCode, data);
+    return true;
+  }
+
+  /**
+   * Send a request, in a client transaction unless it is an ACK
+   * @param {Object} options - The request as for SIPMessage.create; the top
+   * Via needs a branch starting with z9hG4bK
+   * @param {Object} transport - Where to send it
+   * @param {Object} settings - timerC, for INVITEs forwarded by a proxy
+   * @returns {ClientTransaction|null}
+   */
+  sendRequest(options, transport, settings = {}) {
+    const request = options instanceof SIPMessage ? options : new SIPMessage(options);
+    if (request.method === 'ACK') {
+      this.options.send(request.toBuffer(), transport);
+      return null;
+    }
+
+    const transaction = new ClientTransaction(this, TransactionLayer.clientKey(request), request, transport, settings);
+    this.clients.set(transaction.key, transaction);
+    transaction.start();
+    return transaction;
+  }
+
+  // Hand a response to its client transaction; returns false for strays
+  receiveResponse(response) {
+    const transaction = this.clients.get(TransactionLayer.clientKey(response));
+    if (!transaction) return false;
+
+    transaction.receive(response);
+    return true;
+  }
+
+  remove(transaction) {
+    const table = transaction instanceof ServerTransaction ? this.servers : this.clients;
+    if (table.get(transaction.key) === transaction) table.delete(transaction.key);
+  }
+
+  close() {
+    for (const transaction of [...this.servers.values(), ...this.clients.values()]) {
+      transaction.terminate();
+    }
+  }
+}
+
+module.exports = {
+  TransactionLayer,
+  ServerTransaction,
+  ClientTransaction,
+  TIMERS,
+  MAGIC_COOKIE,
+  newBranch
+};
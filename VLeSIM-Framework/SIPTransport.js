@@ -0,0 +1,180 @@
+// SIPTransport.js - Framing of SIP over TCP and reuse of connections (RFC 3261 18.3, RFC 5626 3.5.1)
+const net = require('net');
+const { EventEmitter } = require('events');
+
+// Larger messages close the connection; nothing legitimate comes near this
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const DEFAULT_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+const CRLF = Buffer.from('\r\n');
+const DOUBLE_CRLF = Buffer.from('\r\n\r\n');
+
+/**
+ * StreamFramer - Cuts a TCP byte stream into SIP messages
+ * A message ends Content-Length bytes after the empty line that ends its
+ * headers; without Content-Length it has no body. A double CRLF between
+ * messages is a keepalive ping, which emits `ping` for the caller to answer
+ * with a single CRLF. Emits `message` with the bytes of each message and
+ * `error` when the stream cannot be framed any more.
+ */
+class StreamFramer extends EventEmitter {
+  constructor(maxMessageSize = MAX_MESSAGE_SIZE) {
+    super();
+    this.maxMessageSize = maxMessageSize;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length > 0) {
+      if (this.buffer[0] === 0x0d || this.buffer[0] === 0x0a) {
+        if (!this.skipKeepalive()) return;
+        continue;
+      }
+
+      const headEnd = this.buffer.indexOf(DOUBLE_CRLF);
+      if (headEnd < 0) {
+        if (this.buffer.length > this.maxMessageSize) this.fail('Headers exceed the maximum message size');
+        return;
+      }
+
+      const head = this.buffer.subarray(0, headEnd).toString('latin1');
+      const match = /^(?:content-length|l)[ \t]*:[ \t]*(.*?)[ \t]*$/im.exec(head);
+      if (match && !/^\d+$/.test(match[1])) {
+        return this.fail(`Invalid Content-Length ${match[1]}`);
+      }
+
+      const length = headEnd + DOUBLE_CRLF.length + (match ? parseInt(match[1], 10) : 0);
+      if (length > this.maxMessageSize) {
+        return this.fail(`Message of ${length} bytes exceeds the maximum message size`);
+      }
+      if (this.buffer.length < length) return;
+
+      const message = this.buffer.subarray(0, length);
+      this.buffer = this.buffer.subarray(length);
+      this.emit('message', message);
+    }
+  }
+
+  // Line breaks before a message: CRLFCRLF is a ping, a lone CRLF a pong or padding.
+  // Returns false when more bytes are needed to tell which.
+  skipKeepalive() {
+    if (this.buffer.subarray(0, DOUBLE_CRLF.length).equals(DOUBLE_CRLF)) {
+      this.buffer = this.buffer.subarray(DOUBLE_CRLF.length);
+      this.emit('ping');
+      return true;
+    }
+    if (DOUBLE_CRLF.subarray(0, this.buffer.length).equals(this.buffer)) return false;
+
+    const skip = this.buffer.subarray(0, CRLF.length).equals(CRLF) ? CRLF.length : 1;
+    this.buffer = this.buffer.subarray(skip);
+    return true;
+  }
+
+  fail(reason) {
+    this.buffer = Buffer.alloc(0);
+    this.emit('error', new Error(reason));
+  }
+}
+
+/**
+ * ConnectionTable - The open TCP connections of a SIP server, by remote address
+ * Connections that clients opened are used for everything sent back to them,
+ * and new ones are only opened when there is none to the address. Each
+ * connection gets a StreamFramer; `onMessage(data, socket)` receives what it
+ * frames. Connections without traffic for `idleTimeout` are closed, so
+ * clients keeping a flow open have to send keepalives more often than that.
+ */
+class ConnectionTable {
+  constructor(options = {}) {
+    this.options = {
+      idleTimeout: DEFAULT_IDLE_TIMEOUT,
+      maxMessageSize: MAX_MESSAGE_SIZE,
+      onMessage: () => {},
+      ...options
+    };
+    this.connections = new Map();
+  }
+
+  // IPv4 clients of a dual-stack server show up as ::ffff:192.0.2.1
+  static key(address, port) {
+    const host = String(address).replace(/^::ffff:(?=\d+\.)/i, '');
+    return `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+  }
+
+  /**
+   * Start serving a connection, whichever side opened it
+   * @param {net.Socket} socket - The connection
+   * @param {string} address - Remote address, when the socket does not know it yet
+   * @param {number} port - Remote port, likewise
+   */
+  add(socket, address = socket.remoteAddress, port = socket.remotePort) {
+    const key = ConnectionTable.key(address, port);
+    const framer = new StreamFramer(this.options.maxMessageSize);
+    this.connections.set(key, socket);
+
+    framer.on('message', data => this.options.onMessage(data, socket));
+    framer.on('ping', () => {
+      if (socket.writable) socket.write(CRLF);
+    });
+    framer.on('error', (err) => {
+      console.error(`Closing SIP connection ${key}: ${err.message}`);
+      socket.destroy();
+    });
+
+    socket.setTimeout(this.options.idleTimeout);
+    socket.on('timeout', () => socket.destroy());
+    socket.on('data', data => framer.push(data));
+    socket.on('error', (err) => {
+      console.error(`SIP connection ${key} error: ${err.message}`);
+      socket.destroy();
+    });
+    socket.on('close', () => {
+      if (this.connections.get(key) === socket) this.connections.delete(key);
+    });
+
+    return socket;
+  }
+
+  // An open connection to the address, or null
+  find(address, port) {
+    const socket = this.connections.get(ConnectionTable.key(address, port));
+    return socket && !socket.destroyed && socket.writable ? socket : null;
+  }
+
+  /**
+   * Send over a connection to the transport's peer
+   * Uses the connection the transport came in on while it is open, then any
+   * other connection to the same address and port, and opens one otherwise.
+   * @param {Buffer} data - The message
+   * @param {Object} transport - socket, address and port
+   * @returns {net.Socket} The connection used
+   */
+  send(data, { socket, address, port }) {
+    let connection = socket && !socket.destroyed && socket.writable ? socket : this.find(address, port);
+    if (!connection) {
+      connection = this.add(net.connect({ host: address, port }), address, port);
+    }
+    connection.write(data);
+    return connection;
+  }
+
+  get size() {
+    return this.connections.size;
+  }
+
+  close() {
+    for (const socket of this.connections.values()) {
+      socket.destroy();
+    }
+    this.connections.clear();
+  }
+}
+
+module.exports = {
+  StreamFramer,
+  ConnectionTable,
+  MAX_MESSAGE_SIZE
+};
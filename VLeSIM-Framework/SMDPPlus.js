@@ -0,0 +1,784 @@
+// SMDPPlus.js - GSMA SGP.22 ES9+ SM-DP+ stand-in for VLeSIM eSIM profiles
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const asn1 = require('./Asn1');
+const lifecycle = require('./ProfileLifecycle');
+
+const ES9_PATH_PREFIX = '/gsma/rsp2/es9plus/';
+const ADMIN_PROTOCOL = 'gsma/rsp/v2.2.0';
+
+// Tags of the SGP.22 RSPDefinitions structures used below
+const TAG = {
+  TRANSACTION_ID: 0x80,
+  SIGNATURE: 0x5F37,
+  OTPK: 0x5F49,
+  ICCID: 0x5A,
+  AUTHENTICATE_SERVER_RESPONSE: 0xBF38,
+  PREPARE_DOWNLOAD_RESPONSE: 0xBF21,
+  CANCEL_SESSION_RESPONSE: 0xBF41,
+  PROFILE_INSTALLATION_RESULT: 0xBF37,
+  PROFILE_INSTALLATION_RESULT_DATA: 0xBF27,
+  NOTIFICATION_METADATA: 0xBF2F,
+  STORE_METADATA_REQUEST: 0xBF25,
+  BOUND_PROFILE_PACKAGE: 0xBF36,
+  INITIALISE_SECURE_CHANNEL: 0xBF23,
+  CONFIGURE_ISDP: 0xBF24
+};
+
+// SGP.22 5.2.6 subject and reason codes reported in functionExecutionStatus
+const STATUS = {
+  UNKNOWN_TRANSACTION: { subjectCode: '8.10.1', reasonCode: '3.9', message: 'Unknown transaction ID' },
+  INVALID_SERVER_ADDRESS: { subjectCode: '8.8.1', reasonCode: '3.8', message: 'Invalid SM-DP+ address' },
+  INVALID_CHALLENGE: { subjectCode: '8.1', reasonCode: '6.1', message: 'Server challenge mismatch' },
+  EUICC_SIGNATURE_INVALID: { subjectCode: '8.1', reasonCode: '6.1', message: 'eUICC signature invalid' },
+  EUICC_CERTIFICATE_INVALID: { subjectCode: '8.1.3', reasonCode: '6.1', message: 'eUICC certificate invalid' },
+  UNKNOWN_PROFILE: { subjectCode: '8.2.1', reasonCode: '3.9', message: 'Profile not delivered to this eUICC' },
+  MATCHING_ID_REFUSED: { subjectCode: '8.2.6', reasonCode: '3.8', message: 'Matching ID refused' },
+  PROFILE_NOT_AVAILABLE: { subjectCode: '8.2', reasonCode: '1.2', message: 'Profile not available for download' },
+  CONFIRMATION_CODE_MISSING: { subjectCode: '8.2.7', reasonCode: '2.2', message: 'Confirmation code missing' },
+  CONFIRMATION_CODE_REFUSED: { subjectCode: '8.2.7', reasonCode: '3.8', message: 'Confirmation code refused' },
+  CONFIRMATION_CODE_RETRIES_EXCEEDED: { subjectCode: '8.2.7', reasonCode: '6.4', message: 'Confirmation code retries exceeded' },
+  DOWNLOAD_ORDER_EXPIRED: { subjectCode: '8.8.5', reasonCode: '4.10', message: 'Activation code expired' },
+  EUICC_ERROR: { subjectCode: '8.1', reasonCode: '4.8', message: 'eUICC reported an error' },
+  INVALID_REQUEST: { subjectCode: '1.2', reasonCode: '2.1', message: 'Invalid request' },
+  UNKNOWN_FUNCTION: { subjectCode: '1.6', reasonCode: '3.9', message: 'Unknown function' }
+};
+
+// Maximum plaintext length of one '86' profile package segment (SGP.22 2.5.5)
+const SEGMENT_SIZE = 1020;
+
+class ES9Error extends Error {
+  constructor(status) {
+    super(status.message);
+    this.status = status;
+  }
+}
+
+// Changes made during a download session, as recorded in the audit log
+const ES9_ACTOR = { actor: 'smdp', interface: 'es9+' };
+
+// ES9+ status for each ActivationCodeError reason
+const ACTIVATION_CODE_STATUS = {
+  'expired': STATUS.DOWNLOAD_ORDER_EXPIRED,
+  'confirmation-missing': STATUS.CONFIRMATION_CODE_MISSING,
+  'confirmation-refused': STATUS.CONFIRMATION_CODE_REFUSED,
+  'retries-exceeded': STATUS.CONFIRMATION_CODE_RETRIES_EXCEEDED
+};
+
+function activationCodeStatus(err) {
+  if (!err.reason) throw err;
+  return ACTIVATION_CODE_STATUS[err.reason] || STATUS.MATCHING_ID_REFUSED;
+}
+
+function encodeIccid(iccid) {
+  const padded = iccid.length % 2 ? iccid + 'F' : iccid;
+  let swapped = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    swapped += padded[i + 1] + padded[i];
+  }
+  return Buffer.from(swapped, 'hex');
+}
+
+function decodeIccid(buffer) {
+  let iccid = '';
+  for (const byte of buffer) {
+    iccid += (byte & 0x0f).toString(16) + (byte >> 4).toString(16);
+  }
+  return iccid.replace(/f+$/i, '');
+}
+
+function fromBase64(value, field) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new ES9Error({ ...STATUS.INVALID_REQUEST, message: `Missing ${field}` });
+  }
+  return Buffer.from(value, 'base64');
+}
+
+function aesEcb(key, block) {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+}
+
+// AES-CMAC (NIST SP 800-38B), used by SCP03t for the segment MACs
+function aesCmac(key, data) {
+  const shift = (buffer) => {
+    const result = Buffer.alloc(16);
+    for (let i = 0; i < 16; i++) {
+      result[i] = ((buffer[i] << 1) | (i < 15 ? buffer[i + 1] >> 7 : 0)) & 0xff;
+    }
+    if (buffer[0] & 0x80) result[15] ^= 0x87;
+    return result;
+  };
+
+  const k1 = shift(aesEcb(key, Buffer.alloc(16)));
+  const k2 = shift(k1);
+  const blocks = Math.max(Math.ceil(data.length / 16), 1);
+  const complete = data.length > 0 && data.length % 16 === 0;
+
+  let last = Buffer.alloc(16);
+  data.copy(last, 0, (blocks - 1) * 16);
+  if (complete) {
+    last = Buffer.from(last.map((byte, i) => byte ^ k1[i]));
+  } else {
+    last[data.length - (blocks - 1) * 16] = 0x80;
+    last = Buffer.from(last.map((byte, i) => byte ^ k2[i]));
+  }
+
+  let x = Buffer.alloc(16);
+  for (let i = 0; i < blocks - 1; i++) {
+    x = aesEcb(key, Buffer.from(x.map((byte, j) => byte ^ data[i * 16 + j])));
+  }
+  return aesEcb(key, Buffer.from(x.map((byte, i) => byte ^ last[i])));
+}
+
+// ANSI X9.63 KDF with SHA-256 (BSI TR-03111 4.3.3)
+function kdfX963(sharedSecret, length, sharedInfo) {
+  const blocks = [];
+  for (let counter = 1; blocks.length * 32 < length; counter++) {
+    const counterBuffer = Buffer.alloc(4);
+    counterBuffer.writeUInt32BE(counter, 0);
+    blocks.push(crypto.createHash('sha256').update(Buffer.concat([sharedSecret, counterBuffer, sharedInfo])).digest());
+  }
+  return Buffer.concat(blocks).slice(0, length);
+}
+
+/**
+ * SCP03t secure channel of one download session (SGP.22 2.5.4 and Annex G)
+ */
+class SCP03tChannel {
+  constructor(sharedSecret, hostId, eid) {
+    const hostIdBuffer = Buffer.from(hostId, 'utf8');
+    const eidBuffer = Buffer.from(eid || '', 'hex');
+    const sharedInfo = Buffer.concat([
+      Buffer.from([0x88, 0x10, hostIdBuffer.length]), hostIdBuffer,
+      Buffer.from([eidBuffer.length]), eidBuffer
+    ]);
+
+    const keyData = kdfX963(sharedSecret, 48, sharedInfo);
+    this.mcv = keyData.slice(0, 16);
+    this.sEnc = keyData.slice(16, 32);
+    this.sMac = keyData.slice(32, 48);
+    this.blockCounter = 1;
+  }
+
+  encrypt(plaintext) {
+    const counter = Buffer.alloc(16);
+    counter.writeUInt32BE(this.blockCounter++, 12);
+    const icv = aesEcb(this.sEnc, counter);
+
+    const padLength = 16 - (plaintext.length % 16);
+    const padded = Buffer.concat([plaintext, Buffer.from([0x80]), Buffer.alloc(padLength - 1)]);
+
+    const cipher = crypto.createCipheriv('aes-128-cbc', this.sEnc, icv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(padded), cipher.final()]);
+  }
+
+  /**
+   * Wrap a payload in a MAC'ed (and optionally encrypted) TLV
+   */
+  wrap(tag, payload, encrypt = true) {
+    const data = encrypt ? this.encrypt(payload) : payload;
+    const header = asn1.tlv(tag, Buffer.alloc(data.length + 8)).slice(0, -(data.length + 8));
+    const mac = aesCmac(this.sMac, Buffer.concat([this.mcv, header, data]));
+    this.mcv = mac;
+    return Buffer.concat([header, data, mac.slice(0, 8)]);
+  }
+}
+
+/**
+ * SMDPPlus - ES9+ (LPA to SM-DP+) server of GSMA SGP.22
+ * Implements initiateAuthentication, authenticateClient, getBoundProfilePackage,
+ * handleNotification and cancelSession. Download sessions are keyed by the
+ * matching ID of the activation code and served from the provisioner's profiles.
+ *
+ * This is a test stand-in: eUICC certificates are not validated against a
+ * GSMA CI, and the SM-DP+ signs with its own key pair. The eUICC must still
+ * prove it holds the key of its certificate, and only the eUICC a profile was
+ * downloaded to can report it enabled, disabled or deleted.
+ */
+class SMDPPlus extends EventEmitter {
+  constructor(provisioner, options = {}) {
+    super();
+
+    this.provisioner = provisioner;
+    this.options = {
+      port: 8443,
+      ip: '0.0.0.0',
+      address: 'localhost',
+      sessionTimeout: 5 * 60 * 1000,
+      // ES9+ requests carry a few signed structures; bound profile packages only go out
+      maxBodySize: 64 * 1024,
+      tls: null,
+      signingKey: null,
+      certificate: null,
+      ...options
+    };
+
+    this.signingKey = this.options.signingKey
+      ? crypto.createPrivateKey(this.options.signingKey)
+      : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+    this.certificate = this.loadCertificate(this.options.certificate);
+    this.sessions = new Map();
+
+    if (this.options.tls) {
+      this.server = https.createServer(this.options.tls);
+    } else {
+      console.warn('SM-DP+ is running without TLS; ES9+ clients normally require HTTPS');
+      this.server = http.createServer();
+    }
+
+    this.server.on('request', (req, res) => this.handleRequest(req, res));
+    this.server.on('error', (err) => {
+      console.error(`SM-DP+ error: ${err}`);
+    });
+    this.server.listen(this.options.port, this.options.ip, () => {
+      console.log(`SM-DP+ ES9+ server listening on ${this.options.ip}:${this.options.port}`);
+    });
+
+    this.sweepTimer = setInterval(() => this.expireSessions(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  // The address may be a function, as the public IP is only known after startup
+  getAddress() {
+    const { address } = this.options;
+    return typeof address === 'function' ? address() : address;
+  }
+
+  loadCertificate(certificate) {
+    if (!certificate) {
+      // Without a certificate the LPA gets the bare public key of the signing key
+      return crypto.createPublicKey(this.signingKey).export({ type: 'spki', format: 'der' });
+    }
+
+    if (Buffer.isBuffer(certificate)) return certificate;
+
+    const pem = certificate.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '');
+    return Buffer.from(pem, 'base64');
+  }
+
+  sign(...parts) {
+    const signature = crypto.sign('sha256', Buffer.concat(parts), {
+      key: this.signingKey,
+      dsaEncoding: 'ieee-p1363'
+    });
+    return asn1.tlv(TAG.SIGNATURE, signature);
+  }
+
+  handleRequest(req, res) {
+    const parsedUrl = url.parse(req.url);
+
+    if (req.method !== 'POST' || !parsedUrl.pathname.startsWith(ES9_PATH_PREFIX)) {
+      res.writeHead(404);
+      return res.end('Not Found');
+    }
+
+    this.readBody(req, res, (body) => {
+      const functionName = parsedUrl.pathname.substring(ES9_PATH_PREFIX.length);
+      let result;
+
+      try {
+        const request = JSON.parse(body || '{}');
+
+        switch (functionName) {
+          case 'initiateAuthentication':
+            result = this.initiateAuthentication(request);
+            break;
+          case 'authenticateClient':
+            result = this.authenticateClient(request);
+            break;
+          case 'getBoundProfilePackage':
+            result = this.getBoundProfilePackage(request);
+            break;
+          case 'handleNotification':
+            this.handleNotification(request);
+            res.writeHead(204, { 'X-Admin-Protocol': ADMIN_PROTOCOL });
+            return res.end();
+          case 'cancelSession':
+            result = this.cancelSession(request);
+            break;
+          default:
+            throw new ES9Error(STATUS.UNKNOWN_FUNCTION);
+        }
+      } catch (err) {
+        if (!(err instanceof ES9Error)) {
+          console.error(`ES9+ ${functionName} failed:`, err);
+        }
+        return this.sendFailure(res, err.status || STATUS.INVALID_REQUEST);
+      }
+
+      this.sendJson(res, {
+        header: { functionExecutionStatus: { status: 'Executed-Success' } },
+        ...result
+      });
+    });
+  }
+
+  // Collect the body of a request; one over maxBodySize is answered with 413 instead
+  readBody(req, res, callback) {
+    const limit = this.options.maxBodySize;
+    const refuse = () => {
+      res.writeHead(413, { 'Connection': 'close' });
+      res.end('Payload Too Large', () => req.destroy());
+    };
+    if (parseInt(req.headers['content-length'], 10) > limit) {
+      return refuse();
+    }
+
+    const chunks = [];
+    let length = 0;
+    req.on('data', chunk => {
+      length += chunk.length;
+      if (length > limit) {
+        if (!res.headersSent) refuse();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (length <= limit) callback(Buffer.concat(chunks).toString());
+    });
+  }
+
+  sendJson(res, payload) {
+    res.writeHead(200, {
+      'Content-Type': 'application/json;charset=UTF-8',
+      'X-Admin-Protocol': ADMIN_PROTOCOL
+    });
+    res.end(JSON.stringify(payload));
+  }
+
+  sendFailure(res, status) {
+    this.sendJson(res, {
+      header: {
+        functionExecutionStatus: {
+          status: 'Failed',
+          statusCodeData: status
+        }
+      }
+    });
+  }
+
+  getSession(transactionId) {
+    const session = this.sessions.get(String(transactionId || '').toUpperCase());
+    if (!session || session.expiresAt < Date.now()) {
+      throw new ES9Error(STATUS.UNKNOWN_TRANSACTION);
+    }
+    return session;
+  }
+
+  endSession(session) {
+    this.sessions.delete(session.transactionId);
+  }
+
+  expireSessions() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (session.expiresAt < now) {
+        this.endSession(session);
+        this.emit('session-expired', session.transactionId);
+      }
+    }
+  }
+
+  initiateAuthentication(request) {
+    const euiccChallenge = fromBase64(request.euiccChallenge, 'euiccChallenge');
+    if (request.smdpAddress && request.smdpAddress !== this.getAddress()) {
+      throw new ES9Error(STATUS.INVALID_SERVER_ADDRESS);
+    }
+
+    const transactionId = crypto.randomBytes(16);
+    const serverChallenge = crypto.randomBytes(16);
+
+    const serverSigned1 = asn1.tlv(asn1.TAGS.SEQUENCE, [
+      asn1.encodeOctets(transactionId, 0x80),
+      asn1.encodeOctets(euiccChallenge, 0x81),
+      asn1.encodeUtf8(this.getAddress(), 0x83),
+      asn1.encodeOctets(serverChallenge, 0x84)
+    ]);
+
+    const session = {
+      transactionId: transactionId.toString('hex').toUpperCase(),
+      serverChallenge,
+      state: 'authenticating',
+      expiresAt: Date.now() + this.options.sessionTimeout
+    };
+    this.sessions.set(session.transactionId, session);
+
+    const publicKey = crypto.createPublicKey(this.signingKey).export({ type: 'spki', format: 'der' });
+    const keyId = crypto.createHash('sha1').update(publicKey).digest();
+
+    return {
+      transactionId: session.transactionId,
+      serverSigned1: serverSigned1.toString('base64'),
+      serverSignature1: this.sign(serverSigned1).toString('base64'),
+      euiccCiPKIdToBeUsed: asn1.encodeOctets(keyId).toString('base64'),
+      serverCertificate: this.certificate.toString('base64')
+    };
+  }
+
+  authenticateClient(request) {
+    const session = this.getSession(request.transactionId);
+    if (session.state !== 'authenticating') {
+      throw new ES9Error(STATUS.UNKNOWN_TRANSACTION);
+    }
+
+    const response = asn1.decodeOne(fromBase64(request.authenticateServerResponse, 'authenticateServerResponse'));
+    const ok = response.tag === TAG.AUTHENTICATE_SERVER_RESPONSE && asn1.find(response.children, 0xA0);
+    if (!ok) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.EUICC_ERROR);
+    }
+
+    const euiccSigned1 = asn1.find(ok.children, asn1.TAGS.SEQUENCE);
+    const euiccSignature1 = asn1.find(ok.children, TAG.SIGNATURE);
+    const certificates = asn1.findAll(ok.children, asn1.TAGS.SEQUENCE).slice(1);
+    if (!euiccSigned1 || !euiccSignature1) {
+      throw new ES9Error(STATUS.INVALID_REQUEST);
+    }
+
+    const signedTransactionId = asn1.find(euiccSigned1.children, 0x80);
+    const serverAddress = asn1.find(euiccSigned1.children, 0x83);
+    const serverChallenge = asn1.find(euiccSigned1.children, 0x84);
+
+    if (!signedTransactionId || signedTransactionId.value.toString('hex').toUpperCase() !== session.transactionId) {
+      throw new ES9Error(STATUS.UNKNOWN_TRANSACTION);
+    }
+    if (!serverAddress || serverAddress.value.toString('utf8') !== this.getAddress()) {
+      throw new ES9Error(STATUS.INVALID_SERVER_ADDRESS);
+    }
+    if (!serverChallenge || !serverChallenge.value.equals(session.serverChallenge)) {
+      throw new ES9Error(STATUS.INVALID_CHALLENGE);
+    }
+    if (!certificates[0] || !this.euiccPublicKey(certificates[0].raw)) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.EUICC_CERTIFICATE_INVALID);
+    }
+    if (!this.verifyEuiccSignature(certificates[0].raw, euiccSigned1.raw, euiccSignature1)) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.EUICC_SIGNATURE_INVALID);
+    }
+
+    const ctxParams = asn1.find(euiccSigned1.children, 0xA0);
+    const matchingIdNode = ctxParams && asn1.find(ctxParams.children, 0x80);
+    if (!matchingIdNode) {
+      // Default SM-DP+ and SM-DS discovery have no matching ID to key the download on
+      this.endSession(session);
+      throw new ES9Error(STATUS.MATCHING_ID_REFUSED);
+    }
+
+    const matchingId = matchingIdNode.value.toString('utf8');
+    let activationCode;
+    try {
+      activationCode = this.provisioner.activationCodes.check(matchingId);
+    } catch (err) {
+      this.endSession(session);
+      throw new ES9Error(activationCodeStatus(err));
+    }
+
+    const profile = this.provisioner.getProfile(activationCode.iccid);
+    if (!profile) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.MATCHING_ID_REFUSED);
+    }
+
+    if (!lifecycle.isUsable(profile, 'download')) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.PROFILE_NOT_AVAILABLE);
+    }
+
+    for (const other of this.sessions.values()) {
+      if (other !== session && other.iccid === profile.iccid) {
+        this.endSession(session);
+        throw new ES9Error(STATUS.PROFILE_NOT_AVAILABLE);
+      }
+    }
+
+    Object.assign(session, {
+      state: 'authenticated',
+      iccid: profile.iccid,
+      matchingId,
+      ccRequired: !!activationCode.confirmationCodeHash,
+      euiccSignature1: euiccSignature1.raw,
+      euiccCertificate: certificates[0].raw,
+      eid: this.extractEid(certificates[0])
+    });
+
+    const smdpSigned2 = asn1.tlv(asn1.TAGS.SEQUENCE, [
+      asn1.encodeOctets(Buffer.from(session.transactionId, 'hex'), 0x80),
+      asn1.encodeBoolean(session.ccRequired, 0x81)
+    ]);
+
+    return {
+      transactionId: session.transactionId,
+      profileMetadata: this.buildProfileMetadata(profile).toString('base64'),
+      smdpSigned2: smdpSigned2.toString('base64'),
+      smdpSignature2: this.sign(smdpSigned2, euiccSignature1.raw).toString('base64'),
+      smdpCertificate: this.certificate.toString('base64')
+    };
+  }
+
+  /**
+   * Public key of an eUICC certificate
+   * A bare SubjectPublicKeyInfo is taken as well, as there is no CI to check against.
+   * @returns {KeyObject|null} null if the certificate holds no usable key
+   */
+  euiccPublicKey(certificate) {
+    if (crypto.X509Certificate) {
+      try {
+        return new crypto.X509Certificate(certificate).publicKey;
+      } catch (err) {
+        // Not an X.509 certificate, try it as a public key
+      }
+    }
+
+    try {
+      return crypto.createPublicKey({ key: certificate, format: 'der', type: 'spki' });
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Check a signature of the eUICC (tag 5F37, r and s as in BSI TR-03111) over signed data
+  verifyEuiccSignature(certificate, signed, signatureNode) {
+    const key = this.euiccPublicKey(certificate);
+    if (!key || !signatureNode || signatureNode.tag !== TAG.SIGNATURE) return false;
+
+    try {
+      return crypto.verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signatureNode.value);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  extractEid(certificateNode) {
+    if (!certificateNode || !crypto.X509Certificate) return '';
+
+    try {
+      const subject = new crypto.X509Certificate(certificateNode.raw).subject;
+      const match = subject.match(/serialNumber=([0-9A-Fa-f]{32})/);
+      return match ? match[1] : '';
+    } catch (err) {
+      return '';
+    }
+  }
+
+  buildProfileMetadata(profile) {
+    return asn1.tlv(TAG.STORE_METADATA_REQUEST, [
+      asn1.encodeOctets(encodeIccid(profile.iccid), TAG.ICCID),
+      asn1.encodeUtf8(this.options.serviceProviderName || 'VLeSIM', 0x91),
+      asn1.encodeUtf8(`VLeSIM ${profile.msisdn || profile.iccid}`, 0x92),
+      asn1.encodeInteger(2, 0x95), // profileClass operational
+      // Ask the eUICC to report enable, disable and delete back to us
+      asn1.tlv(0xB6, [
+        asn1.tlv(asn1.TAGS.SEQUENCE, [
+          asn1.tlv(asn1.TAGS.BIT_STRING, Buffer.from([0x04, 0x70])),
+          asn1.encodeUtf8(this.getAddress())
+        ])
+      ])
+    ]);
+  }
+
+  getBoundProfilePackage(request) {
+    const session = this.getSession(request.transactionId);
+    if (session.state !== 'authenticated') {
+      throw new ES9Error(STATUS.UNKNOWN_TRANSACTION);
+    }
+
+    const response = asn1.decodeOne(fromBase64(request.prepareDownloadResponse, 'prepareDownloadResponse'));
+    const ok = response.tag === TAG.PREPARE_DOWNLOAD_RESPONSE && asn1.find(response.children, 0xA0);
+    if (!ok) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.EUICC_ERROR);
+    }
+
+    const euiccSigned2 = asn1.find(ok.children, asn1.TAGS.SEQUENCE);
+    const euiccOtpk = euiccSigned2 && asn1.find(euiccSigned2.children, TAG.OTPK);
+    if (!euiccOtpk) {
+      throw new ES9Error(STATUS.INVALID_REQUEST);
+    }
+
+    const hashCc = asn1.find(euiccSigned2.children, asn1.TAGS.OCTET_STRING);
+    try {
+      this.provisioner.activationCodes.verifyConfirmationCode(
+        session.matchingId,
+        hashCc ? hashCc.value : null,
+        Buffer.from(session.transactionId, 'hex')
+      );
+    } catch (err) {
+      const status = activationCodeStatus(err);
+      if (status !== STATUS.CONFIRMATION_CODE_REFUSED) {
+        this.endSession(session);
+      }
+      throw new ES9Error(status);
+    }
+
+    const profile = this.provisioner.getProfile(session.iccid);
+    if (!profile) {
+      this.endSession(session);
+      throw new ES9Error(STATUS.PROFILE_NOT_AVAILABLE);
+    }
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const smdpOtpk = ecdh.generateKeys();
+    const channel = new SCP03tChannel(ecdh.computeSecret(euiccOtpk.value), this.getAddress(), session.eid);
+
+    const controlRefTemplate = asn1.tlv(0xA6, [
+      asn1.encodeOctets(Buffer.from([0x88]), 0x80),
+      asn1.encodeOctets(Buffer.from([0x10]), 0x81),
+      asn1.encodeUtf8(this.getAddress(), 0x84)
+    ]);
+    const secureChannelData = [
+      asn1.encodeInteger(1, 0x82), // remoteOpId installBoundProfilePackage
+      asn1.encodeOctets(Buffer.from(session.transactionId, 'hex'), 0x80),
+      controlRefTemplate,
+      asn1.encodeOctets(smdpOtpk, TAG.OTPK)
+    ];
+    const initialiseSecureChannel = asn1.tlv(TAG.INITIALISE_SECURE_CHANNEL, [
+      ...secureChannelData,
+      this.sign(Buffer.concat(secureChannelData), euiccOtpk.raw)
+    ]);
+
+    const configureIsdp = asn1.tlv(TAG.CONFIGURE_ISDP, []);
+    const profileData = this.provisioner.exportProfilePackage(profile.iccid);
+    const segments = [];
+    for (let offset = 0; offset < profileData.length; offset += SEGMENT_SIZE) {
+      segments.push(channel.wrap(0x86, profileData.slice(offset, offset + SEGMENT_SIZE)));
+    }
+
+    const boundProfilePackage = asn1.tlv(TAG.BOUND_PROFILE_PACKAGE, [
+      initialiseSecureChannel,
+      asn1.tlv(0xA0, [channel.wrap(0x87, configureIsdp)]),
+      asn1.tlv(0xA1, [channel.wrap(0x88, this.buildProfileMetadata(profile), false)]),
+      asn1.tlv(0xA3, segments)
+    ]);
+
+    session.state = 'bound';
+    this.provisioner.activationCodes.redeem(session.matchingId);
+    this.provisioner.transitionProfile(profile.iccid, 'downloaded', ES9_ACTOR);
+    // Notifications about the profile are only taken from the eUICC it is bound to here
+    this.provisioner.updateProfile(profile.iccid, {
+      eid: session.eid || profile.eid,
+      euiccCertificate: session.euiccCertificate.toString('base64')
+    }, ES9_ACTOR);
+    this.emit('profile-downloaded', { iccid: profile.iccid, transactionId: session.transactionId });
+
+    return {
+      transactionId: session.transactionId,
+      boundProfilePackage: boundProfilePackage.toString('base64')
+    };
+  }
+
+  handleNotification(request) {
+    const notification = asn1.decodeOne(fromBase64(request.pendingNotification, 'pendingNotification'));
+
+    if (notification.tag === TAG.PROFILE_INSTALLATION_RESULT) {
+      const resultData = asn1.find(notification.children, TAG.PROFILE_INSTALLATION_RESULT_DATA);
+      if (!resultData) {
+        throw new ES9Error(STATUS.INVALID_REQUEST);
+      }
+
+      const transactionId = asn1.find(resultData.children, 0x80);
+      const finalResult = asn1.find(resultData.children, 0xA2);
+      const session = transactionId && this.sessions.get(transactionId.value.toString('hex').toUpperCase());
+      if (!session || session.state !== 'bound') {
+        throw new ES9Error(STATUS.UNKNOWN_TRANSACTION);
+      }
+      const euiccSignPIR = asn1.find(notification.children, TAG.SIGNATURE);
+      if (!this.verifyEuiccSignature(session.euiccCertificate, resultData.raw, euiccSignPIR)) {
+        throw new ES9Error(STATUS.EUICC_SIGNATURE_INVALID);
+      }
+
+      const success = !!(finalResult && asn1.find(finalResult.children, 0xA0));
+      if (success) {
+        this.provisioner.transitionProfile(session.iccid, 'installed', ES9_ACTOR);
+      } else {
+        this.releaseProfile(session.iccid);
+      }
+      this.endSession(session);
+      this.emit('profile-installation-result', { iccid: session.iccid, success });
+      return;
+    }
+
+    // OtherSignedNotification: enable, disable or delete reported by the eUICC
+    const metadata = asn1.find(notification.children, TAG.NOTIFICATION_METADATA);
+    const iccidNode = metadata && asn1.find(metadata.children, TAG.ICCID);
+    const operation = metadata && asn1.find(metadata.children, 0x81);
+    if (!iccidNode || !operation) {
+      throw new ES9Error(STATUS.INVALID_REQUEST);
+    }
+
+    const iccid = decodeIccid(iccidNode.value);
+    const profile = this.provisioner.getProfile(iccid);
+    if (!profile || !profile.euiccCertificate) {
+      throw new ES9Error(STATUS.UNKNOWN_PROFILE);
+    }
+
+    // Signed by the eUICC the profile was downloaded to, whatever certificate came along
+    const euiccCertificate = Buffer.from(profile.euiccCertificate, 'base64');
+    const euiccNotificationSignature = asn1.find(notification.children, TAG.SIGNATURE);
+    if (!this.verifyEuiccSignature(euiccCertificate, metadata.raw, euiccNotificationSignature)) {
+      throw new ES9Error(STATUS.EUICC_SIGNATURE_INVALID);
+    }
+
+    const bits = operation.value[1] || 0;
+    const states = { 0x40: 'enabled', 0x20: 'disabled', 0x10: 'deleted' };
+    const state = states[bits & 0x70];
+
+    if (state && lifecycle.stateOf(profile) !== state) {
+      // The eUICC reports what already happened, a refused transition is only logged
+      try {
+        this.provisioner.transitionProfile(iccid, state, { actor: 'euicc', interface: 'es9+' });
+        this.emit('profile-notification', { iccid, state });
+      } catch (err) {
+        console.warn(`Ignoring ${state} notification for ${iccid}: ${err.message}`);
+      }
+    }
+  }
+
+  cancelSession(request) {
+    const session = this.getSession(request.transactionId);
+    const response = asn1.decodeOne(fromBase64(request.cancelSessionResponse, 'cancelSessionResponse'));
+
+    let reason = null;
+    const ok = response.tag === TAG.CANCEL_SESSION_RESPONSE && asn1.find(response.children, 0xA0);
+    const signed = ok && asn1.find(ok.children, asn1.TAGS.SEQUENCE);
+    const reasonNode = signed && asn1.find(signed.children, 0x81);
+    if (reasonNode) {
+      reason = asn1.decodeInteger(reasonNode.value);
+    }
+
+    // A cancelled download leaves the profile free for another attempt
+    if (session.iccid && session.state === 'bound') {
+      this.releaseProfile(session.iccid);
+    }
+
+    this.endSession(session);
+    this.emit('session-cancelled', { transactionId: session.transactionId, iccid: session.iccid, reason });
+    return {};
+  }
+
+  // Put a profile whose download failed back, unbound from the eUICC
+  releaseProfile(iccid) {
+    this.provisioner.transitionProfile(iccid, 'released', ES9_ACTOR);
+    this.provisioner.updateProfile(iccid, { euiccCertificate: null }, ES9_ACTOR);
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sessions.clear();
+    this.server.close();
+  }
+}
+
+module.exports = {
+  SMDPPlus,
+  SCP03tChannel,
+  ES9_PATH_PREFIX
+};
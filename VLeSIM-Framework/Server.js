@@ -4,81 +4,86 @@
   const dgram = require('dgram');
   const net = require('net');
   const { MobileDataBridge, IntegratedMobileDataProvider } = require('./MobileDataBridge');
+  const { AuthenticationCenter } = require('./AuthenticationCenter');
+  const { DiameterHSS } = require('./DiameterHSS');
+  const { SMDPPlus } = require('./SMDPPlus');
+  const ProfilePackage = require('./ProfilePackage');
+  const { createStorage } = require('./Storage');
+  const { KeyVault } = require('./KeyVault');
+  const lifecycle = require('./ProfileLifecycle');
+  const { NumberingPlan } = require('./NumberingPlan');
+  const { NumberInventory } = require('./NumberInventory');
+  const { ActivationCodes } = require('./ActivationCodes');
+  const { AuditLog } = require('./AuditLog');
+  const { TenantRegistry, TenantProvisioners } = require('./Tenants');
+  const { DialPlan } = require('./DialPlan');
+  const { DigestAuthenticator, credentials: digestCredentials, parseDigest } = require('./DigestAuthentication');
+  const { SIPMessage, parseUri, parseAddress, parseVia } = require('./SIPMessage');
+  const { ConnectionTable } = require('./SIPTransport');
+  const { TransactionLayer, MAGIC_COOKIE, newBranch } = require('./SIPTransactions');
+  const { Registrar, RegistrarError } = require('./SIPRegistrar');
+  const { Fork } = require('./SIPForking');
+  const { MessageStore, MessagingError, deliveryReport, IMDN_CONTENT_TYPE } = require('./InstantMessaging');
+  const { Subscriptions, SubscriptionError, PACKAGES: EVENT_PACKAGES, parseEvent, presenceDocument, dialogInfo, regInfo, messageSummary } = require('./SIPEvents');
+  const { ProvisioningService, ProvisioningAPI, CONTENT_TYPE: PROVISIONING_CONTENT_TYPE, SIP_USER: PROVISIONING_USER, REALM: PROVISIONING_REALM } = require('./Provisioning');
+  const { Operators } = require('./Operators');
   const { EventEmitter } = require('events');
-
-const CONFIG = {
-  SIP_SERVER_URL: '0.0.0.0', // will be updated in async loop
-  SIP_SERVER_PORT: 5052,
-  SIP_SERVER_PROTOCOL: 'udp',
-  PHONE_NUMBER_PREFIX: '935',
-  DATA_DIR: './data'
-};
-
-// Replace the require with dynamic import
-(async () => {
-  try {
-    // Dynamically import the public-ip module
-    const publicIp = await import('public-ip');
-    
-    // Use the imported module to get the public IP
-    CONFIG.SIP_SERVER_URL = await publicIp.publicIpv4();
-    console.log('CONFIG updated with public IP:', CONFIG);
-  } catch (err) {
-    console.error('Could not get public IP:', err);
-  }
-})();
+  const { CONFIG, resolvePublicAddress } = require('./Config');
 
   class ESIMProvisioner {
-    constructor() {
-      this.profiles = new Map();
-      this.dataPath = path.join(__dirname, CONFIG.DATA_DIR, 'esims');
+    constructor(options = {}) {
+      this.tenant = options.tenant || null;
+      this.storage = options.storage || createStorage(CONFIG.STORAGE, this.tenant ? this.tenant.dataDir : path.join(__dirname, CONFIG.DATA_DIR));
+      this.profiles = this.storage.collection('esims');
+      this.vault = options.vault || KeyVault.fromEnvironment(path.join(__dirname, CONFIG.DATA_DIR));
+      this.audit = options.audit || new AuditLog(this.storage, this.vault);
+      this.activationCodes = new ActivationCodes(this.storage, {
+        ttl: CONFIG.ACTIVATION_CODE_TTL,
+        ...options.activationCodes
+      });
       
-      if (!fs.existsSync(this.dataPath)) {
-        fs.mkdirSync(this.dataPath, { recursive: true });
-      }
+      const numbering = options.numbering || (this.tenant ? this.tenant.numbering : CONFIG.NUMBERING);
+      this.numbering = new NumberingPlan(this.storage, numbering);
+      this.numbers = new NumberInventory(this.storage, { prefix: CONFIG.PHONE_NUMBER_PREFIX, ...numbering.msisdn });
       
-      this.loadProfiles();
+      this.sealPlaintextProfiles();
     }
     
-    loadProfiles() {
-      try {
-        const files = fs.readdirSync(this.dataPath);
-        files.forEach(file => {
-          if (file.endsWith('.json')) {
-            const profile = JSON.parse(fs.readFileSync(path.join(this.dataPath, file), 'utf8'));
-            this.profiles.set(profile.iccid, profile);
-          }
-        });
-      } catch (err) {
-        console.error('Error loading eSIM profiles:', err);
-      }
+    // SIP domain the profiles of this provisioner register under
+    get domain() {
+      return this.tenant ? this.tenant.domain : CONFIG.SIP_SERVER_URL;
     }
     
-    generateIccid() {
-      const prefix = '8988';
-      const mii = '01'; // Issuer identifier
-      const random = Math.floor(Math.random() * 10000000000).toString().padStart(10, '0');
-      const baseIccid = prefix + mii + random;
-      
-      let sum = 0;
-      for (let i = 0; i < baseIccid.length; i++) {
-        let digit = parseInt(baseIccid[i]);
-        if (i % 2 === 0) {
-          digit *= 2;
-          if (digit > 9) digit -= 9;
+    // Digest realm their SIP credentials are issued for
+    get realm() {
+      return this.tenant ? this.tenant.realm : CONFIG.SIP_REALM;
+    }
+    
+    // Profiles written before encryption at rest still carry Ki/OPc in clear
+    sealPlaintextProfiles() {
+      let sealed = 0;
+      this.storage.transaction(() => {
+        for (const profile of this.profiles.all()) {
+          if (KeyVault.isSealed(profile) || !profile.ki) continue;
+          
+          const { ki, opc, ...rest } = profile;
+          const sealedProfile = this.profiles.put({ ...rest, secrets: this.vault.seal(profile.iccid, { ki, opc }) });
+          this.audit.record({ actor: 'system', interface: 'startup' }, 'seal', 'esims', profile.iccid, profile, sealedProfile);
+          sealed++;
         }
-        sum += digit;
-      }
+      });
       
-      const checkDigit = (10 - (sum % 10)) % 10;
-      return baseIccid + checkDigit;
+      if (sealed > 0) {
+        console.log(`Encrypted key material of ${sealed} existing eSIM profiles`);
+      }
+    }
+    
+    generateIccid() {
+      return this.numbering.allocate('iccid');
     }
     
     generateImsi() {
-      const mcc = '310'; // US
-      const mnc = '260'; // Test network
-      const msin = Math.floor(Math.random() * 10000000000).toString().padStart(10, '0');
-      return mcc + mnc + msin;
+      return this.numbering.allocate('imsi');
     }
     
     generateKi() {
@@ -89,25 +94,50 @@ const CONFIG = {
       return crypto.randomBytes(16).toString('hex');
     }
     
-    createProfile(msisdn) {
+    createProfile(msisdn, actor = 'system') {
       const iccid = this.generateIccid();
       const imsi = this.generateImsi();
       const ki = this.generateKi();
       const opc = this.generateOpc();
       
+      return this.addProfile({ iccid, imsi, msisdn, ki, opc }, { actor });
+    }
+    
+    /**
+     * Store a profile from identities and keys that were already issued
+     * @param {Object} fields - iccid, imsi, ki, opc and optionally msisdn
+     * @param {Object} options - state (one of ProfileLifecycle.INITIAL_STATES) and
+     * actor, a name or { actor, interface } as recorded in the audit log
+     * @returns {Object} The stored profile, with Ki/OPc sealed
+     */
+    addProfile(fields, options = {}) {
+      const state = options.state || lifecycle.STATES.AVAILABLE;
+      if (!lifecycle.INITIAL_STATES.includes(state)) {
+        throw new Error(`Profiles cannot be created in the ${state} state`);
+      }
+      if (this.profiles.has(fields.iccid)) {
+        throw new Error(`Profile ${fields.iccid} already exists`);
+      }
+      if (this.findProfileByImsi(fields.imsi)) {
+        throw new Error(`IMSI ${fields.imsi} is already in use`);
+      }
+      
+      const context = AuditLog.context(options.actor);
       const profile = {
-        iccid,
-        imsi,
-        msisdn,
-        ki,
-        opc,
-        status: 'active',
+        iccid: fields.iccid,
+        imsi: fields.imsi,
+        msisdn: fields.msisdn,
+        secrets: this.vault.seal(fields.iccid, { ki: fields.ki, opc: fields.opc }),
+        state,
+        history: [{ state, timestamp: new Date().toISOString(), actor: context.actor }],
         createdAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString()
       };
       
-      this.profiles.set(iccid, profile);
-      fs.writeFileSync(path.join(this.dataPath, `${iccid}.json`), JSON.stringify(profile, null, 2));
+      this.storage.transaction(() => {
+        this.profiles.put(profile);
+        this.audit.record(context, 'create', 'esims', profile.iccid, null, profile);
+      });
       
       return profile;
     }
@@ -116,111 +146,280 @@ const CONFIG = {
       return this.profiles.get(iccid);
     }
     
-    updateProfile(iccid, updates) {
+    findProfileByImsi(imsi) {
+      return this.profiles.findOne('imsi', imsi);
+    }
+    
+    findProfileByMsisdn(msisdn) {
+      return this.profiles.findOne('msisdn', msisdn);
+    }
+    
+    findProfileByMatchingId(matchingId) {
+      const code = this.activationCodes.get(matchingId);
+      return code ? this.profiles.get(code.iccid) : null;
+    }
+    
+    updateProfile(iccid, updates, actor = 'system') {
+      if ('state' in updates || 'history' in updates) {
+        throw new Error('Profile state can only be changed with transitionProfile');
+      }
+      
       const profile = this.profiles.get(iccid);
       if (!profile) return null;
       
       const updatedProfile = { ...profile, ...updates, lastUpdated: new Date().toISOString() };
-      this.profiles.set(iccid, updatedProfile);
-      fs.writeFileSync(path.join(this.dataPath, `${iccid}.json`), JSON.stringify(updatedProfile, null, 2));
+      this.storage.transaction(() => {
+        this.profiles.put(updatedProfile);
+        this.audit.record(actor, 'update', 'esims', iccid, profile, updatedProfile);
+      });
       
       return updatedProfile;
     }
     
-    deleteProfile(iccid) {
-      if (!this.profiles.has(iccid)) return false;
-      
-      this.profiles.delete(iccid);
-      fs.unlinkSync(path.join(this.dataPath, `${iccid}.json`));
-      
-      return true;
-    }
-    
-    generateActivationData(iccid) {
+    /**
+     * Move a profile to another lifecycle state
+     * @param {string} iccid - The ICCID of the profile
+     * @param {string} state - The new state, see ProfileLifecycle.STATES
+     * @param {string|Object} actor - Who or what caused the transition, a name
+     * or { actor, interface }
+     * @returns {Object|null} The updated profile
+     */
+    transitionProfile(iccid, state, actor = 'system') {
       const profile = this.profiles.get(iccid);
       if (!profile) return null;
       
-      const activationCode = crypto.randomBytes(8).toString('hex').toUpperCase();
-      const smDpPlusAddress = CONFIG.SIP_SERVER_URL;
-      
-      const activationData = {
-        iccid,
-        activationCode,
-        smDpPlusAddress,
-        sipServerUrl: `sip:${profile.msisdn}@${CONFIG.SIP_SERVER_URL}:${CONFIG.SIP_SERVER_PORT};transport=${CONFIG.SIP_SERVER_PROTOCOL}`,
-        encodedActivationCode: Buffer.from(JSON.stringify({
-          iccid,
-          imsi: profile.imsi,
-          ki: profile.ki,
-          opc: profile.opc,
-          msisdn: profile.msisdn,
-          sipServerUrl: `sip:${profile.msisdn}@${CONFIG.SIP_SERVER_URL}:${CONFIG.SIP_SERVER_PORT};transport=${CONFIG.SIP_SERVER_PROTOCOL}`
-        })).toString('base64')
+      const context = AuditLog.context(actor);
+      const updatedProfile = {
+        ...profile,
+        ...lifecycle.transition(profile, state, context.actor),
+        lastUpdated: new Date().toISOString()
       };
-      
-      return activationData;
-    }
-  }
-  
-  class SIPMessage {
-    static parse(data) {
-      const message = {};
-      const lines = data.toString().split('\r\n');
-      
-      const requestLine = lines[0].split(' ');
-      if (requestLine[0] === 'SIP/2.0') {
-        message.type = 'response';
-        message.statusCode = parseInt(requestLine[1]);
-        message.reasonPhrase = requestLine[2];
-      } else {
-        message.type = 'request';
-        message.method = requestLine[0];
-        message.uri = requestLine[1];
-        message.version = requestLine[2];
+      delete updatedProfile.status;
+      delete updatedProfile.downloadState;
+      if (state === lifecycle.STATES.DELETED) {
+        delete updatedProfile.msisdn;
+        delete updatedProfile.sipCredentials;
       }
       
-      message.headers = {};
-      let i = 1;
-      for (; i < lines.length; i++) {
-        if (lines[i] === '') break;
+      this.storage.transaction(() => {
+        this.profiles.put(updatedProfile);
+        this.audit.record(context, 'transition', 'esims', iccid, profile, updatedProfile);
         
-        const headerParts = lines[i].split(': ');
-        const headerName = headerParts[0].toLowerCase();
-        const headerValue = headerParts.slice(1).join(': ');
-        
-        message.headers[headerName] = headerValue;
-      }
+        // A profile taken back from download invalidates its activation codes
+        if ([lifecycle.STATES.AVAILABLE, lifecycle.STATES.RESERVED, lifecycle.STATES.DELETED].includes(state)) {
+          this.activationCodes.revokeAll(iccid, state);
+        }
+        if (state === lifecycle.STATES.DELETED) {
+          this.releasePhoneNumbers(profile, context);
+        }
+      });
       
-      if (i < lines.length - 1) {
-        message.body = lines.slice(i + 1).join('\r\n');
-      }
+      return updatedProfile;
+    }
+    
+    deleteProfile(iccid, actor = 'system') {
+      const profile = this.profiles.get(iccid);
+      if (!profile) return false;
+      
+      return this.storage.transaction(() => {
+        this.activationCodes.revokeAll(iccid, 'deleted');
+        this.audit.record(actor, 'delete', 'esims', iccid, profile, null);
+        const deleted = this.profiles.delete(iccid);
+        this.releasePhoneNumbers(profile, actor);
+        return deleted;
+      });
+    }
+    
+    /**
+     * Map a phone number to the profile it belongs to
+     * @param {string} msisdn - The phone number
+     * @param {string} iccid - The ICCID of the profile
+     * @param {string|Object} actor - A name or { actor, interface }
+     */
+    assignPhoneNumber(msisdn, iccid, actor = 'system') {
+      const phoneNumbers = this.storage.collection('phone_numbers');
+      const previous = phoneNumbers.get(msisdn);
+      
+      this.storage.transaction(() => {
+        phoneNumbers.put({ msisdn, iccid });
+        this.audit.record(actor, previous ? 'update' : 'create', 'phone_numbers', msisdn, previous, { msisdn, iccid });
+      });
+    }
+    
+    /**
+     * Take the phone numbers of a deleted profile back
+     * They return to their pool once the quarantine period is over.
+     */
+    releasePhoneNumbers(profile, actor = 'system') {
+      const phoneNumbers = this.storage.collection('phone_numbers');
+      const mappings = phoneNumbers.find('iccid', profile.iccid);
+      const numbers = new Set([profile.msisdn, ...mappings.map(mapping => mapping.msisdn)].filter(Boolean));
+      
+      this.storage.transaction(() => {
+        for (const mapping of mappings) {
+          phoneNumbers.delete(mapping.msisdn);
+          this.audit.record(actor, 'delete', 'phone_numbers', mapping.msisdn, mapping, null);
+        }
+        numbers.forEach(msisdn => this.numbers.quarantine(msisdn));
+      });
+      return Array.from(numbers);
+    }
+    
+    /**
+     * Give a profile new SIP digest credentials, replacing any it had
+     * The username is the phone number. Only H(A1) of the password is kept, so
+     * the password is returned this once.
+     * @returns {Object|null} username, password and realm; null for profiles
+     * without a phone number
+     */
+    issueSipCredentials(iccid, actor = 'system') {
+      const profile = this.profiles.get(iccid);
+      if (!profile || !profile.msisdn) return null;
       
-      return message;
+      const password = crypto.randomBytes(18).toString('base64url');
+      this.updateProfile(iccid, { sipCredentials: digestCredentials(profile.msisdn, this.realm, password) }, actor);
+      
+      return { username: profile.msisdn, password, realm: this.realm };
+    }
+    
+    revokeActivationCodes(iccid) {
+      return this.activationCodes.revokeAll(iccid);
     }
     
-    static create(options) {
-      let message = '';
+    /**
+     * Decrypt the Ki/OPc of a profile
+     * @param {string} iccid - The ICCID of the profile
+     * @param {string} purpose - One of the purposes allowed by KeyVault
+     * @returns {Object} ki and opc as hex strings
+     */
+    getProfileSecrets(iccid, purpose) {
+      const profile = this.profiles.get(iccid);
+      if (!profile) return null;
       
-      if (options.type === 'request') {
-        message += `${options.method} ${options.uri} SIP/2.0\r\n`;
-      } else {
-        message += `SIP/2.0 ${options.statusCode} ${options.reasonPhrase}\r\n`;
-      }
+      return this.vault.unseal(iccid, profile.secrets, purpose);
+    }
+    
+    exportProfilePackage(iccid) {
+      const profile = this.profiles.get(iccid);
+      if (!profile) return null;
       
-      Object.entries(options.headers).forEach(([name, value]) => {
-        message += `${name}: ${value}\r\n`;
+      const secrets = this.getProfileSecrets(iccid, 'profile-package');
+      return ProfilePackage.create({ ...profile, ...secrets }, { domain: this.domain });
+    }
+    
+    importProfilePackage(buffer, actor = 'system') {
+      return this.addProfile(ProfilePackage.parse(buffer), { actor });
+    }
+    
+    /**
+     * Create a batch of profiles in one transaction
+     * @param {number} count - Number of profiles
+     * @param {Object} options - msisdn: also allocate phone numbers, from the
+     * pool if one is given; actor
+     * @returns {Array} iccid, imsi, msisdn, ki and opc of every new profile
+     */
+    createBatch(count, options = {}) {
+      const actor = options.actor || 'batch';
+      
+      return this.storage.transaction(() => {
+        const records = [];
+        for (let i = 0; i < count; i++) {
+          const msisdn = options.msisdn ? this.numbers.allocate({ pool: options.pool }) : undefined;
+          const profile = this.createProfile(msisdn, actor);
+          if (msisdn) {
+            this.assignPhoneNumber(msisdn, profile.iccid, actor);
+          }
+          
+          records.push({
+            iccid: profile.iccid,
+            imsi: profile.imsi,
+            msisdn,
+            ...this.getProfileSecrets(profile.iccid, 'batch-export')
+          });
+        }
+        return records;
       });
+    }
+    
+    /**
+     * Add a batch of already issued SIMs, e.g. from a vendor output file
+     * Nothing is stored when any record is refused.
+     * @param {Array} records - iccid, imsi, ki, opc and optionally msisdn
+     * @param {Object} options - state and actor, as for addProfile
+     */
+    importBatch(records, options = {}) {
+      const importOptions = { actor: 'batch-import', ...options };
+      
+      // Refuse the whole batch up front, backends without transactions cannot roll back
+      const seen = new Set();
+      for (const record of records) {
+        for (const id of [record.iccid, record.imsi]) {
+          if (seen.has(id)) {
+            throw new Error(`${id} appears more than once in the batch`);
+          }
+          seen.add(id);
+        }
+        if (this.profiles.has(record.iccid) || this.findProfileByImsi(record.imsi)) {
+          throw new Error(`Profile ${record.iccid} (IMSI ${record.imsi}) already exists`);
+        }
+        if (!/^[0-9a-f]{32}$/i.test(record.ki) || !/^[0-9a-f]{32}$/i.test(record.opc)) {
+          throw new Error(`Profile ${record.iccid} has no valid Ki/OPc`);
+        }
+      }
       
-      message += '\r\n';
+      return this.storage.transaction(() => records.map(record => {
+        const profile = this.addProfile(record, importOptions);
+        if (record.msisdn) {
+          this.assignPhoneNumber(record.msisdn, record.iccid, importOptions.actor);
+        }
+        return profile;
+      }));
+    }
+    
+    /**
+     * Issue a new activation code for a released profile
+     * Codes issued before for the same profile are revoked. The activation
+     * code only names the SM-DP+ and the matching ID; Ki and OPc reach the
+     * device inside the bound profile package of the SM-DP+ download.
+     * @param {string} iccid - The ICCID of the profile
+     * @param {Object} options - ttl in milliseconds; confirmationCode, true to
+     * generate one or the code to use
+     * @returns {Object|null} The activation data, with the confirmation code
+     * in clear when one was requested
+     */
+    generateActivationData(iccid, options = {}) {
+      const profile = this.profiles.get(iccid);
+      if (!profile) return null;
       
-      if (options.body) {
-        message += options.body;
-      }
+      lifecycle.assertUsable(profile, 'activation-code');
+      
+      const code = this.activationCodes.issue(iccid, options);
+      const smDpPlusAddress = `${CONFIG.SIP_SERVER_URL}:${CONFIG.SMDP_PORT}`;
       
-      return Buffer.from(message);
+      return {
+        iccid,
+        activationCode: ActivationCodes.format(smDpPlusAddress, code.matchingId, !!code.confirmationCodeHash),
+        matchingId: code.matchingId,
+        expiresAt: code.expiresAt,
+        confirmationCode: code.confirmationCode,
+        smDpPlusAddress,
+        sipServerUrl: `sip:${profile.msisdn}@${this.domain}:${CONFIG.SIP_SERVER_PORT};transport=${CONFIG.SIP_SERVER_PROTOCOL}`
+      };
     }
   }
   
+  // User part of a SIP URI, e.g. the phone number of sip:9351001@example.com
+  function uriUser(uri) {
+    const parsed = parseUri(uri);
+    return parsed && parsed.user ? parsed.user : '';
+  }
+  
+  // Host part of a SIP URI, without port or parameters
+  function uriDomain(uri) {
+    const parsed = parseUri(uri);
+    return parsed && parsed.host ? parsed.host : '';
+  }
+  
   class SIPServer extends EventEmitter {
     constructor(options = {}) {
       super();
@@ -232,13 +431,67 @@ const CONFIG = {
         ...options
       };
       
-      this.registrations = new Map();
+      this.dialPlan = this.options.dialPlan || new DialPlan(CONFIG.DIAL_PLAN);
+      // Without an authenticator requests are not challenged
+      this.authenticator = this.options.authenticator || null;
+      // Without one for operators provisioning requests are refused
+      this.operatorAuthenticator = this.options.operatorAuthenticator || null;
+      this.registrar = new Registrar({
+        ...(this.options.registration || CONFIG.SIP_REGISTRATION),
+        onExpire: address => this.emit('registration', address, this.registrar.bindings(address))
+      });
+      this.subscriptions = new Subscriptions({
+        ...(this.options.subscriptions || CONFIG.SIP_SUBSCRIPTIONS),
+        onExpire: subscription => this.notify(subscription, { reason: 'timeout' })
+      });
+      
+      if (this.options.messageStore) {
+        this.messages = this.options.messageStore;
+      } else {
+        // Without a store of their own, messages are kept in memory
+        const messages = createStorage('memory').collection('messages');
+        this.messages = new MessageStore({ ...CONFIG.SIP_MESSAGING, collectionOf: () => messages, collections: () => [messages] });
+      }
+      // Recipients with a delivery under way; their messages go one at a time, in order
+      this.delivering = new Set();
       this.calls = new Map();
       this.mediaRelays = new Map();
       this.allowOutboundCalls = true;
       
+      // Subscribers learn of changes to the registrations, calls and messages they watch
+      this.on('registration', address => this.notifySubscribers(address, ['reg', 'presence']));
+      this.on('call', (call) => {
+        for (const address of new Set([call.from, call.to])) {
+          this.notifySubscribers(address, ['dialog', 'presence'], call.state === 'ended' ? call : null);
+        }
+      });
+      this.on('instant-message', record => this.notifySubscribers(record.recipient, ['message-summary']));
+      this.on('instant-message-status', record => this.notifySubscribers(record.recipient, ['message-summary']));
+      
+      this.transactions = new TransactionLayer({
+        timers: this.options.timers || CONFIG.SIP_TIMERS,
+        send: (data, transport) => this.sendMessage(data, transport)
+      });
+      
       this.udpServer = dgram.createSocket('udp4');
       this.tcpServer = net.createServer();
+      // TCP connections from clients and to them, whichever side opened them
+      this.connections = new ConnectionTable({
+        idleTimeout: this.options.tcpIdleTimeout || CONFIG.SIP_TCP_IDLE_TIMEOUT,
+        onMessage: (data, socket) => {
+          try {
+            const sipMessage = SIPMessage.parse(data);
+            this.handleSIPMessage(sipMessage, {
+              protocol: 'tcp',
+              socket,
+              address: socket.remoteAddress,
+              port: socket.remotePort
+            });
+          } catch (err) {
+            console.error('Error handling TCP SIP message:', err);
+          }
+        }
+      });
       
       this.setupUdpServer();
       this.setupTcpServer();
@@ -273,22 +526,7 @@ const CONFIG = {
     
     setupTcpServer() {
       this.tcpServer.on('connection', (socket) => {
-        socket.on('data', (data) => {
-          try {
-            const sipMessage = SIPMessage.parse(data);
-            this.handleSIPMessage(sipMessage, {
-              protocol: 'tcp',
-              socket
-            });
-          } catch (err) {
-            console.error('Error handling TCP SIP message:', err);
-          }
-        });
-        
-        socket.on('error', (err) => {
-          console.error(`TCP socket error: ${err}`);
-          socket.destroy();
-        });
+        this.connections.add(socket);
       });
       
       this.tcpServer.on('error', (err) => {
@@ -302,300 +540,937 @@ const CONFIG = {
     }
     
     handleSIPMessage(message, transport) {
+      const problem = SIPMessage.validate(message);
+      if (problem) {
+        // Without Via and the dialog headers there is nowhere to send a response to
+        if (message.type === 'request' && message.method !== 'ACK' && ['via', 'from', 'to', 'call-id', 'cseq'].every(name => message.headers[name])) {
+          this.sendResponse(message, transport, problem.statusCode, problem.reasonPhrase);
+        } else {
+          console.log(`Dropped malformed SIP ${message.type}: ${problem.reasonPhrase}`);
+        }
+        return;
+      }
+      
+      if (message.type === 'response') {
+        this.emit('message', message, transport);
+        this.transactions.receiveResponse(message);
+        return;
+      }
+      
+      // Retransmissions are answered by their transaction
+      if (this.transactions.receiveRequest(message, this.responseTransport(message, transport))) return;
+      
       this.emit('message', message, transport);
       
-      if (message.type === 'request') {
-        switch (message.method) {
-          case 'REGISTER':
-            this.handleRegister(message, transport);
-            break;
-          case 'INVITE':
-            this.handleInvite(message, transport);
-            break;
-          case 'BYE':
-            this.handleBye(message, transport);
-            break;
-          case 'ACK':
-            this.handleAck(message, transport);
-            break;
-          case 'CANCEL':
-            this.handleCancel(message, transport);
-            break;
-          case 'OPTIONS':
-            this.handleOptions(message, transport);
-            break;
-          default:
-            this.sendResponse(message, transport, 405, 'Method Not Allowed');
-        }
+      const routed = this.removeOwnRoutes(message);
+      
+      // Requests within a dialog follow its route set rather than the dial plan
+      if (this.isInDialog(message)) {
+        this.forwardInDialog(message, transport, routed);
+        return;
+      }
+      
+      switch (message.method) {
+        case 'REGISTER':
+          this.handleRegister(message, transport);
+          break;
+        case 'INVITE':
+          this.handleInvite(message, transport);
+          break;
+        case 'BYE':
+          this.sendResponse(message, transport, 481, 'Call/Transaction Does Not Exist');
+          break;
+        case 'ACK':
+          // ACKs for responses sent from here are absorbed by their transaction
+          break;
+        case 'CANCEL':
+          this.handleCancel(message, transport);
+          break;
+        case 'OPTIONS':
+          this.handleOptions(message, transport);
+          break;
+        case 'MESSAGE':
+          this.handleMessage(message, transport);
+          break;
+        case 'SUBSCRIBE':
+          this.handleSubscribe(message, transport);
+          break;
+        default:
+          this.sendResponse(message, transport, 405, 'Method Not Allowed');
       }
     }
     
     handleRegister(message, transport) {
-      const aor = message.headers.to.split('<')[1].split('>')[0];
-      const contact = message.headers.contact ? message.headers.contact.split('<')[1].split('>')[0] : null;
-      const expires = message.headers.expires ? parseInt(message.headers.expires) : 3600;
-      
-      if (expires > 0 && contact) {
-        this.registrations.set(aor, {
-          contact,
-          expires: Date.now() + expires * 1000,
-          transport
+      const aor = message.address('to').uri;
+      const address = this.addressOf(aor);
+      const contacts = message.values('contact').map(parseAddress);
+      const expires = message.headers.expires;
+      
+      if (this.authenticator && !this.authenticate(message, transport, aor, false)) return;
+      
+      if (contacts.some(contact => !contact)) {
+        return this.sendResponse(message, transport, 400, 'Bad Request');
+      }
+      
+      const adding = contacts.some(contact => contact.uri !== '*' && this.registrar.expiresOf(contact, expires) > 0);
+      if (adding && this.options.admitRegistration && !this.options.admitRegistration(address)) {
+        console.log(`Refused registration of ${aor}`);
+        return this.sendResponse(message, transport, 403, 'Forbidden');
+      }
+      
+      let bindings;
+      try {
+        bindings = this.registrar.register(address, {
+          aor,
+          contacts,
+          expires,
+          callId: message.headers['call-id'],
+          cseq: parseInt(message.headers.cseq, 10),
+          transportOf: contact => this.contactTransport(contact, transport)
         });
-        
-        console.log(`Registered ${aor} at ${contact} (expires in ${expires}s)`);
-      } else {
-        this.registrations.delete(aor);
-        console.log(`Unregistered ${aor}`);
+      } catch (err) {
+        if (!(err instanceof RegistrarError)) throw err;
+        console.log(`Refused registration of ${aor}: ${err.message}`);
+        if (err.reason === 'interval-too-brief') {
+          return this.sendResponse(message, transport, 423, 'Interval Too Brief', { 'Min-Expires': String(err.minExpires) });
+        }
+        if (err.reason === 'out-of-order') {
+          // As for requests out of order within a dialog (RFC 3261 12.2.2)
+          return this.sendResponse(message, transport, 500, 'Server Internal Error');
+        }
+        return this.sendResponse(message, transport, 400, 'Bad Request');
       }
       
-      this.sendResponse(message, transport, 200, 'OK', {
-        'Contact': message.headers.contact,
-        'Expires': expires.toString()
-      });
+      if (contacts.length > 0) {
+        console.log(`${aor} has ${bindings.length} contact(s): ${bindings.map(binding => binding.contact).join(', ') || 'none'}`);
+      }
+      
+      // Every binding of the address, with what is left of its expiry
+      const now = Date.now();
+      const headers = { 'Date': new Date(now).toUTCString() };
+      if (bindings.length > 0) {
+        headers['Contact'] = bindings.map(binding =>
+          `<${binding.contact}>;expires=${Math.ceil((binding.expires - now) / 1000)};q=${binding.q}`).join(', ');
+      }
+      this.sendResponse(message, transport, 200, 'OK', headers);
+      if (contacts.length > 0) this.emit('registration', address, bindings);
+      
+      // Messages that came in while the subscriber was offline
+      if (bindings.length > 0) this.deliverMessages(address);
     }
     
     handleInvite(message, transport) {
-      const callId = message.headers['call-id'];
-      const to = message.headers.to.split('<')[1].split('>')[0];
-      const from = message.headers.from.split('<')[1].split('>')[0];
+      const dialled = message.uri;
+      const from = this.addressOf(message.address('from').uri);
+      
+      // Subscribers of the domains served here have to authenticate; calls from
+      // other providers' domains may only reach subscribers here
+      const authenticated = !!this.authenticator && this.isLocalDomain(from);
+      if (authenticated && !this.authenticate(message, transport, from, true)) return;
+      
+      const route = this.dialPlan.route(uriUser(dialled));
+      const to = route.number ? `sip:${route.number}@${uriDomain(dialled)}` : this.addressOf(dialled);
+      const leavesNetwork = route.action === 'trunk' || (route.action === 'local' && !this.isLocalDomain(to));
+      
+      if (this.authenticator && !authenticated && leavesNetwork) {
+        console.log(`Refused relaying a call from ${from} to ${to}`);
+        return this.sendResponse(message, transport, 403, 'Forbidden');
+      }
+      
+      if (this.options.authorizeCall && !this.options.authorizeCall(from, to)) {
+        console.log(`Refused call from ${from} to ${to}`);
+        return this.sendResponse(message, transport, 403, 'Forbidden');
+      }
       
-      const toRegistration = this.registrations.get(to);
+      if (route.action === 'reject') {
+        console.log(`Dial plan ${route.name} rejects calls to ${dialled}`);
+        return this.sendResponse(message, transport, route.status, route.reason);
+      }
       
-      // Special case for provisioning requests
-      if (to.includes(`@${CONFIG.SIP_SERVER_URL}`) && to.includes('provision')) {
-        this.emit('provision-request', message, transport);
+      if (route.action === 'ivr') {
+        if (this.listenerCount('ivr') === 0) {
+          return this.sendResponse(message, transport, 480, 'Temporarily Unavailable');
+        }
+        this.emit('ivr', message, transport, route);
         return;
       }
       
-      // Handle external calls
-      const isExternalCall = !toRegistration && this.allowOutboundCalls && !to.includes(`@${CONFIG.SIP_SERVER_URL}`);
+      if (route.action === 'trunk') {
+        if (!this.allowOutboundCalls) {
+          return this.sendResponse(message, transport, 403, 'Forbidden');
+        }
+        return this.handleExternalCall(message, transport, to, from, route.trunk);
+      }
+      
+      const targetSets = this.registrar.targetSets(to);
+      
+      // Addresses in the domains of other SIP providers
+      const isExternalCall = targetSets.length === 0 && this.allowOutboundCalls && !this.isLocalDomain(to);
       if (isExternalCall) {
-        return this.handleExternalCall(message, transport, to, from, callId);
+        return this.handleExternalCall(message, transport, to, from);
       }
       
-      if (!toRegistration) {
+      if (targetSets.length === 0) {
         return this.sendResponse(message, transport, 404, 'Not Found');
       }
       
-      const sdpStart = message.body.indexOf('v=0');
-      const sdp = sdpStart >= 0 ? message.body.substring(sdpStart) : '';
+      // Every contact of the callee gets a copy with the contact as Request-URI (RFC 3261 16.5)
+      const fork = this.forwardRequest(message, transport, targetSets.map(set =>
+        set.map(binding => ({ uri: binding.contact, transport: binding.transport }))));
+      if (fork) this.trackCall(message, fork, from, to);
+    }
+    
+    /**
+     * Pass a request on as a stateful proxy (RFC 3261 16.6)
+     * The copy keeps the Vias it came with under one of this proxy, has one
+     * hop less in Max-Forwards and, when it starts a dialog, a Record-Route
+     * entry so that the rest of the dialog comes this way too. Responses go
+     * back through the server transaction of the request without the Via of
+     * this proxy; 100 Trying only concerns one hop. With several targets the
+     * request forks, see SIPForking.js.
+     * @param {Array[]} targetSets - Sets of targets, each with the
+     * Request-URI of its copy and the transport to it, tried one set after
+     * the other
+     * @returns {Fork|null} null for ACK and for refused requests
+     */
+    forwardRequest(message, transport, targetSets) {
+      const maxForwards = message.headers['max-forwards'] === undefined ? 70 : parseInt(message.headers['max-forwards'], 10);
+      if (maxForwards <= 0) {
+        if (message.method !== 'ACK') this.sendResponse(message, transport, 483, 'Too Many Hops');
+        return null;
+      }
       
-      const call = {
-        id: callId,
-        from,
-        to,
-        fromTransport: transport,
-        toTransport: toRegistration.transport,
-        fromSDP: sdp,
-        state: 'ringing'
+      const loop = this.loopHash(message);
+      if (this.isLooped(message, loop)) {
+        console.log(`Loop detected for ${message.method} ${message.uri}`);
+        if (message.method !== 'ACK') this.sendResponse(message, transport, 482, 'Loop Detected');
+        return null;
+      }
+      
+      const headers = {
+        ...message.headers,
+        'max-forwards': String(maxForwards - 1)
+      };
+      
+      // Credentials for this proxy end here, those for proxies further on stay (RFC 3261 22.3)
+      if (this.authenticator && message.headers['proxy-authorization']) {
+        const realm = this.authenticator.realmOf(uriDomain(message.address('from').uri));
+        const others = message.values('proxy-authorization').filter(value => (parseDigest(value) || {}).realm !== realm);
+        if (others.length) {
+          headers['proxy-authorization'] = others;
+        } else {
+          delete headers['proxy-authorization'];
+        }
+      }
+      
+      const recordRoute = ['INVITE', 'SUBSCRIBE'].includes(message.method) && !this.isInDialog(message);
+      
+      const send = ({ uri, transport: target }) => {
+        const copy = {
+          ...headers,
+          'via': [this.via(target, `${MAGIC_COOKIE}${loop}.${crypto.randomBytes(6).toString('hex')}`), message.headers.via].join(', ')
+        };
+        if (recordRoute) {
+          copy['record-route'] = [...this.recordRoute(transport, target), ...message.values('record-route')].join(', ');
+        }
+        return this.transactions.sendRequest(
+          { type: 'request', method: message.method, uri, headers: copy, body: message.body },
+          target,
+          message.method === 'INVITE' ? { timerC: this.transactions.timers.c } : {}
+        );
       };
       
-      this.calls.set(callId, call);
+      if (message.method === 'ACK') {
+        send(targetSets[0][0]);
+        return null;
+      }
       
-      this.sendResponse(message, transport, 100, 'Trying');
+      if (message.method === 'INVITE') {
+        this.sendResponse(message, transport, 100, 'Trying');
+      }
       
-      const forwardedInvite = SIPMessage.create({
-        type: 'request',
-        method: 'INVITE',
-        uri: to,
-        headers: {
-          ...message.headers,
-          'via': `SIP/2.0/${toRegistration.transport.protocol} ${this.options.domain};branch=${crypto.randomBytes(8).toString('hex')}`,
-          'contact': `<sip:${this.options.domain}>`
-        },
-        body: message.body
+      const fork = new Fork(targetSets, {
+        send,
+        sequentialTimeout: message.method === 'INVITE' ? this.options.forkTimeout || CONFIG.SIP_FORK_TIMEOUT : 0
       });
       
-      this.sendMessage(forwardedInvite, toRegistration.transport);
+      fork.on('response', (response) => {
+        if (response.statusCode === 100 || !this.transactions.findServer(message)) return;
+        
+        const via = response.values('via').slice(1);
+        if (via.length === 0) return;
+        this.sendResponse(message, transport, response.statusCode, response.reasonPhrase,
+          { ...response.headers, via: via.join(', ') }, response.body);
+      });
+      
+      fork.on('timeout', () => {
+        this.sendResponse(message, transport, 408, 'Request Timeout');
+      });
+      
+      return fork.start();
     }
     
-    handleExternalCall(message, transport, to, from, callId) {
-      // Extract external domain from the SIP URI
-      const toDomain = to.split('@')[1].split(';')[0].split(':')[0];
-      const toUsername = to.split(':')[1].split('@')[0];
-      
-      console.log(`Handling external call to ${toUsername}@${toDomain}`);
+    /**
+     * Pass on a request within a dialog along its route set
+     * The UAs of a dialog this proxy record-routed put it in Route, where
+     * removeOwnRoutes has taken it off again; the rest of Route, or else the
+     * Request-URI, names the next hop. Other in-dialog requests only pass on
+     * to contacts registered here, as anything else would relay for strangers.
+     * @param {boolean} routed - Whether the request was routed to this proxy
+     */
+    forwardInDialog(message, transport, routed) {
+      const [route] = message.values('route');
+      const nextHop = route ? (parseAddress(route) || {}).uri : message.uri;
+      const target = nextHop && (routed || this.registrar.findByContact(message.uri)) ? this.transportFor(nextHop) : null;
+      
+      if (!target) {
+        console.log(`Refused relaying ${message.method} ${message.uri}`);
+        if (message.method !== 'ACK') this.sendResponse(message, transport, 403, 'Forbidden');
+        return;
+      }
       
-      // Create a new socket for the external connection
-      const externalSocket = dgram.createSocket('udp4');
+      this.forwardRequest(message, transport, [[{ uri: message.uri, transport: target }]]);
       
-      // Get the SDP from the original message
-      const sdpStart = message.body.indexOf('v=0');
-      const sdp = sdpStart >= 0 ? message.body.substring(sdpStart) : '';
-      
-      // Send 100 Trying to the original caller
-      this.sendResponse(message, transport, 100, 'Trying');
-      
-      // Create a new INVITE message for the external server
-      const externalInvite = SIPMessage.create({
-        type: 'request',
-        method: 'INVITE',
-        uri: to,
-        headers: {
-          'via': `SIP/2.0/UDP ${this.options.domain};branch=${crypto.randomBytes(8).toString('hex')}`,
-          'from': message.headers.from,
-          'to': message.headers.to,
-          'call-id': callId,
-          'cseq': message.headers.cseq,
-          'contact': `<sip:${this.options.domain};transport=UDP>`,
-          'max-forwards': '70',
-          'content-type': 'application/sdp',
-          'content-length': Buffer.byteLength(sdp).toString()
-        },
-        body: sdp
-      });
-      
-      // Prepare the external transport
-      const externalTransport = {
-        protocol: 'udp',
-        socket: externalSocket,
-        address: toDomain,
-        port: 5060 // Standard SIP port
-      };
+      const call = this.calls.get(message.headers['call-id']);
+      if (!call) return;
       
-      // Set up a call object to track the external call
+      if (message.method === 'BYE') {
+        this.endCall(call);
+      } else if (message.method === 'ACK' && call.state === 'accepted' && !this.mediaRelays.has(call.id)) {
+        // An INVITE without offer gets it in the ACK
+        call.fromSDP = call.fromSDP || this.sdpOf(message);
+        if (call.fromSDP && call.toSDP) {
+          this.setupMediaRelay(call.id, call);
+        }
+      }
+    }
+    
+    /**
+     * Follow a forwarded INVITE for CANCEL, the media relay and subscriptions
+     * to the dialogs of its parties. Calls go from trying to ringing with
+     * the first provisional response, to accepted with the first 2xx and to
+     * ended; every change is emitted as `call`.
+     */
+    trackCall(request, fork, from, to, isExternal = false) {
       const call = {
-        id: callId,
+        id: request.headers['call-id'],
         from,
         to,
-        fromTransport: transport,
-        toTransport: externalTransport,
-        fromSDP: sdp,
+        fromSDP: this.sdpOf(request),
         state: 'trying',
-        isExternal: true
+        fork,
+        isExternal
       };
       
-      this.calls.set(callId, call);
-      
-      // Set up handler for responses from the external server
-      externalSocket.on('message', (data, rinfo) => {
-        try {
-          const response = SIPMessage.parse(data);
-          
-          if (response.type === 'response' && response.headers['call-id'] === callId) {
-            // Forward the response back to the original caller
-            this.sendResponse(message, transport, response.statusCode, response.reasonPhrase, 
-              response.headers, response.body);
-            
-            if (response.statusCode === 200) {
-              call.state = 'accepted';
-              if (response.body) {
-                call.toSDP = response.body;
-                // After receiving 200 OK with SDP, we need to set up the media relay
-                if (call.fromSDP && call.toSDP) {
-                  this.setupMediaRelay(callId, call);
-                }
-              }
-            }
+      this.calls.set(call.id, call);
+      this.emit('call', call);
+      
+      fork.on('response', (response) => {
+        if (response.statusCode >= 300) {
+          this.endCall(call);
+        } else if (response.statusCode >= 200 && call.state !== 'accepted') {
+          call.state = 'accepted';
+          call.toSDP = this.sdpOf(response);
+          // After receiving 200 OK with SDP, we need to set up the media relay
+          if (call.fromSDP && call.toSDP) {
+            this.setupMediaRelay(call.id, call);
           }
-        } catch (err) {
-          console.error('Error handling external SIP response:', err);
+          this.emit('call', call);
+        } else if (response.statusCode < 200 && call.state === 'trying') {
+          call.state = 'ringing';
+          this.emit('call', call);
         }
       });
       
-      // Send the INVITE to the external server
-      externalSocket.send(externalInvite, 5060, toDomain, (err) => {
-        if (err) {
-          console.error(`Error sending external INVITE: ${err}`);
-          this.sendResponse(message, transport, 500, 'Server Error');
-          this.calls.delete(callId);
+      fork.on('timeout', () => this.endCall(call));
+    }
+    
+    endCall(call) {
+      if (this.calls.get(call.id) !== call) return;
+      this.calls.delete(call.id);
+      if (this.mediaRelays.has(call.id)) {
+        this.mediaRelays.get(call.id).close();
+        this.mediaRelays.delete(call.id);
+      }
+      call.state = 'ended';
+      this.emit('call', call);
+    }
+    
+    sdpOf(message) {
+      const sdpStart = message.body.indexOf('v=0');
+      return sdpStart >= 0 ? message.body.substring(sdpStart) : '';
+    }
+    
+    /**
+     * Digest authentication of a request on behalf of an address
+     * Answers the request with a 401 (or, as proxy, 407) challenge unless it
+     * carries valid credentials of the realm of the address, and with 403 when
+     * the credentials are not those of the address itself.
+     * @param {boolean} proxy - Whether to challenge as proxy, for requests
+     * passed on to someone else such as INVITE
+     * @returns {string|null} The digest username, null when answered
+     */
+    authenticate(message, transport, address, proxy) {
+      const realm = this.authenticator.realmOf(uriDomain(address));
+      // A request may carry credentials for several realms
+      const header = message.values(proxy ? 'proxy-authorization' : 'authorization')
+        .find(value => (parseDigest(value) || {}).realm === realm);
+      const result = this.authenticator.verify(header, { method: message.method, uri: message.uri, realm });
+      
+      if (result.status === 'ok') {
+        if (this.addressOf(`sip:${result.username}@${uriDomain(address)}`) === this.addressOf(address)) {
+          return result.username;
         }
-      });
+        console.log(`${result.username} may not act as ${address}`);
+        this.sendResponse(message, transport, 403, 'Forbidden');
+        return null;
+      }
+      
+      const challenge = this.authenticator.challenge(realm, result.status === 'stale');
+      if (proxy) {
+        this.sendResponse(message, transport, 407, 'Proxy Authentication Required', { 'Proxy-Authenticate': challenge });
+      } else {
+        this.sendResponse(message, transport, 401, 'Unauthorized', { 'WWW-Authenticate': challenge });
+      }
+      return null;
+    }
+    
+    // A SIP address with its phone number in E.164 form, the key of registrations
+    addressOf(uri) {
+      const user = uriUser(uri);
+      return `sip:${this.dialPlan.normalize(user) || user}@${uriDomain(uri)}`;
     }
     
-    handleBye(message, transport) {
-      const callId = message.headers['call-id'];
-      const call = this.calls.get(callId);
+    // Whether a URI points at a domain served here rather than at another SIP provider
+    isLocalDomain(uri) {
+      const domain = uriDomain(uri);
+      return this.options.isLocalDomain ? this.options.isLocalDomain(domain) : domain === CONFIG.SIP_SERVER_URL;
+    }
+    
+    // Without a trunk (host[:port]) the call goes to the domain of the address called
+    handleExternalCall(message, transport, to, from, trunk) {
+      const [toDomain, toPort] = (trunk || uriDomain(to)).split(':');
+      const port = parseInt(toPort, 10) || 5060; // Standard SIP port
+      const toUsername = uriUser(to);
+      
+      console.log(`Handling external call to ${toUsername}@${toDomain}:${port}`);
+      
+      const fork = this.forwardRequest(message, transport, [[{
+        uri: `sip:${toUsername}@${trunk || uriDomain(to)}`,
+        transport: { protocol: 'udp', address: toDomain, port }
+      }]]);
+      if (fork) this.trackCall(message, fork, from, to, true);
+    }
+    
+    // The callee answers the cancelled INVITE with 487, which goes back to the caller
+    handleCancel(message, transport) {
+      const invite = this.transactions.findServer(message, 'INVITE');
+      const call = this.calls.get(message.headers['call-id']);
       
-      if (!call) {
+      if (!invite || !call) {
         return this.sendResponse(message, transport, 481, 'Call/Transaction Does Not Exist');
       }
       
-      const otherTransport = transport === call.fromTransport ? call.toTransport : call.fromTransport;
+      this.sendResponse(message, transport, 200, 'OK');
       
-      const forwardedBye = SIPMessage.create({
-        type: 'request',
-        method: 'BYE',
-        uri: transport === call.fromTransport ? call.to : call.from,
-        headers: {
-          ...message.headers,
-          'via': `SIP/2.0/${otherTransport.protocol} ${this.options.domain};branch=${crypto.randomBytes(8).toString('hex')}`,
-          'contact': `<sip:${this.options.domain}>`
-        }
-      });
+      if (call.fork) {
+        call.fork.cancel();
+      } else {
+        this.sendResponse(invite.request, transport, 487, 'Request Terminated');
+        this.endCall(call);
+      }
+    }
+    
+    // Provisioning requests are accepted here and answered in a MESSAGE of their own,
+    // as responses to MESSAGE carry no body (RFC 3428). Other messages are for subscribers.
+    handleMessage(message, transport) {
+      const uri = message.uri || '';
+      if (!this.isLocalDomain(uri) || uriUser(uri) !== PROVISIONING_USER) {
+        return this.handleInstantMessage(message, transport);
+      }
+      if (this.listenerCount('provisioning-request') === 0) {
+        return this.sendResponse(message, transport, 405, 'Method Not Allowed');
+      }
       
-      this.sendMessage(forwardedBye, otherTransport);
-      this.sendResponse(message, transport, 200, 'OK');
+      const contentType = (message.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (contentType !== PROVISIONING_CONTENT_TYPE) {
+        return this.sendResponse(message, transport, 415, 'Unsupported Media Type', { 'Accept': PROVISIONING_CONTENT_TYPE });
+      }
       
-      this.calls.delete(callId);
+      const operator = this.authenticateOperator(message, transport);
+      if (!operator) return;
       
-      if (this.mediaRelays.has(callId)) {
-        this.mediaRelays.get(callId).close();
-        this.mediaRelays.delete(callId);
+      this.sendResponse(message, transport, 202, 'Accepted');
+      this.emit('provisioning-request', message, transport, operator);
+    }
+    
+    /**
+     * Digest authentication of a provisioning request by an operator account
+     * Operators are no subscribers, so any From will do; the credentials
+     * are those of the provisioning realm.
+     * @returns {string|null} The operator ID, null when answered
+     */
+    authenticateOperator(message, transport) {
+      if (!this.operatorAuthenticator) {
+        this.sendResponse(message, transport, 403, 'Forbidden');
+        return null;
       }
+      
+      const realm = this.operatorAuthenticator.realmOf(uriDomain(message.uri));
+      const header = message.values('authorization')
+        .find(value => (parseDigest(value) || {}).realm === realm);
+      const result = this.operatorAuthenticator.verify(header, { method: message.method, uri: message.uri, realm });
+      if (result.status === 'ok') return result.username;
+      
+      const challenge = this.operatorAuthenticator.challenge(realm, result.status === 'stale');
+      this.sendResponse(message, transport, 401, 'Unauthorized', { 'WWW-Authenticate': challenge });
+      return null;
     }
     
-    handleAck(message, transport) {
-      const callId = message.headers['call-id'];
-      const call = this.calls.get(callId);
+    /**
+     * A MESSAGE for a subscriber, stored and answered with 202 Accepted
+     * Subscribers of the domains served here authenticate as for INVITE;
+     * others may only write to subscribers here. Senders that ask for
+     * delivery reports with Disposition-Notification get them as MESSAGEs
+     * of their own (RFC 5438).
+     */
+    handleInstantMessage(message, transport) {
+      const from = this.addressOf(message.address('from').uri);
+      const to = this.addressOf(message.uri);
+      
+      if (this.authenticator && this.isLocalDomain(from) && !this.authenticate(message, transport, from, true)) return;
+      
+      if (!this.isLocalDomain(to) || (this.options.authorizeCall && !this.options.authorizeCall(from, to))) {
+        console.log(`Refused message from ${from} to ${to}`);
+        return this.sendResponse(message, transport, 403, 'Forbidden');
+      }
       
-      if (!call) return;
+      const known = this.options.acceptsMessages ? this.options.acceptsMessages(to) : this.registrar.bindings(to).length > 0;
+      if (!known) {
+        return this.sendResponse(message, transport, 404, 'Not Found');
+      }
       
-      const otherTransport = transport === call.fromTransport ? call.toTransport : call.fromTransport;
+      let record;
+      try {
+        record = this.messages.accept({
+          sender: from,
+          recipient: to,
+          contentType: message.headers['content-type'] || 'text/plain',
+          body: message.body,
+          callId: message.headers['call-id'],
+          notify: message.values('disposition-notification').map(value => value.toLowerCase())
+        });
+      } catch (err) {
+        if (!(err instanceof MessagingError)) throw err;
+        console.log(`Refused message from ${from} to ${to}: ${err.message}`);
+        if (err.reason === 'too-large') {
+          return this.sendResponse(message, transport, 413, 'Request Entity Too Large');
+        }
+        return this.sendResponse(message, transport, 503, 'Service Unavailable', { 'Retry-After': String(err.retryAfter) });
+      }
       
-      const forwardedAck = SIPMessage.create({
-        type: 'request',
-        method: 'ACK',
-        uri: transport === call.fromTransport ? call.to : call.from,
-        headers: {
-          ...message.headers,
-          'via': `SIP/2.0/${otherTransport.protocol} ${this.options.domain};branch=${crypto.randomBytes(8).toString('hex')}`,
-          'contact': `<sip:${this.options.domain}>`
-        },
-        body: message.body
-      });
+      this.sendResponse(message, transport, 202, 'Accepted');
+      this.emit('instant-message', record);
+      this.deliverMessages(to);
+    }
+    
+    /**
+     * Send the pending messages of a subscriber to all its contacts, one message at a time
+     * A message stays pending when no contact answers, or answers with 408,
+     * 480 or 5xx, until the subscriber registers again.
+     */
+    deliverMessages(address) {
+      for (const record of this.messages.expire(address)) {
+        this.emit('instant-message-status', record);
+        this.reportDelivery(record, 'failed');
+      }
       
-      this.sendMessage(forwardedAck, otherTransport);
+      const targets = this.registrar.bindings(address).map(binding => ({ uri: binding.contact, transport: binding.transport }));
+      const [record] = this.messages.pending(address);
+      if (!record || targets.length === 0 || this.delivering.has(address)) return;
       
-      if (call.state === 'accepted' && call.fromSDP && call.toSDP) {
-        this.setupMediaRelay(callId, call);
+      this.delivering.add(address);
+      let settled = false;
+      const settle = (statusCode) => {
+        if (settled) return;
+        settled = true;
+        this.delivering.delete(address);
+        
+        const updated = this.messages.attempted(record, statusCode);
+        this.emit('instant-message-status', updated);
+        if (updated.status === 'pending') return;
+        
+        this.reportDelivery(updated, updated.status);
+        this.deliverMessages(address);
+      };
+      
+      const fork = new Fork([targets], {
+        send: target => this.sendInstantMessage(target.transport, {
+          uri: target.uri,
+          from: record.sender,
+          to: record.recipient,
+          contentType: record.contentType,
+          body: record.body,
+          date: record.createdAt
+        })
+      });
+      fork.on('response', (response) => {
+        if (response.statusCode >= 200) settle(response.statusCode);
+      });
+      fork.on('timeout', () => settle(null));
+      fork.start();
+    }
+    
+    // Delivery reports wait for their recipient like any other message
+    reportDelivery(record, status) {
+      const wanted = status === 'delivered' ? 'positive-delivery' : 'negative-delivery';
+      if (record.report || !record.notify.includes(wanted) || !this.isLocalDomain(record.sender)) return;
+      
+      this.messages.store({
+        sender: record.recipient,
+        recipient: record.sender,
+        contentType: IMDN_CONTENT_TYPE,
+        body: deliveryReport(record, status),
+        report: true
+      });
+      this.deliverMessages(record.sender);
+    }
+    
+    /**
+     * A MESSAGE outside any dialog
+     * @param {Object} transport - Where to send it, such as the transport a request came in on
+     * @param {Object} message - from and to; uri, the Request-URI when not
+     * `to`; contentType and body; inReplyTo, the Call-ID answered; date, when
+     * the message was written
+     * @returns {ClientTransaction} The transaction sending it
+     */
+    sendInstantMessage(transport, { uri, from, to, contentType, body, inReplyTo, date }) {
+      const headers = {
+        'via': this.via(transport),
+        'max-forwards': '70',
+        'from': `<${from}>;tag=${crypto.randomBytes(4).toString('hex')}`,
+        'to': `<${to}>`,
+        'call-id': `${crypto.randomBytes(8).toString('hex')}@${this.options.domain}`,
+        'cseq': '1 MESSAGE',
+        'content-type': contentType,
+        'content-length': Buffer.byteLength(body).toString()
+      };
+      if (inReplyTo) {
+        headers['in-reply-to'] = inReplyTo;
+      }
+      if (date) {
+        headers['date'] = new Date(date).toUTCString();
       }
+      
+      return this.transactions.sendRequest({ type: 'request', method: 'MESSAGE', uri: uri || to, headers, body }, transport);
     }
     
-    handleCancel(message, transport) {
-      const callId = message.headers['call-id'];
-      const call = this.calls.get(callId);
+    /**
+     * A SUBSCRIBE to the state of a subscriber here (RFC 6665)
+     * Subscribers of the domains served here authenticate as for MESSAGE.
+     * Presence and calls may be watched by subscribers who may call the
+     * subscriber, and by watchers of other domains only when
+     * `authorizeWatcher` allows them, as they cannot be authenticated here.
+     * Registrations and waiting messages only the subscriber itself may watch. The
+     * 200 OK starts the dialog of the subscription and is followed by a NOTIFY
+     * with the current state; SUBSCRIBEs within that dialog refresh it.
+     */
+    handleSubscribe(message, transport) {
+      const from = this.addressOf(message.address('from').uri);
+      if (this.authenticator && this.isLocalDomain(from) && !this.authenticate(message, transport, from, true)) return;
+      
+      if (message.address('to').params.tag !== undefined) {
+        return this.refreshSubscription(message, transport);
+      }
       
-      if (!call) {
-        return this.sendResponse(message, transport, 481, 'Call/Transaction Does Not Exist');
+      const resource = this.addressOf(message.uri);
+      const event = parseEvent(message.headers.event);
+      const ownOnly = !!event && ['reg', 'message-summary'].includes(event.event);
+      let allowed;
+      if (!this.isLocalDomain(resource)) {
+        allowed = false;
+      } else if (ownOnly) {
+        allowed = resource === from;
+      } else if (this.isLocalDomain(from)) {
+        allowed = !this.options.authorizeCall || this.options.authorizeCall(from, resource);
+      } else {
+        allowed = !!this.options.authorizeWatcher && this.options.authorizeWatcher(from, resource);
+      }
+      if (!allowed) {
+        console.log(`Refused subscription of ${from} to ${message.headers.event} of ${resource}`);
+        return this.sendResponse(message, transport, 403, 'Forbidden');
       }
       
-      const otherTransport = transport === call.fromTransport ? call.toTransport : call.fromTransport;
+      if (this.options.acceptsSubscriptions && !this.options.acceptsSubscriptions(resource)) {
+        return this.sendResponse(message, transport, 404, 'Not Found');
+      }
       
-      const forwardedCancel = SIPMessage.create({
-        type: 'request',
-        method: 'CANCEL',
-        uri: transport === call.fromTransport ? call.to : call.from,
-        headers: {
-          ...message.headers,
-          'via': `SIP/2.0/${otherTransport.protocol} ${this.options.domain};branch=${crypto.randomBytes(8).toString('hex')}`,
-          'contact': `<sip:${this.options.domain}>`
-        }
-      });
+      const contact = message.address('contact');
+      if (!contact) {
+        return this.sendResponse(message, transport, 400, 'Missing Contact Header');
+      }
       
-      this.sendMessage(forwardedCancel, otherTransport);
-      this.sendResponse(message, transport, 200, 'OK');
+      let subscription;
+      try {
+        subscription = this.subscriptions.subscribe({
+          event: message.headers.event,
+          accept: message.values('accept'),
+          expires: message.headers.expires,
+          callId: message.headers['call-id'],
+          remoteTag: message.address('from').params.tag,
+          cseq: parseInt(message.headers.cseq, 10),
+          subscriber: from,
+          resource,
+          // The dialog of the subscription, seen from here
+          localAddress: message.headers.to,
+          remoteAddress: message.headers.from,
+          remoteTarget: contact.uri,
+          routeSet: message.values('record-route'),
+          transport: this.contactTransport(contact.uri, transport)
+        });
+      } catch (err) {
+        return this.refuseSubscription(message, transport, err);
+      }
+      
+      console.log(`${from} subscribed to ${subscription.event} of ${resource}`);
+      this.acceptSubscription(message, transport, subscription);
+    }
+    
+    // A SUBSCRIBE within the dialog of a subscription; Expires: 0 ends it
+    refreshSubscription(message, transport) {
+      const key = Subscriptions.key(message.headers['call-id'], message.address('to').params.tag, message.address('from').params.tag);
+      
+      let subscription;
+      try {
+        subscription = this.subscriptions.refresh(key, {
+          event: message.headers.event,
+          expires: message.headers.expires,
+          cseq: parseInt(message.headers.cseq, 10)
+        });
+      } catch (err) {
+        return this.refuseSubscription(message, transport, err);
+      }
+      
+      // A refresh may move the subscriber to another contact (RFC 6665 4.1.2.1)
+      const contact = message.address('contact');
+      if (contact) {
+        subscription.remoteTarget = contact.uri;
+        subscription.transport = this.contactTransport(contact.uri, transport);
+      }
+      this.acceptSubscription(message, transport, subscription);
+    }
+    
+    acceptSubscription(message, transport, subscription) {
+      const seconds = this.subscriptions.remaining(subscription);
+      this.sendResponse(message, transport, 200, 'OK', {
+        'to': `${subscription.localAddress};tag=${subscription.localTag}`,
+        'Expires': String(seconds),
+        'Contact': this.contactOf(transport)
+      });
+      this.notify(subscription, seconds === 0 ? { reason: 'timeout' } : {});
+    }
+    
+    refuseSubscription(message, transport, err) {
+      if (!(err instanceof SubscriptionError)) throw err;
+      console.log(`Refused SUBSCRIBE ${message.uri}: ${err.message}`);
+      if (err.reason === 'bad-event') {
+        return this.sendResponse(message, transport, 489, 'Bad Event', { 'Allow-Events': Object.keys(EVENT_PACKAGES).join(', ') });
+      }
+      if (err.reason === 'not-acceptable') {
+        return this.sendResponse(message, transport, 406, 'Not Acceptable', { 'Accept': EVENT_PACKAGES[parseEvent(message.headers.event).event] });
+      }
+      if (err.reason === 'interval-too-brief') {
+        return this.sendResponse(message, transport, 423, 'Interval Too Brief', { 'Min-Expires': String(err.minExpires) });
+      }
+      if (err.reason === 'does-not-exist') {
+        return this.sendResponse(message, transport, 481, 'Call/Transaction Does Not Exist');
+      }
+      return this.sendResponse(message, transport, 500, 'Server Internal Error');
+    }
+    
+    /**
+     * NOTIFY a subscriber of the state it watches, within the dialog of the subscription
+     * @param {Object} options - reason, with which the subscription ends;
+     * ended, a call of the resource that has just ended; changed, to leave
+     * out a notification whose body would be the same as the last one
+     */
+    notify(subscription, { reason = null, ended = null, changed = false } = {}) {
+      const body = this.eventState(subscription, ended);
+      if (changed && body === subscription.lastBody) return;
+      subscription.lastBody = body;
+      subscription.version++;
+      if (reason) this.subscriptions.terminate(subscription);
+      
+      const [route] = subscription.routeSet;
+      const transport = (route && this.transportFor((parseAddress(route) || {}).uri)) || subscription.transport;
+      const headers = {
+        'via': this.via(transport),
+        'max-forwards': '70',
+        'from': `${subscription.localAddress};tag=${subscription.localTag}`,
+        'to': subscription.remoteAddress,
+        'call-id': subscription.callId,
+        'cseq': `${++subscription.localCSeq} NOTIFY`,
+        'contact': this.contactOf(transport),
+        'event': subscription.id ? `${subscription.event};id=${subscription.id}` : subscription.event,
+        'subscription-state': reason ? `terminated;reason=${reason}` : `active;expires=${this.subscriptions.remaining(subscription)}`,
+        'content-type': EVENT_PACKAGES[subscription.event]
+      };
+      if (subscription.routeSet.length > 0) {
+        headers['route'] = subscription.routeSet.join(', ');
+      }
       
-      this.calls.delete(callId);
+      const transaction = this.transactions.sendRequest({ type: 'request', method: 'NOTIFY', uri: subscription.remoteTarget, headers, body }, transport);
+      // Subscribers that no longer know the subscription or cannot be reached lose it (RFC 6665 4.2.2)
+      transaction.on('response', (response) => {
+        if (response.statusCode === 481) this.subscriptions.terminate(subscription);
+      });
+      transaction.on('timeout', () => this.subscriptions.terminate(subscription));
+    }
+    
+    notifySubscribers(address, events, ended = null) {
+      for (const subscription of this.subscriptions.watching(address, events)) {
+        this.notify(subscription, { ended, changed: true });
+      }
+    }
+    
+    // The body of a notification: the state of the resource in the format of the package
+    eventState(subscription, ended) {
+      const { resource, version } = subscription;
+      const calls = Array.from(this.calls.values()).filter(call => call.from === resource || call.to === resource);
+      
+      switch (subscription.event) {
+        case 'presence':
+          return presenceDocument(resource, {
+            open: this.registrar.bindings(resource).length > 0,
+            onThePhone: calls.some(call => call.state === 'accepted')
+          });
+        case 'dialog': {
+          const states = { trying: 'trying', ringing: 'early', accepted: 'confirmed', ended: 'terminated' };
+          return dialogInfo(resource, version, (ended ? [...calls, ended] : calls).map(call => ({
+            callId: call.id,
+            direction: call.from === resource ? 'initiator' : 'recipient',
+            state: states[call.state],
+            remote: call.from === resource ? call.to : call.from
+          })));
+        }
+        case 'reg':
+          return regInfo(resource, version, this.registrar.bindings(resource));
+        default:
+          return messageSummary(resource, this.messages.pending(resource).filter(record => !record.report).length);
+      }
     }
     
     handleOptions(message, transport) {
       this.sendResponse(message, transport, 200, 'OK', {
-        'Allow': 'INVITE, ACK, CANCEL, BYE, REGISTER, OPTIONS',
+        'Allow': 'INVITE, ACK, CANCEL, BYE, REGISTER, OPTIONS, MESSAGE, SUBSCRIBE',
+        'Allow-Events': Object.keys(EVENT_PACKAGES).join(', '),
         'Supported': 'path'
       });
     }
     
+    // Top Via of requests sent from here, starting a new transaction
+    via(transport, branch = newBranch()) {
+      return `SIP/2.0/${transport.protocol.toUpperCase()} ${this.options.domain}:${this.portOf(transport)};branch=${branch}`;
+    }
+    
+    // Contact of the dialogs this server is a party to, such as those of subscriptions
+    contactOf(transport) {
+      return `<sip:${this.options.domain}:${this.portOf(transport)};transport=${transport.protocol}>`;
+    }
+    
+    portOf(transport) {
+      return transport.protocol === 'tcp' ? this.options.tcpPort : this.options.udpPort;
+    }
+    
+    // Whether host and port are those of this server, the port defaulting to 5060
+    isOwnAddress(host, port) {
+      return String(host).toLowerCase() === String(this.options.domain).toLowerCase() &&
+        [this.options.udpPort, this.options.tcpPort].map(Number).includes(port || 5060);
+    }
+    
+    // Whether a URI names this proxy: its address, or a domain served here without user
+    isOwnUri(uri) {
+      const parsed = parseUri(uri);
+      if (!parsed || !parsed.host) return false;
+      return this.isOwnAddress(parsed.host, parsed.port) || (!parsed.user && this.isLocalDomain(uri));
+    }
+    
+    isInDialog(message) {
+      const to = message.address('to');
+      return message.method !== 'CANCEL' && !!to && to.params.tag !== undefined && !this.isOwnUri(message.uri);
+    }
+    
+    /**
+     * Take the Route entries naming this proxy off the top of a request (RFC 3261 16.4)
+     * @returns {boolean} Whether there were any
+     */
+    removeOwnRoutes(message) {
+      const routes = message.values('route');
+      let own = 0;
+      while (own < routes.length && this.isOwnUri((parseAddress(routes[own]) || {}).uri)) own++;
+      if (own === 0) return false;
+      
+      if (own < routes.length) {
+        message.headers.route = routes.slice(own).join(', ');
+      } else {
+        delete message.headers.route;
+      }
+      return true;
+    }
+    
+    // Record-Route entries for a request passed from one transport to another. Where
+    // the transports differ, each side gets an entry it can reach (RFC 3261 16.6).
+    recordRoute(inbound, outbound) {
+      const entry = transport =>
+        `<sip:${this.options.domain}:${this.portOf(transport)};transport=${transport.protocol};lr>`;
+      return inbound.protocol === outbound.protocol ? [entry(outbound)] : [entry(outbound), entry(inbound)];
+    }
+    
+    // The part of the branch of a forwarded request that is the same whenever the same
+    // request comes by again; with another Request-URI it is a spiral (RFC 3261 16.3)
+    loopHash(message) {
+      const key = [
+        message.uri,
+        message.address('from').params.tag,
+        message.address('to').params.tag,
+        message.headers['call-id'],
+        parseInt(message.headers.cseq, 10),
+        message.values('route').join(','),
+        message.headers['proxy-require']
+      ];
+      return crypto.createHash('sha256').update(key.join('|')).digest('hex').substring(0, 16);
+    }
+    
+    isLooped(message, loop) {
+      return message.values('via').some((value) => {
+        const via = parseVia(value);
+        return via && this.isOwnAddress(via.host, via.port) && String(via.params.branch).startsWith(`${MAGIC_COOKIE}${loop}.`);
+      });
+    }
+    
+    // Requests for a registered contact go over the flow it registered with,
+    // others to the host and port of the URI with the transport it names
+    transportFor(uri) {
+      const binding = this.registrar.findByContact(uri);
+      if (binding) return binding.transport;
+      
+      const parsed = parseUri(uri);
+      if (!parsed || !parsed.host) return null;
+      return {
+        protocol: String(parsed.params.transport).toLowerCase() === 'tcp' ? 'tcp' : 'udp',
+        address: parsed.host.replace(/^\[|\]$/g, ''),
+        port: parsed.port || 5060
+      };
+    }
+    
+    // Requests to a TCP contact reuse the connection it registered over, and
+    // go to the contact's own address once that connection has closed
+    contactTransport(contact, transport) {
+      const uri = parseUri(contact);
+      if (transport.protocol !== 'tcp' || !uri || !uri.host) return transport;
+      return { ...transport, address: uri.host.replace(/^\[|\]$/g, ''), port: uri.port || 5060 };
+    }
+    
     sendResponse(request, transport, statusCode, reasonPhrase, additionalHeaders = {}, body = '') {
       const headers = {
         'via': request.headers.via,
@@ -615,14 +1490,24 @@ const CONFIG = {
         body
       });
       
-      this.sendMessage(response, transport);
+      // Requests without a transaction, such as malformed ones, are answered directly
+      if (!this.transactions.respond(request, statusCode, response)) {
+        this.sendMessage(response, this.responseTransport(request, transport));
+      }
+    }
+    
+    // Over TCP, a response whose connection has closed goes to the source
+    // address and the port in Via (RFC 3261 18.2.2)
+    responseTransport(request, transport) {
+      const via = transport.protocol === 'tcp' && parseVia(request.values('via')[0]);
+      return via ? { ...transport, port: via.port || 5060 } : transport;
     }
     
     sendMessage(message, transport) {
       if (transport.protocol === 'udp') {
         this.udpServer.send(message, transport.port, transport.address);
-      } else if (transport.protocol === 'tcp' && transport.socket) {
-        transport.socket.write(message);
+      } else if (transport.protocol === 'tcp') {
+        this.connections.send(message, transport);
       }
     }
     
@@ -676,6 +1561,10 @@ const CONFIG = {
     close() {
       this.udpServer.close();
       this.tcpServer.close();
+      this.connections.close();
+      this.transactions.close();
+      this.registrar.close();
+      this.subscriptions.close();
       
       for (const relay of this.mediaRelays.values()) {
         relay.close();
@@ -687,111 +1576,248 @@ const CONFIG = {
   
   class VoIPESIMProvider {
     constructor(options = {}) {
-      this.esimProvisioner = new ESIMProvisioner();
-      this.sipServer = new SIPServer(options.sip || {});
+      this.tenants = options.tenants || TenantRegistry.fromConfig(CONFIG, {
+        phoneNumberPrefix: options.phoneNumberPrefix || CONFIG.PHONE_NUMBER_PREFIX,
+        numbering: options.numbering
+      });
+      this.vault = options.vault || KeyVault.fromEnvironment(path.join(__dirname, CONFIG.DATA_DIR));
+      this.dialPlan = options.dialPlan || new DialPlan(CONFIG.DIAL_PLAN);
+      this.operators = options.operators || Operators.fromConfig(CONFIG);
+      this.watchers = (options.watchers || CONFIG.SIP_WATCHERS)
+        .map(({ domain, tenant }) => ({ domain: String(domain).toLowerCase(), tenant: this.tenants.get(tenant).id }));
+      if (this.operators.size === 0) {
+        console.warn('No provisioning operators configured; provisioning requests will be refused');
+      }
       
-      this.phoneNumberPrefix = options.phoneNumberPrefix || CONFIG.PHONE_NUMBER_PREFIX;
-      this.nextPhoneNumberSuffix = 1000;
+      // Every tenant keeps its subscribers in its own storage
+      this.partitions = new Map();
+      for (const tenant of this.tenants.all()) {
+        const storage = (tenant === this.tenants.default && options.storage) || createStorage(CONFIG.STORAGE, tenant.dataDir);
+        
+        this.partitions.set(tenant.id, {
+          tenant,
+          storage,
+          esimProvisioner: new ESIMProvisioner({ tenant, storage, vault: this.vault }),
+          phoneNumbers: storage.collection('phone_numbers')
+        });
+      }
+      
+      // The default tenant, for callers that predate tenants
+      const main = this.partition(this.tenants.default);
+      this.storage = main.storage;
+      this.esimProvisioner = main.esimProvisioner;
+      this.phoneNumbers = main.phoneNumbers;
+      this.phoneNumberPrefix = main.tenant.phoneNumberPrefix;
+      
+      this.provisioners = new TenantProvisioners(Array.from(this.partitions.values(), p => p.esimProvisioner));
+      this.authCenter = new AuthenticationCenter(this.provisioners, options.auc || {});
+      this.sipServer = new SIPServer({
+        admitRegistration: this.admitRegistration.bind(this),
+        authorizeCall: this.authorizeCall.bind(this),
+        acceptsMessages: this.acceptsMessages.bind(this),
+        // Subscriptions are to the same subscribers messages are kept for
+        acceptsSubscriptions: this.acceptsMessages.bind(this),
+        authorizeWatcher: this.authorizeWatcher.bind(this),
+        isLocalDomain: domain => !!this.tenants.byDomain(domain),
+        dialPlan: this.dialPlan,
+        authenticator: new DigestAuthenticator({
+          credentials: this.sipCredentialsOf.bind(this),
+          realmOf: domain => this.tenants.forDomain(domain).realm,
+          nonceTtl: CONFIG.SIP_NONCE_TTL
+        }),
+        operatorAuthenticator: new DigestAuthenticator({
+          credentials: this.operators.credentials.bind(this.operators),
+          realmOf: () => PROVISIONING_REALM,
+          nonceTtl: CONFIG.SIP_NONCE_TTL
+        }),
+        // Messages are kept with the tenant of their recipient
+        messageStore: new MessageStore({
+          ...CONFIG.SIP_MESSAGING,
+          collectionOf: address => this.partition(this.tenants.forDomain(uriDomain(address))).storage.collection('messages'),
+          collections: () => Array.from(this.partitions.values(), partition => partition.storage.collection('messages'))
+        }),
+        ...options.sip
+      });
       
-      this.phoneToProfile = new Map();
       this.loadPhoneNumberMappings();
       
-      this.sipServer.on('message', this.handleSIPMessage.bind(this));
-      this.sipServer.on('provision-request', this.handleProvisioningRequest.bind(this));
+      this.provisioning = new ProvisioningService(this);
+      this.sipServer.on('provisioning-request', this.handleProvisioningRequest.bind(this));
     }
     
     loadPhoneNumberMappings() {
-      try {
-        const dataPath = path.join(__dirname, CONFIG.DATA_DIR, 'phone_mappings.json');
-        if (fs.existsSync(dataPath)) {
-          const mappings = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-          this.phoneToProfile = new Map(mappings);
-          
-          let maxSuffix = 1000;
-          for (const [phone] of this.phoneToProfile.entries()) {
-            const suffix = parseInt(phone.substring(this.phoneNumberPrefix.length));
-            if (suffix > maxSuffix) maxSuffix = suffix;
-          }
-          this.nextPhoneNumberSuffix = maxSuffix + 1;
-        }
-      } catch (err) {
-        console.error('Error loading phone number mappings:', err);
+      const legacyPath = path.join(__dirname, CONFIG.DATA_DIR, 'phone_mappings.json');
+      if (this.phoneNumbers.count() === 0 && fs.existsSync(legacyPath)) {
+        console.warn('Found phone_mappings.json from an older version; run "node Storage.js migrate --to file" to import it');
       }
     }
     
-    savePhoneNumberMappings() {
+    // Storage, provisioner and phone numbers of a tenant, given as ID or Tenant
+    partition(tenant) {
+      const id = typeof tenant === 'string' ? tenant : tenant.id;
+      const partition = this.partitions.get(id);
+      if (!partition) {
+        throw new Error(`Unknown tenant ${id}`);
+      }
+      return partition;
+    }
+    
+    // The tenant a phone number is assigned in, or else the one whose prefix it has
+    tenantOfNumber(phoneNumber) {
+      for (const partition of this.partitions.values()) {
+        if (partition.phoneNumbers.has(phoneNumber)) return partition.tenant;
+      }
+      return this.tenants.byNumber(phoneNumber);
+    }
+    
+    // The tenant holding the profile of an IMSI, or else the one whose range it is in
+    tenantOfImsi(imsi) {
+      for (const partition of this.partitions.values()) {
+        if (partition.esimProvisioner.findProfileByImsi(imsi)) return partition.tenant;
+      }
+      return this.tenants.byImsi(imsi);
+    }
+    
+    // The subscriber number of a SIP address as stored, e.g. 9351001 for sip:+19351001@...
+    numberOf(uri) {
+      const user = uriUser(uri);
+      return this.dialPlan.national(user) || user;
+    }
+    
+    /**
+     * The tenant a SIP address belongs to, from its domain
+     * @returns {Tenant|null} null when the number belongs to another tenant
+     * than the domain it is used with
+     */
+    tenantOfAddress(uri) {
+      const tenant = this.tenants.forDomain(uriDomain(uri));
+      const owner = this.tenantOfNumber(this.numberOf(uri));
+      
+      return !owner || owner === tenant ? tenant : null;
+    }
+    
+    savePhoneNumberMapping(phoneNumber, iccid, actor, tenant = this.tenants.default) {
       try {
-        const dataPath = path.join(__dirname, CONFIG.DATA_DIR, 'phone_mappings.json');
-        const mappings = Array.from(this.phoneToProfile.entries());
-        fs.writeFileSync(dataPath, JSON.stringify(mappings, null, 2));
+        this.partition(tenant).esimProvisioner.assignPhoneNumber(phoneNumber, iccid, actor);
       } catch (err) {
-        console.error('Error saving phone number mappings:', err);
+        console.error('Error saving phone number mapping:', err);
       }
     }
     
-    provisionNewESIM() {
-      const phoneNumber = this.phoneNumberPrefix + this.nextPhoneNumberSuffix++;
-      const profile = this.esimProvisioner.createProfile(phoneNumber);
-      
-      this.phoneToProfile.set(phoneNumber, profile.iccid);
-      this.savePhoneNumberMappings();
+    /**
+     * Create, number and release a new eSIM profile
+     * @param {Tenant|string} tenant - The tenant, by default the default tenant
+     * @param {Object} options - msisdn and reservationId for a chosen number,
+     * or the pool to take the next number from; see NumberInventory.allocate.
+     * actor for the audit log.
+     * @returns {Object} phoneNumber, profile, activationData and
+     * sipCredentials, the only copy of the SIP password
+     */
+    provisionNewESIM(tenant = this.tenants.default, options = {}) {
+      const { esimProvisioner, storage } = this.partition(tenant);
+      const { actor = { actor: 'provisioning', interface: 'api' }, ...allocation } = options;
+      
+      const { phoneNumber, profile, sipCredentials } = storage.transaction(() => {
+        const phoneNumber = esimProvisioner.numbers.allocate(allocation);
+        const profile = esimProvisioner.createProfile(phoneNumber, actor);
+        esimProvisioner.assignPhoneNumber(phoneNumber, profile.iccid, actor);
+        const sipCredentials = esimProvisioner.issueSipCredentials(profile.iccid, actor);
+        return { phoneNumber, profile, sipCredentials };
+      });
+      esimProvisioner.transitionProfile(profile.iccid, lifecycle.STATES.RELEASED, actor);
       
-      const activationData = this.esimProvisioner.generateActivationData(profile.iccid);
+      const activationData = esimProvisioner.generateActivationData(profile.iccid);
       
       return {
         phoneNumber,
         profile,
-        activationData
+        activationData,
+        sipCredentials
       };
     }
     
-    getProfileByPhoneNumber(phoneNumber) {
-      const iccid = this.phoneToProfile.get(phoneNumber);
-      if (!iccid) return null;
-      
-      return this.esimProvisioner.getProfile(iccid);
+    // Looks in every tenant unless one is given
+    getProfileByPhoneNumber(phoneNumber, tenant) {
+      const partitions = tenant ? [this.partition(tenant)] : this.partitions.values();
+      for (const { phoneNumbers, esimProvisioner } of partitions) {
+        const mapping = phoneNumbers.get(phoneNumber);
+        if (mapping) return esimProvisioner.getProfile(mapping.iccid);
+      }
+      return null;
     }
     
-    handleSIPMessage(message, transport) {
-      // Handle standard SIP messages
-      if (!message.type || message.type !== 'request') return;
-  
-      const uri = message.uri || '';
-      
-      // Check for provisioning requests in the legacy format
-      if (message.method === 'INVITE' && uri.includes(`@${CONFIG.SIP_SERVER_URL}`) && message.body && message.body.includes('PROVISION-ESIM')) {
-        this.handleProvisioningRequest(message, transport);
+    // Digest credentials of a subscriber, looked up in the tenant of the realm
+    sipCredentialsOf(username, realm) {
+      for (const { tenant } of this.partitions.values()) {
+        if (tenant.realm !== realm) continue;
+        
+        const profile = this.getProfileByPhoneNumber(username, tenant);
+        return profile && profile.sipCredentials && profile.sipCredentials.realm === realm ? profile.sipCredentials : null;
       }
+      return null;
     }
     
-    handleProvisioningRequest(message, transport) {
-      const body = message.body || '';
+    // Profiles must be enabled and may only register under the domain of their own tenant
+    admitRegistration(aor) {
+      const tenant = this.tenantOfAddress(aor);
+      if (!tenant) return false;
       
-      if (!body.includes('PROVISION-ESIM')) {
-        return this.sipServer.sendResponse(message, transport, 400, 'Bad Request');
-      }
+      const profile = this.getProfileByPhoneNumber(this.numberOf(aor), tenant);
+      return !profile || lifecycle.isUsable(profile, 'register');
+    }
+    
+    // Messages are kept for the usable profiles of the tenant whose domain they are sent to
+    acceptsMessages(address) {
+      const tenant = this.tenantOfAddress(address);
+      const profile = tenant && this.getProfileByPhoneNumber(this.numberOf(address), tenant);
+      return !!profile && lifecycle.isUsable(profile, 'register');
+    }
+    
+    /**
+     * Messages a profile sent or received, newest first
+     * @param {Object} options - limit and before, as for MessageStore.history
+     */
+    getMessageHistory(profile, tenant, options = {}) {
+      const address = this.sipServer.addressOf(`sip:${profile.msisdn}@${tenant.domain}`);
+      return this.sipServer.messages.history(address, options);
+    }
+    
+    // Calls between tenants need a peering rule; domains of no tenant are external.
+    // Suspended and other unusable profiles cannot call.
+    authorizeCall(from, to) {
+      const caller = this.tenantOfAddress(from);
+      if (!caller) return false;
       
-      try {
-        const provisioningData = this.provisionNewESIM();
-        
-        const responseBody = `ESIM-PROVISIONED\r\n
-  Phone-Number: ${provisioningData.phoneNumber}
-  ICCID: ${provisioningData.profile.iccid}
-  IMSI: ${provisioningData.profile.imsi}
-  Activation-Code: ${provisioningData.activationData.activationCode}
-  SM-DP-Address: ${provisioningData.activationData.smDpPlusAddress}
-  SIP-URL: ${provisioningData.activationData.sipServerUrl}
-  Encoded-Profile: ${provisioningData.activationData.encodedActivationCode}
-  `;
-        
-        this.sipServer.sendResponse(message, transport, 200, 'OK', {
-          'Content-Type': 'application/esim-provision',
-          'Content-Length': Buffer.byteLength(responseBody).toString()
-        }, responseBody);
-      } catch (err) {
-        console.error('Error provisioning eSIM:', err);
-        this.sipServer.sendResponse(message, transport, 500, 'Internal Server Error');
-      }
+      const profile = this.getProfileByPhoneNumber(this.numberOf(from), caller);
+      if (profile && !lifecycle.isUsable(profile, 'register')) return false;
+      
+      const callee = this.tenants.byDomain(uriDomain(to));
+      return !callee || this.tenants.allows(caller, callee);
+    }
+    
+    // Watchers of other domains need a SIP_WATCHERS rule for the tenant they watch
+    authorizeWatcher(from, resource) {
+      const tenant = this.tenantOfAddress(resource);
+      const domain = uriDomain(from).toLowerCase();
+      return !!tenant && this.watchers.some(rule => rule.domain === domain && rule.tenant === tenant.id);
+    }
+    
+    // Provisioning protocol requests sent as SIP MESSAGE to the domain of a tenant by an operator
+    handleProvisioningRequest(message, transport, operator) {
+      const from = message.address('from').uri;
+      const answer = this.provisioning.handle(message.body || '', {
+        operator: this.operators.find(operator),
+        tenant: this.tenants.forDomain(uriDomain(message.uri)),
+        actor: { actor: `${operator} (${from})`, interface: 'sip' }
+      });
+      
+      this.sipServer.sendInstantMessage(transport, {
+        from: `sip:${PROVISIONING_USER}@${uriDomain(message.uri)}`,
+        to: from,
+        contentType: PROVISIONING_CONTENT_TYPE,
+        body: JSON.stringify(answer),
+        inReplyTo: message.headers['call-id']
+      });
     }
   }
   
@@ -804,6 +1830,9 @@ const CONFIG = {
   module.exports = API;
   
   if (require.main === module) {
+    // Only a server being started looks up its public address
+    resolvePublicAddress();
+    
     // Create provider with default configurations from CONFIG
     const provider = new VoIPESIMProvider({
       sip: {
@@ -837,15 +1866,49 @@ if (require.main === module) {
     phoneNumberPrefix: CONFIG.PHONE_NUMBER_PREFIX
   });
   
+  console.log(`VoIP eSIM Provisioning Server started at ${CONFIG.SIP_SERVER_URL}:${CONFIG.SIP_SERVER_PORT}`);
+  
   // Add this new part - create the integrated provider
   const integratedProvider = new IntegratedMobileDataProvider(provider, {
     ip: CONFIG.SIP_SERVER_URL,
     port: CONFIG.SIP_SERVER_PORT + 2,
-    apn: 'private.network.apn'
+    apn: CONFIG.APN
   });
   
-  console.log(`VoIP eSIM Provisioning Server started at ${CONFIG.SIP_SERVER_URL}:${CONFIG.SIP_SERVER_PORT}`);
   console.log(`Mobile Data Bridge started at ${CONFIG.SIP_SERVER_URL}:${CONFIG.SIP_SERVER_PORT + 2}`);
+  
+  // S6a HSS so EPC cores can attach UEs with VLeSIM-issued IMSIs of every tenant
+  const hss = new DiameterHSS(provider.provisioners, provider.authCenter, {
+    port: CONFIG.DIAMETER_PORT,
+    ip: CONFIG.DIAMETER_IP,
+    peers: CONFIG.DIAMETER_PEERS,
+    apn: CONFIG.APN
+  });
+  
+  console.log(`Diameter S6a HSS started at ${CONFIG.DIAMETER_IP}:${CONFIG.DIAMETER_PORT}`);
+  
+  // ES9+ endpoint behind the smDpPlusAddress of the activation codes
+  const smdp = new SMDPPlus(provider.provisioners, {
+    port: CONFIG.SMDP_PORT,
+    address: () => `${CONFIG.SIP_SERVER_URL}:${CONFIG.SMDP_PORT}`,
+    tls: process.env.SMDP_TLS_KEY && process.env.SMDP_TLS_CERT ? {
+      key: fs.readFileSync(process.env.SMDP_TLS_KEY),
+      cert: fs.readFileSync(process.env.SMDP_TLS_CERT)
+    } : null
+  });
+  
+  console.log(`SM-DP+ started at ${CONFIG.SIP_SERVER_URL}:${CONFIG.SMDP_PORT}`);
+  
+  // HTTP endpoint of the provisioning protocol, next to SIP MESSAGE
+  const provisioningApi = new ProvisioningAPI(provider.provisioning, {
+    port: CONFIG.PROVISIONING_PORT,
+    operators: provider.operators,
+    tls: process.env.PROVISIONING_TLS_KEY && process.env.PROVISIONING_TLS_CERT ? {
+      key: fs.readFileSync(process.env.PROVISIONING_TLS_KEY),
+      cert: fs.readFileSync(process.env.PROVISIONING_TLS_CERT)
+    } : null
+  });
+  
   console.log(`External calls ${provider.sipServer.allowOutboundCalls ? 'enabled' : 'disabled'}`);
   
   // In your shutdown handler
@@ -853,8 +1916,11 @@ if (require.main === module) {
     console.log('Shutting down VLeSIM servers...');
     provider.sipServer.close();
     integratedProvider.close(); // Add this to properly close the data bridge
+    hss.close();
+    smdp.close();
+    provisioningApi.close();
     process.exit(0);
   });
 }
 
-module.exports = { CONFIG }
\ No newline at end of file
+module.exports = { ...API, CONFIG };
\ No newline at end of file
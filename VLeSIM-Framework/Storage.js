@@ -0,0 +1,649 @@
+// Storage.js - Pluggable storage for profiles, numbers and devices
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Every store the framework keeps, with its primary key and indexed fields
+const COLLECTIONS = {
+  esims: { key: 'iccid', indexes: ['imsi', 'msisdn'], directory: 'esims' },
+  mobile: { key: 'imsi', indexes: ['iccid', 'msisdn'], directory: 'mobile' },
+  devices: { key: 'deviceId', indexes: ['iccid'], directory: 'mobile_devices' },
+  phone_numbers: { key: 'msisdn', indexes: ['iccid'], directory: 'phone_numbers' },
+  numbering: { key: 'name', indexes: [], directory: 'numbering' },
+  number_holds: { key: 'msisdn', indexes: ['status'], directory: 'number_holds' },
+  activation_codes: { key: 'matchingId', indexes: ['iccid'], directory: 'activation_codes' },
+  audit_log: { key: 'seq', indexes: ['entityId'], directory: 'audit_log' },
+  messages: { key: 'id', indexes: ['recipient', 'sender'], directory: 'messages' }
+};
+
+function getDefinition(name) {
+  const definition = COLLECTIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown storage collection ${name}`);
+  }
+  return definition;
+}
+
+function clone(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+// Make a rename or unlink inside a directory durable; not every platform can open directories
+function syncDirectory(directory) {
+  let fd;
+  try {
+    fd = fs.openSync(directory, 'r');
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Replace a file so that a crash leaves either the old or the new contents
+ * The data is written and flushed to a temporary file next to the target,
+ * which is then renamed over it.
+ * @param {string} file - The file to write
+ * @param {string|Buffer} data - The new contents
+ * @param {Object} options - mode of a newly created file
+ */
+function writeFileAtomic(file, data, options = {}) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const fd = fs.openSync(tmp, 'w', options.mode || 0o666);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  syncDirectory(path.dirname(file));
+}
+
+// Move an unreadable file aside so that loading can carry on without it
+function quarantine(file, reason) {
+  const directory = path.join(path.dirname(file), '.quarantine');
+  const target = path.join(directory, `${Date.now()}-${path.basename(file)}`);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.renameSync(file, target);
+  console.error(`Quarantined ${file} (${reason}) as ${target}`);
+  return target;
+}
+
+/**
+ * MemoryCollection - Records held in a Map with one Map per indexed field
+ * Also serves as the in-memory cache of the file backend.
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.definition = getDefinition(name);
+    this.records = new Map();
+    this.indexes = new Map(this.definition.indexes.map(field => [field, new Map()]));
+  }
+
+  keyOf(record) {
+    const key = record[this.definition.key];
+    if (key === undefined || key === null || key === '') {
+      throw new Error(`Record in ${this.name} has no ${this.definition.key}`);
+    }
+    return String(key);
+  }
+
+  index(record) {
+    const key = this.keyOf(record);
+    for (const [field, index] of this.indexes) {
+      const value = record[field];
+      if (value === undefined || value === null) continue;
+      if (!index.has(String(value))) index.set(String(value), new Set());
+      index.get(String(value)).add(key);
+    }
+  }
+
+  unindex(record) {
+    const key = this.keyOf(record);
+    for (const [field, index] of this.indexes) {
+      const keys = index.get(String(record[field]));
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) index.delete(String(record[field]));
+    }
+  }
+
+  get(key) {
+    return clone(this.records.get(String(key)));
+  }
+
+  has(key) {
+    return this.records.has(String(key));
+  }
+
+  find(field, value) {
+    if (field === this.definition.key) {
+      const record = this.get(value);
+      return record ? [record] : [];
+    }
+
+    const index = this.indexes.get(field);
+    if (!index) {
+      throw new Error(`${field} is not an indexed field of ${this.name}`);
+    }
+
+    return Array.from(index.get(String(value)) || []).map(key => this.get(key));
+  }
+
+  findOne(field, value) {
+    return this.find(field, value)[0] || null;
+  }
+
+  all() {
+    return Array.from(this.records.values()).map(clone);
+  }
+
+  count() {
+    return this.records.size;
+  }
+
+  put(record) {
+    const key = this.keyOf(record);
+    const existing = this.records.get(key);
+    if (existing) this.unindex(existing);
+
+    const stored = clone(record);
+    this.records.set(key, stored);
+    this.index(stored);
+    return clone(stored);
+  }
+
+  delete(key) {
+    const existing = this.records.get(String(key));
+    if (!existing) return false;
+
+    this.unindex(existing);
+    this.records.delete(String(key));
+    return true;
+  }
+}
+
+/**
+ * FileCollection - One JSON file per record, as in the original data/ layout
+ * The directory is read once when the collection is opened; lookups are
+ * then served from the in-memory indexes. Files are replaced atomically, and
+ * inside a transaction the writes are handed to the storage journal.
+ */
+class FileCollection extends MemoryCollection {
+  constructor(name, directory, storage) {
+    super(name);
+    this.directory = directory;
+    this.storage = storage;
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  fileFor(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  load() {
+    for (const file of fs.readdirSync(this.directory)) {
+      const filePath = path.join(this.directory, file);
+
+      // Left behind by a write that never got to its rename
+      if (file.endsWith('.tmp')) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        super.put(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      } catch (err) {
+        quarantine(filePath, err.message);
+      }
+    }
+  }
+
+  // Inside a transaction the write waits in the journal, with the previous record for a rollback
+  write(key, record, previous) {
+    const file = this.fileFor(key);
+    if (this.storage && this.storage.journal) {
+      this.storage.journal.push({ collection: this, key, file, record, previous });
+    } else if (record) {
+      writeFileAtomic(file, JSON.stringify(record, null, 2));
+    } else if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+      syncDirectory(this.directory);
+    }
+  }
+
+  put(record) {
+    const key = this.keyOf(record);
+    const previous = this.get(key);
+    const stored = super.put(record);
+    this.write(key, stored, previous);
+    return stored;
+  }
+
+  delete(key) {
+    const previous = this.get(key);
+    if (!super.delete(key)) return false;
+
+    this.write(String(key), null, previous);
+    return true;
+  }
+}
+
+/**
+ * SQLiteCollection - One table per collection with a column per indexed field
+ */
+class SQLiteCollection {
+  constructor(name, db) {
+    this.name = name;
+    this.definition = getDefinition(name);
+    this.db = db;
+
+    const columns = this.definition.indexes.map(field => `, "${field}" TEXT`).join('');
+    db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (key TEXT PRIMARY KEY, data TEXT NOT NULL${columns})`);
+    for (const field of this.definition.indexes) {
+      db.exec(`CREATE INDEX IF NOT EXISTS "${name}_${field}" ON "${name}" ("${field}")`);
+    }
+
+    const fields = ['key', 'data', ...this.definition.indexes].map(field => `"${field}"`);
+    this.statements = {
+      get: db.prepare(`SELECT data FROM "${name}" WHERE key = ?`),
+      all: db.prepare(`SELECT data FROM "${name}" ORDER BY key`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM "${name}"`),
+      put: db.prepare(`INSERT OR REPLACE INTO "${name}" (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`),
+      delete: db.prepare(`DELETE FROM "${name}" WHERE key = ?`)
+    };
+    this.findStatements = new Map(this.definition.indexes.map(field => [
+      field,
+      db.prepare(`SELECT data FROM "${name}" WHERE "${field}" = ? ORDER BY key`)
+    ]));
+  }
+
+  keyOf(record) {
+    return MemoryCollection.prototype.keyOf.call(this, record);
+  }
+
+  get(key) {
+    const row = this.statements.get.get(String(key));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  has(key) {
+    return !!this.statements.get.get(String(key));
+  }
+
+  find(field, value) {
+    if (field === this.definition.key) {
+      const record = this.get(value);
+      return record ? [record] : [];
+    }
+
+    const statement = this.findStatements.get(field);
+    if (!statement) {
+      throw new Error(`${field} is not an indexed field of ${this.name}`);
+    }
+
+    return statement.all(String(value)).map(row => JSON.parse(row.data));
+  }
+
+  findOne(field, value) {
+    return this.find(field, value)[0] || null;
+  }
+
+  all() {
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  count() {
+    return this.statements.count.get().count;
+  }
+
+  put(record) {
+    const key = this.keyOf(record);
+    const indexValues = this.definition.indexes.map(field => {
+      const value = record[field];
+      return value === undefined || value === null ? null : String(value);
+    });
+
+    this.statements.put.run(key, JSON.stringify(record), ...indexValues);
+    return clone(record);
+  }
+
+  delete(key) {
+    return this.statements.delete.run(String(key)).changes > 0;
+  }
+}
+
+/**
+ * MemoryStorage - Non-persistent storage, for tests and throwaway instances
+ * A transaction takes a snapshot of every collection and puts it back when
+ * the transaction throws.
+ */
+class MemoryStorage {
+  constructor() {
+    this.collections = new Map();
+    this.snapshot = null;
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  transaction(fn) {
+    // Nested calls join the outermost transaction
+    if (this.snapshot) {
+      return fn();
+    }
+
+    // Records are replaced on every put, never changed in place, so copying the Maps is enough
+    this.snapshot = new Map(Array.from(this.collections, ([name, collection]) => [name, new Map(collection.records)]));
+    try {
+      return fn();
+    } catch (err) {
+      this.restore(this.snapshot);
+      throw err;
+    } finally {
+      this.snapshot = null;
+    }
+  }
+
+  // Put every collection back as it was in the snapshot; collections opened since were empty
+  restore(snapshot) {
+    for (const [name, collection] of this.collections) {
+      collection.records = new Map(snapshot.get(name));
+      collection.indexes.forEach(index => index.clear());
+      collection.records.forEach(record => collection.index(record));
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * FileStorage - JSON files under a data directory
+ * A transaction keeps its writes back and commits them through a write-ahead
+ * journal: the journal is flushed in full before the first data file is
+ * touched, and replayed on startup when a crash interrupted the commit.
+ * @param {string} rootDir - The data directory
+ * @param {Object} options - directories: per-collection directory overrides
+ */
+class FileStorage extends MemoryStorage {
+  constructor(rootDir, options = {}) {
+    super();
+    this.rootDir = rootDir;
+    this.directories = options.directories || {};
+    this.journalPath = path.join(rootDir, 'journal.json');
+    this.journal = null;
+
+    this.recover();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const directory = this.directories[name] || getDefinition(name).directory;
+      this.collections.set(name, new FileCollection(name, path.resolve(this.rootDir, directory), this));
+    }
+    return this.collections.get(name);
+  }
+
+  transaction(fn) {
+    // Nested calls join the outermost transaction
+    if (this.journal) {
+      return fn();
+    }
+
+    const journal = [];
+    let result;
+    let writes;
+    this.journal = journal;
+    try {
+      result = fn();
+      writes = this.writeJournal(journal);
+    } catch (err) {
+      this.rollback(journal);
+      throw err;
+    } finally {
+      this.journal = null;
+    }
+
+    // The transaction is durable now; a crash from here on is completed by recover()
+    this.replay(writes);
+    return result;
+  }
+
+  // Undo the in-memory side of the writes, newest first
+  rollback(journal) {
+    for (const { collection, key, previous } of journal.slice().reverse()) {
+      if (previous) {
+        MemoryCollection.prototype.put.call(collection, previous);
+      } else {
+        MemoryCollection.prototype.delete.call(collection, key);
+      }
+    }
+  }
+
+  writeJournal(journal) {
+    const writes = journal.map(({ file, record }) => ({ file: path.relative(this.rootDir, file), record }));
+    if (writes.length > 0) {
+      fs.mkdirSync(this.rootDir, { recursive: true });
+      writeFileAtomic(this.journalPath, JSON.stringify(writes));
+    }
+    return writes;
+  }
+
+  replay(writes) {
+    if (writes.length === 0) return;
+
+    for (const { file, record } of writes) {
+      const target = path.resolve(this.rootDir, file);
+      if (record) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        writeFileAtomic(target, JSON.stringify(record, null, 2));
+      } else {
+        fs.rmSync(target, { force: true });
+      }
+    }
+
+    fs.rmSync(this.journalPath, { force: true });
+    syncDirectory(this.rootDir);
+  }
+
+  recover() {
+    if (!fs.existsSync(this.journalPath)) return;
+
+    let writes;
+    try {
+      writes = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'));
+    } catch (err) {
+      // The journal is renamed into place whole, so this is not a torn commit
+      quarantine(this.journalPath, err.message);
+      return;
+    }
+
+    this.replay(writes);
+    console.warn(`Completed ${writes.length} writes of a transaction interrupted by a crash`);
+  }
+}
+
+/**
+ * SQLiteStorage - A single SQLite database file
+ * Uses the built-in node:sqlite module where available, else better-sqlite3.
+ */
+class SQLiteStorage extends MemoryStorage {
+  constructor(filename) {
+    super();
+    this.filename = filename;
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.db = SQLiteStorage.open(filename);
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.transactionDepth = 0;
+  }
+
+  static open(filename) {
+    try {
+      const { DatabaseSync } = require('node:sqlite');
+      return new DatabaseSync(filename);
+    } catch (err) {
+      // Fall through to better-sqlite3
+    }
+
+    try {
+      const Database = require('better-sqlite3');
+      return new Database(filename);
+    } catch (err) {
+      throw new Error('SQLite storage needs Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+    }
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new SQLiteCollection(name, this.db));
+    }
+    return this.collections.get(name);
+  }
+
+  transaction(fn) {
+    // Nested calls join the outermost transaction
+    if (this.transactionDepth > 0) {
+      return fn();
+    }
+
+    this.transactionDepth++;
+    this.db.exec('BEGIN');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    } finally {
+      this.transactionDepth--;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create a storage backend from a spec string
+ * @param {string} spec - 'file[:dir]', 'memory' or 'sqlite[:file]'
+ * @param {string} dataDir - Default data directory, relative paths resolve against it
+ */
+function createStorage(spec = 'file', dataDir = path.join(__dirname, 'data')) {
+  const separator = spec.indexOf(':');
+  const type = separator >= 0 ? spec.substring(0, separator) : spec;
+  const location = separator >= 0 ? spec.substring(separator + 1) : '';
+
+  switch (type) {
+    case 'file':
+      return new FileStorage(location ? path.resolve(dataDir, location) : dataDir);
+    case 'memory':
+      return new MemoryStorage();
+    case 'sqlite':
+      return new SQLiteStorage(path.resolve(dataDir, location || 'vlesim.db'));
+    default:
+      throw new Error(`Unknown storage type ${type}`);
+  }
+}
+
+function readJsonFiles(directory) {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+}
+
+/**
+ * Copy the original data/ layout (esims/, mobile/, mobile_devices/ and
+ * phone_mappings.json) into a storage backend
+ * @returns {Object} Number of records migrated per collection
+ */
+function migrateLegacyData(dataDir, storage) {
+  const counts = {};
+
+  storage.transaction(() => {
+    for (const name of ['esims', 'mobile', 'devices']) {
+      const collection = storage.collection(name);
+      const records = readJsonFiles(path.join(dataDir, getDefinition(name).directory));
+      records.forEach(record => collection.put(record));
+      counts[name] = records.length;
+    }
+
+    const mappingsPath = path.join(dataDir, 'phone_mappings.json');
+    const mappings = fs.existsSync(mappingsPath) ? JSON.parse(fs.readFileSync(mappingsPath, 'utf8')) : [];
+    const numbers = storage.collection('phone_numbers');
+    mappings.forEach(([msisdn, iccid]) => numbers.put({ msisdn, iccid }));
+    counts.phone_numbers = mappings.length;
+  });
+
+  return counts;
+}
+
+module.exports = {
+  COLLECTIONS,
+  MemoryStorage,
+  FileStorage,
+  SQLiteStorage,
+  createStorage,
+  migrateLegacyData,
+  writeFileAtomic
+};
+
+// Migration command: node Storage.js migrate [--from <data dir>] [--to <storage spec>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const config = {
+    from: path.join(__dirname, 'data'),
+    to: 'sqlite'
+  };
+
+  if (args[0] !== 'migrate') {
+    console.error('Usage: node Storage.js migrate [--from <data dir>] [--to file:<dir>|sqlite:<file>]');
+    process.exit(1);
+  }
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--from' && i + 1 < args.length) {
+      config.from = path.resolve(args[i + 1]);
+      i++;
+    } else if (args[i] === '--to' && i + 1 < args.length) {
+      config.to = args[i + 1];
+      i++;
+    }
+  }
+
+  try {
+    const storage = createStorage(config.to, config.from);
+    const counts = migrateLegacyData(config.from, storage);
+    storage.close();
+
+    console.log(`Migrated ${config.from} to ${config.to}:`);
+    Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,235 @@
+// Tenants.js - MVNO tenants sharing one VLeSIM installation
+const path = require('path');
+const { buildRanges } = require('./NumberingPlan');
+
+// ID of the tenant built from the top-level CONFIG settings
+const DEFAULT_TENANT = 'default';
+
+// Whether two numbering ranges can hand out the same number
+function rangesOverlap(a, b) {
+  return a.prefix === b.prefix && a.digits === b.digits && a.first <= b.last && b.first <= a.last;
+}
+
+/**
+ * Tenant - One MVNO brand
+ * Subscribers of a tenant get numbers from its phone number prefix and
+ * numbering ranges, register under its SIP domain with credentials of its
+ * digest realm, attach to its APN and are stored in its own data directory.
+ */
+class Tenant {
+  constructor(config, defaults) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(config.id || '')) {
+      throw new Error(`Tenant ID "${config.id}" must be lower case letters, digits and dashes`);
+    }
+    if (!config.domain) {
+      throw new Error(`Tenant ${config.id} has no SIP domain`);
+    }
+    if (!/^\d+$/.test(config.phoneNumberPrefix || '')) {
+      throw new Error(`Phone number prefix of tenant ${config.id} must be digits`);
+    }
+
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.phoneNumberPrefix = config.phoneNumberPrefix;
+    this.apn = config.apn || defaults.apn;
+    // SIP credentials are bound to the realm, so it must not change once issued
+    this.realm = config.realm || (typeof config.domain === 'string' ? config.domain.toLowerCase() : config.id);
+    this.dataDir = path.resolve(__dirname, config.dataDir || path.join(defaults.dataDir, 'tenants', config.id));
+
+    // The default tenant follows CONFIG.SIP_SERVER_URL once the public IP is known
+    this.resolveDomain = typeof config.domain === 'function' ? config.domain : () => config.domain;
+
+    const numbering = config.numbering || {};
+    this.numbering = {
+      iccid: { ...defaults.numbering.iccid, ...numbering.iccid },
+      imsi: { ...defaults.numbering.imsi, ...numbering.imsi },
+      msisdn: { ...defaults.numbering.msisdn, ...numbering.msisdn, prefix: this.phoneNumberPrefix }
+    };
+    this.ranges = buildRanges(this.numbering);
+  }
+
+  get domain() {
+    return String(this.resolveDomain()).toLowerCase();
+  }
+
+  servesDomain(domain) {
+    return !!domain && domain.toLowerCase() === this.domain;
+  }
+
+  ownsNumber(msisdn) {
+    return String(msisdn).startsWith(this.phoneNumberPrefix);
+  }
+
+  ownsImsi(imsi) {
+    return this.ranges.imsi.positionOf(String(imsi)) !== null;
+  }
+}
+
+/**
+ * TenantRegistry - The tenants of an installation and the peering between them
+ * Phone number prefixes, ICCID and IMSI ranges and SIP domains of tenants may
+ * not overlap, so every number belongs to at most one tenant. A peering rule
+ * { from, to } lets subscribers of `from` call into the domain of `to`;
+ * calls the other way need a rule of their own.
+ */
+class TenantRegistry {
+  constructor(tenants, peering = []) {
+    if (tenants.length === 0) {
+      throw new Error('At least one tenant is needed');
+    }
+
+    this.tenants = new Map();
+    for (const tenant of tenants) {
+      if (this.tenants.has(tenant.id)) {
+        throw new Error(`Tenant ${tenant.id} is configured twice`);
+      }
+
+      for (const other of this.tenants.values()) {
+        if (tenant.ownsNumber(other.phoneNumberPrefix) || other.ownsNumber(tenant.phoneNumberPrefix)) {
+          throw new Error(`Phone number prefixes of tenants ${other.id} and ${tenant.id} overlap`);
+        }
+        for (const name of ['iccid', 'imsi']) {
+          if (rangesOverlap(tenant.ranges[name], other.ranges[name])) {
+            throw new Error(`${name.toUpperCase()} ranges of tenants ${other.id} and ${tenant.id} overlap`);
+          }
+        }
+        if (tenant.servesDomain(other.domain)) {
+          throw new Error(`Tenants ${other.id} and ${tenant.id} share the SIP domain ${tenant.domain}`);
+        }
+      }
+
+      this.tenants.set(tenant.id, tenant);
+    }
+    this.defaultTenant = tenants[0];
+
+    this.peering = peering.map(({ from, to }) => ({ from: this.get(from).id, to: this.get(to).id }));
+  }
+
+  /**
+   * The default tenant from the top-level settings followed by CONFIG.TENANTS
+   * Tenant entries fall back to CONFIG.APN and CONFIG.NUMBERING for whatever
+   * they leave out, and keep their data under <DATA_DIR>/tenants/<id>.
+   * @param {Object} config - The CONFIG of Server.js
+   * @param {Object} overrides - Settings of the default tenant to use instead
+   */
+  static fromConfig(config, overrides = {}) {
+    const defaults = { apn: config.APN, dataDir: config.DATA_DIR, numbering: config.NUMBERING };
+    const tenants = [
+      new Tenant({
+        id: DEFAULT_TENANT,
+        domain: () => config.SIP_SERVER_URL,
+        phoneNumberPrefix: config.PHONE_NUMBER_PREFIX,
+        realm: config.SIP_REALM,
+        dataDir: config.DATA_DIR,
+        ...overrides
+      }, defaults),
+      ...(config.TENANTS || []).map(tenant => new Tenant(tenant, defaults))
+    ];
+    return new TenantRegistry(tenants, config.PEERING);
+  }
+
+  get default() {
+    return this.defaultTenant;
+  }
+
+  get(id) {
+    const tenant = this.tenants.get(id);
+    if (!tenant) {
+      throw new Error(`Unknown tenant ${id}`);
+    }
+    return tenant;
+  }
+
+  all() {
+    return Array.from(this.tenants.values());
+  }
+
+  // The tenant serving a SIP domain, or null for domains outside the installation
+  byDomain(domain) {
+    return this.all().find(tenant => tenant.servesDomain(domain)) || null;
+  }
+
+  // Domains no tenant claims belong to the default tenant
+  forDomain(domain) {
+    return this.byDomain(domain) || this.defaultTenant;
+  }
+
+  byNumber(msisdn) {
+    return this.all().find(tenant => tenant.ownsNumber(msisdn)) || null;
+  }
+
+  byImsi(imsi) {
+    return this.all().find(tenant => tenant.ownsImsi(imsi)) || null;
+  }
+
+  // Whether subscribers of one tenant may reach into the domain of another
+  allows(from, to) {
+    return from.id === to.id || this.peering.some(rule => rule.from === from.id && rule.to === to.id);
+  }
+}
+
+/**
+ * TenantProvisioners - The ESIMProvisioners of all tenants behind one interface
+ * Lets the AuC, HSS and SM-DP+ serve every tenant: each call goes to the
+ * tenant holding the ICCID, IMSI or matching ID. Profiles read through it
+ * carry their tenant and, unless they have their own, the tenant's APN.
+ */
+class TenantProvisioners {
+  constructor(provisioners) {
+    this.provisioners = provisioners;
+
+    const byMatchingId = matchingId => this.owner(p => p.activationCodes.get(matchingId)).activationCodes;
+    this.activationCodes = {
+      check: matchingId => byMatchingId(matchingId).check(matchingId),
+      verifyConfirmationCode: (matchingId, ...args) => byMatchingId(matchingId).verifyConfirmationCode(matchingId, ...args),
+      redeem: matchingId => byMatchingId(matchingId).redeem(matchingId)
+    };
+  }
+
+  // Unknown keys go to the first provisioner, which reports them as usual
+  owner(holds) {
+    return this.provisioners.find(holds) || this.provisioners[0];
+  }
+
+  byIccid(iccid) {
+    return this.owner(p => p.getProfile(iccid));
+  }
+
+  withTenant(provisioner, profile) {
+    if (!profile || !provisioner.tenant) return profile;
+    return { ...profile, tenant: provisioner.tenant.id, apn: profile.apn || provisioner.tenant.apn };
+  }
+
+  getProfile(iccid) {
+    const provisioner = this.byIccid(iccid);
+    return this.withTenant(provisioner, provisioner.getProfile(iccid));
+  }
+
+  findProfileByImsi(imsi) {
+    const provisioner = this.owner(p => p.findProfileByImsi(imsi));
+    return this.withTenant(provisioner, provisioner.findProfileByImsi(imsi));
+  }
+
+  updateProfile(iccid, updates, actor) {
+    return this.byIccid(iccid).updateProfile(iccid, updates, actor);
+  }
+
+  transitionProfile(iccid, state, actor) {
+    return this.byIccid(iccid).transitionProfile(iccid, state, actor);
+  }
+
+  getProfileSecrets(iccid, purpose) {
+    return this.byIccid(iccid).getProfileSecrets(iccid, purpose);
+  }
+
+  exportProfilePackage(iccid) {
+    return this.byIccid(iccid).exportProfilePackage(iccid);
+  }
+}
+
+module.exports = {
+  Tenant,
+  TenantRegistry,
+  TenantProvisioners,
+  DEFAULT_TENANT
+};
@@ -1,6 +1,8 @@
 const dgram = require('dgram');
 const client = dgram.createSocket('udp4');
 const https = require('https');
+const crypto = require('crypto');
+const { createSipRequest, answerSipChallenge, readSipAnswer, OPERATIONS } = require('./Provisioning');
 
 const SERVER_HOST = "0.0.0.0";
 const SERVER_PORT = 5052;
@@ -17,61 +19,84 @@ const SERVER_PORT = 5052;
     console.error('Could not get public IP:', err);
   }
 })();
-function provisionESIM() {
-  // Create a simple SIP INVITE message for provisioning
-  const inviteMessage = 
-    'INVITE sip:provision@0.0.0.0 SIP/2.0\r\n' +
-    'Via: SIP/2.0/UDP client.local;branch=z9hG4bK-test\r\n' +
-    'From: <sip:client@client.local>;tag=test\r\n' +
-    'To: <sip:provision@0.0.0.0>\r\n' +
-    'Call-ID: test-call-id\r\n' +
-    'CSeq: 1 INVITE\r\n' +
-    'Contact: <sip:client@client.local>\r\n' +
-    'Content-Type: text/plain\r\n' +
-    'Content-Length: 13\r\n' +
-    '\r\n' +
-    'PROVISION-ESIM';
+// node client.js [provision|suspend|resume|delete|query|reset-credentials] [name=value ...]
+// e.g. node client.js provision pool=business, node client.js suspend msisdn=9351001
+// The operator account comes from VLESIM_OPERATOR (admin by default) and VLESIM_OPERATOR_SECRET
+const operator = { id: process.env.VLESIM_OPERATOR || 'admin', secret: process.env.VLESIM_OPERATOR_SECRET || '' };
+const [operation = 'provision', ...pairs] = process.argv.slice(2);
+const params = Object.fromEntries(pairs.map(pair => {
+  const separator = pair.indexOf('=');
+  return [pair.substring(0, separator), pair.substring(separator + 1)];
+}));
 
-  client.send(Buffer.from(inviteMessage), SERVER_PORT, SERVER_HOST, (err) => {
+if (!OPERATIONS.includes(operation)) {
+  console.error(`Usage: node client.js [${OPERATIONS.join('|')}] [name=value ...]`);
+  process.exit(1);
+}
+
+let request;
+
+function send(data) {
+  client.send(data, SERVER_PORT, SERVER_HOST, (err) => {
     if (err) {
       console.error('Error sending request:', err);
       client.close();
     } else {
-      console.log('Provisioning request sent');
+      console.log(`${operation} request sent`);
     }
   });
 }
 
+function sendRequest() {
+  request = createSipRequest({
+    host: SERVER_HOST,
+    from: 'client@client.local',
+    id: crypto.randomUUID(),
+    operation,
+    params
+  });
+  send(request);
+}
+
 // Handle incoming responses
 client.on('message', (msg, rinfo) => {
-  console.log(`Received response from ${rinfo.address}:${rinfo.port}`);
-  
-  const response = msg.toString();
-  console.log('\nResponse:\n', response);
-  
-  // Extract the relevant information
-  if (response.includes('ESIM-PROVISIONED')) {
-    const lines = response.split('\n');
-    const profileData = {};
-    
-    lines.forEach(line => {
-      if (line.includes(':')) {
-        const [key, value] = line.split(':', 2);
-        profileData[key.trim()] = value.trim();
-      }
-    });
-    
-    console.log('\nProvisioned eSIM Profile:');
-    console.log(JSON.stringify(profileData, null, 2));
+  const firstLine = msg.toString().split('\r\n')[0];
+  console.log(`Received ${firstLine} from ${rinfo.address}:${rinfo.port}`);
+
+  // The server asks for the operator's credentials first
+  const retry = answerSipChallenge(msg, request, operator);
+  if (retry) {
+    request = retry;
+    return send(request);
   }
-  
-  client.close();
+
+  const reply = readSipAnswer(msg);
+  if (!reply) {
+    // 202 Accepted is followed by the answer; anything else refuses the request itself
+    if (!firstLine.startsWith('SIP/2.0 2')) {
+      client.close();
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  client.send(reply.ok, rinfo.port, rinfo.address, () => {
+    const { answer } = reply;
+    if (answer.status === 'ok') {
+      console.log('\nResult:');
+      console.log(JSON.stringify(answer.result, null, 2));
+    } else {
+      console.error(`\nFailed: ${answer.error.code} - ${answer.error.message}`);
+      process.exitCode = 1;
+    }
+    client.close();
+  });
 });
 
 client.on('listening', () => {
   const address = client.address();
   console.log(`Client listening on ${address.address}:${address.port}`);
-  provisionESIM();
+  sendRequest();
 });
 
 // Bind to any available port
@@ -8,10 +8,13 @@
 const fs = require('fs');
 const path = require('path');
 const QRCode = require('qrcode');
-const { CONFIG } = require ('./Server')
+const { CONFIG: SERVER_CONFIG } = require('./Config');
+const { FileStorage, createStorage, writeFileAtomic } = require('./Storage');
+const lifecycle = require('./ProfileLifecycle');
+const { ActivationCodes } = require('./ActivationCodes');
 const CONFIG = {
   DATA_DIR: './data',
-  SM_DP_PLUS_ADDRESS: CONFIG.SIP_SERVER_URL,
+  SM_DP_PLUS_ADDRESS: `${SERVER_CONFIG.SIP_SERVER_URL}:${SERVER_CONFIG.SMDP_PORT}`,
   OUTPUT_DIR: './qrcodes'
 };
 
@@ -20,6 +23,11 @@ class ESIMQRCodeGenerator {
     this.dataPath = options.dataPath || path.join(__dirname, CONFIG.DATA_DIR, 'esims');
     this.outputPath = options.outputPath || path.join(__dirname, CONFIG.OUTPUT_DIR);
     this.smDpPlusAddress = options.smDpPlusAddress || CONFIG.SM_DP_PLUS_ADDRESS;
+    this.storage = options.storage || new FileStorage(path.dirname(this.dataPath), {
+      directories: { esims: path.basename(this.dataPath) }
+    });
+    this.profiles = this.storage.collection('esims');
+    this.activationCodes = new ActivationCodes(this.storage);
     
     // Ensure the output directory exists
     if (!fs.existsSync(this.outputPath)) {
@@ -34,11 +42,7 @@ class ESIMQRCodeGenerator {
    */
   loadProfile(iccid) {
     try {
-      const filePath = path.join(this.dataPath, `${iccid}.json`);
-      if (fs.existsSync(filePath)) {
-        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      }
-      return null;
+      return this.profiles.get(iccid);
     } catch (err) {
       console.error(`Error loading eSIM profile ${iccid}:`, err);
       return null;
@@ -46,22 +50,12 @@ class ESIMQRCodeGenerator {
   }
 
   /**
-   * Load all eSIM profiles from the data directory
+   * Load all eSIM profiles from the profile storage
    * @returns {Array} Array of eSIM profile objects
    */
   loadAllProfiles() {
     try {
-      const files = fs.readdirSync(this.dataPath);
-      const profiles = [];
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const profile = JSON.parse(fs.readFileSync(path.join(this.dataPath, file), 'utf8'));
-          profiles.push(profile);
-        }
-      }
-      
-      return profiles;
+      return this.profiles.all();
     } catch (err) {
       console.error('Error loading eSIM profiles:', err);
       return [];
@@ -70,21 +64,17 @@ class ESIMQRCodeGenerator {
 
   /**
    * Generate a unique activation code for an eSIM profile
+   * Only released profiles can be downloaded, so other states are refused.
+   * An outstanding matching ID of the profile is reused, so regenerating
+   * the QR codes does not invalidate the ones already handed out.
    * @param {Object} profile - The eSIM profile
    * @returns {string} The activation code
    */
   generateActivationCode(profile) {
-    // Format: LPA:1$<SM-DP+ address>$<matching ID>$<SMDP generated code>
-    const matchingId = profile.iccid;
-    const smdpCode = Buffer.from(JSON.stringify({
-      iccid: profile.iccid,
-      imsi: profile.imsi,
-      ki: profile.ki,
-      opc: profile.opc,
-      msisdn: profile.msisdn
-    })).toString('base64').substring(0, 20);
+    lifecycle.assertUsable(profile, 'activation-code');
     
-    return `LPA:1$${this.smDpPlusAddress}$${matchingId}$${smdpCode}`;
+    const [code = this.activationCodes.issue(profile.iccid)] = this.activationCodes.outstanding(profile.iccid);
+    return ActivationCodes.format(this.smDpPlusAddress, code.matchingId, !!code.confirmationCodeHash);
   }
 
   /**
@@ -120,13 +110,16 @@ class ESIMQRCodeGenerator {
       return null;
     }
     
-    const activationCode = this.generateActivationCode(profile);
     const outputPath = path.join(this.outputPath, `esim_${profile.iccid}_${profile.msisdn}.png`);
     
     try {
+      const activationCode = this.generateActivationCode(profile);
       await this.generateQRCode(activationCode, outputPath);
       return outputPath;
     } catch (err) {
+      if (err instanceof lifecycle.LifecycleError) {
+        console.error(err.message);
+      }
       return null;
     }
   }
@@ -263,7 +256,7 @@ class ESIMQRCodeGenerator {
       <div class="esim-details">
         <p><strong>ICCID:</strong> ${result.profile.iccid}</p>
         <p><strong>IMSI:</strong> ${result.profile.imsi}</p>
-        <p><strong>Status:</strong> ${result.profile.status}</p>
+        <p><strong>State:</strong> ${lifecycle.stateOf(result.profile)}</p>
         <p><strong>Created:</strong> ${new Date(result.profile.createdAt).toLocaleString()}</p>
       </div>
     </div>
@@ -275,7 +268,7 @@ class ESIMQRCodeGenerator {
     `;
     
     try {
-      fs.writeFileSync(htmlPath, htmlContent);
+      writeFileAtomic(htmlPath, htmlContent);
       console.log(`HTML page generated successfully: ${htmlPath}`);
       return htmlPath;
     } catch (err) {
@@ -305,7 +298,10 @@ if (require.main === module) {
   const config = {
     smDpPlusAddress: process.env.SM_DP_PLUS_ADDRESS || '0.0.0.0',
     dataPath: path.join(__dirname, CONFIG.DATA_DIR, 'esims'),
-    outputPath: path.join(__dirname, CONFIG.OUTPUT_DIR)
+    outputPath: path.join(__dirname, CONFIG.OUTPUT_DIR),
+    storage: process.env.VLESIM_STORAGE && process.env.VLESIM_STORAGE !== 'file'
+      ? createStorage(process.env.VLESIM_STORAGE, path.join(__dirname, CONFIG.DATA_DIR))
+      : null
   };
   
   // Process command line arguments
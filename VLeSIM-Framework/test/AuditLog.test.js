@@ -0,0 +1,116 @@
+// Tamper detection of the keyed hash chain of the audit log
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { AuditLog } = require('../AuditLog');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+
+const ICCID = '8988211000000000017';
+
+describe('AuditLog', () => {
+  let storage;
+  let masterKey;
+  let audit;
+  let entries;
+
+  beforeEach(() => {
+    storage = createStorage('memory');
+    masterKey = KeyVault.generateKey();
+    audit = new AuditLog(storage, new KeyVault(masterKey));
+    entries = storage.collection('audit_log');
+
+    audit.record('provisioning', 'create', 'esims', ICCID, null, { iccid: ICCID, status: 'available', ki: '00'.repeat(16) });
+    audit.record({ actor: 'smdp', interface: 'es9+' }, 'transition', 'esims', ICCID, { status: 'available' }, { status: 'downloaded' });
+    audit.record({ actor: 'euicc', interface: 'es9+' }, 'transition', 'esims', ICCID, { status: 'downloaded' }, { status: 'enabled' });
+    audit.record('operator', 'update', 'phone_numbers', '+19351017', null, { msisdn: '+19351017', iccid: ICCID });
+  });
+
+  // Change stored entries behind the log's back, as someone with access to the data directory could
+  function tamper(seq, fields) {
+    entries.put({ ...entries.get(seq), ...fields });
+  }
+
+  it('verifies an untouched log', () => {
+    const result = audit.verify(audit.last().hash);
+    assert.deepStrictEqual(result, { valid: true, count: 4, head: audit.last().hash });
+    assert.ok(entries.all().every(entry => entry.keyId === audit.vault.currentKeyId));
+  });
+
+  it('redacts secrets', () => {
+    assert.deepStrictEqual(entries.get(1).changes.ki, { from: null, to: '[redacted]' });
+  });
+
+  it('detects an edited entry', () => {
+    tamper(2, { actor: 'someone-else' });
+    assert.deepStrictEqual(audit.verify(), {
+      valid: false, count: 4, head: entries.get(1).hash, seq: 2, reason: 'has been modified'
+    });
+  });
+
+  it('detects an entry recomputed without the master key', () => {
+    const forged = new AuditLog(storage, new KeyVault(KeyVault.generateKey()));
+    entries.delete(4);
+    forged.record('operator', 'delete', 'esims', ICCID, { status: 'enabled' }, null);
+
+    const result = audit.verify();
+    assert.strictEqual(result.seq, 4);
+    assert.match(result.reason, /which the vault does not hold/);
+
+    // Naming the real key does not help without it
+    tamper(4, { keyId: audit.vault.currentKeyId });
+    assert.strictEqual(audit.verify().reason, 'has been modified');
+  });
+
+  it('detects a removed entry', () => {
+    entries.delete(2);
+    assert.strictEqual(audit.verify().reason, 'expected entry 2, found 3');
+
+    // Closing the gap leaves entry 3 linking to the removed one
+    for (const seq of [3, 4]) {
+      const entry = entries.get(seq);
+      entries.delete(seq);
+      entries.put({ ...entry, seq: seq - 1 });
+    }
+    const result = audit.verify();
+    assert.strictEqual(result.seq, 2);
+    assert.strictEqual(result.reason, 'does not link to the entry before it');
+  });
+
+  it('detects entries removed at the end against the noted head', () => {
+    const head = audit.last().hash;
+    entries.delete(4);
+
+    assert.strictEqual(audit.verify().valid, true);
+    const result = audit.verify(head);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.reason, 'does not end at the expected head');
+  });
+
+  it('detects reordered entries', () => {
+    const second = entries.get(2);
+    const third = entries.get(3);
+    entries.put({ ...third, seq: 2 });
+    entries.put({ ...second, seq: 3 });
+
+    const result = audit.verify();
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.seq, 2);
+  });
+
+  it('verifies entries keyed with a previous master key once it is rotated', () => {
+    const rotated = new AuditLog(storage, new KeyVault(KeyVault.generateKey(), { previousKeys: [masterKey] }));
+    rotated.record('operator', 'update', 'esims', ICCID, { status: 'enabled' }, { status: 'disabled' });
+
+    assert.strictEqual(rotated.verify().valid, true);
+    assert.notStrictEqual(entries.get(5).keyId, entries.get(4).keyId);
+
+    // Without the previous key, the older entries can no longer be checked
+    const result = new AuditLog(storage, new KeyVault(KeyVault.generateKey())).verify();
+    assert.strictEqual(result.seq, 1);
+    assert.match(result.reason, /which the vault does not hold/);
+  });
+
+  it('needs a key vault', () => {
+    assert.throws(() => new AuditLog(createStorage('memory')), /needs the key vault/);
+  });
+});
@@ -0,0 +1,168 @@
+// E.164 normalisation and routing of dialled numbers
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DialPlan } = require('../DialPlan');
+
+// The North American plan of CONFIG.DIAL_PLAN
+const NANP = { countryCode: '1', nationalPrefix: '1', internationalPrefix: '011' };
+
+describe('DialPlan', () => {
+  describe('normalize', () => {
+    const plan = new DialPlan(NANP);
+
+    it('keeps numbers already in E.164 form', () => {
+      assert.strictEqual(plan.normalize('+19355551000'), '+19355551000');
+      assert.strictEqual(plan.normalize('+442071234567'), '+442071234567');
+    });
+
+    it('replaces the national prefix with the country code', () => {
+      assert.strictEqual(plan.normalize('19355551000'), '+19355551000');
+    });
+
+    it('adds the country code to national numbers without prefix', () => {
+      assert.strictEqual(plan.normalize('9355551000'), '+19355551000');
+    });
+
+    it('replaces the international prefix with +', () => {
+      assert.strictEqual(plan.normalize('011442071234567'), '+442071234567');
+    });
+
+    it('drops visual separators and URI parameters', () => {
+      assert.strictEqual(plan.normalize('+1 (935) 555-1000'), '+19355551000');
+      assert.strictEqual(plan.normalize('935.555.1000;phone-context=example.com'), '+19355551000');
+    });
+
+    it('tries the international prefix before a national prefix it starts with', () => {
+      const uk = new DialPlan({ countryCode: '44', nationalPrefix: '0', internationalPrefix: '00' });
+      assert.strictEqual(uk.normalize('02071234567'), '+442071234567');
+      assert.strictEqual(uk.normalize('0019355551000'), '+19355551000');
+    });
+
+    it('works without national or international prefix', () => {
+      const plan = new DialPlan({ countryCode: '49' });
+      assert.strictEqual(plan.normalize('3012345678'), '+493012345678');
+      assert.strictEqual(plan.normalize('+493012345678'), '+493012345678');
+    });
+
+    it('gives null for anything that is not a phone number', () => {
+      for (const dialled of ['alice', '', null, undefined, '12a4', '++19355551000', '+', '*69']) {
+        assert.strictEqual(plan.normalize(dialled), null, `${dialled}`);
+      }
+    });
+
+    it('gives null for numbers E.164 does not allow', () => {
+      // Country codes do not start with 0
+      assert.strictEqual(plan.normalize('+0442071234567'), null);
+      assert.strictEqual(plan.normalize('0110442071234567'), null);
+      // At most 15 digits
+      assert.strictEqual(plan.normalize('+123456789012345'), '+123456789012345');
+      assert.strictEqual(plan.normalize('+1234567890123456'), null);
+      assert.strictEqual(plan.normalize('93555510001234567'), null);
+    });
+  });
+
+  describe('national', () => {
+    const plan = new DialPlan(NANP);
+
+    it('gives numbers of the country without country code', () => {
+      assert.strictEqual(plan.national('+19355551000'), '9355551000');
+      assert.strictEqual(plan.national('19355551000'), '9355551000');
+      assert.strictEqual(plan.national('9355551000'), '9355551000');
+    });
+
+    it('gives null for numbers of other countries and non-numbers', () => {
+      assert.strictEqual(plan.national('011442071234567'), null);
+      assert.strictEqual(plan.national('+442071234567'), null);
+      assert.strictEqual(plan.national('alice'), null);
+    });
+  });
+
+  describe('route', () => {
+    const plan = new DialPlan({
+      ...NANP,
+      shortCodes: {
+        '611': { action: 'ivr', ivr: 'customer-care' },
+        '411': { action: 'trunk', trunk: 'directory.example.com', number: '18005551212' },
+        '911': { action: 'trunk', trunk: 'psap.example.com' }
+      },
+      routes: [
+        { name: 'premium', match: '^\\+1900', action: 'reject', status: 403 },
+        { name: 'international', match: '^\\+(?!1)', action: 'trunk', trunk: 'carrier.example.com:5060' },
+        { name: 'closed', match: '^\\+1935555', action: 'reject', status: 480 }
+      ]
+    });
+
+    it('looks up short codes as dialled, before normalising', () => {
+      assert.deepStrictEqual(plan.route('611'), {
+        action: 'ivr',
+        trunk: null,
+        ivr: 'customer-care',
+        status: undefined,
+        reason: undefined,
+        number: null,
+        name: 'short code 611',
+        dialled: '611'
+      });
+      assert.strictEqual(plan.route('9-1-1').trunk, 'psap.example.com');
+      assert.strictEqual(plan.route('411').number, '+18005551212');
+    });
+
+    it('takes the first route that matches the E.164 number', () => {
+      const premium = plan.route('19005551234');
+      assert.strictEqual(premium.name, 'premium');
+      assert.strictEqual(premium.number, '+19005551234');
+      assert.strictEqual(premium.status, 403);
+      assert.strictEqual(premium.reason, 'Forbidden');
+
+      const international = plan.route('011442071234567');
+      assert.strictEqual(international.action, 'trunk');
+      assert.strictEqual(international.trunk, 'carrier.example.com:5060');
+      assert.strictEqual(international.number, '+442071234567');
+
+      const closed = plan.route('+1 935 555 0000');
+      assert.strictEqual(closed.reason, 'Temporarily Unavailable');
+    });
+
+    it('keeps calls no route matches local', () => {
+      const route = plan.route('9365551000');
+      assert.strictEqual(route.action, 'local');
+      assert.strictEqual(route.name, 'default');
+      assert.strictEqual(route.number, '+19365551000');
+    });
+
+    it('matches user names as they are', () => {
+      const named = new DialPlan({ ...NANP, routes: [{ match: '^support$', action: 'ivr', ivr: 'help-desk' }] });
+      assert.strictEqual(named.route('support').ivr, 'help-desk');
+      assert.strictEqual(named.route('support').number, null);
+      assert.strictEqual(named.route('alice').action, 'local');
+    });
+
+    it('answers digits that are no E.164 number with 484', () => {
+      for (const dialled of ['+0442071234567', '93555510001234567']) {
+        const route = plan.route(dialled);
+        assert.strictEqual(route.action, 'reject', dialled);
+        assert.strictEqual(route.status, 484);
+        assert.strictEqual(route.reason, 'Address Incomplete');
+        assert.strictEqual(route.number, null);
+      }
+    });
+  });
+
+  describe('configuration', () => {
+    it('needs a country code of one to three digits', () => {
+      for (const countryCode of [undefined, '', '0', '44a', '1234']) {
+        assert.throws(() => new DialPlan({ countryCode }), /country code/);
+      }
+    });
+
+    it('needs prefixes of digits', () => {
+      assert.throws(() => new DialPlan({ ...NANP, internationalPrefix: '+' }), /internationalPrefix must be digits/);
+      assert.throws(() => new DialPlan({ ...NANP, nationalPrefix: '0-' }), /nationalPrefix must be digits/);
+    });
+
+    it('refuses unknown actions and IVR routes without IVR', () => {
+      assert.throws(() => new DialPlan({ ...NANP, routes: [{ action: 'forward' }] }), /route 1 has action "forward"/);
+      assert.throws(() => new DialPlan({ ...NANP, shortCodes: { '611': { action: 'ivr' } } }), /short code 611 does not name its IVR/);
+    });
+  });
+});
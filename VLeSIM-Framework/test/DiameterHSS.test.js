@@ -0,0 +1,295 @@
+// S6a requests of an MME peer, answered by the HSS over TCP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const crypto = require('crypto');
+const { DiameterHSS, DiameterMessage, COMMANDS, RESULT_CODES, EXPERIMENTAL_RESULT_CODES, S6A_APPLICATION_ID, VENDOR_3GPP } =
+  require('../DiameterHSS');
+const { Milenage, AuthenticationCenter } = require('../AuthenticationCenter');
+const { ESIMProvisioner } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+
+const HSS_PORT = 25500;
+const MME = 'mme.example.com';
+const PLMN_ID = Buffer.from('00f110', 'hex'); // MCC 001, MNC 01
+const PROFILE = {
+  iccid: '8988211000000012345',
+  imsi: '001010000012345',
+  msisdn: '15551234567',
+  ki: '465b5ce8b199b49faa5f0a2ee238a6bc',
+  opc: 'cd63cb71954a9f4e48a5994e37a02baf'
+};
+
+/**
+ * An MME connected to the HSS, matching answers to its requests by hop-by-hop ID
+ */
+class TestPeer {
+  constructor() {
+    this.socket = net.connect(HSS_PORT, '127.0.0.1');
+    this.buffer = Buffer.alloc(0);
+    this.pending = new Map();
+    this.closed = new Promise(resolve => this.socket.on('close', resolve));
+    this.connected = new Promise(resolve => this.socket.on('connect', resolve));
+
+    this.socket.on('data', (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      while (this.buffer.length >= 20 && this.buffer.length >= (this.buffer.readUInt32BE(0) & 0xffffff)) {
+        const length = this.buffer.readUInt32BE(0) & 0xffffff;
+        const answer = DiameterMessage.decode(this.buffer.slice(0, length));
+        this.buffer = this.buffer.slice(length);
+        const resolve = this.pending.get(answer.hopByHop);
+        if (resolve) resolve(answer);
+      }
+    });
+  }
+
+  // Send the raw encoding of a request and wait for its answer
+  async sendRaw(raw, hopByHop) {
+    await this.connected;
+    const answer = new Promise((resolve, reject) => {
+      this.pending.set(hopByHop, resolve);
+      this.closed.then(() => reject(new Error('Connection closed')));
+    });
+    this.socket.write(raw);
+    return answer;
+  }
+
+  request(commandCode, avps, applicationId = S6A_APPLICATION_ID) {
+    const message = new DiameterMessage({ commandCode, applicationId, request: true, avps });
+    return this.sendRaw(message.encode(), message.hopByHop);
+  }
+
+  capabilitiesExchange(originHost = MME) {
+    return this.request(COMMANDS.CAPABILITIES_EXCHANGE, [
+      ['Origin-Host', originHost],
+      ['Origin-Realm', 'example.com'],
+      ['Host-IP-Address', '127.0.0.1'],
+      ['Vendor-Id', 0],
+      ['Product-Name', 'Test MME'],
+      ['Auth-Application-Id', S6A_APPLICATION_ID]
+    ], 0);
+  }
+
+  s6a(commandCode, imsi, avps = []) {
+    return this.request(commandCode, [
+      ['Session-Id', `${MME};${crypto.randomBytes(4).toString('hex')}`],
+      ['Auth-Session-State', 1],
+      ['Origin-Host', MME],
+      ['Origin-Realm', 'example.com'],
+      ['Destination-Realm', 'vlesim'],
+      ['User-Name', imsi],
+      ...avps
+    ]);
+  }
+
+  authenticationInformation(imsi, requested = [['Number-Of-Requested-Vectors', 1]]) {
+    return this.s6a(COMMANDS.AUTHENTICATION_INFORMATION, imsi, [
+      ['Visited-PLMN-Id', PLMN_ID],
+      ['Requested-EUTRAN-Authentication-Info', requested]
+    ]);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function experimentalResultCode(answer) {
+  const result = answer.get('Experimental-Result');
+  return result && answer.get('Experimental-Result-Code', result);
+}
+
+// SQN of a vector, from SQN xor AK in its AUTN
+function sqnOf(vector) {
+  const rand = answerValue(vector, 'RAND');
+  const { ak } = new Milenage(PROFILE.ki, PROFILE.opc).f2f5(rand);
+  const sqnXorAk = answerValue(vector, 'AUTN').slice(0, 6);
+  return Buffer.from(sqnXorAk.map((byte, i) => byte ^ ak[i])).readUIntBE(0, 6);
+}
+
+function answerValue(avps, name) {
+  return avps.find(([avpName]) => avpName === name)[1];
+}
+
+describe('DiameterHSS', () => {
+  let provisioner;
+  let hss;
+  let peer;
+
+  before(async () => {
+    provisioner = new ESIMProvisioner({ storage: createStorage('memory'), vault: new KeyVault(KeyVault.generateKey()) });
+    provisioner.addProfile(PROFILE, { state: 'enabled' });
+    hss = new DiameterHSS(provisioner, new AuthenticationCenter(provisioner), {
+      port: HSS_PORT,
+      peers: [
+        { originHost: MME, address: '127.0.0.1' },
+        { originHost: 'mme.remote.example.com', address: '192.0.2.10' }
+      ]
+    });
+    await new Promise(resolve => (hss.server.listening ? resolve() : hss.server.once('listening', resolve)));
+
+    peer = new TestPeer();
+    await peer.capabilitiesExchange();
+  });
+
+  after(() => {
+    peer.close();
+    hss.close();
+  });
+
+  describe('capabilities exchange', () => {
+    it('answers a configured peer with its S6a support', async () => {
+      const other = new TestPeer();
+      const answer = await other.capabilitiesExchange();
+      other.close();
+
+      assert.strictEqual(answer.commandCode, COMMANDS.CAPABILITIES_EXCHANGE);
+      assert.strictEqual(answer.request, false);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.SUCCESS);
+      assert.strictEqual(answer.get('Origin-Host'), 'hss.vlesim');
+      assert.strictEqual(answer.get('Supported-Vendor-Id'), VENDOR_3GPP);
+      const application = answer.get('Vendor-Specific-Application-Id');
+      assert.strictEqual(answer.get('Auth-Application-Id', application), S6A_APPLICATION_ID);
+    });
+
+    it('refuses peers with another Origin-Host and closes the connection', async () => {
+      const stranger = new TestPeer();
+      const answer = await stranger.capabilitiesExchange('mme.attacker.example.com');
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.UNKNOWN_PEER);
+      assert.strictEqual(answer.error, true);
+      await stranger.closed;
+    });
+
+    it('refuses a configured Origin-Host connecting from another address', async () => {
+      const stranger = new TestPeer();
+      const answer = await stranger.capabilitiesExchange('mme.remote.example.com');
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.UNKNOWN_PEER);
+      await stranger.closed;
+      assert.ok(!hss.peers.has('mme.remote.example.com'));
+    });
+
+    it('drops a connection that sends requests before the capabilities exchange', async () => {
+      const stranger = new TestPeer();
+      await assert.rejects(stranger.authenticationInformation(PROFILE.imsi), /Connection closed/);
+    });
+  });
+
+  describe('authentication information', () => {
+    it('answers with the vectors asked for', async () => {
+      const answer = await peer.authenticationInformation(PROFILE.imsi, [['Number-Of-Requested-Vectors', 2]]);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.SUCCESS);
+
+      const vectors = answer.getAll('E-UTRAN-Vector', answer.get('Authentication-Info'));
+      assert.strictEqual(vectors.length, 2);
+      const milenage = new Milenage(PROFILE.ki, PROFILE.opc);
+      vectors.forEach((vector, index) => {
+        assert.strictEqual(answerValue(vector, 'Item-Number'), index + 1);
+        assert.deepStrictEqual(answerValue(vector, 'XRES'), milenage.f2f5(answerValue(vector, 'RAND')).res);
+        assert.strictEqual(answerValue(vector, 'KASME').length, 32);
+      });
+      assert.ok(sqnOf(vectors[1]) > sqnOf(vectors[0]));
+    });
+
+    it('takes the SQN of the USIM from a valid AUTS', async () => {
+      const milenage = new Milenage(PROFILE.ki, PROFILE.opc);
+      const rand = crypto.randomBytes(16);
+      const sqnMs = Buffer.from('000000100000', 'hex');
+      const macS = milenage.f1star(rand, sqnMs, Buffer.alloc(2));
+      const concealed = Buffer.from(sqnMs.map((byte, i) => byte ^ milenage.f5star(rand)[i]));
+
+      const answer = await peer.authenticationInformation(PROFILE.imsi, [
+        ['Number-Of-Requested-Vectors', 1],
+        ['Re-Synchronization-Info', Buffer.concat([rand, concealed, macS])]
+      ]);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.SUCCESS);
+
+      const [vector] = answer.getAll('E-UTRAN-Vector', answer.get('Authentication-Info'));
+      assert.ok(sqnOf(vector) > sqnMs.readUIntBE(0, 6));
+      assert.strictEqual(provisioner.getProfile(PROFILE.iccid).sqn, sqnOf(vector).toString(16).padStart(12, '0'));
+    });
+
+    it('answers an AUTS that does not verify with DIAMETER_AUTHENTICATION_DATA_UNAVAILABLE', async () => {
+      const sqn = provisioner.getProfile(PROFILE.iccid).sqn;
+      const answer = await peer.authenticationInformation(PROFILE.imsi, [
+        ['Re-Synchronization-Info', crypto.randomBytes(30)]
+      ]);
+      assert.strictEqual(answer.get('Result-Code'), undefined);
+      assert.strictEqual(experimentalResultCode(answer), EXPERIMENTAL_RESULT_CODES.AUTHENTICATION_DATA_UNAVAILABLE);
+      assert.strictEqual(answer.get('Vendor-Id', answer.get('Experimental-Result')), VENDOR_3GPP);
+      assert.strictEqual(provisioner.getProfile(PROFILE.iccid).sqn, sqn);
+    });
+
+    it('answers an unknown IMSI with DIAMETER_ERROR_USER_UNKNOWN', async () => {
+      const answer = await peer.authenticationInformation('001019999999999');
+      assert.strictEqual(experimentalResultCode(answer), EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN);
+      assert.strictEqual(answer.get('Authentication-Info'), undefined);
+    });
+  });
+
+  describe('update location and purge', () => {
+    it('answers ULR with the subscription data and records the serving MME', async () => {
+      const answer = await peer.s6a(COMMANDS.UPDATE_LOCATION, PROFILE.imsi, [
+        ['RAT-Type', 1004],
+        ['ULR-Flags', 2],
+        ['Visited-PLMN-Id', PLMN_ID]
+      ]);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.SUCCESS);
+
+      const subscription = answer.get('Subscription-Data');
+      assert.deepStrictEqual(answer.get('MSISDN', subscription), Buffer.from('5155214365f7', 'hex'));
+      const apns = answer.get('APN-Configuration-Profile', subscription);
+      assert.strictEqual(answer.get('Service-Selection', answer.get('APN-Configuration', apns)), 'internet');
+      assert.strictEqual(provisioner.getProfile(PROFILE.iccid).servingMme.host, MME);
+    });
+
+    it('answers ULR for an unknown IMSI with DIAMETER_ERROR_USER_UNKNOWN', async () => {
+      const answer = await peer.s6a(COMMANDS.UPDATE_LOCATION, '001019999999999', [['Visited-PLMN-Id', PLMN_ID]]);
+      assert.strictEqual(experimentalResultCode(answer), EXPERIMENTAL_RESULT_CODES.USER_UNKNOWN);
+    });
+
+    it('forgets the serving MME on PUR from that MME', async () => {
+      const answer = await peer.s6a(COMMANDS.PURGE_UE, PROFILE.imsi);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.SUCCESS);
+      assert.strictEqual(answer.get('PUR-Flags'), 0);
+      assert.strictEqual(provisioner.getProfile(PROFILE.iccid).servingMme, null);
+    });
+  });
+
+  describe('malformed messages', () => {
+    it('answers a truncated AVP with DIAMETER_INVALID_AVP_LENGTH and goes on', async () => {
+      const request = new DiameterMessage({
+        commandCode: COMMANDS.AUTHENTICATION_INFORMATION,
+        applicationId: S6A_APPLICATION_ID,
+        request: true,
+        avps: [['Session-Id', `${MME};truncated`], ['User-Name', PROFILE.imsi]]
+      });
+      const raw = request.encode();
+      // The last AVP claims four octets more than the message holds
+      const lastAvp = raw.length - DiameterMessage.encodeAvp('User-Name', PROFILE.imsi).length;
+      raw.writeUInt32BE(raw.readUInt32BE(lastAvp + 4) + 4, lastAvp + 4);
+
+      const answer = await peer.sendRaw(raw, request.hopByHop);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.INVALID_AVP_LENGTH);
+
+      const next = await peer.authenticationInformation(PROFILE.imsi);
+      assert.strictEqual(next.get('Result-Code'), RESULT_CODES.SUCCESS);
+    });
+
+    it('answers an Unsigned32 AVP of the wrong length with DIAMETER_INVALID_AVP_LENGTH', async () => {
+      const request = new DiameterMessage({
+        commandCode: COMMANDS.PURGE_UE,
+        applicationId: S6A_APPLICATION_ID,
+        request: true,
+        avps: [['User-Name', PROFILE.imsi]]
+      });
+      const shortAvp = Buffer.from('00000663c000000e000028af0000', 'hex'); // PUR-Flags with two octets of data
+      const raw = Buffer.concat([request.encode(), shortAvp, Buffer.alloc(2)]);
+      raw.writeUInt32BE(raw.length, 0);
+      raw[0] = 1;
+
+      const answer = await peer.sendRaw(raw, request.hopByHop);
+      assert.strictEqual(answer.get('Result-Code'), RESULT_CODES.INVALID_AVP_LENGTH);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// Ki and OPc stay on the server: not in SIP bodies, UDP replies, QR codes or HTML pages
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QRCode = require('qrcode');
+const { VoIPESIMProvider } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+const { Operators } = require('../Operators');
+const { SIPMessage } = require('../SIPMessage');
+const { MobileDeviceAdapter, signDeviceRequest } = require('../MobileDeviceAdapter');
+const ESIMQRCodeGenerator = require('../eSIM-QRCode');
+
+const SIP_PORT = 25300;
+const ADAPTER_PORT = 25301;
+const OPERATOR = { id: 'adapter', secret: 'adapter-secret-0123456789' };
+
+// Ki and OPc as they could be written out: hex in either case, base64 and the bytes themselves
+function forms({ ki, opc }) {
+  return [ki, opc].flatMap(hex => {
+    const bytes = Buffer.from(hex, 'hex');
+    return [hex, hex.toUpperCase(), bytes.toString('base64'), bytes.toString('base64url'), bytes];
+  });
+}
+
+function assertNoKeyMaterial(data, secrets, where) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  for (const form of forms(secrets)) {
+    assert.ok(!buffer.includes(form), `${where} contains Ki or OPc`);
+  }
+}
+
+// Resolves once `ready()` is true, checking every 10ms for at most 5s
+function waitFor(ready) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (ready()) return resolve();
+      if (Date.now() - started > 5000) return reject(new Error('Timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+describe('key material', () => {
+  let directory;
+  let provider;
+  let adapter;
+  let device;
+  const sipMessages = [];
+  const udpReplies = [];
+  const qrPayloads = [];
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vlesim-keys-'));
+
+    const toFile = QRCode.toFile;
+    mock.method(QRCode, 'toFile', function(file, text, ...rest) {
+      qrPayloads.push(text);
+      return toFile.call(this, file, text, ...rest);
+    });
+
+    provider = new VoIPESIMProvider({
+      storage: createStorage('memory'),
+      vault: new KeyVault(KeyVault.generateKey()),
+      operators: new Operators([OPERATOR]),
+      sip: { udpPort: SIP_PORT, tcpPort: SIP_PORT }
+    });
+    const send = provider.sipServer.sendMessage.bind(provider.sipServer);
+    provider.sipServer.sendMessage = (data, transport) => {
+      sipMessages.push(data);
+      send(data, transport);
+    };
+
+    // Provisioning requests go to a domain served by the provider
+    adapter = new MobileDeviceAdapter({
+      serverHost: provider.tenants.default.domain,
+      serverPort: SIP_PORT,
+      adapterPort: ADAPTER_PORT,
+      operator: OPERATOR,
+      storage: createStorage('memory'),
+      dataPath: path.join(directory, 'mobile_devices'),
+      qrPath: path.join(directory, 'qrcodes')
+    });
+
+    device = dgram.createSocket('udp4');
+    device.on('message', msg => udpReplies.push(msg));
+    await new Promise(resolve => device.bind(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    provider.sipServer.close();
+    adapter.close();
+    device.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // The keys of every profile the provider holds
+  function allSecrets() {
+    const { esimProvisioner } = provider.partition(provider.tenants.default);
+    return esimProvisioner.profiles.all()
+      .map(profile => esimProvisioner.getProfileSecrets(profile.iccid, 'authentication-vectors'));
+  }
+
+  it('are not sent to a device provisioned through the adapter', async () => {
+    const { deviceId, deviceKey } = adapter.enrollDevice('android');
+    const request = signDeviceRequest({ action: 'provision', deviceType: 'android', deviceId, timestamp: Date.now() }, deviceKey);
+    device.send(JSON.stringify(request), ADAPTER_PORT, '127.0.0.1');
+    await waitFor(() => udpReplies.some(msg => JSON.parse(msg).status !== 'pending'));
+
+    const answer = JSON.parse(udpReplies.find(msg => JSON.parse(msg).status !== 'pending'));
+    assert.strictEqual(answer.status, 'success');
+    assert.match(answer.profile.activationCode, /^LPA:1\$[^$]+\$[^$]+/);
+
+    const qrPath = path.join(directory, 'qrcodes', `${deviceId}.png`);
+    await waitFor(() => fs.existsSync(qrPath));
+    const instructions = path.join(directory, 'mobile_devices', `${deviceId}_instructions.txt`);
+
+    const [secrets] = allSecrets();
+    assert.ok(secrets.ki && secrets.opc);
+    sipMessages.forEach((data, index) => assertNoKeyMaterial(SIPMessage.parse(data).body, secrets, `SIP body ${index}`));
+    udpReplies.forEach((msg, index) => assertNoKeyMaterial(msg, secrets, `UDP reply ${index}`));
+    qrPayloads.forEach((text, index) => assertNoKeyMaterial(text, secrets, `QR code ${index}`));
+    assertNoKeyMaterial(fs.readFileSync(qrPath), secrets, 'QR code PNG');
+    assertNoKeyMaterial(fs.readFileSync(instructions), secrets, 'Installation instructions');
+  });
+
+  it('are not in the QR codes and HTML page of the generator', async () => {
+    provider.provisionNewESIM();
+    const { esimProvisioner } = provider.partition(provider.tenants.default);
+    const outputPath = path.join(directory, 'generated');
+    const generator = new ESIMQRCodeGenerator({ storage: esimProvisioner.storage, outputPath });
+    qrPayloads.length = 0;
+
+    const htmlPath = await generator.generateHtmlPage();
+    const pngs = fs.readdirSync(outputPath).filter(name => name.endsWith('.png'));
+    assert.ok(pngs.length > 0);
+    assert.strictEqual(qrPayloads.length, pngs.length);
+
+    for (const secrets of allSecrets()) {
+      qrPayloads.forEach((text, index) => assertNoKeyMaterial(text, secrets, `QR code ${index}`));
+      pngs.forEach(name => assertNoKeyMaterial(fs.readFileSync(path.join(outputPath, name)), secrets, name));
+      assertNoKeyMaterial(fs.readFileSync(htmlPath), secrets, 'HTML page');
+    }
+  });
+
+  it('are not in the QR codes and HTML page even when a stored profile has them in clear', async () => {
+    const storage = createStorage('memory');
+    const secrets = { ki: '000102030405060708090a0b0c0d0e0f', opc: 'f0e0d0c0b0a090807060504030201000' };
+    storage.collection('esims').put({
+      iccid: '8988211000000099999',
+      imsi: '001010000099999',
+      msisdn: '+15550009999',
+      ...secrets,
+      state: 'released',
+      createdAt: new Date().toISOString()
+    });
+    const outputPath = path.join(directory, 'legacy');
+    qrPayloads.length = 0;
+
+    const htmlPath = await new ESIMQRCodeGenerator({ storage, outputPath }).generateHtmlPage();
+    assert.strictEqual(qrPayloads.length, 1);
+    assertNoKeyMaterial(qrPayloads[0], secrets, 'QR code');
+    assertNoKeyMaterial(fs.readFileSync(path.join(outputPath, 'esim_8988211000000099999_+15550009999.png')), secrets, 'QR code PNG');
+    assertNoKeyMaterial(fs.readFileSync(htmlPath), secrets, 'HTML page');
+  });
+});
@@ -0,0 +1,187 @@
+// Enrolled devices, signed requests and encrypted SIP credentials of the mobile device adapter
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { VoIPESIMProvider } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+const { Operators } = require('../Operators');
+const { MobileDeviceAdapter, MobileConnectionClient, signDeviceRequest, openSipCredentials } = require('../MobileDeviceAdapter');
+
+const SIP_PORT = 25310;
+const ADAPTER_PORT = 25311;
+const OPERATOR = { id: 'adapter', secret: 'adapter-secret-0123456789' };
+
+// Resolves once `ready()` is true, checking every 10ms for at most 5s
+function waitFor(ready) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (ready()) return resolve();
+      if (Date.now() - started > 5000) return reject(new Error('Timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+describe('MobileDeviceAdapter', () => {
+  let directory;
+  let provider;
+  let adapter;
+  let device;
+  let toServer;
+  const replies = [];
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vlesim-adapter-'));
+    provider = new VoIPESIMProvider({
+      storage: createStorage('memory'),
+      vault: new KeyVault(KeyVault.generateKey()),
+      operators: new Operators([OPERATOR]),
+      sip: { udpPort: SIP_PORT, tcpPort: SIP_PORT }
+    });
+    adapter = new MobileDeviceAdapter({
+      serverHost: provider.tenants.default.domain,
+      serverPort: SIP_PORT,
+      adapterPort: ADAPTER_PORT,
+      operator: OPERATOR,
+      storage: createStorage('memory'),
+      dataPath: path.join(directory, 'mobile_devices'),
+      qrPath: path.join(directory, 'qrcodes')
+    });
+    // Everything the adapter sends to the SIP server, operator credentials included
+    toServer = mock.method(adapter.serverClient, 'send');
+
+    device = dgram.createSocket('udp4');
+    device.on('message', msg => replies.push(JSON.parse(msg)));
+    await new Promise(resolve => device.bind(0, '127.0.0.1', resolve));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    provider.sipServer.close();
+    adapter.close();
+    device.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Send a request from the device socket and wait for the next reply matching `until`
+  async function ask(request, until = () => true) {
+    const seen = replies.length;
+    device.send(typeof request === 'string' ? request : JSON.stringify(request), ADAPTER_PORT, '127.0.0.1');
+    await waitFor(() => replies.slice(seen).some(until));
+    return replies.slice(seen).find(until);
+  }
+
+  function signed(deviceId, deviceKey, fields) {
+    return signDeviceRequest({ ...fields, deviceId, timestamp: Date.now() }, deviceKey);
+  }
+
+  describe('enrolled devices', () => {
+    let enrolled;
+    let raw;
+
+    it('are provisioned and get their SIP password encrypted with their key', async () => {
+      enrolled = adapter.enrollDevice('ios');
+      const seen = replies.length;
+      const answer = await ask(signed(enrolled.deviceId, enrolled.deviceKey, { action: 'provision', deviceType: 'ios' }),
+        reply => reply.status !== 'pending');
+      raw = JSON.stringify(replies.slice(seen));
+
+      assert.strictEqual(answer.status, 'success');
+      assert.strictEqual(answer.deviceId, enrolled.deviceId);
+      const credentials = openSipCredentials(answer.profile.sipCredentials, enrolled.deviceKey, enrolled.deviceId);
+      assert.strictEqual(credentials.username, answer.profile.phoneNumber);
+      assert.ok(credentials.password.length >= 16);
+      assert.ok(!raw.includes(credentials.password));
+      assert.strictEqual(adapter.devices.get(enrolled.deviceId).sipCredentials, undefined);
+    });
+
+    it('cannot open the SIP credentials of another device', () => {
+      const { sipCredentials } = JSON.parse(raw).find(reply => reply.status === 'success').profile;
+      const other = adapter.enrollDevice();
+      assert.throws(() => openSipCredentials(sipCredentials, other.deviceKey, enrolled.deviceId));
+      assert.throws(() => openSipCredentials(sipCredentials, enrolled.deviceKey, other.deviceId));
+    });
+
+    it('are provisioned once', async () => {
+      const sent = toServer.mock.callCount();
+      const answer = await ask(signed(enrolled.deviceId, enrolled.deviceKey, { action: 'provision' }));
+      assert.strictEqual(answer.error, 'Device already provisioned');
+      assert.strictEqual(toServer.mock.callCount(), sent);
+    });
+
+    it('take each signed request once', async () => {
+      const request = signed(enrolled.deviceId, enrolled.deviceKey, { action: 'status' });
+      assert.strictEqual((await ask(request)).deviceStatus, 'provisioned');
+      assert.strictEqual((await ask(request)).error, 'Unauthorized');
+    });
+
+    it('are reached through MobileConnectionClient with their credentials', async () => {
+      const client = new MobileConnectionClient('127.0.0.1', ADAPTER_PORT, enrolled);
+      const lastSeen = adapter.devices.get(enrolled.deviceId).lastSeen;
+      try {
+        await client.checkStatus();
+        await waitFor(() => adapter.devices.get(enrolled.deviceId).lastSeen !== lastSeen);
+      } finally {
+        client.close();
+      }
+    });
+
+    it('cannot be impersonated by a MobileConnectionClient without credentials', async () => {
+      const client = new MobileConnectionClient('127.0.0.1', ADAPTER_PORT);
+      try {
+        await assert.rejects(client.provisionESIM('android'), /enrol the device first/);
+      } finally {
+        client.close();
+      }
+    });
+  });
+
+  describe('unauthenticated requests', () => {
+    it('spend no operator credentials and create no device', async () => {
+      const enrolled = adapter.enrollDevice('android');
+      const sent = toServer.mock.callCount();
+      const devices = adapter.devices.count();
+
+      const requests = [
+        // The request of earlier versions, with a device ID of the client's choosing
+        { action: 'provision', deviceType: 'android', deviceId: 'device-1' },
+        signDeviceRequest({ action: 'provision', deviceId: 'device-1', timestamp: Date.now() }, crypto.randomBytes(32).toString('hex')),
+        signed(enrolled.deviceId, crypto.randomBytes(32).toString('hex'), { action: 'provision' }),
+        signDeviceRequest({ action: 'provision', deviceId: enrolled.deviceId, timestamp: Date.now() - 10 * 60 * 1000 }, enrolled.deviceKey),
+        signDeviceRequest({ action: 'provision', deviceId: enrolled.deviceId }, enrolled.deviceKey),
+        { ...signed(enrolled.deviceId, enrolled.deviceKey, { action: 'provision' }), deviceType: 'ios' }
+      ];
+      for (const request of requests) {
+        assert.strictEqual((await ask(request)).error, 'Unauthorized', JSON.stringify(request));
+      }
+
+      assert.strictEqual(toServer.mock.callCount(), sent);
+      assert.strictEqual(adapter.devices.count(), devices);
+      assert.strictEqual(adapter.devices.get('device-1'), null);
+      assert.strictEqual(adapter.devices.get(enrolled.deviceId).status, 'enrolled');
+    });
+
+    it('cannot move the address of another device', async () => {
+      const victim = adapter.enrollDevice('android');
+      adapter.saveDevice(victim.deviceId, {
+        ...adapter.devices.get(victim.deviceId),
+        iccid: '8988211000000000001',
+        status: 'registered',
+        clientAddress: '192.0.2.20',
+        clientPort: 5060
+      });
+      const attacker = adapter.enrollDevice('android');
+
+      const answer = await ask(signed(victim.deviceId, attacker.deviceKey, { action: 'register', deviceInfo: {} }));
+      assert.strictEqual(answer.error, 'Unauthorized');
+      assert.strictEqual(adapter.devices.get(victim.deviceId).clientAddress, '192.0.2.20');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// SAIP profile packages, encoded and decoded again
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ProfilePackage = require('../ProfilePackage');
+const asn1 = require('../Asn1');
+const { ESIMProvisioner } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+
+const PROFILE = {
+  iccid: '8988211000000012345',
+  imsi: '001010000012345',
+  msisdn: '+15551234567',
+  ki: '465b5ce8b199b49faa5f0a2ee238a6bc',
+  opc: 'cd63cb71954a9f4e48a5994e37a02baf'
+};
+
+// Replace the ProfileElement with a tag by another encoding, or drop it
+function replaceElement(buffer, tag, replacement) {
+  return Buffer.concat(asn1.decode(buffer)
+    .map(node => (node.tag === tag ? replacement : node.raw))
+    .filter(Boolean));
+}
+
+describe('ProfilePackage', () => {
+  describe('round trip', () => {
+    it('gives back the identities and keys of a profile', () => {
+      const profile = ProfilePackage.parse(ProfilePackage.create(PROFILE, { domain: 'ims.example.com' }));
+      assert.deepStrictEqual(profile, {
+        ...PROFILE,
+        impi: '001010000012345@ims.example.com',
+        impu: 'sip:+15551234567@ims.example.com',
+        domain: 'ims.example.com'
+      });
+    });
+
+    it('keeps even-length ICCIDs and IMSIs and national MSISDNs', () => {
+      const profile = { ...PROFILE, iccid: '89882110000000123456', imsi: '00101000001234', msisdn: '5551234567' };
+      const parsed = ProfilePackage.parse(ProfilePackage.create(profile));
+      assert.strictEqual(parsed.iccid, profile.iccid);
+      assert.strictEqual(parsed.imsi, profile.imsi);
+      assert.strictEqual(parsed.msisdn, profile.msisdn);
+      assert.strictEqual(parsed.domain, 'vlesim.local');
+    });
+
+    it('leaves out the MSISDN of a profile without one', () => {
+      const { msisdn, ...profile } = PROFILE;
+      const parsed = ProfilePackage.parse(ProfilePackage.create(profile));
+      assert.strictEqual(parsed.msisdn, undefined);
+      assert.strictEqual(parsed.impu, `sip:${profile.imsi}@vlesim.local`);
+    });
+
+    it('encodes a decoded package to the same octets', () => {
+      const buffer = ProfilePackage.create(PROFILE, { domain: 'ims.example.com' });
+      const parsed = ProfilePackage.parse(buffer);
+      assert.deepStrictEqual(ProfilePackage.create(parsed, { domain: parsed.domain }), buffer);
+    });
+
+    it('moves a profile from one provisioner to another', () => {
+      const source = new ESIMProvisioner({ storage: createStorage('memory'), vault: new KeyVault(KeyVault.generateKey()) });
+      const target = new ESIMProvisioner({ storage: createStorage('memory'), vault: new KeyVault(KeyVault.generateKey()) });
+      const created = source.addProfile(PROFILE);
+
+      const imported = target.importProfilePackage(source.exportProfilePackage(created.iccid));
+      assert.strictEqual(imported.iccid, PROFILE.iccid);
+      assert.strictEqual(imported.imsi, PROFILE.imsi);
+      assert.strictEqual(imported.msisdn, PROFILE.msisdn);
+      assert.deepStrictEqual(target.getProfileSecrets(PROFILE.iccid, 'profile-package'), { ki: PROFILE.ki, opc: PROFILE.opc });
+    });
+  });
+
+  describe('encoding', () => {
+    it('puts the ProfileElements in the order of the specification', () => {
+      const tags = asn1.decode(ProfilePackage.create(PROFILE)).map(node => node.tag);
+      assert.deepStrictEqual(tags, [0xA0, 0xB0, 0xB3, 0xB4, 0xB5, 0xA4, 0xAA]);
+    });
+
+    it('numbers the ProfileElements from 1', () => {
+      const identifications = asn1.decode(ProfilePackage.create(PROFILE))
+        .slice(1)
+        .map(element => asn1.find(asn1.find(element.children, 0xA0).children, 0x81))
+        .map(node => asn1.decodeInteger(node.value));
+      assert.deepStrictEqual(identifications, [1, 2, 3, 4, 5, 6]);
+    });
+
+    it('writes EF.IMSI with its length and parity nibble', () => {
+      const usim = asn1.find(asn1.decode(ProfilePackage.create(PROFILE)), 0xB3);
+      const efImsi = asn1.find(asn1.find(usim.children, 0xA3).children, 0x83);
+      assert.strictEqual(efImsi.value.toString('hex'), '080910100000103254');
+    });
+  });
+
+  describe('decoding', () => {
+    const buffer = ProfilePackage.create(PROFILE);
+
+    it('refuses a package without a header', () => {
+      assert.throws(() => ProfilePackage.parse(replaceElement(buffer, 0xA0, null)), /no ProfileHeader/);
+    });
+
+    it('refuses another major version', () => {
+      const header = asn1.find(asn1.decode(buffer), 0xA0);
+      const other = asn1.tlv(0xA0, header.children.map(node => (node.tag === 0x80 ? asn1.encodeInteger(3, 0x80) : node.raw)));
+      assert.throws(() => ProfilePackage.parse(replaceElement(buffer, 0xA0, other)), /Unsupported profile package version/);
+    });
+
+    it('refuses a package without AKA parameters', () => {
+      assert.throws(() => ProfilePackage.parse(replaceElement(buffer, 0xA4, null)), /no AKA parameters/);
+    });
+
+    it('refuses algorithms other than Milenage', () => {
+      const aka = asn1.tlv(0xA4, [
+        asn1.tlv(0xA0, [asn1.encodeInteger(5, 0x81)]),
+        asn1.tlv(0xA1, [asn1.tlv(0xA0, [asn1.encodeInteger(2, 0x80)])])
+      ]);
+      assert.throws(() => ProfilePackage.parse(replaceElement(buffer, 0xA4, aka)), /Only Milenage/);
+    });
+
+    it('refuses a package without an End element', () => {
+      assert.throws(() => ProfilePackage.parse(replaceElement(buffer, 0xAA, null)), /not terminated/);
+    });
+
+    it('refuses a truncated package', () => {
+      assert.throws(() => ProfilePackage.parse(buffer.subarray(0, buffer.length - 3)), /overruns its buffer/);
+    });
+  });
+});
@@ -0,0 +1,362 @@
+// Operator authentication of the provisioning protocol over HTTP and SIP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { VoIPESIMProvider, CONFIG } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+const { Operators } = require('../Operators');
+const { SIPMessage } = require('../SIPMessage');
+const {
+  ProvisioningAPI,
+  PROTOCOL_VERSION,
+  CONTENT_TYPE,
+  HTTP_PATH,
+  createSipRequest,
+  answerSipChallenge,
+  readSipAnswer
+} = require('../Provisioning');
+
+const ADMIN = { id: 'admin', secret: 'admin-secret-0123456789' };
+const RESELLER = { id: 'reseller', secret: 'reseller-secret-0123456789', tenant: 'other' };
+const SUPPORT = { id: 'support', secret: 'support-secret-0123456789', operations: ['query', 'suspend', 'resume'] };
+const AUDITOR = { id: 'auditor', secret: 'auditor-secret-0123456789', operations: ['message-history'] };
+const CLIENT = { protocol: 'udp', address: '192.0.2.7', port: 5070 };
+
+function createProvider(udpPort) {
+  const provider = new VoIPESIMProvider({
+    storage: createStorage('memory'),
+    vault: new KeyVault(KeyVault.generateKey()),
+    operators: new Operators([ADMIN, RESELLER, SUPPORT, AUDITOR]),
+    sip: { udpPort, tcpPort: udpPort }
+  });
+  // What the SIP server sends goes here instead of onto the network
+  provider.sent = [];
+  provider.sipServer.sendMessage = data => provider.sent.push(SIPMessage.parse(data));
+  return provider;
+}
+
+function request(operation, params = {}) {
+  return JSON.stringify({ version: PROTOCOL_VERSION, id: 'r1', operation, params });
+}
+
+function post(port, body, authorization) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: HTTP_PATH,
+      method: 'POST',
+      headers: { 'Content-Type': CONTENT_TYPE, ...(authorization ? { 'Authorization': authorization } : {}) }
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function basic(id, secret) {
+  return `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+}
+
+describe('Provisioning', () => {
+  let provider;
+
+  before(() => {
+    provider = createProvider(25160);
+  });
+
+  after(() => provider.sipServer.close());
+
+  describe('ProvisioningService', () => {
+    it('refuses requests without an operator', () => {
+      const answer = provider.provisioning.handle(request('provision'));
+
+      assert.strictEqual(answer.status, 'error');
+      assert.strictEqual(answer.error.code, 'unauthorized');
+      assert.strictEqual(answer.result, undefined);
+    });
+
+    it('carries out requests of an operator', () => {
+      const answer = provider.provisioning.handle(request('provision'), { operator: provider.operators.find('admin') });
+
+      assert.strictEqual(answer.status, 'ok');
+      assert.ok(answer.result.sipCredentials.password);
+    });
+
+    it('keeps operators of a tenant to that tenant', () => {
+      const operator = provider.operators.find('reseller');
+
+      assert.strictEqual(provider.provisioning.handle(request('provision', { tenant: 'default' }), { operator }).error.code, 'forbidden');
+      assert.strictEqual(provider.provisioning.handle(request('provision'), { operator }).error.code, 'unknown-tenant');
+    });
+  });
+
+  describe('ProvisioningAPI', () => {
+    const port = 25180;
+    let api;
+
+    before(() => new Promise((resolve) => {
+      api = new ProvisioningAPI(provider.provisioning, { port, ip: '127.0.0.1', operators: provider.operators });
+      api.server.once('listening', resolve);
+    }));
+
+    after(() => api.close());
+
+    it('answers 401 without credentials', async () => {
+      const res = await post(port, request('provision'));
+
+      assert.strictEqual(res.status, 401);
+      assert.match(res.headers['www-authenticate'], /^Basic realm="vlesim-provisioning"/);
+      assert.doesNotMatch(res.text, /sipCredentials/);
+    });
+
+    it('answers 401 to a wrong secret or an unknown operator', async () => {
+      assert.strictEqual((await post(port, request('provision'), basic('admin', 'not-the-secret'))).status, 401);
+      assert.strictEqual((await post(port, request('provision'), basic('mallory', ADMIN.secret))).status, 401);
+      assert.strictEqual((await post(port, request('provision'), 'Bearer whatever')).status, 401);
+    });
+
+    it('carries out requests with the operator secret', async () => {
+      const res = await post(port, request('provision'), basic(ADMIN.id, ADMIN.secret));
+
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(JSON.parse(res.text).status, 'ok');
+    });
+
+    it('answers bodies over the size limit with 413', async () => {
+      const padding = ' '.repeat(api.options.maxBodySize);
+      const res = await post(port, request('provision') + padding, basic(ADMIN.id, ADMIN.secret));
+      assert.strictEqual(res.status, 413);
+      assert.strictEqual(res.headers.connection, 'close');
+
+      // Up to the limit is fine
+      const fits = request('provision') + padding.substring(request('provision').length);
+      assert.strictEqual((await post(port, fits, basic(ADMIN.id, ADMIN.secret))).status, 200);
+    });
+
+    it('refuses everyone when no operators are given', async () => {
+      const closed = new ProvisioningAPI(provider.provisioning, { port: port + 1, ip: '127.0.0.1' });
+      await new Promise(resolve => closed.server.once('listening', resolve));
+      try {
+        assert.strictEqual((await post(port + 1, request('provision'), basic(ADMIN.id, ADMIN.secret))).status, 401);
+      } finally {
+        closed.close();
+      }
+    });
+  });
+
+  describe('over SIP', () => {
+    function sipRequest(operation, params) {
+      return createSipRequest({ host: CONFIG.SIP_SERVER_URL, from: 'client@client.local', id: 'r1', operation, params });
+    }
+
+    function receive(data) {
+      provider.sent.length = 0;
+      provider.sipServer.handleSIPMessage(SIPMessage.parse(data), CLIENT);
+      return provider.sent.slice();
+    }
+
+    it('challenges requests without operator credentials and carries none out', () => {
+      let requests = 0;
+      const count = () => requests++;
+      provider.sipServer.on('provisioning-request', count);
+
+      const [response, ...rest] = receive(sipRequest('provision'));
+      provider.sipServer.off('provisioning-request', count);
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.match(response.values('www-authenticate')[0], /realm="vlesim-provisioning"/);
+      assert.strictEqual(rest.length, 0);
+      assert.strictEqual(requests, 0);
+    });
+
+    it('carries out a request sent again with the operator credentials', () => {
+      const first = sipRequest('provision');
+      const [challenge] = receive(first);
+      const retry = answerSipChallenge(SIPMessage.create(challenge), first, ADMIN);
+      assert.ok(retry);
+
+      const [accepted, answerMessage] = receive(retry);
+      assert.strictEqual(accepted.statusCode, 202);
+
+      const reply = readSipAnswer(SIPMessage.create(answerMessage));
+      assert.strictEqual(reply.answer.status, 'ok');
+      assert.ok(reply.answer.result.sipCredentials);
+    });
+
+    it('rejects a wrong secret without asking again', () => {
+      const first = sipRequest('provision');
+      const [challenge] = receive(first);
+      const retry = answerSipChallenge(SIPMessage.create(challenge), first, { id: 'admin', secret: 'not-the-secret' });
+
+      const [refused, ...rest] = receive(retry);
+      assert.strictEqual(refused.statusCode, 401);
+      assert.strictEqual(rest.length, 0);
+      assert.strictEqual(answerSipChallenge(SIPMessage.create(refused), retry, ADMIN), null);
+    });
+  });
+
+  describe('reset-credentials', () => {
+    const port = 25182;
+    let api;
+    let profile;
+
+    // H(A1) the server checks SIP passwords of the profile against
+    const stored = () => provider.sipCredentialsOf(profile.msisdn, profile.sipCredentials.realm).ha1;
+
+    before(() => new Promise((resolve) => {
+      profile = provider.provisioning.handle(request('provision'), { operator: provider.operators.find('admin') }).result;
+      api = new ProvisioningAPI(provider.provisioning, { port, ip: '127.0.0.1', operators: provider.operators });
+      api.server.once('listening', resolve);
+    }));
+
+    after(() => api.close());
+
+    it('issues no password without an operator', () => {
+      const previous = stored();
+      const answer = provider.provisioning.handle(request('reset-credentials', { msisdn: profile.msisdn }));
+
+      assert.strictEqual(answer.error.code, 'unauthorized');
+      assert.strictEqual(answer.result, undefined);
+      assert.deepStrictEqual(stored(), previous);
+    });
+
+    it('issues no password over HTTP without credentials', async () => {
+      const previous = stored();
+      const res = await post(port, request('reset-credentials', { msisdn: profile.msisdn }));
+
+      assert.strictEqual(res.status, 401);
+      assert.doesNotMatch(res.text, /password/);
+      assert.deepStrictEqual(stored(), previous);
+    });
+
+    it('issues no password over SIP without credentials', () => {
+      const previous = stored();
+      provider.sent.length = 0;
+      provider.sipServer.handleSIPMessage(SIPMessage.parse(createSipRequest({
+        host: CONFIG.SIP_SERVER_URL,
+        from: 'mallory@evil.example',
+        operation: 'reset-credentials',
+        params: { msisdn: profile.msisdn }
+      })), CLIENT);
+
+      assert.deepStrictEqual(provider.sent.map(message => message.statusCode), [401]);
+      assert.deepStrictEqual(stored(), previous);
+    });
+
+    it('issues no password to operators without the grant', async () => {
+      const previous = stored();
+      const res = await post(port, request('reset-credentials', { msisdn: profile.msisdn }), basic(SUPPORT.id, SUPPORT.secret));
+
+      assert.strictEqual(res.status, 403);
+      assert.strictEqual(JSON.parse(res.text).error.code, 'forbidden');
+      assert.deepStrictEqual(stored(), previous);
+      assert.strictEqual((await post(port, request('query', { msisdn: profile.msisdn }), basic(SUPPORT.id, SUPPORT.secret))).status, 200);
+    });
+
+    it('issues a new password to operators with the grant', async () => {
+      const previous = stored();
+      const res = await post(port, request('reset-credentials', { msisdn: profile.msisdn }), basic(ADMIN.id, ADMIN.secret));
+      const { result } = JSON.parse(res.text);
+
+      assert.strictEqual(res.status, 200);
+      assert.ok(result.sipCredentials.password);
+      assert.notDeepStrictEqual(stored(), previous);
+    });
+  });
+
+  describe('message-history', () => {
+    const port = 25184;
+    const BODY = 'Meet me at the usual place';
+    let api;
+    let msisdn;
+
+    before(() => new Promise((resolve) => {
+      ({ msisdn } = provider.provisioning.handle(request('provision'), { operator: provider.operators.find('admin') }).result);
+      provider.sipServer.messages.store({
+        sender: 'sip:+15550100@example.com',
+        recipient: provider.sipServer.addressOf(`sip:${msisdn}@${provider.tenants.default.domain}`),
+        contentType: 'text/plain',
+        body: BODY
+      });
+      api = new ProvisioningAPI(provider.provisioning, { port, ip: '127.0.0.1', operators: provider.operators });
+      api.server.once('listening', resolve);
+    }));
+
+    after(() => api.close());
+
+    it('shows no messages without an operator', async () => {
+      const res = await post(port, request('message-history', { msisdn }));
+
+      assert.strictEqual(provider.provisioning.handle(request('message-history', { msisdn })).error.code, 'unauthorized');
+      assert.strictEqual(res.status, 401);
+      assert.ok(!res.text.includes(BODY));
+    });
+
+    it('shows no messages over SIP without credentials', () => {
+      provider.sent.length = 0;
+      provider.sipServer.handleSIPMessage(SIPMessage.parse(createSipRequest({
+        host: CONFIG.SIP_SERVER_URL,
+        from: 'mallory@evil.example',
+        operation: 'message-history',
+        params: { msisdn }
+      })), CLIENT);
+
+      assert.deepStrictEqual(provider.sent.map(message => message.statusCode), [401]);
+      assert.ok(provider.sent.every(message => !message.body.includes(BODY)));
+    });
+
+    it('is not granted by default', async () => {
+      const res = await post(port, request('message-history', { msisdn }), basic(ADMIN.id, ADMIN.secret));
+
+      assert.strictEqual(res.status, 403);
+      assert.ok(!res.text.includes(BODY));
+    });
+
+    it('shows the messages to operators granted it', async () => {
+      const res = await post(port, request('message-history', { msisdn }), basic(AUDITOR.id, AUDITOR.secret));
+      const { result } = JSON.parse(res.text);
+
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(result.messages.map(message => message.body), [BODY]);
+    });
+  });
+
+  describe('readSipAnswer', () => {
+    function answerMessage(body) {
+      return SIPMessage.create({
+        type: 'request',
+        method: 'MESSAGE',
+        uri: 'sip:client@client.local',
+        headers: {
+          'via': 'SIP/2.0/UDP 192.0.2.1:5052;branch=z9hG4bK-1',
+          'from': '<sip:provision@192.0.2.1>;tag=1',
+          'to': '<sip:client@client.local>',
+          'call-id': 'answer-1',
+          'cseq': '1 MESSAGE',
+          'content-type': CONTENT_TYPE
+        },
+        body
+      });
+    }
+
+    it('reports a body that is not JSON as an invalid answer', () => {
+      const reply = readSipAnswer(answerMessage('{"status": "ok", '));
+
+      assert.strictEqual(reply.answer.status, 'error');
+      assert.strictEqual(reply.answer.error.code, 'invalid-answer');
+      assert.match(reply.ok.toString(), /^SIP\/2.0 200 OK/);
+    });
+
+    it('reports JSON other than an object as an invalid answer', () => {
+      assert.strictEqual(readSipAnswer(answerMessage('[1, 2]')).answer.error.code, 'invalid-answer');
+      assert.strictEqual(readSipAnswer(answerMessage('null')).answer.error.code, 'invalid-answer');
+    });
+  });
+});
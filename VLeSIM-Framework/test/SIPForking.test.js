@@ -0,0 +1,230 @@
+// Forking of a proxied request over target sets, and the response passed back
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { Fork, bestResponse } = require('../SIPForking');
+const { SIPMessage } = require('../SIPMessage');
+
+function response(statusCode, headers = {}) {
+  return new SIPMessage({
+    type: 'response',
+    statusCode,
+    reasonPhrase: `Status ${statusCode}`,
+    headers: {
+      'via': 'SIP/2.0/UDP 192.0.2.1:5060;branch=z9hG4bK-fork',
+      'from': '<sip:alice@vlesim.example>;tag=a1',
+      'to': '<sip:bob@vlesim.example>;tag=b1',
+      'call-id': 'fork@192.0.2.1',
+      'cseq': '1 INVITE',
+      ...headers
+    }
+  });
+}
+
+// The client transaction of one branch, as far as the fork sees it
+class Branch extends EventEmitter {
+  constructor(target) {
+    super();
+    this.target = target;
+    this.state = 'calling';
+    this.cancelled = false;
+  }
+
+  answer(statusCode, headers) {
+    this.state = statusCode < 200 ? 'proceeding' : 'completed';
+    this.emit('response', response(statusCode, headers));
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+describe('Fork', () => {
+  let branches;
+  let passed;
+  let timedOut;
+
+  function fork(targetSets, options = {}) {
+    branches = {};
+    passed = [];
+    timedOut = false;
+    const started = new Fork(targetSets, {
+      send: (target) => {
+        branches[target] = new Branch(target);
+        return branches[target];
+      },
+      ...options
+    });
+    started.on('response', message => passed.push(message.statusCode));
+    started.on('timeout', () => {
+      timedOut = true;
+    });
+    return started.start();
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('rings a set in parallel and tries the next set once every branch failed', () => {
+    fork([['desk', 'mobile'], ['voicemail']]);
+    assert.deepStrictEqual(Object.keys(branches), ['desk', 'mobile']);
+
+    branches.desk.answer(486);
+    assert.strictEqual(branches.voicemail, undefined);
+    branches.mobile.answer(480);
+    assert.ok(branches.voicemail);
+    assert.deepStrictEqual(passed, []);
+
+    branches.voicemail.answer(200);
+    assert.deepStrictEqual(passed, [200]);
+  });
+
+  it('passes provisional responses on until a branch answers', () => {
+    fork([['desk', 'mobile']]);
+    branches.desk.answer(100);
+    branches.desk.answer(180);
+    branches.mobile.answer(183);
+    branches.mobile.answer(200);
+    branches.desk.answer(180);
+
+    assert.deepStrictEqual(passed, [180, 183, 200]);
+  });
+
+  it('cancels the losing branches after a 2xx and tries no further set', () => {
+    fork([['desk', 'mobile', 'tablet'], ['voicemail']]);
+    branches.desk.answer(180);
+    branches.tablet.answer(486);
+    branches.mobile.answer(200);
+
+    assert.strictEqual(branches.desk.cancelled, true);
+    assert.strictEqual(branches.mobile.cancelled, false);
+    assert.strictEqual(branches.tablet.cancelled, false);
+
+    // The cancelled branch answers 487, which goes nowhere
+    branches.desk.answer(487);
+    assert.strictEqual(branches.voicemail, undefined);
+    assert.deepStrictEqual(passed, [180, 200]);
+  });
+
+  it('passes on a 2xx of another branch too', () => {
+    fork([['desk', 'mobile']]);
+    branches.desk.answer(200);
+    branches.mobile.answer(200);
+
+    assert.deepStrictEqual(passed, [200, 200]);
+  });
+
+  it('stops at a 6xx: nothing further is tried and the 6xx goes back', () => {
+    fork([['desk', 'mobile'], ['voicemail']]);
+    branches.mobile.answer(603);
+
+    assert.strictEqual(branches.desk.cancelled, true);
+    branches.desk.answer(487);
+
+    assert.strictEqual(branches.voicemail, undefined);
+    assert.deepStrictEqual(passed, [603]);
+  });
+
+  it('passes back the best final response once every set failed', () => {
+    fork([['desk', 'mobile'], ['voicemail']]);
+    branches.desk.answer(486);
+    branches.mobile.answer(404);
+    branches.voicemail.answer(503);
+
+    // The first of the lowest class, from all the sets tried
+    assert.deepStrictEqual(passed, [486]);
+  });
+
+  it('cancels a set still ringing after sequentialTimeout in favour of the next', () => {
+    fork([['desk'], ['voicemail']], { sequentialTimeout: 30000 });
+    branches.desk.answer(180);
+
+    mock.timers.tick(29999);
+    assert.strictEqual(branches.desk.cancelled, false);
+    mock.timers.tick(1);
+    assert.strictEqual(branches.desk.cancelled, true);
+
+    branches.desk.answer(487);
+    assert.ok(branches.voicemail);
+    branches.voicemail.answer(200);
+    assert.deepStrictEqual(passed, [180, 200]);
+  });
+
+  it('times out when no branch got a final response', () => {
+    fork([['desk', 'mobile']]);
+    branches.desk.answer(180);
+    branches.desk.emit('timeout');
+    branches.mobile.emit('timeout');
+
+    assert.strictEqual(branches.desk.cancelled, true);
+    assert.strictEqual(branches.mobile.cancelled, false);
+    assert.strictEqual(timedOut, true);
+    assert.deepStrictEqual(passed, [180]);
+  });
+
+  it('skips targets it cannot send to', () => {
+    passed = [];
+    const started = new Fork([['unreachable'], ['desk']], {
+      send: target => (target === 'desk' ? (branches = { desk: new Branch(target) }).desk : null)
+    });
+    started.on('response', message => passed.push(message.statusCode));
+    started.start();
+
+    branches.desk.answer(200);
+    assert.deepStrictEqual(passed, [200]);
+  });
+
+  it('stops when cancelled from upstream', () => {
+    const started = fork([['desk'], ['voicemail']]);
+    branches.desk.answer(180);
+    started.cancel();
+
+    assert.strictEqual(branches.desk.cancelled, true);
+    branches.desk.answer(487);
+    assert.strictEqual(branches.voicemail, undefined);
+    assert.deepStrictEqual(passed, [180, 487]);
+  });
+});
+
+describe('bestResponse', () => {
+  const statuses = responses => bestResponse(responses.map(status => response(status))).statusCode;
+
+  it('takes a 6xx over anything else', () => {
+    assert.strictEqual(statuses([404, 600, 486]), 600);
+    assert.strictEqual(statuses([301, 603]), 603);
+  });
+
+  it('takes the lowest class otherwise, the first of it on a tie', () => {
+    assert.strictEqual(statuses([503, 486, 404]), 486);
+    assert.strictEqual(statuses([404, 302, 480]), 302);
+    assert.strictEqual(statuses([500, 504]), 500);
+  });
+
+  it('turns 503 into 500, as it only concerns the proxy\'s hop', () => {
+    const best = bestResponse([response(503, { 'retry-after': '60' }), response(504)]);
+    assert.strictEqual(best.statusCode, 500);
+    assert.strictEqual(best.reasonPhrase, 'Server Internal Error');
+  });
+
+  it('merges the challenges of every branch into a 401 or 407', () => {
+    const best = bestResponse([
+      response(407, { 'proxy-authenticate': 'Digest realm="a.example", nonce="1"' }),
+      response(401, { 'www-authenticate': 'Digest realm="b.example", nonce="2"' }),
+      response(407, { 'proxy-authenticate': 'Digest realm="c.example", nonce="3"' }),
+      response(486)
+    ]);
+
+    assert.strictEqual(best.statusCode, 407);
+    assert.deepStrictEqual(best.values('proxy-authenticate'), [
+      'Digest realm="a.example", nonce="1"',
+      'Digest realm="c.example", nonce="3"'
+    ]);
+    assert.deepStrictEqual(best.values('www-authenticate'), ['Digest realm="b.example", nonce="2"']);
+  });
+});
@@ -0,0 +1,170 @@
+// Parsing and validation against the SIP torture test messages of RFC 4475
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SIPMessage, SIPParseError, parseUri, parseVia } = require('../SIPMessage');
+
+// One file per message of the RFC, named as there; SDP bodies and the long values of
+// longreq are of the same shape as the RFC's rather than copied octet for octet
+function fixture(name) {
+  return SIPMessage.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'rfc4475', `${name}.dat`)));
+}
+
+describe('SIPMessage (RFC 4475)', () => {
+  describe('valid messages', () => {
+    const VALID = [
+      'wsinv', 'intmeth', 'esc01', 'escnull', 'esc02', 'lwsdisp', 'longreq', 'dblreq',
+      'semiuri', 'transports', 'unreason', 'noreason', 'unksm2', 'cparam01', 'cparam02', 'regescrt'
+    ];
+
+    for (const name of VALID) {
+      it(`accepts ${name}`, () => {
+        assert.strictEqual(SIPMessage.validate(fixture(name)), null);
+      });
+    }
+
+    it('unfolds and trims whitespace everywhere in wsinv', () => {
+      const message = fixture('wsinv');
+      assert.strictEqual(message.address('to').params.tag, '1918181833n');
+      assert.deepStrictEqual(message.address('from'), {
+        displayName: 'J Rosenberg \\"',
+        uri: 'sip:jdrosen@example.com',
+        params: { tag: '98asjd8' }
+      });
+      assert.strictEqual(message.headers['max-forwards'], '0068');
+      assert.strictEqual(message.headers.cseq, '0009 INVITE');
+      assert.strictEqual(message.headers.subject, '');
+      assert.strictEqual(message.headers.newfangledheader, 'newfangled value continued newfangled value');
+      assert.deepStrictEqual(message.values('via').map(via => parseVia(via).host),
+        ['192.0.2.2', 'spindle.example.com', '192.168.255.111']);
+      assert.strictEqual(parseVia(message.values('via')[2]).params.branch, 'z9hG4bK30239');
+      assert.deepStrictEqual(message.address('contact').params, { newparam: 'newvalue', secondparam: null, q: '0.33' });
+      assert.strictEqual(message.body.length, parseInt(message.headers['content-length'], 10));
+    });
+
+    it('takes any token as method and keeps reserved characters in the user part in intmeth', () => {
+      const message = fixture('intmeth');
+      assert.strictEqual(message.method, '!interesting-Method0123456789_*+`.%indeed\'~');
+      const uri = parseUri(message.uri);
+      assert.strictEqual(uri.user, '1_unusual.URI~(to-be!sure)&isn\'t+it$/crazy?,/;;*');
+      assert.strictEqual(uri.host, 'example.com');
+      assert.deepStrictEqual(uri.headers, {});
+      assert.strictEqual(message.address('from').displayName, 'token1~` token2\'+_ token3*%!.-');
+      assert.strictEqual(message.address('from').params.tag, '_token~1\'+`*%!-.');
+      assert.strictEqual(parseUri(message.address('to').uri).user, '1_unusual.URI~(to-be!sure)&isn\'t+it$/crazy?,/;;*');
+    });
+
+    it('does not unescape header names or methods in esc02', () => {
+      const message = fixture('esc02');
+      assert.strictEqual(message.method, 'RE%47IST%45R');
+      assert.strictEqual(message.values('contact').length, 2);
+      assert.strictEqual(message.headers['c%6fntact'], '<sip:alias2@host2.example.com>');
+    });
+
+    it('takes the display name up to < without whitespace in lwsdisp', () => {
+      assert.strictEqual(fixture('lwsdisp').address('from').displayName, 'caller');
+    });
+
+    it('handles long values and many Via headers in longreq', () => {
+      const message = fixture('longreq');
+      const vias = message.values('via').map(parseVia);
+      assert.strictEqual(vias.length, 34);
+      assert.strictEqual(vias[0].host, 'sip33.example.com');
+      assert.strictEqual(vias[33].params.branch, 'z9hG4bK-longreq');
+      assert.strictEqual(parseUri(message.address('to').uri).port, 6000);
+    });
+
+    it('stops at Content-Length, ignoring the rest of the datagram in dblreq', () => {
+      const message = fixture('dblreq');
+      assert.strictEqual(message.method, 'REGISTER');
+      assert.strictEqual(message.body.length, 0);
+    });
+
+    it('keeps semicolons in the user part in semiuri', () => {
+      const uri = parseUri(fixture('semiuri').uri);
+      assert.strictEqual(uri.user, 'user;par=u%40example.net');
+      assert.strictEqual(uri.host, 'example.com');
+    });
+
+    it('accepts unknown transports in transports', () => {
+      assert.deepStrictEqual(fixture('transports').values('via').map(via => parseVia(via).transport),
+        ['UDP', 'SCTP', 'TLS', 'UNKNOWN', 'TCP']);
+    });
+
+    it('takes any reason phrase, or none, in unreason and noreason', () => {
+      assert.strictEqual(fixture('unreason').reasonPhrase, '= 2**3 * 5**2 но сто девяносто девять - простое');
+      assert.strictEqual(fixture('noreason').statusCode, 100);
+      assert.strictEqual(fixture('noreason').reasonPhrase, '');
+    });
+
+    it('keeps URIs of unknown schemes in header fields in unksm2', () => {
+      assert.deepStrictEqual(parseUri(fixture('unksm2').address('to').uri), { scheme: 'isbn', opaque: '2983792873' });
+    });
+
+    it('tells header parameters from URI parameters in cparam01 and cparam02', () => {
+      const header = fixture('cparam01').address('contact');
+      assert.strictEqual(header.uri, 'sip:+19725552222@gw1.example.net');
+      assert.deepStrictEqual(header.params, { unknownparam: null });
+
+      const uri = fixture('cparam02').address('contact');
+      assert.deepStrictEqual(uri.params, {});
+      assert.deepStrictEqual(parseUri(uri.uri).params, { unknownparam: null });
+    });
+
+    it('unescapes headers of a URI in angle brackets in regescrt', () => {
+      const uri = parseUri(fixture('regescrt').address('contact').uri);
+      assert.deepStrictEqual(uri.headers, { Route: '<sip:sip.example.com>' });
+    });
+  });
+
+  describe('invalid messages', () => {
+    const UNPARSABLE = {
+      clerr: 'incomplete',
+      scalar02: 'content-length',
+      mcl01: 'content-length',
+      lwsruri: 'start-line',
+      lwsstart: 'start-line',
+      trws: 'start-line',
+      bigcode: 'start-line'
+    };
+
+    for (const [name, reason] of Object.entries(UNPARSABLE)) {
+      it(`does not parse ${name}`, () => {
+        assert.throws(() => fixture(name), error => error instanceof SIPParseError && error.reason === reason);
+      });
+    }
+
+    const REJECTED = {
+      badinv01: [400, 'Malformed Via Header'],
+      scalarlg: [400, 'Malformed CSeq'],
+      scalar1s: [400, 'Malformed CSeq'],
+      quotbal: [400, 'Malformed To Header'],
+      ltgtruri: [400, 'Malformed Request-URI'],
+      escruri: [400, 'Malformed Request-URI'],
+      baddn: [400, 'Multiple From Headers'],
+      badvers: [505, 'Version Not Supported'],
+      mismatch01: [400, 'CSeq Method Does Not Match'],
+      mismatch02: [400, 'CSeq Method Does Not Match'],
+      insuf: [400, 'Missing From Header'],
+      multi01: [400, 'Multiple From Headers'],
+      unkscm: [416, 'Unsupported URI Scheme'],
+      novelsc: [416, 'Unsupported URI Scheme']
+    };
+
+    for (const [name, [statusCode, reasonPhrase]] of Object.entries(REJECTED)) {
+      it(`answers ${name} with ${statusCode}`, () => {
+        assert.deepStrictEqual(SIPMessage.validate(fixture(name)), { statusCode, reasonPhrase });
+      });
+    }
+
+    it('rejects a Contact with URI headers outside angle brackets in regbadct', () => {
+      const message = fixture('regbadct');
+      assert.strictEqual(message.address('contact'), null);
+    });
+
+    it('tolerates whitespace inside angle brackets in badaspec', () => {
+      assert.strictEqual(fixture('badaspec').address('to').uri, 'sip:t.watson@example.org');
+    });
+  });
+});
@@ -0,0 +1,275 @@
+// Forwarding of requests and responses by the SIP server as a stateful proxy
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { SIPServer } = require('../Server');
+const { SIPMessage } = require('../SIPMessage');
+
+const DOMAIN = 'vlesim.example';
+const PORT = 25320;
+const OWN_UDP = `<sip:${DOMAIN}:${PORT};transport=udp;lr>`;
+const OWN_TCP = `<sip:${DOMAIN}:${PORT};transport=tcp;lr>`;
+
+const ALICE = { protocol: 'udp', address: '192.0.2.10', port: 5060 };
+const BOB = { protocol: 'udp', address: '192.0.2.20', port: 5062 };
+const CAROL = { protocol: 'tcp', address: '192.0.2.30', port: 5064 };
+const ALICE_VIA = 'SIP/2.0/UDP 192.0.2.10:5060;branch=z9hG4bK-alice';
+
+describe('SIP proxy', () => {
+  let server;
+  let sent;
+  let calls = 0;
+
+  before(() => {
+    server = new SIPServer({ udpPort: PORT, tcpPort: PORT, domain: DOMAIN, isLocalDomain: domain => domain === DOMAIN });
+    sent = [];
+    server.sendMessage = (data, transport) => sent.push({ message: SIPMessage.parse(data), transport });
+
+    for (const [user, transport] of [['bob', BOB], ['carol', CAROL]]) {
+      server.handleSIPMessage(new SIPMessage({
+        type: 'request',
+        method: 'REGISTER',
+        uri: `sip:${DOMAIN}`,
+        headers: {
+          'via': `SIP/2.0/${transport.protocol.toUpperCase()} ${transport.address}:${transport.port};branch=z9hG4bK-reg-${user}`,
+          'max-forwards': '70',
+          'from': `<sip:${user}@${DOMAIN}>;tag=r-${user}`,
+          'to': `<sip:${user}@${DOMAIN}>`,
+          'call-id': `reg-${user}@${transport.address}`,
+          'cseq': '1 REGISTER',
+          'contact': `<sip:${user}@${transport.address}:${transport.port}${transport.protocol === 'tcp' ? ';transport=tcp' : ''}>`,
+          'expires': '600'
+        }
+      }), transport);
+    }
+    assert.deepStrictEqual(sent.map(({ message }) => message.statusCode), [200, 200]);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  // An INVITE from another provider's subscriber, which needs no credentials here
+  function invite(user, headers = {}) {
+    calls++;
+    return new SIPMessage({
+      type: 'request',
+      method: 'INVITE',
+      uri: `sip:${user}@${DOMAIN}`,
+      headers: {
+        'via': `${ALICE_VIA}-${calls}`,
+        'max-forwards': '70',
+        'from': `<sip:alice@carrier.example>;tag=a${calls}`,
+        'to': `<sip:${user}@${DOMAIN}>`,
+        'call-id': `call-${calls}@192.0.2.10`,
+        'cseq': '1 INVITE',
+        'contact': '<sip:alice@192.0.2.10:5060>',
+        'record-route': '<sip:edge.carrier.example;lr>',
+        'content-type': 'text/plain',
+        ...headers
+      },
+      body: 'offer'
+    });
+  }
+
+  // What the callee answers to a forwarded request
+  function answer(request, statusCode, reasonPhrase) {
+    return new SIPMessage({
+      type: 'response',
+      statusCode,
+      reasonPhrase,
+      headers: {
+        'via': request.headers.via,
+        'from': request.headers.from,
+        'to': request.address('to').params.tag ? request.headers.to : `${request.headers.to};tag=b1`,
+        'call-id': request.headers['call-id'],
+        'cseq': request.headers.cseq,
+        'record-route': request.headers['record-route'],
+        'contact': '<sip:bob@192.0.2.20:5062>'
+      }
+    });
+  }
+
+  function sentTo(transport, method) {
+    return sent
+      .filter(({ transport: target }) => target.address === transport.address && target.port === transport.port)
+      .map(({ message }) => message)
+      .filter(message => !method || message.method === method);
+  }
+
+  function statusesTo(transport) {
+    return sentTo(transport).filter(message => message.type === 'response').map(message => message.statusCode);
+  }
+
+  describe('requests', () => {
+    it('are forwarded to the contact under a Via of the proxy, with one hop less', () => {
+      const request = invite('bob');
+      server.handleSIPMessage(request, ALICE);
+
+      const [forwarded] = sentTo(BOB, 'INVITE');
+      assert.strictEqual(forwarded.uri, 'sip:bob@192.0.2.20:5062');
+      const [own, ...rest] = forwarded.values('via');
+      assert.match(own, new RegExp(`^SIP/2.0/UDP ${DOMAIN}:${PORT};branch=z9hG4bK`));
+      assert.deepStrictEqual(rest, [request.headers.via]);
+      assert.strictEqual(forwarded.headers['max-forwards'], '69');
+      for (const header of ['from', 'to', 'call-id', 'cseq', 'contact']) {
+        assert.strictEqual(forwarded.headers[header], request.headers[header], header);
+      }
+      assert.strictEqual(forwarded.body, 'offer');
+      assert.deepStrictEqual(statusesTo(ALICE), [100]);
+    });
+
+    it('starting a dialog get a Record-Route entry above those they came with', () => {
+      server.handleSIPMessage(invite('bob'), ALICE);
+      assert.deepStrictEqual(sentTo(BOB, 'INVITE')[0].values('record-route'), [OWN_UDP, '<sip:edge.carrier.example;lr>']);
+    });
+
+    it('get an entry for each side when they change transport', () => {
+      server.handleSIPMessage(invite('carol'), ALICE);
+
+      const [forwarded] = sentTo(CAROL, 'INVITE');
+      assert.match(forwarded.values('via')[0], new RegExp(`^SIP/2.0/TCP ${DOMAIN}:${PORT};`));
+      assert.deepStrictEqual(forwarded.values('record-route'), [OWN_TCP, OWN_UDP, '<sip:edge.carrier.example;lr>']);
+    });
+
+    it('are answered with 483 once Max-Forwards runs out', () => {
+      server.handleSIPMessage(invite('bob', { 'max-forwards': '0' }), ALICE);
+      assert.deepStrictEqual(sentTo(BOB), []);
+      assert.deepStrictEqual(statusesTo(ALICE), [483]);
+
+      sent.length = 0;
+      server.handleSIPMessage(invite('bob', { 'max-forwards': '1' }), ALICE);
+      assert.strictEqual(sentTo(BOB, 'INVITE')[0].headers['max-forwards'], '0');
+    });
+
+    it('are answered with 482 when they come back unchanged', () => {
+      const request = invite('bob');
+      server.handleSIPMessage(request, ALICE);
+      const [forwarded] = sentTo(BOB, 'INVITE');
+
+      // A downstream proxy sends it back to the same Request-URI
+      sent.length = 0;
+      const looped = new SIPMessage({
+        ...forwarded,
+        uri: request.uri,
+        headers: { ...forwarded.headers, via: `SIP/2.0/UDP 192.0.2.99:5060;branch=z9hG4bK-loop, ${forwarded.headers.via}` }
+      });
+      server.handleSIPMessage(looped, { protocol: 'udp', address: '192.0.2.99', port: 5060 });
+
+      assert.deepStrictEqual(sentTo(BOB), []);
+      assert.deepStrictEqual(sent.map(({ message }) => message.statusCode), [482]);
+    });
+
+    it('are forwarded again when they come back to another Request-URI', () => {
+      const request = invite('bob');
+      server.handleSIPMessage(request, ALICE);
+      const [forwarded] = sentTo(BOB, 'INVITE');
+
+      sent.length = 0;
+      const spiral = new SIPMessage({
+        ...forwarded,
+        uri: `sip:carol@${DOMAIN}`,
+        headers: { ...forwarded.headers, via: `SIP/2.0/UDP 192.0.2.99:5060;branch=z9hG4bK-spiral, ${forwarded.headers.via}` }
+      });
+      server.handleSIPMessage(spiral, { protocol: 'udp', address: '192.0.2.99', port: 5060 });
+
+      assert.ok(!sent.some(({ message }) => message.statusCode === 482));
+      assert.strictEqual(sentTo(CAROL, 'INVITE').length, 1);
+    });
+  });
+
+  describe('responses', () => {
+    it('go back to the caller without the Via of the proxy', () => {
+      const request = invite('bob');
+      server.handleSIPMessage(request, ALICE);
+      const [forwarded] = sentTo(BOB, 'INVITE');
+
+      server.handleSIPMessage(answer(forwarded, 180, 'Ringing'), BOB);
+      server.handleSIPMessage(answer(forwarded, 200, 'OK'), BOB);
+
+      const responses = sentTo(ALICE).filter(message => message.statusCode !== 100);
+      assert.deepStrictEqual(responses.map(response => response.statusCode), [180, 200]);
+      for (const response of responses) {
+        assert.deepStrictEqual(response.values('via'), [request.headers.via]);
+        assert.strictEqual(response.address('to').params.tag, 'b1');
+        assert.deepStrictEqual(response.values('record-route'), [OWN_UDP, '<sip:edge.carrier.example;lr>']);
+        assert.strictEqual(response.headers.contact, '<sip:bob@192.0.2.20:5062>');
+      }
+    });
+
+    it('without a Via below that of the proxy are dropped', () => {
+      server.handleSIPMessage(invite('bob'), ALICE);
+      const [forwarded] = sentTo(BOB, 'INVITE');
+
+      sent.length = 0;
+      const response = answer(forwarded, 180, 'Ringing');
+      response.headers.via = forwarded.values('via')[0];
+      server.handleSIPMessage(response, BOB);
+
+      assert.deepStrictEqual(sent, []);
+    });
+  });
+
+  describe('requests within a dialog', () => {
+    // The BYE of the caller for a call the proxy record-routed
+    function bye(request, headers = {}) {
+      return new SIPMessage({
+        type: 'request',
+        method: 'BYE',
+        uri: 'sip:bob@192.0.2.20:5062',
+        headers: {
+          'via': `${ALICE_VIA}-bye-${calls}`,
+          'max-forwards': '70',
+          'from': request.headers.from,
+          'to': `${request.headers.to};tag=b1`,
+          'call-id': request.headers['call-id'],
+          'cseq': '2 BYE',
+          'route': OWN_UDP,
+          ...headers
+        }
+      });
+    }
+
+    it('lose the Route entry of the proxy and go to the Request-URI', () => {
+      const request = invite('bob');
+      server.handleSIPMessage(request, ALICE);
+      server.handleSIPMessage(answer(sentTo(BOB, 'INVITE')[0], 200, 'OK'), BOB);
+
+      sent.length = 0;
+      const byeRequest = bye(request);
+      server.handleSIPMessage(byeRequest, ALICE);
+
+      const [forwarded] = sentTo(BOB, 'BYE');
+      assert.strictEqual(forwarded.uri, 'sip:bob@192.0.2.20:5062');
+      assert.strictEqual(forwarded.headers.route, undefined);
+      assert.strictEqual(forwarded.values('via').length, 2);
+      assert.strictEqual(forwarded.values('via')[1], byeRequest.headers.via);
+      assert.strictEqual(forwarded.headers['max-forwards'], '69');
+      assert.strictEqual(forwarded.headers['record-route'], undefined);
+
+      server.handleSIPMessage(answer(forwarded, 200, 'OK'), BOB);
+      const [ok] = sentTo(ALICE).filter(message => message.statusCode === 200);
+      assert.deepStrictEqual(ok.values('via'), [byeRequest.headers.via]);
+    });
+
+    it('go to the next Route entry when there is one', () => {
+      const routed = bye(invite('bob'), { route: `${OWN_UDP}, <sip:edge.carrier.example:5070;lr>` });
+      routed.uri = 'sip:dave@198.51.100.7';
+      server.handleSIPMessage(routed, ALICE);
+
+      const [{ message, transport }] = sent;
+      assert.strictEqual(message.method, 'BYE');
+      assert.deepStrictEqual(transport, { protocol: 'udp', address: 'edge.carrier.example', port: 5070 });
+      assert.deepStrictEqual(message.values('route'), ['<sip:edge.carrier.example:5070;lr>']);
+    });
+
+    it('are not relayed for strangers', () => {
+      const stray = bye(invite('bob'), { route: '<sip:edge.carrier.example;lr>' });
+      stray.uri = 'sip:dave@198.51.100.7';
+      server.handleSIPMessage(stray, ALICE);
+
+      assert.deepStrictEqual(sent.map(({ message }) => message.statusCode), [403]);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Bindings, expiry and target sets of the registrar, and how REGISTER is answered
+const { describe, it, beforeEach, afterEach, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { Registrar, RegistrarError } = require('../SIPRegistrar');
+const { SIPServer } = require('../Server');
+const { SIPMessage, parseAddress } = require('../SIPMessage');
+
+const ADDRESS = 'sip:+19351001@vlesim.example';
+const PORT = 25330;
+
+describe('Registrar', () => {
+  let registrar;
+  let expired;
+  let cseq;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setInterval'], now: 0 });
+    expired = [];
+    cseq = 0;
+    registrar = new Registrar({ sweepInterval: 60 * 1000, onExpire: address => expired.push(address) });
+  });
+
+  afterEach(() => {
+    registrar.close();
+    mock.timers.reset();
+  });
+
+  function register(contacts, { expires, callId = 'reg-1@192.0.2.1', address = ADDRESS, number = ++cseq } = {}) {
+    return registrar.register(address, {
+      aor: address,
+      contacts: contacts.map(parseAddress),
+      expires,
+      callId,
+      cseq: number
+    });
+  }
+
+  function refusal(fn) {
+    try {
+      fn();
+    } catch (err) {
+      assert.ok(err instanceof RegistrarError);
+      return err;
+    }
+    assert.fail('Expected a RegistrarError');
+  }
+
+  describe('target sets', () => {
+    it('group contacts of equal q-value, highest first', () => {
+      register([
+        '<sip:desk@192.0.2.1>;q=0.5',
+        '<sip:mobile@192.0.2.2>',
+        '<sip:tablet@192.0.2.3>;q=0.5',
+        '<sip:voicemail@192.0.2.4>;q=0.1',
+        '<sip:laptop@192.0.2.5>;q=1.0'
+      ]);
+
+      const sets = registrar.targetSets(ADDRESS).map(set => set.map(binding => binding.contact).sort());
+      assert.deepStrictEqual(sets, [
+        ['sip:laptop@192.0.2.5', 'sip:mobile@192.0.2.2'],
+        ['sip:desk@192.0.2.1', 'sip:tablet@192.0.2.3'],
+        ['sip:voicemail@192.0.2.4']
+      ]);
+      assert.deepStrictEqual(registrar.bindings(ADDRESS).map(binding => binding.q), [1, 1, 0.5, 0.5, 0.1]);
+    });
+
+    it('refuse the whole REGISTER for one bad q-value', () => {
+      register(['<sip:desk@192.0.2.1>']);
+      for (const q of ['1.5', '0.1234', 'high', '-0.5']) {
+        const err = refusal(() => register(['<sip:mobile@192.0.2.2>', `<sip:tablet@192.0.2.3>;q=${q}`]));
+        assert.strictEqual(err.reason, 'invalid-contact', q);
+      }
+      assert.deepStrictEqual(registrar.bindings(ADDRESS).map(binding => binding.contact), ['sip:desk@192.0.2.1']);
+    });
+
+    it('are empty for addresses without bindings', () => {
+      assert.deepStrictEqual(registrar.targetSets(ADDRESS), []);
+    });
+  });
+
+  describe('expiry', () => {
+    it('is kept per contact, from its expires parameter or else the Expires header', () => {
+      register(['<sip:desk@192.0.2.1>;expires=120', '<sip:mobile@192.0.2.2>'], { expires: '600' });
+      register(['<sip:tablet@192.0.2.3>']);
+
+      const expiries = Object.fromEntries(registrar.bindings(ADDRESS).map(binding => [binding.contact, binding.expires]));
+      assert.deepStrictEqual(expiries, {
+        'sip:desk@192.0.2.1': 120 * 1000,
+        'sip:mobile@192.0.2.2': 600 * 1000,
+        'sip:tablet@192.0.2.3': 3600 * 1000
+      });
+    });
+
+    it('is cut down to maxExpires', () => {
+      register(['<sip:desk@192.0.2.1>'], { expires: '86400' });
+      assert.strictEqual(registrar.bindings(ADDRESS)[0].expires, 7200 * 1000);
+    });
+
+    it('hides bindings once it passes and sweep removes them', () => {
+      register(['<sip:desk@192.0.2.1>;expires=120', '<sip:mobile@192.0.2.2>;expires=600']);
+
+      mock.timers.tick(120 * 1000);
+      assert.deepStrictEqual(registrar.bindings(ADDRESS).map(binding => binding.contact), ['sip:mobile@192.0.2.2']);
+      assert.strictEqual(registrar.findByContact('sip:desk@192.0.2.1'), null);
+      // The periodic sweep has run with the clock
+      assert.deepStrictEqual(expired, [ADDRESS]);
+
+      mock.timers.tick(480 * 1000);
+      assert.strictEqual(registrar.sweep(), 0);
+      assert.deepStrictEqual(expired, [ADDRESS, ADDRESS]);
+      assert.strictEqual(registrar.size, 0);
+    });
+
+    it('is renewed by a later REGISTER of the same contact', () => {
+      register(['<sip:desk@192.0.2.1>'], { expires: '120' });
+      mock.timers.tick(100 * 1000);
+      register(['<sip:desk@192.0.2.1>'], { expires: '120' });
+      mock.timers.tick(100 * 1000);
+
+      assert.strictEqual(registrar.bindings(ADDRESS).length, 1);
+      assert.strictEqual(registrar.sweep(), 0);
+    });
+
+    it('of 0 removes that contact only', () => {
+      register(['<sip:desk@192.0.2.1>', '<sip:mobile@192.0.2.2>']);
+      register(['<sip:desk@192.0.2.1>;expires=0']);
+      assert.deepStrictEqual(registrar.bindings(ADDRESS).map(binding => binding.contact), ['sip:mobile@192.0.2.2']);
+    });
+
+    it('below minExpires is refused with the minimum, changing nothing', () => {
+      register(['<sip:desk@192.0.2.1>']);
+      const err = refusal(() => register(['<sip:mobile@192.0.2.2>', '<sip:tablet@192.0.2.3>;expires=30']));
+
+      assert.strictEqual(err.reason, 'interval-too-brief');
+      assert.strictEqual(err.minExpires, 60);
+      assert.deepStrictEqual(registrar.bindings(ADDRESS).map(binding => binding.contact), ['sip:desk@192.0.2.1']);
+    });
+  });
+
+  describe('Contact: *', () => {
+    it('with Expires: 0 removes every binding of the address', () => {
+      register(['<sip:desk@192.0.2.1>', '<sip:mobile@192.0.2.2>']);
+      register(['<sip:other@192.0.2.9>'], { address: 'sip:+19351002@vlesim.example' });
+
+      assert.deepStrictEqual(register(['*'], { expires: '0' }), []);
+      assert.deepStrictEqual(registrar.bindings(ADDRESS), []);
+      assert.strictEqual(registrar.bindings('sip:+19351002@vlesim.example').length, 1);
+    });
+
+    it('without Expires: 0 or with other contacts is refused', () => {
+      register(['<sip:desk@192.0.2.1>']);
+      for (const [contacts, expires] of [[['*'], undefined], [['*'], '3600'], [['*', '<sip:mobile@192.0.2.2>'], '0']]) {
+        assert.strictEqual(refusal(() => register(contacts, { expires })).reason, 'wildcard');
+      }
+      assert.strictEqual(registrar.bindings(ADDRESS).length, 1);
+    });
+  });
+
+  describe('CSeq', () => {
+    it('of the same Call-ID has to go up', () => {
+      register(['<sip:desk@192.0.2.1>'], { number: 5 });
+
+      for (const number of [5, 4]) {
+        assert.strictEqual(refusal(() => register(['<sip:desk@192.0.2.1>;expires=0'], { number })).reason, 'out-of-order');
+        assert.strictEqual(refusal(() => register(['*'], { expires: '0', number })).reason, 'out-of-order');
+      }
+      assert.strictEqual(registrar.bindings(ADDRESS).length, 1);
+
+      register(['<sip:desk@192.0.2.1>;expires=0'], { number: 6 });
+      assert.strictEqual(registrar.bindings(ADDRESS).length, 0);
+    });
+
+    it('of another Call-ID is not compared', () => {
+      register(['<sip:desk@192.0.2.1>'], { number: 5 });
+      register(['<sip:desk@192.0.2.1>;expires=0'], { number: 1, callId: 'reg-2@192.0.2.1' });
+      assert.strictEqual(registrar.bindings(ADDRESS).length, 0);
+    });
+  });
+});
+
+describe('REGISTER', () => {
+  const PHONE = { protocol: 'udp', address: '192.0.2.1', port: 5060 };
+  let server;
+  let sent;
+  let cseq = 0;
+  let requests = 0;
+
+  before(() => {
+    server = new SIPServer({ udpPort: PORT, tcpPort: PORT, domain: 'vlesim.example', isLocalDomain: domain => domain === 'vlesim.example' });
+    sent = [];
+    server.sendMessage = data => sent.push(SIPMessage.parse(data));
+  });
+
+  after(() => server.close());
+
+  function register(headers, number = ++cseq) {
+    sent.length = 0;
+    server.handleSIPMessage(new SIPMessage({
+      type: 'request',
+      method: 'REGISTER',
+      uri: 'sip:vlesim.example',
+      headers: {
+        'via': `SIP/2.0/UDP 192.0.2.1:5060;branch=z9hG4bK-register-${++requests}`,
+        'max-forwards': '70',
+        'from': `<${ADDRESS}>;tag=r1`,
+        'to': `<${ADDRESS}>`,
+        'call-id': 'reg-1@192.0.2.1',
+        'cseq': `${number} REGISTER`,
+        ...headers
+      }
+    }), PHONE);
+    return sent[0];
+  }
+
+  it('is answered with every binding and what is left of its expiry', () => {
+    const response = register({ contact: '<sip:desk@192.0.2.1>;q=0.5, <sip:mobile@192.0.2.1:5062>', expires: '600' });
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.values('contact'), [
+      '<sip:mobile@192.0.2.1:5062>;expires=600;q=1',
+      '<sip:desk@192.0.2.1>;expires=600;q=0.5'
+    ]);
+  });
+
+  it('with too brief an expiry gets 423 with Min-Expires', () => {
+    const response = register({ contact: '<sip:desk@192.0.2.1>', expires: '10' });
+    assert.strictEqual(response.statusCode, 423);
+    assert.strictEqual(response.headers['min-expires'], '60');
+  });
+
+  it('out of order gets 500', () => {
+    const response = register({ contact: '<sip:desk@192.0.2.1>', expires: '0' }, 1);
+    assert.strictEqual(response.statusCode, 500);
+    assert.strictEqual(server.registrar.bindings(ADDRESS).length, 2);
+  });
+
+  it('with Contact: * and Expires: 0 removes every binding', () => {
+    assert.strictEqual(register({ contact: '*' }).statusCode, 400);
+    assert.strictEqual(register({ contact: '*', expires: '3600' }).statusCode, 400);
+    assert.strictEqual(server.registrar.bindings(ADDRESS).length, 2);
+
+    const response = register({ contact: '*', expires: '0' });
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers.contact, undefined);
+    assert.strictEqual(server.registrar.bindings(ADDRESS).length, 0);
+  });
+});
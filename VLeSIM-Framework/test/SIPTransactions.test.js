@@ -0,0 +1,312 @@
+// Timers of SIPTransactions.js over a simulated lossy transport
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { TransactionLayer } = require('../SIPTransactions');
+const { SIPMessage } = require('../SIPMessage');
+
+const T1 = 500;
+const T2 = 4000;
+const T4 = 5000;
+const C = 180000;
+
+const UDP = { protocol: 'udp', address: '192.0.2.1', port: 5060 };
+const TCP = { protocol: 'tcp', address: '192.0.2.1', port: 5060 };
+
+let branches = 0;
+
+function request(method, cseq = 1) {
+  return new SIPMessage({
+    type: 'request',
+    method,
+    uri: 'sip:bob@example.com',
+    headers: {
+      'via': `SIP/2.0/UDP 192.0.2.9:5060;branch=z9hG4bK-test-${++branches}`,
+      'max-forwards': '70',
+      'from': '<sip:alice@example.com>;tag=a1',
+      'to': '<sip:bob@example.com>',
+      'call-id': `call-${branches}@192.0.2.9`,
+      'cseq': `${cseq} ${method}`
+    }
+  });
+}
+
+function responseTo(req, statusCode, method = req.method) {
+  const [number] = req.headers.cseq.split(' ');
+  return SIPMessage.parse(SIPMessage.create({
+    type: 'response',
+    statusCode,
+    reasonPhrase: 'Test',
+    headers: {
+      'via': req.headers.via,
+      'from': req.headers.from,
+      'to': statusCode > 100 ? `${req.headers.to};tag=b1` : req.headers.to,
+      'call-id': req.headers['call-id'],
+      'cseq': `${number} ${method}`
+    }
+  }));
+}
+
+function ackFor(invite) {
+  return new SIPMessage({
+    type: 'request',
+    method: 'ACK',
+    uri: invite.uri,
+    headers: { ...invite.headers, 'to': `${invite.headers.to};tag=b1`, 'cseq': `${invite.headers.cseq.split(' ')[0]} ACK` }
+  });
+}
+
+/**
+ * A transport that loses what `drop(message, index)` says, counting from 0
+ * for every message sent; `sent` keeps the start lines of all of them with
+ * the time they were sent, lost or not
+ */
+function lossyLayer(drop = () => false) {
+  const sent = [];
+  let now = 0;
+  const layer = new TransactionLayer({
+    timers: { t1: T1, t2: T2, t4: T4, c: C },
+    send: (data) => {
+      const line = data.toString().split('\r\n')[0];
+      sent.push({ line, at: now, lost: drop(line, sent.length) });
+    }
+  });
+  // A millisecond at a time, as timers started by a timer only count from when it fired
+  const tick = (ms) => {
+    for (let i = 0; i < ms; i++) {
+      now++;
+      mock.timers.tick(1);
+    }
+  };
+  return { layer, sent, tick };
+}
+
+describe('SIPTransactions', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+  afterEach(() => mock.timers.reset());
+
+  describe('client INVITE', () => {
+    it('retransmits with doubling intervals (Timer A) and gives up after 64*T1 (Timer B)', () => {
+      const { layer, sent, tick } = lossyLayer(() => true);
+      const transaction = layer.sendRequest(request('INVITE'), UDP);
+      let timeouts = 0;
+      transaction.on('timeout', () => timeouts++);
+
+      tick(64 * T1 - 1);
+      assert.deepStrictEqual(sent.map(s => s.at), [0, 1, 3, 7, 15, 31].map(n => n * T1).concat(63 * T1));
+      assert.strictEqual(timeouts, 0);
+
+      tick(1);
+      assert.strictEqual(timeouts, 1);
+      assert.strictEqual(transaction.state, 'terminated');
+      assert.strictEqual(layer.clients.size, 0);
+
+      tick(64 * T1);
+      assert.strictEqual(sent.length, 7);
+    });
+
+    it('stops retransmitting once a provisional response gets through', () => {
+      const { layer, sent, tick } = lossyLayer((line, index) => index < 2);
+      const invite = request('INVITE');
+      const transaction = layer.sendRequest(invite, UDP);
+
+      tick(3 * T1);
+      assert.strictEqual(sent.length, 3);
+      layer.receiveResponse(responseTo(invite, 180));
+      assert.strictEqual(transaction.state, 'proceeding');
+
+      tick(64 * T1);
+      assert.strictEqual(sent.length, 3);
+      assert.strictEqual(transaction.state, 'proceeding');
+    });
+
+    it('acknowledges an error response and every retransmission of it (Timer D)', () => {
+      const { layer, sent, tick } = lossyLayer();
+      const invite = request('INVITE');
+      const transaction = layer.sendRequest(invite, UDP);
+      const responses = [];
+      transaction.on('response', response => responses.push(response.statusCode));
+
+      const busy = responseTo(invite, 486);
+      layer.receiveResponse(busy);
+      // The ACK was lost, so the server sends the 486 again
+      layer.receiveResponse(busy);
+
+      assert.deepStrictEqual(responses, [486]);
+      assert.deepStrictEqual(sent.map(s => s.line.split(' ')[0]), ['INVITE', 'ACK', 'ACK']);
+      assert.strictEqual(transaction.state, 'completed');
+
+      tick(64 * T1);
+      assert.strictEqual(transaction.state, 'terminated');
+    });
+
+    it('does not retransmit over TCP', () => {
+      const { layer, sent, tick } = lossyLayer(() => true);
+      layer.sendRequest(request('INVITE'), TCP);
+
+      tick(64 * T1);
+      assert.strictEqual(sent.length, 1);
+    });
+  });
+
+  describe('client non-INVITE', () => {
+    it('retransmits at T1, doubling up to T2 (Timer E), and gives up after 64*T1 (Timer F)', () => {
+      const { layer, sent, tick } = lossyLayer(() => true);
+      const transaction = layer.sendRequest(request('OPTIONS'), UDP);
+      let timeouts = 0;
+      transaction.on('timeout', () => timeouts++);
+
+      tick(64 * T1);
+      assert.deepStrictEqual(sent.map(s => s.at), [0, 500, 1500, 3500, 7500, 11500, 15500, 19500, 23500, 27500, 31500]);
+      assert.strictEqual(timeouts, 1);
+      assert.strictEqual(layer.clients.size, 0);
+    });
+
+    it('retransmits at T2 after a provisional response', () => {
+      const { layer, sent, tick } = lossyLayer((line, index) => index === 0);
+      const options = request('OPTIONS');
+      layer.sendRequest(options, UDP);
+
+      tick(T1);
+      layer.receiveResponse(responseTo(options, 100));
+      const count = sent.length;
+
+      tick(T2);
+      assert.strictEqual(sent.length, count + 1);
+      assert.strictEqual(sent[sent.length - 1].at - sent[count - 1].at, T2);
+    });
+
+    it('absorbs retransmitted final responses for T4 (Timer K)', () => {
+      const { layer, sent, tick } = lossyLayer((line, index) => index < 3);
+      const options = request('OPTIONS');
+      const transaction = layer.sendRequest(options, UDP);
+      const responses = [];
+      transaction.on('response', response => responses.push(response.statusCode));
+
+      tick(3 * T1);
+      assert.strictEqual(sent.length, 3);
+      layer.receiveResponse(responseTo(options, 200));
+      layer.receiveResponse(responseTo(options, 200));
+      assert.deepStrictEqual(responses, [200]);
+      assert.strictEqual(transaction.state, 'completed');
+
+      tick(T4 - 1);
+      assert.strictEqual(transaction.state, 'completed');
+      assert.strictEqual(layer.receiveResponse(responseTo(options, 200)), true);
+      tick(1);
+      assert.strictEqual(transaction.state, 'terminated');
+      assert.strictEqual(layer.receiveResponse(responseTo(options, 200)), false);
+      assert.strictEqual(sent.length, 3);
+    });
+
+    it('ends at once over TCP', () => {
+      const { layer } = lossyLayer();
+      const options = request('OPTIONS');
+      const transaction = layer.sendRequest(options, TCP);
+
+      layer.receiveResponse(responseTo(options, 200));
+      assert.strictEqual(transaction.state, 'terminated');
+    });
+  });
+
+  describe('server INVITE', () => {
+    it('retransmits an error response (Timer G) until Timer H when the ACK is lost', () => {
+      const { layer, sent, tick } = lossyLayer(() => true);
+      const invite = request('INVITE');
+      layer.receiveRequest(invite, UDP);
+      const transaction = layer.findServer(invite);
+      let timeouts = 0;
+      transaction.on('timeout', () => timeouts++);
+
+      layer.respond(invite, 486, Buffer.from('SIP/2.0 486 Busy Here\r\n\r\n'));
+      tick(64 * T1);
+
+      // T1, 2*T1, 4*T1, then every T2
+      assert.deepStrictEqual(sent.map(s => s.at), [0, 500, 1500, 3500, 7500, 11500, 15500, 19500, 23500, 27500, 31500]);
+      assert.strictEqual(timeouts, 1);
+      assert.strictEqual(layer.servers.size, 0);
+    });
+
+    it('stops retransmitting when the ACK arrives and absorbs ACKs for T4 (Timer I)', () => {
+      const { layer, sent, tick } = lossyLayer((line, index) => index === 0);
+      const invite = request('INVITE');
+      layer.receiveRequest(invite, UDP);
+      const transaction = layer.findServer(invite);
+
+      layer.respond(invite, 486, Buffer.from('SIP/2.0 486 Busy Here\r\n\r\n'));
+      tick(T1);
+      assert.strictEqual(sent.length, 2);
+
+      assert.strictEqual(layer.receiveRequest(ackFor(invite), UDP), true);
+      assert.strictEqual(transaction.state, 'confirmed');
+      tick(T4 - 1);
+      assert.strictEqual(layer.receiveRequest(ackFor(invite), UDP), true);
+      tick(1);
+      assert.strictEqual(transaction.state, 'terminated');
+      assert.strictEqual(sent.length, 2);
+    });
+
+    it('answers a retransmitted INVITE with the last provisional response', () => {
+      const { layer, sent } = lossyLayer((line, index) => index === 0);
+      const invite = request('INVITE');
+      layer.receiveRequest(invite, UDP);
+      layer.respond(invite, 180, Buffer.from('SIP/2.0 180 Ringing\r\n\r\n'));
+
+      assert.strictEqual(layer.receiveRequest(invite, UDP), true);
+      assert.deepStrictEqual(sent.map(s => s.line), ['SIP/2.0 180 Ringing', 'SIP/2.0 180 Ringing']);
+    });
+
+    it('is dropped when it never gets a final response', () => {
+      const { layer, tick } = lossyLayer();
+      const invite = request('INVITE');
+      layer.receiveRequest(invite, UDP);
+      layer.respond(invite, 180, Buffer.from('SIP/2.0 180 Ringing\r\n\r\n'));
+
+      tick(C + 64 * T1 - 1);
+      assert.ok(layer.findServer(invite));
+      tick(1);
+      assert.strictEqual(layer.findServer(invite), null);
+    });
+  });
+
+  describe('server non-INVITE', () => {
+    it('answers retransmissions with the final response until Timer J', () => {
+      const { layer, sent, tick } = lossyLayer((line, index) => index === 0);
+      const options = request('OPTIONS');
+      layer.receiveRequest(options, UDP);
+      const transaction = layer.findServer(options);
+
+      layer.respond(options, 200, Buffer.from('SIP/2.0 200 OK\r\n\r\n'));
+      tick(T1);
+      assert.strictEqual(layer.receiveRequest(options, UDP), true);
+      assert.strictEqual(sent.length, 2);
+      assert.strictEqual(sent[1].lost, false);
+
+      tick(64 * T1 - T1 - 1);
+      assert.strictEqual(transaction.state, 'completed');
+      tick(1);
+      assert.strictEqual(transaction.state, 'terminated');
+      assert.strictEqual(layer.receiveRequest(options, UDP), false);
+    });
+
+    it('ends at once over TCP (Timer J is zero)', () => {
+      const { layer } = lossyLayer();
+      const options = request('OPTIONS');
+      layer.receiveRequest(options, TCP);
+      layer.respond(options, 200, Buffer.from('SIP/2.0 200 OK\r\n\r\n'));
+
+      assert.strictEqual(layer.findServer(options), null);
+    });
+
+    it('is dropped 64*T1 after the request when it never gets a final response', () => {
+      const { layer, tick } = lossyLayer();
+      const options = request('OPTIONS');
+      layer.receiveRequest(options, UDP);
+
+      tick(64 * T1 - 1);
+      assert.ok(layer.findServer(options));
+      tick(1);
+      assert.strictEqual(layer.findServer(options), null);
+      assert.strictEqual(layer.servers.size, 0);
+    });
+  });
+});
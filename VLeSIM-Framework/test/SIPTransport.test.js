@@ -0,0 +1,175 @@
+// Framing of SIP over TCP and the keepalives between messages
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { StreamFramer, ConnectionTable } = require('../SIPTransport');
+
+function message(callId, body = '', lengthHeader = 'Content-Length') {
+  return [
+    'MESSAGE sip:+19351001@vlesim.example SIP/2.0',
+    'Via: SIP/2.0/TCP 192.0.2.8:5060;branch=z9hG4bK-frame',
+    'Max-Forwards: 70',
+    'From: <sip:+19351002@vlesim.example>;tag=f1',
+    'To: <sip:+19351001@vlesim.example>',
+    `Call-ID: ${callId}`,
+    'CSeq: 1 MESSAGE',
+    `${lengthHeader}: ${Buffer.byteLength(body)}`,
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Push the chunks through a new framer and collect what it emits
+function frame(chunks, maxMessageSize) {
+  const framer = new StreamFramer(maxMessageSize);
+  const events = { messages: [], pings: 0, errors: [] };
+  framer.on('message', data => events.messages.push(data.toString()));
+  framer.on('ping', () => events.pings++);
+  framer.on('error', err => events.errors.push(err.message));
+  for (const chunk of chunks) {
+    framer.push(Buffer.from(chunk));
+  }
+  return { framer, ...events };
+}
+
+describe('StreamFramer', () => {
+  it('cuts two messages that arrive in one chunk', () => {
+    const first = message('one@192.0.2.8', 'Hello');
+    const second = message('two@192.0.2.8');
+    const { messages, errors } = frame([first + second]);
+
+    assert.deepStrictEqual(messages, [first, second]);
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('waits for the rest of a message split inside its headers or its body', () => {
+    const data = message('split@192.0.2.8', 'Hello there');
+    const headEnd = data.indexOf('\r\n\r\n');
+    for (const at of [1, data.indexOf('Call-ID') + 3, headEnd + 1, headEnd + 3, headEnd + 4, data.length - 1]) {
+      const { messages } = frame([data.slice(0, at), data.slice(at)]);
+      assert.deepStrictEqual(messages, [data], `split at ${at}`);
+    }
+
+    const { messages } = frame(Array.from(data));
+    assert.deepStrictEqual(messages, [data]);
+  });
+
+  it('reads the body length from the compact l: header', () => {
+    const data = message('compact@192.0.2.8', 'Hello', 'l');
+    const next = message('next@192.0.2.8');
+    const { messages } = frame([data + next]);
+
+    assert.deepStrictEqual(messages, [data, next]);
+    assert.ok(messages[0].endsWith('\r\n\r\nHello'));
+  });
+
+  it('takes a message without Content-Length to end with its headers', () => {
+    const data = message('bodyless@192.0.2.8').replace('Content-Length: 0\r\n', '');
+    const { messages } = frame([data + data]);
+
+    assert.deepStrictEqual(messages, [data, data]);
+  });
+
+  it('gives up on a stream with a bad Content-Length', () => {
+    for (const value of ['abc', '-1', '5, 6', '']) {
+      const data = message('bad@192.0.2.8').replace('Content-Length: 0', `Content-Length: ${value}`);
+      const { framer, messages, errors } = frame([data + 'Hello']);
+
+      assert.deepStrictEqual(messages, [], value);
+      assert.strictEqual(errors.length, 1, value);
+      assert.match(errors[0], /Invalid Content-Length/);
+      assert.strictEqual(framer.buffer.length, 0);
+    }
+  });
+
+  it('gives up on messages over the size limit', () => {
+    // The Content-Length alone is enough to refuse it, before the body arrives
+    const announced = frame([message('large@192.0.2.8').replace('Content-Length: 0', 'Content-Length: 2000')], 1024);
+    assert.deepStrictEqual(announced.messages, []);
+    assert.match(announced.errors[0], /exceeds the maximum message size/);
+
+    // Headers that never end
+    const endless = frame(['MESSAGE sip:+19351001@vlesim.example SIP/2.0\r\n', `X-Padding: ${'a'.repeat(1100)}\r\n`], 1024);
+    assert.deepStrictEqual(endless.errors, ['Headers exceed the maximum message size']);
+    assert.strictEqual(endless.framer.buffer.length, 0);
+
+    const body = 'a'.repeat(1024 - message('fits@192.0.2.8').length - 2);
+    const fits = frame([message('fits@192.0.2.8', body)], 1024);
+    assert.deepStrictEqual(fits.errors, []);
+    assert.strictEqual(fits.messages.length, 1);
+  });
+
+  it('emits a ping for a double CRLF between messages', () => {
+    const data = message('ping@192.0.2.8');
+    const { messages, pings } = frame(['\r\n\r\n', data, '\r\n\r\n']);
+
+    assert.deepStrictEqual(messages, [data]);
+    assert.strictEqual(pings, 2);
+  });
+
+  it('waits for the second CRLF of a ping split across chunks', () => {
+    for (const chunks of [['\r', '\n\r\n'], ['\r\n', '\r\n'], ['\r\n\r', '\n']]) {
+      const { messages, pings, framer } = frame(chunks);
+      assert.strictEqual(pings, 1, JSON.stringify(chunks));
+      assert.deepStrictEqual(messages, []);
+      assert.strictEqual(framer.buffer.length, 0);
+    }
+  });
+
+  it('skips a lone CRLF before a message', () => {
+    const data = message('pong@192.0.2.8');
+    const { messages, pings, errors } = frame(['\r\n', data, '\r\n' + data]);
+
+    assert.deepStrictEqual(messages, [data, data]);
+    assert.strictEqual(pings, 0);
+    assert.deepStrictEqual(errors, []);
+  });
+});
+
+describe('ConnectionTable', () => {
+  it('answers a ping with a single CRLF and frames the messages after it', async () => {
+    const received = [];
+    const table = new ConnectionTable({ onMessage: data => received.push(data.toString()) });
+    const server = net.createServer(socket => table.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const client = net.connect(server.address().port, '127.0.0.1');
+    const data = message('flow@192.0.2.8', 'Hello');
+    try {
+      const pong = await new Promise((resolve, reject) => {
+        client.once('data', resolve);
+        client.once('error', reject);
+        client.write('\r\n\r\n' + data);
+      });
+      assert.strictEqual(pong.toString(), '\r\n');
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.deepStrictEqual(received, [data]);
+    } finally {
+      client.destroy();
+      table.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('closes a connection it cannot frame', async () => {
+    const table = new ConnectionTable();
+    const server = net.createServer(socket => table.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const client = net.connect(server.address().port, '127.0.0.1');
+    try {
+      await new Promise((resolve, reject) => {
+        client.on('close', resolve);
+        client.on('error', () => {});
+        client.write(message('bad@192.0.2.8').replace('Content-Length: 0', 'Content-Length: many'));
+        setTimeout(() => reject(new Error('Connection left open')), 5000).unref();
+      });
+      assert.strictEqual(table.size, 0);
+    } finally {
+      client.destroy();
+      table.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,374 @@
+// ES9+ download sessions and eUICC notifications of the SM-DP+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const asn1 = require('../Asn1');
+const { SMDPPlus, ES9_PATH_PREFIX } = require('../SMDPPlus');
+const { ESIMProvisioner } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+
+const SMDP_PORT = 25400;
+const ADDRESS = 'smdp.example.com';
+
+function swapNibbles(iccid) {
+  const padded = iccid.length % 2 ? iccid + 'F' : iccid;
+  return Buffer.from(padded.replace(/(.)(.)/g, '$2$1'), 'hex');
+}
+
+// POST an ES9+ function; body is sent as it is when it is a Buffer
+function post(functionName, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: SMDP_PORT,
+      path: ES9_PATH_PREFIX + functionName,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Admin-Protocol': 'gsma/rsp/v2.2.0' }
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, text, json: () => JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  });
+}
+
+function executed(res) {
+  assert.strictEqual(res.status, 200);
+  const answer = res.json();
+  assert.deepStrictEqual(answer.header.functionExecutionStatus, { status: 'Executed-Success' });
+  return answer;
+}
+
+/**
+ * Software eUICC: signs what SGP.22 has it sign with its own key pair and
+ * sends the bare public key as its certificate
+ */
+class TestEUICC {
+  constructor() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    this.privateKey = privateKey;
+    this.certificate = publicKey.export({ type: 'spki', format: 'der' });
+  }
+
+  sign(data) {
+    return asn1.tlv(0x5F37, crypto.sign('sha256', data, { key: this.privateKey, dsaEncoding: 'ieee-p1363' }));
+  }
+
+  authenticateServerResponse(initiated, matchingId) {
+    const serverSigned1 = asn1.decodeOne(Buffer.from(initiated.serverSigned1, 'base64'));
+    const euiccSigned1 = asn1.tlv(asn1.TAGS.SEQUENCE, [
+      asn1.encodeOctets(Buffer.from(initiated.transactionId, 'hex'), 0x80),
+      asn1.encodeUtf8(ADDRESS, 0x83),
+      asn1.find(serverSigned1.children, 0x84).raw,
+      asn1.tlv(0xA0, [asn1.encodeUtf8(matchingId, 0x80)])
+    ]);
+    return asn1.tlv(0xBF38, [asn1.tlv(0xA0, [euiccSigned1, this.sign(euiccSigned1), this.certificate])]);
+  }
+
+  prepareDownloadResponse(transactionId) {
+    const euiccSigned2 = asn1.tlv(asn1.TAGS.SEQUENCE, [
+      asn1.encodeOctets(Buffer.from(transactionId, 'hex'), 0x80),
+      asn1.encodeOctets(crypto.createECDH('prime256v1').generateKeys(), 0x5F49)
+    ]);
+    return asn1.tlv(0xBF21, [asn1.tlv(0xA0, [euiccSigned2, this.sign(euiccSigned2)])]);
+  }
+
+  profileInstallationResult(transactionId, success = true) {
+    const resultData = asn1.tlv(0xBF27, [
+      asn1.encodeOctets(Buffer.from(transactionId, 'hex'), 0x80),
+      asn1.tlv(0xA2, [asn1.tlv(success ? 0xA0 : 0xA1, [])])
+    ]);
+    return asn1.tlv(0xBF37, [resultData, this.sign(resultData)]);
+  }
+
+  // OtherSignedNotification for enable (0x40), disable (0x20) or delete (0x10)
+  otherSignedNotification(iccid, operation) {
+    const metadata = asn1.tlv(0xBF2F, [
+      asn1.encodeInteger(1, 0x80),
+      asn1.encodeOctets(Buffer.from([0x04, operation]), 0x81),
+      asn1.encodeOctets(swapNibbles(iccid), 0x5A)
+    ]);
+    return asn1.tlv(asn1.TAGS.SEQUENCE, [metadata, this.sign(metadata), this.certificate]);
+  }
+}
+
+describe('SMDPPlus', () => {
+  let provisioner;
+  let smdp;
+
+  before(() => new Promise((resolve) => {
+    provisioner = new ESIMProvisioner({ storage: createStorage('memory'), vault: new KeyVault(KeyVault.generateKey()) });
+    smdp = new SMDPPlus(provisioner, { port: SMDP_PORT, ip: '127.0.0.1', address: ADDRESS });
+    smdp.server.once('listening', resolve);
+  }));
+
+  after(() => {
+    smdp.close();
+  });
+
+  let lastNumber = 0;
+  function releasedProfile() {
+    const profile = provisioner.createProfile(`+1555000${String(++lastNumber).padStart(4, '0')}`);
+    return provisioner.transitionProfile(profile.iccid, 'released');
+  }
+
+  // Take a new profile through a download to the eUICC, up to the state given
+  function download(euicc, state = 'installed') {
+    const profile = releasedProfile();
+    const { matchingId } = provisioner.generateActivationData(profile.iccid);
+    const initiated = smdp.initiateAuthentication({ euiccChallenge: crypto.randomBytes(16).toString('base64') });
+    const { transactionId } = initiated;
+
+    smdp.authenticateClient({
+      transactionId,
+      authenticateServerResponse: euicc.authenticateServerResponse(initiated, matchingId).toString('base64')
+    });
+    smdp.getBoundProfilePackage({
+      transactionId,
+      prepareDownloadResponse: euicc.prepareDownloadResponse(transactionId).toString('base64')
+    });
+    smdp.handleNotification({
+      pendingNotification: euicc.profileInstallationResult(transactionId).toString('base64')
+    });
+    if (state === 'enabled') {
+      provisioner.transitionProfile(profile.iccid, 'enabled');
+    }
+    return profile.iccid;
+  }
+
+  function notify(euicc, iccid, operation) {
+    smdp.handleNotification({
+      pendingNotification: euicc.otherSignedNotification(iccid, operation).toString('base64')
+    });
+  }
+
+  function refusedWith(message) {
+    return err => err.status && err.status.message === message;
+  }
+
+  describe('notifications', () => {
+    it('takes enable, disable and delete from the eUICC the profile was downloaded to', () => {
+      const euicc = new TestEUICC();
+      const iccid = download(euicc);
+      assert.strictEqual(provisioner.getProfile(iccid).euiccCertificate, euicc.certificate.toString('base64'));
+
+      notify(euicc, iccid, 0x40);
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'enabled');
+      notify(euicc, iccid, 0x20);
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'disabled');
+      notify(euicc, iccid, 0x10);
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'deleted');
+    });
+
+    it('refuses a notification signed by another eUICC', () => {
+      const iccid = download(new TestEUICC(), 'enabled');
+      const profile = provisioner.getProfile(iccid);
+
+      assert.throws(() => notify(new TestEUICC(), iccid, 0x10), refusedWith('eUICC signature invalid'));
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'enabled');
+      assert.strictEqual(provisioner.getProfile(iccid).msisdn, profile.msisdn);
+    });
+
+    it('refuses a notification whose metadata was changed after signing', () => {
+      const euicc = new TestEUICC();
+      const iccid = download(euicc, 'enabled');
+      const other = download(euicc, 'enabled');
+
+      // The signature of a disable of one profile, put on the delete of another
+      const signed = asn1.decodeOne(euicc.otherSignedNotification(iccid, 0x20));
+      const forged = asn1.decodeOne(euicc.otherSignedNotification(other, 0x10));
+      const notification = asn1.tlv(asn1.TAGS.SEQUENCE, [forged.children[0].raw, signed.children[1].raw, euicc.certificate]);
+
+      assert.throws(() => smdp.handleNotification({ pendingNotification: notification.toString('base64') }),
+        refusedWith('eUICC signature invalid'));
+      assert.strictEqual(provisioner.getProfile(other).state, 'enabled');
+    });
+
+    it('refuses a notification without signature', () => {
+      const euicc = new TestEUICC();
+      const iccid = download(euicc, 'enabled');
+      const { children: [metadata] } = asn1.decodeOne(euicc.otherSignedNotification(iccid, 0x10));
+
+      assert.throws(() => smdp.handleNotification({
+        pendingNotification: asn1.tlv(asn1.TAGS.SEQUENCE, [metadata.raw]).toString('base64')
+      }), refusedWith('eUICC signature invalid'));
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'enabled');
+    });
+
+    it('refuses notifications for profiles never downloaded', () => {
+      const profile = releasedProfile();
+      assert.throws(() => notify(new TestEUICC(), profile.iccid, 0x10), refusedWith('Profile not delivered to this eUICC'));
+      assert.throws(() => notify(new TestEUICC(), '8988211999999999999', 0x10), refusedWith('Profile not delivered to this eUICC'));
+      assert.strictEqual(provisioner.getProfile(profile.iccid).state, 'released');
+    });
+
+    it('forgets the eUICC of a failed installation', () => {
+      const euicc = new TestEUICC();
+      const profile = releasedProfile();
+      const { matchingId } = provisioner.generateActivationData(profile.iccid);
+      const initiated = smdp.initiateAuthentication({ euiccChallenge: crypto.randomBytes(16).toString('base64') });
+      const { transactionId } = initiated;
+      smdp.authenticateClient({
+        transactionId,
+        authenticateServerResponse: euicc.authenticateServerResponse(initiated, matchingId).toString('base64')
+      });
+      smdp.getBoundProfilePackage({
+        transactionId,
+        prepareDownloadResponse: euicc.prepareDownloadResponse(transactionId).toString('base64')
+      });
+
+      assert.throws(() => smdp.handleNotification({
+        pendingNotification: new TestEUICC().profileInstallationResult(transactionId).toString('base64')
+      }), refusedWith('eUICC signature invalid'));
+      smdp.handleNotification({
+        pendingNotification: euicc.profileInstallationResult(transactionId, false).toString('base64')
+      });
+
+      assert.strictEqual(provisioner.getProfile(profile.iccid).state, 'released');
+      assert.strictEqual(provisioner.getProfile(profile.iccid).euiccCertificate, null);
+      assert.throws(() => notify(euicc, profile.iccid, 0x10), refusedWith('Profile not delivered to this eUICC'));
+    });
+  });
+
+  describe('authenticateClient', () => {
+    it('refuses an eUICC that does not hold the key of its certificate', () => {
+      const profile = releasedProfile();
+      const { matchingId } = provisioner.generateActivationData(profile.iccid);
+      const initiated = smdp.initiateAuthentication({ euiccChallenge: crypto.randomBytes(16).toString('base64') });
+
+      const euicc = new TestEUICC();
+      euicc.certificate = new TestEUICC().certificate;
+      assert.throws(() => smdp.authenticateClient({
+        transactionId: initiated.transactionId,
+        authenticateServerResponse: euicc.authenticateServerResponse(initiated, matchingId).toString('base64')
+      }), refusedWith('eUICC signature invalid'));
+      assert.strictEqual(smdp.sessions.size, 0);
+    });
+  });
+
+  describe('over HTTP', () => {
+    // initiateAuthentication and authenticateClient for a new profile
+    async function authenticate(euicc) {
+      const profile = releasedProfile();
+      const { matchingId } = provisioner.generateActivationData(profile.iccid);
+      const initiated = executed(await post('initiateAuthentication', {
+        euiccChallenge: crypto.randomBytes(16).toString('base64'),
+        smdpAddress: ADDRESS
+      }));
+      const authenticated = executed(await post('authenticateClient', {
+        transactionId: initiated.transactionId,
+        authenticateServerResponse: euicc.authenticateServerResponse(initiated, matchingId).toString('base64')
+      }));
+      assert.strictEqual(authenticated.transactionId, initiated.transactionId);
+      return { iccid: profile.iccid, transactionId: initiated.transactionId, authenticated };
+    }
+
+    async function getBoundProfilePackage(euicc, transactionId) {
+      return executed(await post('getBoundProfilePackage', {
+        transactionId,
+        prepareDownloadResponse: euicc.prepareDownloadResponse(transactionId).toString('base64')
+      }));
+    }
+
+    it('downloads, installs and enables a profile', async () => {
+      const euicc = new TestEUICC();
+      const { iccid, transactionId, authenticated } = await authenticate(euicc);
+      const metadata = asn1.decodeOne(Buffer.from(authenticated.profileMetadata, 'base64'));
+      assert.deepStrictEqual(asn1.find(metadata.children, 0x5A).value, swapNibbles(iccid));
+
+      const { boundProfilePackage } = await getBoundProfilePackage(euicc, transactionId);
+      const bound = asn1.decodeOne(Buffer.from(boundProfilePackage, 'base64'));
+      assert.strictEqual(bound.tag, 0xBF36);
+      assert.ok(asn1.find(asn1.find(bound.children, 0xA3).children, 0x86));
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'downloaded');
+
+      const installed = await post('handleNotification', {
+        pendingNotification: euicc.profileInstallationResult(transactionId).toString('base64')
+      });
+      assert.strictEqual(installed.status, 204);
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'installed');
+      assert.ok(!smdp.sessions.has(transactionId));
+
+      const enabled = await post('handleNotification', {
+        pendingNotification: euicc.otherSignedNotification(iccid, 0x40).toString('base64')
+      });
+      assert.strictEqual(enabled.status, 204);
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'enabled');
+    });
+
+    it('releases the profile again when the session is cancelled', async () => {
+      const euicc = new TestEUICC();
+      const { iccid, transactionId } = await authenticate(euicc);
+      await getBoundProfilePackage(euicc, transactionId);
+
+      const cancelSessionResponse = asn1.tlv(0xBF41, [
+        asn1.tlv(0xA0, [asn1.tlv(asn1.TAGS.SEQUENCE, [
+          asn1.encodeOctets(Buffer.from(transactionId, 'hex'), 0x80),
+          asn1.encodeInteger(1, 0x81) // endUserRejection
+        ])])
+      ]);
+      executed(await post('cancelSession', { transactionId, cancelSessionResponse: cancelSessionResponse.toString('base64') }));
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'released');
+      assert.strictEqual(provisioner.getProfile(iccid).euiccCertificate, null);
+
+      const again = await post('getBoundProfilePackage', {
+        transactionId,
+        prepareDownloadResponse: euicc.prepareDownloadResponse(transactionId).toString('base64')
+      });
+      assert.strictEqual(again.json().header.functionExecutionStatus.statusCodeData.message, 'Unknown transaction ID');
+    });
+
+    it('answers a refused notification with the reason', async () => {
+      const iccid = download(new TestEUICC(), 'enabled');
+      const res = await post('handleNotification', {
+        pendingNotification: new TestEUICC().otherSignedNotification(iccid, 0x10).toString('base64')
+      });
+      assert.strictEqual(res.json().header.functionExecutionStatus.status, 'Failed');
+      assert.strictEqual(res.json().header.functionExecutionStatus.statusCodeData.message, 'eUICC signature invalid');
+      assert.strictEqual(provisioner.getProfile(iccid).state, 'enabled');
+    });
+
+    it('answers unknown functions and other methods', async () => {
+      const unknown = await post('deleteEverything', {});
+      assert.strictEqual(unknown.json().header.functionExecutionStatus.statusCodeData.subjectCode, '1.6');
+
+      const res = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: SMDP_PORT, path: `${ES9_PATH_PREFIX}initiateAuthentication` }, resolve)
+          .on('error', reject);
+      });
+      res.resume();
+      assert.strictEqual(res.statusCode, 404);
+    });
+
+    it('answers bodies over the size limit with 413', async () => {
+      const sessions = smdp.sessions.size;
+      const res = await post('initiateAuthentication', Buffer.alloc(smdp.options.maxBodySize + 1, 0x20));
+      assert.strictEqual(res.status, 413);
+      assert.strictEqual(smdp.sessions.size, sessions);
+    });
+
+    it('stops reading a chunked body once it is over the size limit', async () => {
+      const res = await new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port: SMDP_PORT,
+          path: `${ES9_PATH_PREFIX}initiateAuthentication`,
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' }
+        }, resolve);
+        req.on('error', reject);
+        req.write(Buffer.alloc(smdp.options.maxBodySize, 0x20));
+        req.write(Buffer.alloc(1024, 0x20));
+      });
+      res.resume();
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.headers.connection, 'close');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Transactions, crash recovery and quarantine of the storage backends
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage, FileStorage, SQLiteStorage } = require('../Storage');
+
+const PROFILE = { iccid: '8988211000000000017', imsi: '001010000000017', msisdn: '+19351017', status: 'available' };
+const OTHER = { iccid: '8988211000000000025', imsi: '001010000000025', msisdn: '+19351025', status: 'available' };
+
+// The node:sqlite module or a built better-sqlite3 may be missing
+function sqliteUnavailable() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vlesim-sqlite-'));
+  try {
+    new SQLiteStorage(path.join(directory, 'probe.db')).close();
+    return false;
+  } catch (err) {
+    return err.message;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// What every backend has to get right, given a fresh storage for each test
+function transactionTests(open) {
+  let storage;
+
+  beforeEach(() => {
+    storage = open();
+    storage.collection('esims').put(PROFILE);
+  });
+
+  afterEach(() => storage.close());
+
+  it('keeps the writes of a transaction that returns', () => {
+    const result = storage.transaction(() => {
+      const esims = storage.collection('esims');
+      esims.put({ ...PROFILE, status: 'released' });
+      esims.put(OTHER);
+      storage.collection('phone_numbers').put({ msisdn: OTHER.msisdn, iccid: OTHER.iccid });
+      return 'done';
+    });
+
+    assert.strictEqual(result, 'done');
+    const esims = storage.collection('esims');
+    assert.strictEqual(esims.get(PROFILE.iccid).status, 'released');
+    assert.strictEqual(esims.findOne('msisdn', OTHER.msisdn).iccid, OTHER.iccid);
+    assert.strictEqual(storage.collection('phone_numbers').get(OTHER.msisdn).iccid, OTHER.iccid);
+  });
+
+  it('undoes puts, deletes and index changes of a transaction that throws', () => {
+    assert.throws(() => storage.transaction(() => {
+      const esims = storage.collection('esims');
+      esims.put({ ...PROFILE, msisdn: '+19359999', status: 'released' });
+      esims.put(OTHER);
+      esims.delete(PROFILE.iccid);
+      esims.put({ ...PROFILE, status: 'enabled' });
+      storage.collection('phone_numbers').put({ msisdn: OTHER.msisdn, iccid: OTHER.iccid });
+      throw new Error('Half way');
+    }), /Half way/);
+
+    const esims = storage.collection('esims');
+    assert.deepStrictEqual(esims.get(PROFILE.iccid), PROFILE);
+    assert.strictEqual(esims.get(OTHER.iccid), null);
+    assert.strictEqual(esims.count(), 1);
+    assert.strictEqual(esims.findOne('msisdn', PROFILE.msisdn).iccid, PROFILE.iccid);
+    assert.deepStrictEqual(esims.find('msisdn', '+19359999'), []);
+    assert.deepStrictEqual(esims.find('imsi', OTHER.imsi), []);
+    assert.strictEqual(storage.collection('phone_numbers').count(), 0);
+  });
+
+  it('rolls back a nested transaction with the outermost one', () => {
+    assert.throws(() => storage.transaction(() => {
+      storage.transaction(() => storage.collection('esims').put(OTHER));
+      throw new Error('Outer');
+    }), /Outer/);
+
+    assert.strictEqual(storage.collection('esims').get(OTHER.iccid), null);
+  });
+
+  it('takes new transactions after a rollback', () => {
+    assert.throws(() => storage.transaction(() => {
+      throw new Error('First');
+    }));
+    storage.transaction(() => storage.collection('esims').put(OTHER));
+
+    assert.strictEqual(storage.collection('esims').count(), 2);
+  });
+}
+
+describe('MemoryStorage', () => {
+  transactionTests(() => new MemoryStorage());
+
+  it('does not let records handed out change the stored ones', () => {
+    const storage = new MemoryStorage();
+    const esims = storage.collection('esims');
+    esims.put(PROFILE);
+
+    assert.throws(() => storage.transaction(() => {
+      const profile = esims.get(PROFILE.iccid);
+      profile.status = 'enabled';
+      esims.put(profile);
+      profile.status = 'deleted';
+      throw new Error('Abort');
+    }));
+
+    assert.strictEqual(esims.get(PROFILE.iccid).status, 'available');
+  });
+});
+
+describe('FileStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vlesim-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function profileFile(iccid) {
+    return path.join(directory, 'esims', `${iccid}.json`);
+  }
+
+  describe('transactions', () => {
+    transactionTests(() => new FileStorage(directory));
+  });
+
+  it('writes a committed transaction to the files and removes its journal', () => {
+    const storage = new FileStorage(directory);
+    storage.collection('esims').put(PROFILE);
+    storage.transaction(() => {
+      storage.collection('esims').put(OTHER);
+      storage.collection('esims').delete(PROFILE.iccid);
+    });
+
+    assert.ok(!fs.existsSync(profileFile(PROFILE.iccid)));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(profileFile(OTHER.iccid), 'utf8')), OTHER);
+    assert.ok(!fs.existsSync(path.join(directory, 'journal.json')));
+
+    const reopened = new FileStorage(directory);
+    assert.deepStrictEqual(reopened.collection('esims').all(), [OTHER]);
+  });
+
+  it('leaves the files alone when a transaction throws', () => {
+    const storage = new FileStorage(directory);
+    storage.collection('esims').put(PROFILE);
+    assert.throws(() => storage.transaction(() => {
+      storage.collection('esims').put({ ...PROFILE, status: 'released' });
+      storage.collection('esims').put(OTHER);
+      throw new Error('Abort');
+    }));
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(profileFile(PROFILE.iccid), 'utf8')), PROFILE);
+    assert.ok(!fs.existsSync(profileFile(OTHER.iccid)));
+    assert.ok(!fs.existsSync(path.join(directory, 'journal.json')));
+  });
+
+  it('completes a transaction whose commit a crash interrupted', () => {
+    fs.mkdirSync(path.join(directory, 'esims'), { recursive: true });
+    fs.writeFileSync(profileFile(PROFILE.iccid), JSON.stringify(PROFILE));
+    // The journal was flushed, but only the first of its writes reached the data files
+    fs.writeFileSync(profileFile(OTHER.iccid), JSON.stringify(OTHER));
+    fs.writeFileSync(path.join(directory, 'journal.json'), JSON.stringify([
+      { file: path.join('esims', `${OTHER.iccid}.json`), record: OTHER },
+      { file: path.join('esims', `${PROFILE.iccid}.json`), record: null },
+      { file: path.join('phone_numbers', `${encodeURIComponent(OTHER.msisdn)}.json`), record: { msisdn: OTHER.msisdn, iccid: OTHER.iccid } }
+    ]));
+
+    const storage = new FileStorage(directory);
+
+    assert.ok(!fs.existsSync(path.join(directory, 'journal.json')));
+    assert.deepStrictEqual(storage.collection('esims').all(), [OTHER]);
+    assert.strictEqual(storage.collection('phone_numbers').get(OTHER.msisdn).iccid, OTHER.iccid);
+  });
+
+  it('quarantines a journal it cannot read and keeps the data files', () => {
+    fs.mkdirSync(path.join(directory, 'esims'), { recursive: true });
+    fs.writeFileSync(profileFile(PROFILE.iccid), JSON.stringify(PROFILE));
+    fs.writeFileSync(path.join(directory, 'journal.json'), '[{"file":');
+
+    const storage = new FileStorage(directory);
+
+    assert.ok(!fs.existsSync(path.join(directory, 'journal.json')));
+    assert.ok(fs.readdirSync(path.join(directory, '.quarantine')).some(file => file.endsWith('-journal.json')));
+    assert.deepStrictEqual(storage.collection('esims').all(), [PROFILE]);
+  });
+
+  it('quarantines unreadable record files and drops half-written ones', () => {
+    const esims = path.join(directory, 'esims');
+    fs.mkdirSync(esims, { recursive: true });
+    fs.writeFileSync(profileFile(PROFILE.iccid), JSON.stringify(PROFILE));
+    fs.writeFileSync(profileFile(OTHER.iccid), '{"iccid": "8988211000000000025", "sta');
+    fs.writeFileSync(path.join(esims, 'no-key.json'), JSON.stringify({ status: 'available' }));
+    fs.writeFileSync(`${profileFile(OTHER.iccid)}.1234.abcd.tmp`, JSON.stringify(OTHER));
+
+    const storage = new FileStorage(directory);
+
+    assert.deepStrictEqual(storage.collection('esims').all(), [PROFILE]);
+    assert.deepStrictEqual(fs.readdirSync(esims).filter(file => !file.startsWith('.')), [`${PROFILE.iccid}.json`]);
+    const quarantined = fs.readdirSync(path.join(esims, '.quarantine'));
+    assert.strictEqual(quarantined.length, 2);
+    assert.ok(quarantined.some(file => file.endsWith(`-${OTHER.iccid}.json`)));
+    assert.ok(quarantined.some(file => file.endsWith('-no-key.json')));
+  });
+});
+
+describe('SQLiteStorage', { skip: sqliteUnavailable() }, () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vlesim-sqlite-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('transactions', () => {
+    transactionTests(() => new SQLiteStorage(path.join(directory, 'vlesim.db')));
+  });
+
+  it('keeps committed records across a reopen', () => {
+    const filename = path.join(directory, 'vlesim.db');
+    const storage = new SQLiteStorage(filename);
+    storage.transaction(() => {
+      storage.collection('esims').put(PROFILE);
+      storage.collection('esims').put(OTHER);
+    });
+    assert.throws(() => storage.transaction(() => {
+      storage.collection('esims').delete(OTHER.iccid);
+      throw new Error('Abort');
+    }));
+    storage.close();
+
+    const reopened = new SQLiteStorage(filename);
+    try {
+      assert.deepStrictEqual(reopened.collection('esims').all(), [PROFILE, OTHER]);
+      assert.strictEqual(reopened.collection('esims').findOne('imsi', OTHER.imsi).iccid, OTHER.iccid);
+    } finally {
+      reopened.close();
+    }
+  });
+});
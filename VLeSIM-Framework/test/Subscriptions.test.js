@@ -0,0 +1,74 @@
+// Who may watch subscribers with SUBSCRIBE
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { VoIPESIMProvider } = require('../Server');
+const { createStorage } = require('../Storage');
+const { KeyVault } = require('../KeyVault');
+const { Operators } = require('../Operators');
+const { SIPMessage } = require('../SIPMessage');
+
+const WATCHER = { protocol: 'udp', address: '192.0.2.8', port: 5080 };
+
+describe('SUBSCRIBE', () => {
+  let provider;
+  let resource;
+  let subscriptions = 0;
+
+  function subscribe(from, event) {
+    provider.sent.length = 0;
+    provider.sipServer.handleSIPMessage(new SIPMessage({
+      type: 'request',
+      method: 'SUBSCRIBE',
+      uri: resource,
+      headers: {
+        'via': `SIP/2.0/UDP 192.0.2.8:5080;branch=z9hG4bK-watch-${++subscriptions}`,
+        'max-forwards': '70',
+        'from': `<${from}>;tag=w${subscriptions}`,
+        'to': `<${resource}>`,
+        'call-id': `watch-${subscriptions}@192.0.2.8`,
+        'cseq': '1 SUBSCRIBE',
+        'contact': '<sip:watcher@192.0.2.8:5080>',
+        'event': event,
+        'expires': '600'
+      }
+    }), WATCHER);
+    return provider.sent.find(message => message.type === 'response').statusCode;
+  }
+
+  before(() => {
+    provider = new VoIPESIMProvider({
+      storage: createStorage('memory'),
+      vault: new KeyVault(KeyVault.generateKey()),
+      operators: new Operators(),
+      watchers: [{ domain: 'Partner.example', tenant: 'default' }],
+      sip: { udpPort: 25260, tcpPort: 25260 }
+    });
+    provider.sent = [];
+    provider.sipServer.sendMessage = data => provider.sent.push(SIPMessage.parse(data));
+
+    const { profile, phoneNumber } = provider.provisionNewESIM();
+    const { esimProvisioner } = provider.partition(provider.tenants.default);
+    for (const state of ['downloaded', 'installed', 'enabled']) {
+      esimProvisioner.transitionProfile(profile.iccid, state);
+    }
+    resource = provider.sipServer.addressOf(`sip:${phoneNumber}@${provider.tenants.default.domain}`);
+  });
+
+  after(() => provider.sipServer.close());
+
+  it('refuses watchers of other domains without a rule', () => {
+    assert.strictEqual(subscribe('sip:mallory@evil.example', 'dialog'), 403);
+    assert.strictEqual(subscribe('sip:mallory@evil.example', 'presence'), 403);
+    assert.strictEqual(provider.sipServer.subscriptions.size, 0);
+  });
+
+  it('accepts watchers of a domain with a rule for the tenant', () => {
+    assert.strictEqual(subscribe('sip:reception@partner.example', 'dialog'), 200);
+    assert.strictEqual(provider.sipServer.subscriptions.size, 1);
+  });
+
+  it('keeps registrations and waiting messages to the subscriber even with a rule', () => {
+    assert.strictEqual(subscribe('sip:reception@partner.example', 'reg'), 403);
+    assert.strictEqual(subscribe('sip:reception@partner.example', 'message-summary'), 403);
+  });
+});